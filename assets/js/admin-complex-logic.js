@@ -0,0 +1,660 @@
+/**
+ * Complex Logic Builder
+ * WooCommerce Vibe Payment Gateway
+ *
+ * Parser and visual builder for the `complex_logic` expression of a pricing
+ * rule, e.g. `category:clothing AND (price < 50 OR tag:clearance)`. The
+ * builder and the textarea stay in sync both ways; syntax errors are shown
+ * inline and block saving the rule.
+ *
+ * @since 1.3.0
+ */
+
+(function ($, i18n) {
+  "use strict";
+
+  var __ = i18n.__;
+  var sprintf = i18n.sprintf;
+
+  var PRICE_OPERATORS = [">", ">=", "<", "<=", "=", "!="];
+
+  /**
+   * Split an expression into tokens.
+   *
+   * @param {string} text Expression.
+   * @return {Array} Tokens with type, value and position.
+   */
+  function tokenize(text) {
+    var tokens = [];
+    var pattern =
+      /\s*(?:(\()|(\))|(>=|<=|!=|==|>|<|=)|(:)|([\w%.\-\u0600-\u06FF]+)|(\S))/g;
+    var match;
+
+    while ((match = pattern.exec(text)) !== null) {
+      var position = match.index + match[0].length - match[0].trim().length;
+      var value = match[0].trim();
+      var type = "invalid";
+
+      if (match[1]) {
+        type = "open";
+      } else if (match[2]) {
+        type = "close";
+      } else if (match[3]) {
+        type = "operator";
+        value = value === "==" ? "=" : value;
+      } else if (match[4]) {
+        type = "colon";
+      } else if (match[5]) {
+        var upper = value.toUpperCase();
+        if (upper === "AND" || upper === "OR") {
+          type = "logic";
+          value = upper;
+        } else {
+          type = /^-?\d+(\.\d+)?$/.test(value) ? "number" : "word";
+        }
+      }
+
+      tokens.push({ type: type, value: value, position: position });
+    }
+
+    return tokens;
+  }
+
+  /**
+   * Parse an expression into a condition tree.
+   *
+   * AND binds tighter than OR, so `a OR b AND c` reads as `a OR (b AND c)`.
+   *
+   * @param {string} text Expression.
+   * @return {Object} `{ tree }` on success or `{ error: { message, position } }`.
+   */
+  function parse(text) {
+    var tokens = tokenize(text || "");
+    var index = 0;
+
+    function ParseError(message, token) {
+      this.message = message;
+      this.position = token ? token.position : (text || "").length;
+    }
+
+    function peek() {
+      return tokens[index];
+    }
+
+    function next() {
+      return tokens[index++];
+    }
+
+    function describe(token) {
+      return token
+        ? sprintf(
+            /* translators: %s: Unexpected text in the expression */
+            __('unexpected "%s"', "woocommerce-gateway-vibe"),
+            token.value
+          )
+        : __("unexpected end of expression", "woocommerce-gateway-vibe");
+    }
+
+    function group(logic, conditions) {
+      // Flatten runs of the same operator so the builder shows one group
+      var flat = [];
+      $.each(conditions, function (i, condition) {
+        if (condition.type === "group" && condition.logic === logic) {
+          flat = flat.concat(condition.conditions);
+        } else {
+          flat.push(condition);
+        }
+      });
+
+      return flat.length === 1
+        ? flat[0]
+        : { type: "group", logic: logic, conditions: flat };
+    }
+
+    function parseOr() {
+      var conditions = [parseAnd()];
+      while (peek() && peek().type === "logic" && peek().value === "OR") {
+        next();
+        conditions.push(parseAnd());
+      }
+      return group("OR", conditions);
+    }
+
+    function parseAnd() {
+      var conditions = [parsePrimary()];
+      while (peek() && peek().type === "logic" && peek().value === "AND") {
+        next();
+        conditions.push(parsePrimary());
+      }
+      return group("AND", conditions);
+    }
+
+    function parsePrimary() {
+      var token = next();
+
+      if (token && token.type === "open") {
+        var expression = parseOr();
+        var close = next();
+        if (!close || close.type !== "close") {
+          throw new ParseError(
+            sprintf(
+              /* translators: %s: Description of the unexpected token */
+              __('Missing ")": %s.', "woocommerce-gateway-vibe"),
+              describe(close)
+            ),
+            close
+          );
+        }
+        return expression;
+      }
+
+      if (!token || token.type !== "word") {
+        throw new ParseError(
+          sprintf(
+            /* translators: %s: Description of the unexpected token */
+            __("Expected a condition: %s.", "woocommerce-gateway-vibe"),
+            describe(token)
+          ),
+          token
+        );
+      }
+
+      var field = token.value.toLowerCase();
+
+      if (field === "category" || field === "tag") {
+        var colon = next();
+        var slug = next();
+        if (!colon || colon.type !== "colon") {
+          throw new ParseError(
+            sprintf(
+              /* translators: 1: Condition field, 2: Description of the unexpected token */
+              __('Expected ":" after "%1$s": %2$s.', "woocommerce-gateway-vibe"),
+              field,
+              describe(colon)
+            ),
+            colon
+          );
+        }
+        if (!slug || (slug.type !== "word" && slug.type !== "number")) {
+          throw new ParseError(
+            sprintf(
+              /* translators: 1: Condition field, 2: Description of the unexpected token */
+              __("Expected a %1$s slug: %2$s.", "woocommerce-gateway-vibe"),
+              field,
+              describe(slug)
+            ),
+            slug
+          );
+        }
+        return { type: "condition", condition_type: field, value: slug.value };
+      }
+
+      if (field === "price") {
+        var operator = next();
+        var amount = next();
+        if (!operator || operator.type !== "operator") {
+          throw new ParseError(
+            sprintf(
+              /* translators: %s: Description of the unexpected token */
+              __(
+                "Expected a comparison (>, >=, <, <=, =, !=) after price: %s.",
+                "woocommerce-gateway-vibe"
+              ),
+              describe(operator)
+            ),
+            operator
+          );
+        }
+        if (!amount || amount.type !== "number") {
+          throw new ParseError(
+            sprintf(
+              /* translators: %s: Description of the unexpected token */
+              __("Expected a price amount: %s.", "woocommerce-gateway-vibe"),
+              describe(amount)
+            ),
+            amount
+          );
+        }
+        return {
+          type: "condition",
+          condition_type: "price",
+          price_operator: operator.value,
+          price_value: parseFloat(amount.value),
+        };
+      }
+
+      throw new ParseError(
+        sprintf(
+          /* translators: %s: Unknown condition field */
+          __(
+            'Unknown condition "%s". Use category, tag or price.',
+            "woocommerce-gateway-vibe"
+          ),
+          token.value
+        ),
+        token
+      );
+    }
+
+    if (!tokens.length) {
+      return { tree: { type: "group", logic: "AND", conditions: [] } };
+    }
+
+    try {
+      var tree = parseOr();
+      if (index < tokens.length) {
+        throw new ParseError(
+          sprintf(
+            /* translators: %s: Description of the unexpected token */
+            __("Expected AND or OR: %s.", "woocommerce-gateway-vibe"),
+            describe(tokens[index])
+          ),
+          tokens[index]
+        );
+      }
+
+      if (tree.type !== "group") {
+        tree = { type: "group", logic: "AND", conditions: [tree] };
+      }
+
+      return { tree: tree };
+    } catch (e) {
+      if (e instanceof ParseError) {
+        return { error: { message: e.message, position: e.position } };
+      }
+      throw e;
+    }
+  }
+
+  /**
+   * Write a condition tree back as an expression.
+   *
+   * @param {Object} node Group or condition.
+   * @param {boolean} nested Whether the node is inside another group.
+   * @return {string} Expression.
+   */
+  function stringify(node, nested) {
+    if (node.type === "condition") {
+      if (node.condition_type === "price") {
+        return "price " + node.price_operator + " " + node.price_value;
+      }
+      return node.condition_type + ":" + node.value;
+    }
+
+    var parts = $.map(node.conditions, function (condition) {
+      return stringify(condition, true);
+    });
+
+    if (!parts.length) {
+      return "";
+    }
+
+    var expression = parts.join(" " + node.logic + " ");
+    return nested && parts.length > 1 ? "(" + expression + ")" : expression;
+  }
+
+  /**
+   * Visual builder bound to a complex logic textarea.
+   *
+   * @param {jQuery} $textarea Expression textarea.
+   */
+  function Builder($textarea) {
+    this.$textarea = $textarea;
+    this.terms = {
+      category:
+        (typeof vibe_admin_pricing !== "undefined" &&
+          vibe_admin_pricing.categories) ||
+        {},
+      tag:
+        (typeof vibe_admin_pricing !== "undefined" && vibe_admin_pricing.tags) ||
+        {},
+    };
+
+    this.$container = $('<div class="vibe-logic-builder"></div>');
+    this.$error = $(
+      '<p class="vibe-logic-error error-message" role="alert"></p>'
+    ).hide();
+
+    $textarea.before(this.$container).after(this.$error);
+
+    this.bindEvents();
+    this.syncFromText();
+  }
+
+  Builder.prototype = {
+    bindEvents: function () {
+      var self = this;
+
+      this.$textarea.on("input", function () {
+        self.syncFromText();
+      });
+
+      this.$container
+        .on("change", ".vibe-logic-type", function () {
+          // A different field needs different value controls
+          $(this)
+            .closest(".vibe-logic-condition")
+            .replaceWith(
+              self.renderCondition({
+                type: "condition",
+                condition_type: $(this).val(),
+              })
+            );
+          self.syncFromBuilder();
+        })
+        .on("change", "select:not(.vibe-logic-type)", function () {
+          self.syncFromBuilder();
+        })
+        .on("input", "input", function () {
+          self.syncFromBuilder();
+        })
+        .on("click", ".vibe-logic-add-condition", function () {
+          $(this)
+            .closest(".vibe-logic-group")
+            .children(".vibe-logic-conditions")
+            .append(
+              self.renderCondition({
+                type: "condition",
+                condition_type: "category",
+                value: "",
+              })
+            );
+          self.syncFromBuilder();
+        })
+        .on("click", ".vibe-logic-add-group", function () {
+          $(this)
+            .closest(".vibe-logic-group")
+            .children(".vibe-logic-conditions")
+            .append(
+              self.renderGroup(
+                { type: "group", logic: "OR", conditions: [] },
+                false
+              )
+            );
+          self.initSortable();
+          self.syncFromBuilder();
+        })
+        .on("click", ".vibe-logic-remove", function () {
+          $(this).closest(".vibe-logic-item").remove();
+          self.syncFromBuilder();
+        });
+    },
+
+    /**
+     * Rebuild the builder from the textarea, or flag the syntax error.
+     */
+    syncFromText: function () {
+      var result = parse(this.$textarea.val());
+
+      if (result.error) {
+        this.showError(result.error);
+        this.$container.addClass("is-stale");
+        return;
+      }
+
+      this.hideError();
+      this.$container
+        .removeClass("is-stale")
+        .empty()
+        .append(this.renderGroup(result.tree, true));
+      this.initSortable();
+    },
+
+    /**
+     * Write the builder state back to the textarea.
+     */
+    syncFromBuilder: function () {
+      var root = this.readGroup(this.$container.children(".vibe-logic-group"));
+      this.$textarea.val(stringify(root, false));
+      this.hideError();
+      this.$container.removeClass("is-stale");
+    },
+
+    showError: function (error) {
+      var text = this.$textarea.val().slice(0, error.position);
+      var line = text.split("\n").length;
+      var column = error.position - text.lastIndexOf("\n");
+
+      this.$textarea.addClass("error");
+      this.$error
+        .text(
+          sprintf(
+            /* translators: 1: Line number, 2: Column number, 3: Error message */
+            __("Line %1$d, column %2$d: %3$s", "woocommerce-gateway-vibe"),
+            line,
+            column,
+            error.message
+          )
+        )
+        .show();
+    },
+
+    hideError: function () {
+      this.$textarea.removeClass("error");
+      this.$error.hide().text("");
+    },
+
+    /**
+     * Get the current syntax error, if any.
+     *
+     * @return {Object|null} Error with message and position.
+     */
+    getError: function () {
+      return parse(this.$textarea.val()).error || null;
+    },
+
+    renderGroup: function (group, isRoot) {
+      var self = this;
+      var $group = $(
+        isRoot
+          ? '<div class="vibe-logic-group vibe-logic-root"></div>'
+          : '<li class="vibe-logic-item vibe-logic-group"></li>'
+      ).append(
+        '<div class="vibe-logic-group-header"></div>',
+        '<ul class="vibe-logic-conditions"></ul>'
+      );
+      var $header = $group.children(".vibe-logic-group-header");
+      var $logic = $('<select class="vibe-logic-operator"></select>')
+        .append(
+          $('<option value="AND"></option>').text(
+            __("All of (AND)", "woocommerce-gateway-vibe")
+          ),
+          $('<option value="OR"></option>').text(
+            __("Any of (OR)", "woocommerce-gateway-vibe")
+          )
+        )
+        .val(group.logic);
+
+      if (!isRoot) {
+        $header.append(this.renderHandle());
+      }
+
+      $header.append(
+        $logic,
+        " ",
+        $('<button type="button" class="button vibe-logic-add-condition"></button>').text(
+          __("Add condition", "woocommerce-gateway-vibe")
+        ),
+        " ",
+        $('<button type="button" class="button vibe-logic-add-group"></button>').text(
+          __("Add group", "woocommerce-gateway-vibe")
+        )
+      );
+
+      if (!isRoot) {
+        $header.append(" ", this.renderRemove());
+      }
+
+      $.each(group.conditions, function (i, condition) {
+        $group
+          .children(".vibe-logic-conditions")
+          .append(
+            condition.type === "group"
+              ? self.renderGroup(condition, false)
+              : self.renderCondition(condition)
+          );
+      });
+
+      return $group;
+    },
+
+    renderCondition: function (condition) {
+      var $condition = $(
+        '<li class="vibe-logic-item vibe-logic-condition"></li>'
+      );
+      var $type = $('<select class="vibe-logic-type"></select>')
+        .append(
+          $('<option value="category"></option>').text(
+            __("Category", "woocommerce-gateway-vibe")
+          ),
+          $('<option value="tag"></option>').text(
+            __("Tag", "woocommerce-gateway-vibe")
+          ),
+          $('<option value="price"></option>').text(
+            __("Price", "woocommerce-gateway-vibe")
+          )
+        )
+        .val(condition.condition_type);
+
+      $condition.append(this.renderHandle(), $type, " ");
+
+      if (condition.condition_type === "price") {
+        var $operator = $('<select class="vibe-logic-price-operator"></select>');
+        $.each(PRICE_OPERATORS, function (i, operator) {
+          $operator.append($("<option></option>").val(operator).text(operator));
+        });
+
+        $condition.append(
+          $operator.val(condition.price_operator || ">"),
+          " ",
+          $('<input type="number" step="0.01" class="small-text vibe-logic-price-value">').val(
+            condition.price_value || 0
+          )
+        );
+      } else {
+        $condition.append(
+          this.renderTermSelect(condition.condition_type, condition.value)
+        );
+      }
+
+      return $condition.append(" ", this.renderRemove());
+    },
+
+    renderTermSelect: function (taxonomy, value) {
+      var $select = $('<select class="vibe-logic-term"></select>');
+      var terms = this.terms[taxonomy] || {};
+
+      $select.append(
+        $('<option value=""></option>').text(
+          taxonomy === "tag"
+            ? __("Select a tag", "woocommerce-gateway-vibe")
+            : __("Select a category", "woocommerce-gateway-vibe")
+        )
+      );
+
+      $.each(terms, function (slug, name) {
+        $select.append($("<option></option>").val(slug).text(name));
+      });
+
+      // Keep slugs typed by hand that do not match a term
+      if (value && !Object.prototype.hasOwnProperty.call(terms, value)) {
+        $select.append(
+          $("<option></option>")
+            .val(value)
+            .text(
+              sprintf(
+                /* translators: %s: Term slug */
+                __("%s (not found)", "woocommerce-gateway-vibe"),
+                value
+              )
+            )
+        );
+      }
+
+      return $select.val(value || "");
+    },
+
+    renderHandle: function () {
+      return $(
+        '<span class="vibe-logic-handle dashicons dashicons-menu" aria-hidden="true"></span>'
+      ).attr("title", __("Drag to move", "woocommerce-gateway-vibe"));
+    },
+
+    renderRemove: function () {
+      return $(
+        '<button type="button" class="button-link vibe-logic-remove"></button>'
+      ).text(__("Remove", "woocommerce-gateway-vibe"));
+    },
+
+    readGroup: function ($group) {
+      var self = this;
+      var group = {
+        type: "group",
+        logic: $group
+          .children(".vibe-logic-group-header")
+          .find(".vibe-logic-operator")
+          .val(),
+        conditions: [],
+      };
+
+      $group
+        .children(".vibe-logic-conditions")
+        .children(".vibe-logic-item")
+        .each(function () {
+          var $item = $(this);
+
+          if ($item.hasClass("vibe-logic-group")) {
+            var nested = self.readGroup($item);
+            if (nested.conditions.length) {
+              group.conditions.push(nested);
+            }
+            return;
+          }
+
+          var type = $item.find(".vibe-logic-type").val();
+          if (type === "price") {
+            group.conditions.push({
+              type: "condition",
+              condition_type: "price",
+              price_operator: $item.find(".vibe-logic-price-operator").val(),
+              price_value: parseFloat($item.find(".vibe-logic-price-value").val()) || 0,
+            });
+          } else if ($item.find(".vibe-logic-term").val()) {
+            group.conditions.push({
+              type: "condition",
+              condition_type: type,
+              value: $item.find(".vibe-logic-term").val(),
+            });
+          }
+        });
+
+      return group;
+    },
+
+    initSortable: function () {
+      var self = this;
+
+      if (!$.fn.sortable) {
+        return;
+      }
+
+      this.$container.find(".vibe-logic-conditions").sortable({
+        connectWith: this.$container.find(".vibe-logic-conditions"),
+        handle: ".vibe-logic-handle",
+        items: "> .vibe-logic-item",
+        placeholder: "vibe-logic-placeholder",
+        tolerance: "pointer",
+        stop: function () {
+          self.syncFromBuilder();
+        },
+      });
+    },
+  };
+
+  // Public API, used by the rule form
+  window.VibeComplexLogic = {
+    parse: parse,
+    stringify: stringify,
+    Builder: Builder,
+  };
+})(jQuery, wp.i18n);
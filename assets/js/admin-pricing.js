@@ -3,9 +3,13 @@
  * WooCommerce Vibe Payment Gateway
  */
 
-(function ($) {
+(function ($, i18n) {
   "use strict";
 
+  var __ = i18n.__;
+  var _n = i18n._n;
+  var sprintf = i18n.sprintf;
+
   // Initialize when document is ready
   $(document).ready(function () {
     VibePricingAdmin.init();
@@ -17,8 +21,14 @@
     init: function () {
       this.initRuleForm();
       this.initBulkActions();
+      this.initRulesTable();
       this.initAjaxHandlers();
       this.initConfirmActions();
+      this.initRuleSimulator();
+      this.initDisplayPreview();
+      this.initRuleTimeline();
+      this.initRuleImport();
+      this.initRuleHistory();
     },
 
     // Initialize rule form functionality
@@ -76,7 +86,12 @@
         if (name.length < 3) {
           $(this).addClass("error");
           $(this).after(
-            '<span class="error-message">نام قانون باید حداقل 3 کاراکتر باشد.</span>'
+            $('<span class="error-message"></span>').text(
+              __(
+                "Rule name must be at least 3 characters.",
+                "woocommerce-gateway-vibe"
+              )
+            )
           );
         } else {
           $(this).removeClass("error");
@@ -98,7 +113,12 @@
           $(this).addClass("error");
           $(this).siblings(".error-message").remove();
           $(this).after(
-            '<span class="error-message">درصد باید بین -100% و 1000% باشد.</span>'
+            $('<span class="error-message"></span>').text(
+              __(
+                "Percentage must be between -100% and 1000%.",
+                "woocommerce-gateway-vibe"
+              )
+            )
           );
         } else {
           $(this).removeClass("error");
@@ -125,10 +145,15 @@
             '<div class="select-helpers" style="margin-top: 5px;"></div>'
           );
           $helpers.append(
-            '<button type="button" class="button select-all">انتخاب همه</button> '
+            $('<button type="button" class="button select-all"></button>').text(
+              __("Select all", "woocommerce-gateway-vibe")
+            ),
+            " "
           );
           $helpers.append(
-            '<button type="button" class="button select-none">انتخاب هیچکدام</button>'
+            $('<button type="button" class="button select-none"></button>').text(
+              __("Select none", "woocommerce-gateway-vibe")
+            )
           );
           $container.append($helpers);
 
@@ -154,7 +179,12 @@
             $(this).addClass("error");
             $(this).siblings(".error-message").remove();
             $(this).after(
-              '<span class="error-message">قیمت حداقل نمی تواند بیشتر از قیمت حداکثر باشد.</span>'
+              $('<span class="error-message"></span>').text(
+                __(
+                  "Minimum price cannot be greater than maximum price.",
+                  "woocommerce-gateway-vibe"
+                )
+              )
             );
           } else {
             $('input[name="min_price"], input[name="max_price"]').removeClass(
@@ -174,22 +204,22 @@
       var $complexTextarea = $('textarea[name="complex_logic"]');
       if ($complexTextarea.length > 0) {
         var $helpButton = $(
-          '<button type="button" class="button" style="margin-top: 5px;">نمایش راهنمای سینتکس</button>'
-        );
+          '<button type="button" class="button" style="margin-top: 5px;"></button>'
+        ).text(__("Show syntax help", "woocommerce-gateway-vibe"));
         var $helpDiv = $(
           '<div class="complex-logic-help" style="display: none; margin-top: 10px; padding: 10px; background: #f0f8ff; border: 1px solid #b3d9ff; border-radius: 3px;"></div>'
         );
 
         $helpDiv.html(`
-                    <h4>Complex Logic Syntax:</h4>
+                    <h4>${__("Complex Logic Syntax:", "woocommerce-gateway-vibe")}</h4>
                     <ul>
-                        <li><strong>category:slug</strong> - Product in category with slug</li>
-                        <li><strong>tag:slug</strong> - Product has tag with slug</li>
-                        <li><strong>price > amount</strong> - Product price greater than amount</li>
-                        <li><strong>price < amount</strong> - Product price less than amount</li>
-                        <li><strong>price = amount</strong> - Product price equals amount</li>
+                        <li><strong>category:slug</strong> - ${__("Product in category with slug", "woocommerce-gateway-vibe")}</li>
+                        <li><strong>tag:slug</strong> - ${__("Product has tag with slug", "woocommerce-gateway-vibe")}</li>
+                        <li><strong>price &gt; amount</strong> - ${__("Product price greater than amount", "woocommerce-gateway-vibe")}</li>
+                        <li><strong>price &lt; amount</strong> - ${__("Product price less than amount", "woocommerce-gateway-vibe")}</li>
+                        <li><strong>price = amount</strong> - ${__("Product price equals amount", "woocommerce-gateway-vibe")}</li>
                     </ul>
-                    <h4>Examples:</h4>
+                    <h4>${__("Examples:", "woocommerce-gateway-vibe")}</h4>
                     <ul>
                         <li><code>(category:electronics AND tag:sale) OR price > 100</code></li>
                         <li><code>category:clothing AND (price < 50 OR tag:clearance)</code></li>
@@ -199,12 +229,31 @@
 
         $complexTextarea.after($helpButton).after($helpDiv);
 
+        // Visual builder, kept in sync with the expression
+        if (window.VibeComplexLogic) {
+          var builder = new window.VibeComplexLogic.Builder($complexTextarea);
+
+          // Don't save a rule whose expression would fail at runtime
+          $complexTextarea.closest("form").on("submit", function (e) {
+            if (
+              $('input[name="target_type"]:checked').val() !== "complex" ||
+              !builder.getError()
+            ) {
+              return;
+            }
+
+            e.preventDefault();
+            builder.showError(builder.getError());
+            $complexTextarea.trigger("focus");
+          });
+        }
+
         $helpButton.click(function () {
           $helpDiv.toggle();
           $(this).text(
             $helpDiv.is(":visible")
-              ? "پنهان کردن راهنمای سینتکس"
-              : "نمایش راهنمای سینتکس"
+              ? __("Hide syntax help", "woocommerce-gateway-vibe")
+              : __("Show syntax help", "woocommerce-gateway-vibe")
           );
         });
       }
@@ -221,8 +270,10 @@
         }
       });
 
-      // Handle bulk action submission
+      // Run the bulk action over AJAX
       $("#doaction").on("click", function (e) {
+        e.preventDefault();
+
         var action = $("#bulk-action-selector-top").val();
         var selectedRules = [];
 
@@ -231,27 +282,39 @@
         });
 
         if (action === "-1") {
-          e.preventDefault();
-          alert("لطفا یک عملیات انتخاب کنید.");
+          alert(__("Please choose an action.", "woocommerce-gateway-vibe"));
           return false;
         }
 
         if (selectedRules.length === 0) {
-          e.preventDefault();
-          alert("لطفا حداقل یک قانون انتخاب کنید.");
+          alert(
+            __("Please select at least one rule.", "woocommerce-gateway-vibe")
+          );
           return false;
         }
 
         if (action === "delete") {
-          var confirmMessage =
-            "Are you sure you want to delete " +
-            selectedRules.length +
-            " rule(s)?";
+          var confirmMessage = sprintf(
+            /* translators: %d: Number of selected rules */
+            _n(
+              "Are you sure you want to delete %d rule?",
+              "Are you sure you want to delete %d rules?",
+              selectedRules.length,
+              "woocommerce-gateway-vibe"
+            ),
+            selectedRules.length
+          );
           if (!confirm(confirmMessage)) {
-            e.preventDefault();
             return false;
           }
         }
+
+        VibePricingAdmin.updateRules("vibe_bulk_pricing_rules", {
+          operation: action,
+          rule_ids: selectedRules,
+        }).done(function () {
+          $("#cb-select-all-1").prop("checked", false);
+        });
       });
 
       // Select all checkbox
@@ -260,42 +323,263 @@
       });
     },
 
+    // Initialize drag-to-reorder and inline editing in the rules list
+    initRulesTable: function () {
+      var $table = $("#vibe-rules-table");
+      if ($table.length === 0) {
+        return;
+      }
+
+      var $tbody = $table.find("tbody");
+
+      if ($.fn.sortable) {
+        $tbody.sortable({
+          items: "tr[data-rule-id]",
+          handle: ".vibe-drag-handle",
+          axis: "y",
+          helper: function (e, $row) {
+            // Keep cell widths while dragging
+            $row.children().each(function () {
+              $(this).width($(this).width());
+            });
+            return $row;
+          },
+          update: function () {
+            VibePricingAdmin.updateRules("vibe_reorder_pricing_rules", {
+              rule_ids: $tbody
+                .find("tr[data-rule-id]")
+                .map(function () {
+                  return $(this).data("rule-id");
+                })
+                .get(),
+            });
+          },
+        });
+      }
+
+      // Inline enable and disable
+      $table.on("click", ".vibe-toggle-rule", function (e) {
+        e.preventDefault();
+
+        VibePricingAdmin.updateRules("vibe_update_pricing_rule", {
+          rule_id: $(this).closest("tr").data("rule-id"),
+          field: "status",
+        });
+      });
+
+      // Inline price adjustment editor
+      $table.on("click", ".vibe-inline-edit", function () {
+        var $cell = $(this).closest("td");
+        var $type = $("<select></select>").append(
+          $('<option value="percentage"></option>').text(
+            __("Percentage", "woocommerce-gateway-vibe")
+          ),
+          $('<option value="fixed"></option>').text(
+            __("Fixed amount", "woocommerce-gateway-vibe")
+          ),
+          $('<option value="original"></option>').text(
+            __("Original price", "woocommerce-gateway-vibe")
+          )
+        );
+        var $value = $('<input type="number" step="0.01" class="small-text">');
+
+        $type.val($cell.data("type")).on("change", function () {
+          $value.toggle($(this).val() !== "original");
+        });
+        $value.val($cell.data("value")).toggle($cell.data("type") !== "original");
+
+        $cell
+          .data("original-html", $cell.html())
+          .addClass("is-editing")
+          .empty()
+          .append(
+            $type,
+            " ",
+            $value,
+            $('<div class="vibe-inline-actions"></div>').append(
+              $('<button type="button" class="button button-small button-primary vibe-inline-save"></button>').text(
+                __("Save", "woocommerce-gateway-vibe")
+              ),
+              " ",
+              $('<button type="button" class="button button-small vibe-inline-cancel"></button>').text(
+                __("Cancel", "woocommerce-gateway-vibe")
+              )
+            )
+          );
+
+        $value.trigger("focus");
+      });
+
+      $table.on("click", ".vibe-inline-cancel", function () {
+        var $cell = $(this).closest("td");
+        $cell.removeClass("is-editing").html($cell.data("original-html"));
+      });
+
+      $table.on("click", ".vibe-inline-save", function () {
+        var $cell = $(this).closest("td");
+
+        $cell.find("button").prop("disabled", true);
+
+        VibePricingAdmin.updateRules("vibe_update_pricing_rule", {
+          rule_id: $cell.closest("tr").data("rule-id"),
+          field: "price_adjustment",
+          adjustment_type: $cell.find("select").val(),
+          adjustment_value: $cell.find("input").val(),
+        }).fail(function () {
+          $cell.find("button").prop("disabled", false);
+        });
+      });
+
+      $table.on("keydown", ".column-adjustment.is-editing", function (e) {
+        if (e.key === "Enter") {
+          e.preventDefault();
+          $(this).find(".vibe-inline-save").trigger("click");
+        } else if (e.key === "Escape") {
+          $(this).find(".vibe-inline-cancel").trigger("click");
+        }
+      });
+
+      $("#vibe-undo-toast").on("click", ".vibe-undo", function () {
+        var historyIds = $(this).data("history-ids");
+
+        $(this).prop("disabled", true);
+        VibePricingAdmin.updateRules("vibe_undo_pricing_rules", {
+          history_ids: historyIds,
+        });
+      });
+    },
+
+    // Send a rules list change and redraw the table from the response
+    updateRules: function (action, data) {
+      var $table = $("#vibe-rules-table");
+      var deferred = $.Deferred();
+
+      $table.addClass("processing");
+
+      $.post(
+        ajaxurl,
+        $.extend({ action: action, nonce: $table.data("nonce") }, data)
+      )
+        .done(function (response) {
+          if (response.success && response.data) {
+            $table.find("tbody").html(response.data.rows);
+            VibePricingAdmin.showUndoToast(
+              response.data.message,
+              response.data.history_ids
+            );
+            deferred.resolve(response.data);
+          } else {
+            VibePricingAdmin.showUndoToast(
+              response.data && response.data.message
+                ? response.data.message
+                : __("The change could not be saved.", "woocommerce-gateway-vibe"),
+              []
+            );
+            deferred.reject();
+          }
+        })
+        .fail(function () {
+          VibePricingAdmin.showUndoToast(
+            __("Connection error. Please try again.", "woocommerce-gateway-vibe"),
+            []
+          );
+          deferred.reject();
+        })
+        .always(function () {
+          $table.removeClass("processing");
+        });
+
+      return deferred.promise();
+    },
+
+    // Show a message with an undo button for a few seconds
+    showUndoToast: function (message, historyIds) {
+      var $toast = $("#vibe-undo-toast");
+
+      clearTimeout($toast.data("timer"));
+
+      $toast.empty().append($('<span class="vibe-undo-message"></span>').text(message));
+
+      if (historyIds && historyIds.length) {
+        $toast.append(
+          $('<button type="button" class="button-link vibe-undo"></button>')
+            .data("history-ids", historyIds)
+            .text(__("Undo", "woocommerce-gateway-vibe"))
+        );
+      }
+
+      $toast.addClass("is-visible").data(
+        "timer",
+        setTimeout(function () {
+          $toast.removeClass("is-visible");
+        }, 10000)
+      );
+    },
+
     // Initialize AJAX handlers
     initAjaxHandlers: function () {
-      // Clear cache button
+      // Cache management panel
       $(".clear-cache-btn").on("click", function (e) {
         e.preventDefault();
 
         var $button = $(this);
+        var $panel = $("#vibe-cache-panel");
+        var $result = $panel.find(".vibe-cache-result");
+        var group = $button.data("group");
         var originalText = $button.text();
 
-        $button.text("Clearing...").prop("disabled", true);
+        if (
+          group === "all" &&
+          !confirm(
+            __(
+              "Are you sure you want to clear all pricing caches?",
+              "woocommerce-gateway-vibe"
+            )
+          )
+        ) {
+          return;
+        }
+
+        $panel.find(".clear-cache-btn").prop("disabled", true);
+        $button.text(__("Clearing…", "woocommerce-gateway-vibe"));
 
         $.post(ajaxurl, {
           action: "vibe_clear_pricing_cache",
-          _wpnonce: $(this).data("nonce"),
+          nonce: $panel.data("nonce"),
+          group: group,
         })
           .done(function (response) {
             if (response.success) {
-              $button
-                .text("Cleared!")
-                .removeClass("button")
-                .addClass("button-primary");
-              setTimeout(function () {
-                $button
-                  .text(originalText)
-                  .removeClass("button-primary")
-                  .addClass("button")
-                  .prop("disabled", false);
-              }, 2000);
+              VibePricingAdmin.renderCacheResult($result, response.data);
+              VibePricingAdmin.updatePerformanceStats(response.data.stats);
             } else {
-              alert("خطا در پاک کردن کش. لطفا دوباره تلاش کنید.");
-              $button.text(originalText).prop("disabled", false);
+              VibePricingAdmin.renderSimulationError(
+                $result,
+                response.data && response.data.message
+                  ? response.data.message
+                  : __(
+                      "Error clearing the cache. Please try again.",
+                      "woocommerce-gateway-vibe"
+                    )
+              );
             }
           })
-          .fail(function () {
-            alert("خطا در پاک کردن کش. لطفا دوباره تلاش کنید.");
-            $button.text(originalText).prop("disabled", false);
+          .fail(function (xhr) {
+            VibePricingAdmin.renderSimulationError(
+              $result,
+              sprintf(
+                /* translators: %s: HTTP status text */
+                __(
+                  "Error clearing the cache: %s",
+                  "woocommerce-gateway-vibe"
+                ),
+                xhr.statusText || xhr.status
+              )
+            );
+          })
+          .always(function () {
+            $button.text(originalText);
+            $panel.find(".clear-cache-btn").prop("disabled", false);
           });
       });
 
@@ -308,8 +592,14 @@
       // Delete rule confirmation
       $(".delete-rule").on("click", function (e) {
         var ruleName = $(this).data("rule-name");
-        var confirmMessage =
-          'آیا مطمئن هستید که می خواهید قانون "' + ruleName + '" را حذف کنید؟';
+        var confirmMessage = sprintf(
+          /* translators: %s: Rule name */
+          __(
+            'Are you sure you want to delete the rule "%s"?',
+            "woocommerce-gateway-vibe"
+          ),
+          ruleName
+        );
 
         if (!confirm(confirmMessage)) {
           e.preventDefault();
@@ -321,7 +611,10 @@
       $('input[name="emergency_disable"]').on("change", function () {
         if ($(this).prop("checked")) {
           var confirmed = confirm(
-            "این باعث می شود که تمام ویژگی های قیمت گذاری اقساطی غیرفعال شود. آیا مطمئن هستید؟"
+            __(
+              "This will disable all installment pricing features. Are you sure?",
+              "woocommerce-gateway-vibe"
+            )
           );
           if (!confirmed) {
             $(this).prop("checked", false);
@@ -330,19 +623,1072 @@
       });
     },
 
-    // Load performance statistics
+    // Initialize the rule schedule timeline
+    initRuleTimeline: function () {
+      var $timeline = $("#vibe-rule-timeline");
+      if ($timeline.length === 0) {
+        return;
+      }
+
+      var data = $timeline.data("timeline");
+      var from = data.range[0];
+      var span = data.range[1] - data.range[0];
+      var position = function (start, end) {
+        return {
+          left: ((start - from) / span) * 100 + "%",
+          width: ((end - start) / span) * 100 + "%",
+        };
+      };
+
+      var $header = $('<div class="vibe-timeline-row vibe-timeline-header"></div>');
+      var $days = $('<div class="vibe-timeline-track"></div>');
+      $header.append($('<div class="vibe-timeline-label"></div>'), $days);
+      $.each(data.days, function (i, day) {
+        $days.append($('<div class="vibe-timeline-day"></div>').text(day));
+      });
+      $timeline.append($header);
+
+      if (data.rules.length === 0) {
+        $timeline.append(
+          $('<p class="description"></p>').text(
+            __("No enabled rules.", "woocommerce-gateway-vibe")
+          )
+        );
+        return;
+      }
+
+      // Overlaps first, so conflicts are seen before scrolling
+      var overlaps = this.getTimelineOverlaps(data.rules);
+      var $overlapTrack = $('<div class="vibe-timeline-track"></div>');
+
+      $timeline.append(
+        $('<div class="vibe-timeline-row vibe-timeline-overlaps"></div>').append(
+          $('<div class="vibe-timeline-label"></div>').text(
+            __("Overlaps", "woocommerce-gateway-vibe")
+          ),
+          $overlapTrack
+        )
+      );
+
+      $.each(overlaps, function (i, overlap) {
+        var names = $.map(overlap.rules, function (rule) {
+          return rule.name;
+        });
+
+        $overlapTrack.append(
+          $('<div class="vibe-timeline-bar vibe-timeline-overlap"></div>')
+            .css(position(overlap.start, overlap.end))
+            .attr(
+              "title",
+              sprintf(
+                /* translators: 1: Period start, 2: Period end, 3: Rule names, 4: Winning rule name */
+                __(
+                  "%1$s – %2$s: %3$s. %4$s wins.",
+                  "woocommerce-gateway-vibe"
+                ),
+                VibePricingAdmin.formatTimelineTime(overlap.start, data.utc_offset),
+                VibePricingAdmin.formatTimelineTime(overlap.end, data.utc_offset),
+                names.join(", "),
+                overlap.rules[0].name
+              )
+            )
+        );
+      });
+
+      $.each(data.rules, function (i, rule) {
+        var $track = $('<div class="vibe-timeline-track"></div>');
+
+        $.each(rule.periods, function (j, period) {
+          $track.append(
+            $('<div class="vibe-timeline-bar"></div>')
+              .toggleClass("is-scheduled", rule.scheduled)
+              .css(position(period[0], period[1]))
+              .attr(
+                "title",
+                VibePricingAdmin.formatTimelineTime(period[0], data.utc_offset) +
+                  " – " +
+                  VibePricingAdmin.formatTimelineTime(period[1], data.utc_offset)
+              )
+          );
+        });
+
+        $timeline.append(
+          $('<div class="vibe-timeline-row"></div>').append(
+            $('<div class="vibe-timeline-label"></div>').append(
+              $("<a></a>").attr("href", rule.edit_url).text(rule.name),
+              " ",
+              $('<span class="description"></span>').text(
+                sprintf(
+                  /* translators: %d: Rule priority */
+                  __("(priority %d)", "woocommerce-gateway-vibe"),
+                  rule.priority
+                )
+              )
+            ),
+            $track
+          )
+        );
+      });
+    },
+
+    // Find the periods where two or more rules are on at the same time
+    getTimelineOverlaps: function (rules) {
+      var edges = [];
+      var overlaps = [];
+      var active = [];
+
+      $.each(rules, function (i, rule) {
+        $.each(rule.periods, function (j, period) {
+          edges.push({ time: period[0], rule: rule, open: true });
+          edges.push({ time: period[1], rule: rule, open: false });
+        });
+      });
+
+      // Close before open at the same instant, touching periods don't overlap
+      edges.sort(function (a, b) {
+        return a.time - b.time || a.open - b.open;
+      });
+
+      $.each(edges, function (i, edge) {
+        var last = overlaps[overlaps.length - 1];
+
+        if (last && last.end === null) {
+          last.end = edge.time;
+          if (last.end === last.start) {
+            overlaps.pop();
+          }
+        }
+
+        if (edge.open) {
+          active.push(edge.rule);
+        } else {
+          active.splice(active.indexOf(edge.rule), 1);
+        }
+
+        if (active.length > 1) {
+          overlaps.push({
+            start: edge.time,
+            end: null,
+            // Same order as the rule compiler: priority, then ID
+            rules: active.slice().sort(function (a, b) {
+              return b.priority - a.priority || a.id - b.id;
+            }),
+          });
+        }
+      });
+
+      return overlaps;
+    },
+
+    // Format a timestamp as site-local date and time
+    formatTimelineTime: function (timestamp, utcOffset) {
+      var date = new Date((timestamp + utcOffset) * 1000);
+      var pad = function (number) {
+        return ("0" + number).slice(-2);
+      };
+
+      return (
+        date.getUTCFullYear() +
+        "-" +
+        pad(date.getUTCMonth() + 1) +
+        "-" +
+        pad(date.getUTCDate()) +
+        " " +
+        pad(date.getUTCHours()) +
+        ":" +
+        pad(date.getUTCMinutes())
+      );
+    },
+
+    // Initialize the rule simulator
+    initRuleSimulator: function () {
+      var $form = $("#vibe-rule-simulator-form");
+      if ($form.length === 0) {
+        return;
+      }
+
+      var $results = $("#vibe-rule-simulator-results");
+
+      $form.on("submit", function (e) {
+        e.preventDefault();
+
+        var $button = $form.find('button[type="submit"]');
+        $button.prop("disabled", true);
+        $results.addClass("processing");
+
+        $.post(ajaxurl, {
+          action: "vibe_simulate_pricing_rules",
+          nonce: $form.data("nonce"),
+          product_id: $form.find('[name="product_id"]').val(),
+          payment_method: $form.find('[name="payment_method"]').val(),
+          referrer: $form.find('[name="referrer"]').val(),
+          context: $form.find('[name="context"]').val(),
+        })
+          .done(function (response) {
+            if (response.success && response.data) {
+              VibePricingAdmin.renderSimulation($results, response.data);
+            } else {
+              VibePricingAdmin.renderSimulationError(
+                $results,
+                response.data && response.data.message
+                  ? response.data.message
+                  : __("Simulation failed.", "woocommerce-gateway-vibe")
+              );
+            }
+          })
+          .fail(function () {
+            VibePricingAdmin.renderSimulationError(
+              $results,
+              __("Connection error. Please try again.", "woocommerce-gateway-vibe")
+            );
+          })
+          .always(function () {
+            $button.prop("disabled", false);
+            $results.removeClass("processing");
+          });
+      });
+    },
+
+    // Render the simulated rule evaluation
+    renderSimulation: function ($results, data) {
+      var winner = null;
+      var $summary = $('<div class="vibe-simulator-summary"></div>');
+      var $table = $(
+        '<table class="wp-list-table widefat fixed striped vibe-simulator-rules"><thead><tr></tr></thead><tbody></tbody></table>'
+      );
+
+      $.each(data.rules, function (i, rule) {
+        if (rule.winner) {
+          winner = rule;
+        }
+      });
+
+      $summary.append(
+        $("<h3></h3>").text(data.product.name),
+        $("<p></p>")
+          .append(
+            $("<strong></strong>").text(
+              __("Winning rule:", "woocommerce-gateway-vibe") + " "
+            )
+          )
+          .append(
+            document.createTextNode(
+              winner
+                ? winner.name
+                : __(
+                    "None, the original price applies.",
+                    "woocommerce-gateway-vibe"
+                  )
+            )
+          ),
+        $("<p></p>")
+          .append(
+            $("<strong></strong>").text(
+              __("Original price:", "woocommerce-gateway-vibe") + " "
+            )
+          )
+          .append(data.original_price_html),
+        $("<p></p>")
+          .append(
+            $("<strong></strong>").text(
+              __("Final price:", "woocommerce-gateway-vibe") + " "
+            )
+          )
+          .append(data.final_price_html)
+      );
+
+      $.each(
+        [
+          __("Priority", "woocommerce-gateway-vibe"),
+          __("Rule", "woocommerce-gateway-vibe"),
+          __("Conditions", "woocommerce-gateway-vibe"),
+          __("Price Adjustment", "woocommerce-gateway-vibe"),
+          __("Result", "woocommerce-gateway-vibe"),
+        ],
+        function (i, heading) {
+          $table.find("thead tr").append($("<th></th>").text(heading));
+        }
+      );
+
+      if (data.rules.length === 0) {
+        $table
+          .find("tbody")
+          .append(
+            $('<tr><td colspan="5"></td></tr>')
+              .find("td")
+              .text(__("No active rules.", "woocommerce-gateway-vibe"))
+              .end()
+          );
+      }
+
+      $.each(data.rules, function (i, rule) {
+        var $conditions = $('<ul class="vibe-simulator-conditions"></ul>');
+        $.each(rule.conditions, function (j, condition) {
+          $conditions.append(
+            $("<li></li>")
+              .addClass(condition.passed ? "passed" : "failed")
+              .text((condition.passed ? "✓ " : "✗ ") + condition.label)
+          );
+        });
+
+        var result = rule.winner
+          ? __("Winner", "woocommerce-gateway-vibe")
+          : rule.matched
+          ? __("Matched, lower priority", "woocommerce-gateway-vibe")
+          : __("Not matched", "woocommerce-gateway-vibe");
+
+        $table
+          .find("tbody")
+          .append(
+            $("<tr></tr>")
+              .toggleClass("vibe-simulator-winner", !!rule.winner)
+              .append(
+                $("<td></td>").text(rule.priority),
+                $("<td></td>").text(rule.name),
+                $("<td></td>").append($conditions),
+                $("<td></td>").html(rule.adjustment_html),
+                $("<td></td>").text(result)
+              )
+          );
+      });
+
+      $results.empty().append($summary, $table);
+    },
+
+    // Show a simulation error
+    renderSimulationError: function ($results, message) {
+      $results
+        .empty()
+        .append(
+          $('<div class="notice notice-error inline"><p></p></div>')
+            .find("p")
+            .text(message)
+            .end()
+        );
+    },
+
+    // Initialize the live price preview on the display settings page
+    initDisplayPreview: function () {
+      var $preview = $("#vibe-display-preview");
+      if ($preview.length === 0) {
+        return;
+      }
+
+      var $form = $preview.closest("form");
+      var $product = $("#vibe_preview_product_id");
+      var timer = null;
+      var request = null;
+
+      var refresh = function () {
+        var productId = $product.val();
+        var data = {};
+
+        if (!productId) {
+          VibePricingAdmin.renderDisplayPreview($preview, null);
+          return;
+        }
+
+        // Send the unsaved form values, not the saved settings
+        $.each($form.serializeArray(), function (i, field) {
+          data[field.name] = field.value;
+        });
+        data.action = "vibe_preview_price_display";
+        data.nonce = $preview.data("nonce");
+        data.product_id = productId;
+
+        if (request) {
+          request.abort();
+        }
+
+        $preview.addClass("processing");
+
+        request = $.post(ajaxurl, data)
+          .done(function (response) {
+            if (response.success && response.data) {
+              VibePricingAdmin.renderDisplayPreview($preview, response.data);
+            } else {
+              VibePricingAdmin.renderSimulationError(
+                $preview.find(".vibe-display-preview-message"),
+                response.data && response.data.message
+                  ? response.data.message
+                  : __("Preview failed.", "woocommerce-gateway-vibe")
+              );
+              $preview.find(".vibe-display-preview-body").empty();
+            }
+          })
+          .fail(function (xhr, status) {
+            if (status === "abort") {
+              return;
+            }
+            VibePricingAdmin.renderSimulationError(
+              $preview.find(".vibe-display-preview-message"),
+              __("Connection error. Please try again.", "woocommerce-gateway-vibe")
+            );
+          })
+          .always(function () {
+            $preview.removeClass("processing");
+          });
+      };
+
+      // Typing fires often, so wait for a pause before asking the server
+      var scheduleRefresh = function () {
+        clearTimeout(timer);
+        timer = setTimeout(refresh, 300);
+      };
+
+      $form.on("input change", ":input", function () {
+        if (this.id !== "vibe_preview_product_id") {
+          scheduleRefresh();
+        }
+      });
+      $product.on("change", refresh);
+
+      if (typeof $.fn.wpColorPicker !== "undefined") {
+        $form.find(".vibe-color-picker").wpColorPicker({
+          change: function (event, ui) {
+            $(this).val(ui.color.toString());
+            scheduleRefresh();
+          },
+          clear: scheduleRefresh,
+        });
+      } else {
+        // Fallback: Add placeholder text for manual entry
+        $form
+          .find(".vibe-color-picker")
+          .attr("placeholder", "#000000")
+          .addClass("regular-text");
+      }
+
+      refresh();
+    },
+
+    // Render the previewed product in the shop, single product and cart markup
+    renderDisplayPreview: function ($preview, data) {
+      var $message = $preview.find(".vibe-display-preview-message").empty();
+      var ruleApplied = false;
+
+      $preview.find(".vibe-display-preview-context").each(function () {
+        var $body = $(this).find(".vibe-display-preview-body").empty();
+        var context = data ? data.contexts[$(this).data("context")] : null;
+
+        if (!context) {
+          return;
+        }
+
+        ruleApplied = ruleApplied || context.rule_applied;
+
+        if ($(this).data("context") === "cart") {
+          $body.append(
+            $('<table class="shop_table vibe-display-preview-cart"><tr></tr></table>')
+              .find("tr")
+              .append(
+                $('<td class="product-name"></td>').text(data.product.name),
+                $('<td class="product-price"></td>').html(context.html)
+              )
+              .end()
+          );
+        } else {
+          $body.append(
+            $('<div class="vibe-display-preview-title"></div>').text(data.product.name),
+            $('<p class="price"></p>').html(context.html)
+          );
+        }
+      });
+
+      if (!data) {
+        $message.append(
+          $("<p></p>").text(
+            __("Choose a product to preview its price.", "woocommerce-gateway-vibe")
+          )
+        );
+      } else if (!ruleApplied) {
+        $message.append(
+          $('<div class="notice notice-info inline"><p></p></div>')
+            .find("p")
+            .text(
+              __(
+                "No active rule changes the price of this product, so customers see its regular price. Choose a product with a pricing rule to preview both prices.",
+                "woocommerce-gateway-vibe"
+              )
+            )
+            .end()
+        );
+      }
+    },
+
+    // Render what a cache clear removed and how long the warm-up took
+    renderCacheResult: function ($result, data) {
+      var $notice = $('<div class="notice notice-success inline"><p></p></div>');
+      var $list = $("<ul></ul>");
+
+      $notice.find("p").text(data.message);
+
+      $.each(data.removed, function (i, group) {
+        $("<li></li>")
+          .text(
+            sprintf(
+              /* translators: 1: Cache group name, 2: Number of entries */
+              _n(
+                "%1$s: %2$d entry removed",
+                "%1$s: %2$d entries removed",
+                group.entries,
+                "woocommerce-gateway-vibe"
+              ),
+              group.label,
+              group.entries
+            )
+          )
+          .appendTo($list);
+      });
+
+      if (data.warm_up.rule_index) {
+        $("<li></li>")
+          .text(
+            sprintf(
+              /* translators: %s: Duration */
+              __("Rule index rebuilt in %s", "woocommerce-gateway-vibe"),
+              this.formatMetric(data.warm_up.rule_index.time * 1000, "ms")
+            )
+          )
+          .appendTo($list);
+      }
+
+      if (data.warm_up.prices) {
+        $("<li></li>")
+          .text(
+            sprintf(
+              /* translators: 1: Number of products, 2: Duration */
+              _n(
+                "Prices of %1$d product calculated in %2$s",
+                "Prices of %1$d products calculated in %2$s",
+                data.warm_up.prices.products,
+                "woocommerce-gateway-vibe"
+              ),
+              data.warm_up.prices.products,
+              this.formatMetric(data.warm_up.prices.time * 1000, "ms")
+            )
+          )
+          .appendTo($list);
+      }
+
+      $result.empty().append($notice.append($list));
+    },
+
+    // Render a field-level rule diff as a list
+    renderRuleChanges: function (changes) {
+      var $changes = $('<ul class="vibe-rule-changes"></ul>');
+
+      $.each(changes, function (i, change) {
+        $changes.append(
+          $("<li></li>").append(
+            $("<code></code>").text(change.field),
+            " ",
+            $('<span class="vibe-change-from"></span>').text(
+              change.from === null ? "–" : change.from
+            ),
+            " → ",
+            $('<span class="vibe-change-to"></span>').text(
+              change.to === null ? "–" : change.to
+            )
+          )
+        );
+      });
+
+      return $changes;
+    },
+
+    // Initialize the rule history drawer
+    initRuleHistory: function () {
+      var $drawer = $("#vibe-rule-history");
+      if ($drawer.length === 0) {
+        return;
+      }
+
+      var $body = $drawer.find(".vibe-history-body");
+      var close = function () {
+        $drawer.removeClass("is-open").attr("aria-hidden", "true");
+      };
+
+      $(document).on("click", ".vibe-open-history", function () {
+        var ruleId = $(this).data("rule-id");
+
+        $drawer
+          .find(".vibe-history-title")
+          .text(
+            ruleId
+              ? sprintf(
+                  /* translators: %s: Rule name */
+                  __("History of %s", "woocommerce-gateway-vibe"),
+                  $(this).data("rule-name")
+                )
+              : __("Change History", "woocommerce-gateway-vibe")
+          );
+        $drawer.addClass("is-open").attr("aria-hidden", "false");
+        $body.empty().addClass("processing");
+
+        $.post(ajaxurl, {
+          action: "vibe_get_rule_history",
+          nonce: $drawer.data("nonce"),
+          rule_id: ruleId,
+        })
+          .done(function (response) {
+            if (response.success && response.data) {
+              VibePricingAdmin.renderRuleHistory($body, response.data.entries, !ruleId);
+            } else {
+              VibePricingAdmin.renderSimulationError(
+                $body,
+                response.data && response.data.message
+                  ? response.data.message
+                  : __("The history could not be loaded.", "woocommerce-gateway-vibe")
+              );
+            }
+          })
+          .fail(function () {
+            VibePricingAdmin.renderSimulationError(
+              $body,
+              __("Connection error. Please try again.", "woocommerce-gateway-vibe")
+            );
+          })
+          .always(function () {
+            $body.removeClass("processing");
+          });
+      });
+
+      $drawer.on("click", ".vibe-history-close", close);
+      $(document).on("keydown", function (e) {
+        if (e.key === "Escape" && $drawer.hasClass("is-open")) {
+          close();
+        }
+      });
+
+      $drawer.on("click", ".vibe-history-restore", function () {
+        var $button = $(this);
+
+        if (
+          !confirm(
+            __(
+              "Restore this version? The current version stays in the history.",
+              "woocommerce-gateway-vibe"
+            )
+          )
+        ) {
+          return;
+        }
+
+        $button.prop("disabled", true);
+
+        $.post(ajaxurl, {
+          action: "vibe_restore_rule_version",
+          nonce: $drawer.data("nonce"),
+          entry_id: $button.data("entry-id"),
+        })
+          .done(function (response) {
+            if (response.success && response.data) {
+              window.location.href =
+                response.data.redirect +
+                "&message=" +
+                encodeURIComponent(response.data.message);
+            } else {
+              $button.prop("disabled", false);
+              alert(
+                response.data && response.data.message
+                  ? response.data.message
+                  : __("The rule could not be restored.", "woocommerce-gateway-vibe")
+              );
+            }
+          })
+          .fail(function () {
+            $button.prop("disabled", false);
+            alert(__("Connection error. Please try again.", "woocommerce-gateway-vibe"));
+          });
+      });
+    },
+
+    // Render history entries with their diffs
+    renderRuleHistory: function ($body, entries, showRuleNames) {
+      if (entries.length === 0) {
+        $body.append(
+          $('<p class="description"></p>').text(
+            __("No changes have been recorded yet.", "woocommerce-gateway-vibe")
+          )
+        );
+        return;
+      }
+
+      $.each(entries, function (i, entry) {
+        var $entry = $('<div class="vibe-history-entry"></div>').addClass(
+          "vibe-history-" + entry.action
+        );
+
+        var $meta = $('<p class="vibe-history-meta"></p>').append(
+          $("<strong></strong>").text(entry.action_label),
+          showRuleNames ? document.createTextNode(" – " + entry.rule_name) : "",
+          $("<br>"),
+          $('<span class="description"></span>').text(entry.user + ", " + entry.date)
+        );
+        $entry.append($meta);
+
+        if (entry.changes.length) {
+          $entry.append(VibePricingAdmin.renderRuleChanges(entry.changes));
+        }
+
+        if (entry.current) {
+          $entry.append(
+            $('<p class="description"></p>').text(
+              __("Current version", "woocommerce-gateway-vibe")
+            )
+          );
+        } else if (entry.restorable) {
+          $entry.append(
+            $("<p></p>").append(
+              $('<button type="button" class="button button-small vibe-history-restore"></button>')
+                .data("entry-id", entry.id)
+                .text(
+                  entry.action === "deleted"
+                    ? __("Restore deleted rule", "woocommerce-gateway-vibe")
+                    : __("Restore this version", "woocommerce-gateway-vibe")
+                )
+            )
+          );
+        }
+
+        $body.append($entry);
+      });
+    },
+
+    // Initialize the rule import screen
+    initRuleImport: function () {
+      var $form = $("#vibe-rule-import-form");
+      if ($form.length === 0) {
+        return;
+      }
+
+      var $preview = $("#vibe-rule-import-preview");
+      var request = null;
+
+      // Preview and import send the same file and mode
+      var post = function (action, extra) {
+        return $.post(
+          ajaxurl,
+          $.extend(
+            {
+              action: action,
+              nonce: $form.data("nonce"),
+              rules_json: request.json,
+              mode: request.mode,
+            },
+            extra
+          )
+        );
+      };
+
+      $form.on("submit", function (e) {
+        e.preventDefault();
+
+        var file = $("#vibe-rule-import-file")[0].files[0];
+        if (!file) {
+          VibePricingAdmin.renderSimulationError(
+            $preview,
+            __("Please choose an export file.", "woocommerce-gateway-vibe")
+          );
+          return;
+        }
+
+        var $button = $form.find('button[type="submit"]');
+        var reader = new FileReader();
+
+        $button.prop("disabled", true);
+        reader.onload = function () {
+          request = {
+            json: reader.result,
+            mode: $form.find('[name="import_mode"]:checked').val(),
+          };
+
+          post("vibe_preview_rule_import")
+            .done(function (response) {
+              if (response.success && response.data) {
+                VibePricingAdmin.renderImportPreview($preview, response.data, request.mode);
+              } else {
+                VibePricingAdmin.renderSimulationError(
+                  $preview,
+                  response.data && response.data.message
+                    ? response.data.message
+                    : __("The import could not be previewed.", "woocommerce-gateway-vibe")
+                );
+              }
+            })
+            .fail(function () {
+              VibePricingAdmin.renderSimulationError(
+                $preview,
+                __("Connection error. Please try again.", "woocommerce-gateway-vibe")
+              );
+            })
+            .always(function () {
+              $button.prop("disabled", false);
+            });
+        };
+        reader.onerror = function () {
+          $button.prop("disabled", false);
+          VibePricingAdmin.renderSimulationError(
+            $preview,
+            __("The file could not be read.", "woocommerce-gateway-vibe")
+          );
+        };
+        reader.readAsText(file);
+      });
+
+      // A new file or mode needs a new preview
+      $form.on("change", "input", function () {
+        $preview.empty();
+      });
+
+      $preview.on("click", ".vibe-import-apply", function () {
+        var $button = $(this);
+        var summary = $preview.data("summary");
+
+        if (
+          summary.removed > 0 &&
+          !confirm(
+            sprintf(
+              /* translators: %d: Number of rules that will be deleted */
+              _n(
+                "%d rule will be deleted. Continue?",
+                "%d rules will be deleted. Continue?",
+                summary.removed,
+                "woocommerce-gateway-vibe"
+              ),
+              summary.removed
+            )
+          )
+        ) {
+          return;
+        }
+
+        var skip = $preview
+          .find(".vibe-import-include:not(:checked)")
+          .map(function () {
+            return $(this).val();
+          })
+          .get();
+
+        $button.prop("disabled", true);
+
+        post("vibe_import_pricing_rules", {
+          plan_hash: $preview.data("plan-hash"),
+          skip: skip,
+        })
+          .done(function (response) {
+            if (response.success && response.data) {
+              window.location.href =
+                response.data.redirect +
+                "&message=" +
+                encodeURIComponent(response.data.message);
+            } else {
+              $button.prop("disabled", false);
+              VibePricingAdmin.renderSimulationError(
+                $preview.find(".vibe-import-result"),
+                response.data && response.data.message
+                  ? response.data.message
+                  : __("The import failed.", "woocommerce-gateway-vibe")
+              );
+            }
+          })
+          .fail(function () {
+            $button.prop("disabled", false);
+            VibePricingAdmin.renderSimulationError(
+              $preview.find(".vibe-import-result"),
+              __("Connection error. Please try again.", "woocommerce-gateway-vibe")
+            );
+          });
+      });
+    },
+
+    // Render the per-rule diff of an import
+    renderImportPreview: function ($preview, data, mode) {
+      var labels = {
+        added: __("Added", "woocommerce-gateway-vibe"),
+        changed: __("Changed", "woocommerce-gateway-vibe"),
+        removed: __("Removed", "woocommerce-gateway-vibe"),
+        unchanged: __("Unchanged", "woocommerce-gateway-vibe"),
+      };
+      var summary = data.summary;
+      var importable = 0;
+
+      var $tbody = $("<tbody></tbody>");
+
+      $.each(data.rules, function (i, rule) {
+        var errors = rule.errors.slice();
+
+        // Same parser as the rule form, so a rule that imports also saves
+        if (rule.complex_logic && window.VibeComplexLogic) {
+          try {
+            window.VibeComplexLogic.parse(rule.complex_logic);
+          } catch (error) {
+            errors.push(
+              sprintf(
+                /* translators: %s: Syntax error message */
+                __("Complex logic: %s", "woocommerce-gateway-vibe"),
+                error.message
+              )
+            );
+          }
+        }
+
+        var $details = $("<td></td>");
+        if (errors.length) {
+          var $errors = $('<ul class="vibe-import-errors"></ul>');
+          $.each(errors, function (j, message) {
+            $errors.append($("<li></li>").text(message));
+          });
+          $details.append($errors);
+        } else if (rule.changes.length) {
+          $details.append(VibePricingAdmin.renderRuleChanges(rule.changes));
+        } else if (rule.action === "removed") {
+          $details.text(__("Not in the file, will be deleted.", "woocommerce-gateway-vibe"));
+        }
+
+        var $include = $("<td></td>");
+        if (rule.action === "added" || rule.action === "changed") {
+          var $checkbox = $('<input type="checkbox" class="vibe-import-include">')
+            .val(rule.index)
+            .prop("checked", errors.length === 0)
+            .prop("disabled", errors.length > 0);
+          $include.append($checkbox);
+          importable += errors.length === 0 ? 1 : 0;
+        }
+
+        $tbody.append(
+          $("<tr></tr>")
+            .addClass("vibe-import-" + rule.action)
+            .toggleClass("vibe-import-invalid", errors.length > 0)
+            .append(
+              $include,
+              $("<td></td>").append($("<strong></strong>").text(rule.name)),
+              $("<td></td>").text(labels[rule.action]),
+              $details
+            )
+        );
+      });
+
+      var $table = $('<table class="widefat striped vibe-import-preview"></table>').append(
+        $("<thead></thead>").append(
+          $("<tr></tr>").append(
+            $('<td class="check-column"></td>'),
+            $("<th></th>").text(__("Rule", "woocommerce-gateway-vibe")),
+            $("<th></th>").text(__("Change", "woocommerce-gateway-vibe")),
+            $("<th></th>").text(__("Details", "woocommerce-gateway-vibe"))
+          )
+        ),
+        $tbody
+      );
+
+      var summaryText = sprintf(
+        /* translators: 1: Rules added, 2: Rules changed, 3: Rules removed, 4: Rules unchanged, 5: Rules with errors */
+        __(
+          "%1$d added, %2$d changed, %3$d removed, %4$d unchanged, %5$d with errors.",
+          "woocommerce-gateway-vibe"
+        ),
+        summary.added,
+        summary.changed,
+        summary.removed,
+        summary.unchanged,
+        summary.invalid
+      );
+
+      $preview
+        .empty()
+        .data("summary", summary)
+        .data("plan-hash", data.plan_hash)
+        .append(
+          $("<p></p>").append($("<strong></strong>").text(summaryText)),
+          $table,
+          $('<div class="vibe-import-result"></div>'),
+          $("<p></p>").append(
+            $('<button type="button" class="button button-primary vibe-import-apply"></button>')
+              .text(
+                mode === "overwrite"
+                  ? __("Import and Overwrite", "woocommerce-gateway-vibe")
+                  : __("Import and Merge", "woocommerce-gateway-vibe")
+              )
+              .prop("disabled", importable === 0 && summary.removed === 0)
+          )
+        );
+    },
+
+    // Initialize the performance dashboard
     loadPerformanceStats: function () {
-      if ($("#vibe-performance-stats").length === 0) {
+      var $dashboard = $("#vibe-performance-dashboard");
+      if ($dashboard.length === 0) {
         return;
       }
 
-      $.post(ajaxurl, {
-        action: "vibe_get_pricing_stats",
-      }).done(function (response) {
-        if (response.success && response.data) {
-          VibePricingAdmin.updatePerformanceStats(response.data);
+      var timer = null;
+      var refresh = function () {
+        VibePricingAdmin.fetchPerformanceStats($dashboard);
+      };
+      var toggleAutoRefresh = function () {
+        clearInterval(timer);
+        timer = null;
+
+        if ($("#vibe-performance-auto-refresh").is(":checked")) {
+          timer = setInterval(function () {
+            // Skip refreshes while the tab is in the background
+            if (!document.hidden) {
+              refresh();
+            }
+          }, 30000);
         }
+      };
+
+      $("#vibe-performance-range").on("change", refresh);
+      $("#vibe-performance-refresh").on("click", refresh);
+      $("#vibe-performance-auto-refresh").on("change", toggleAutoRefresh);
+      $("#vibe-performance-export").on("click", function () {
+        VibePricingAdmin.exportPerformanceCsv($dashboard);
       });
+
+      refresh();
+      toggleAutoRefresh();
+    },
+
+    // Fetch statistics and the metric history
+    fetchPerformanceStats: function ($dashboard) {
+      if ($dashboard.hasClass("is-loading")) {
+        return;
+      }
+
+      $dashboard.addClass("is-loading");
+
+      $.post(ajaxurl, {
+        action: "vibe_get_pricing_stats",
+        nonce: $dashboard.data("nonce"),
+        range: $("#vibe-performance-range").val(),
+      })
+        .done(function (response) {
+          if (response.success && response.data) {
+            VibePricingAdmin.updatePerformanceStats(response.data);
+            VibePricingAdmin.renderPerformanceDashboard(
+              $dashboard,
+              response.data.series
+            );
+          } else {
+            $dashboard
+              .find(".vibe-performance-updated")
+              .text(
+                response.data && response.data.message
+                  ? response.data.message
+                  : __("Could not load the statistics.", "woocommerce-gateway-vibe")
+              );
+          }
+        })
+        .fail(function () {
+          $dashboard
+            .find(".vibe-performance-updated")
+            .text(__("Could not load the statistics.", "woocommerce-gateway-vibe"));
+        })
+        .always(function () {
+          $dashboard.removeClass("is-loading");
+        });
     },
 
     // Update performance statistics display
@@ -352,7 +1698,11 @@
       if (stats.object_cache_enabled !== undefined) {
         $container
           .find(".object-cache-status")
-          .text(stats.object_cache_enabled ? "بله" : "خیر");
+          .text(
+            stats.object_cache_enabled
+              ? __("Yes", "woocommerce-gateway-vibe")
+              : __("No", "woocommerce-gateway-vibe")
+          );
       }
 
       if (stats.database_cache_entries !== undefined) {
@@ -370,12 +1720,328 @@
       }
     },
 
+    // Get the chart definitions of the performance dashboard
+    getPerformanceCharts: function () {
+      return {
+        cache_hit_ratio: {
+          max: 1,
+          format: "percent",
+          lines: [
+            { key: "cache_hit_ratio", label: __("Hit ratio", "woocommerce-gateway-vibe") },
+          ],
+        },
+        latency: {
+          format: "ms",
+          lines: [
+            { key: "latency_p50", label: __("p50", "woocommerce-gateway-vibe") },
+            { key: "latency_p95", label: __("p95", "woocommerce-gateway-vibe") },
+            { key: "latency_p99", label: __("p99", "woocommerce-gateway-vibe") },
+          ],
+        },
+        index_rebuilds: {
+          format: "count",
+          lines: [
+            { key: "index_rebuilds", label: __("Rebuilds", "woocommerce-gateway-vibe") },
+          ],
+        },
+        cart_analyses: {
+          format: "count",
+          lines: [
+            { key: "cart_analyses", label: __("Analyzed", "woocommerce-gateway-vibe") },
+            {
+              key: "cart_analysis_cache_hits",
+              label: __("Served from cache", "woocommerce-gateway-vibe"),
+            },
+          ],
+        },
+      };
+    },
+
+    // Render the summary and charts of the performance dashboard
+    renderPerformanceDashboard: function ($dashboard, series) {
+      var utcOffset = $dashboard.data("utc-offset") || 0;
+      var charts = this.getPerformanceCharts();
+      var totals = series.totals;
+
+      $dashboard.data("series", series);
+
+      var tiles = [
+        [
+          __("Cache hit ratio", "woocommerce-gateway-vibe"),
+          this.formatMetric(totals.cache_hit_ratio, "percent"),
+        ],
+        [
+          __("Price calculations", "woocommerce-gateway-vibe"),
+          this.formatMetric(totals.price_calculations, "count"),
+        ],
+        [
+          __("p95 latency", "woocommerce-gateway-vibe"),
+          this.formatMetric(totals.latency_p95, "ms"),
+        ],
+        [
+          __("Index rebuilds", "woocommerce-gateway-vibe"),
+          this.formatMetric(totals.index_rebuilds, "count"),
+        ],
+        [
+          __("Cart analyses", "woocommerce-gateway-vibe"),
+          this.formatMetric(totals.cart_analyses, "count"),
+        ],
+      ];
+
+      var $summary = $dashboard.find(".vibe-performance-summary").empty();
+      $.each(tiles, function (i, tile) {
+        $summary.append(
+          $('<div class="vibe-performance-tile"></div>').append(
+            $('<span class="vibe-performance-tile-value"></span>').text(tile[1]),
+            $('<span class="vibe-performance-tile-label"></span>').text(tile[0])
+          )
+        );
+      });
+
+      $dashboard.find(".vibe-performance-chart").each(function () {
+        var chart = charts[$(this).data("chart")];
+        if (chart) {
+          VibePricingAdmin.renderLineChart(
+            $(this).find(".vibe-chart-canvas"),
+            series.points,
+            chart,
+            utcOffset
+          );
+        }
+      });
+
+      $dashboard
+        .find(".vibe-performance-updated")
+        .text(
+          sprintf(
+            /* translators: %s: Time of the last refresh */
+            __("Updated %s", "woocommerce-gateway-vibe"),
+            new Date().toLocaleTimeString()
+          )
+        );
+    },
+
+    // Draw a line chart as inline SVG, leaving gaps where values are missing
+    renderLineChart: function ($canvas, points, chart, utcOffset) {
+      var width = 600;
+      var height = 200;
+      var pad = { top: 10, right: 10, bottom: 24, left: 56 };
+      var plotWidth = width - pad.left - pad.right;
+      var plotHeight = height - pad.top - pad.bottom;
+      var svgNs = "http://www.w3.org/2000/svg";
+
+      var element = function (name, attrs, text) {
+        var node = document.createElementNS(svgNs, name);
+        $.each(attrs || {}, function (key, value) {
+          node.setAttribute(key, value);
+        });
+        if (text !== undefined) {
+          node.textContent = text;
+        }
+        return node;
+      };
+
+      var max = chart.max || 0;
+      if (!chart.max) {
+        $.each(points, function (i, point) {
+          $.each(chart.lines, function (j, line) {
+            if (point[line.key] !== null && point[line.key] > max) {
+              max = point[line.key];
+            }
+          });
+        });
+        max = Math.max(1, Math.ceil(max * 1.1));
+      }
+
+      var x = function (index) {
+        return pad.left + (points.length > 1 ? (index / (points.length - 1)) * plotWidth : plotWidth / 2);
+      };
+      var y = function (value) {
+        return pad.top + plotHeight - (value / max) * plotHeight;
+      };
+
+      var svg = element("svg", {
+        viewBox: "0 0 " + width + " " + height,
+        class: "vibe-line-chart",
+        role: "img",
+      });
+
+      // Horizontal grid with value labels
+      $.each([0, 0.5, 1], function (i, fraction) {
+        var value = max * fraction;
+        svg.appendChild(
+          element("line", {
+            x1: pad.left,
+            x2: width - pad.right,
+            y1: y(value),
+            y2: y(value),
+            class: "vibe-chart-grid",
+          })
+        );
+        svg.appendChild(
+          element(
+            "text",
+            { x: pad.left - 6, y: y(value) + 4, class: "vibe-chart-axis", "text-anchor": "end" },
+            VibePricingAdmin.formatMetric(value, chart.format)
+          )
+        );
+      });
+
+      // Time labels at the start, middle and end of the range
+      $.each([0, Math.floor((points.length - 1) / 2), points.length - 1], function (i, index) {
+        if (!points[index]) {
+          return;
+        }
+        svg.appendChild(
+          element(
+            "text",
+            {
+              x: x(index),
+              y: height - 6,
+              class: "vibe-chart-axis",
+              "text-anchor": i === 0 ? "start" : i === 2 ? "end" : "middle",
+            },
+            VibePricingAdmin.formatTimelineTime(points[index].time, utcOffset).slice(11)
+          )
+        );
+      });
+
+      $.each(chart.lines, function (lineIndex, line) {
+        var path = "";
+        var drawing = false;
+
+        $.each(points, function (i, point) {
+          var value = point[line.key];
+          if (value === null || value === undefined) {
+            drawing = false;
+            return;
+          }
+
+          path += (drawing ? " L" : " M") + x(i).toFixed(1) + " " + y(value).toFixed(1);
+          drawing = true;
+
+          var dot = element("circle", {
+            cx: x(i),
+            cy: y(value),
+            r: 2.5,
+            class: "vibe-chart-point vibe-chart-series-" + lineIndex,
+          });
+          dot.appendChild(
+            element(
+              "title",
+              {},
+              VibePricingAdmin.formatTimelineTime(point.time, utcOffset) +
+                " – " +
+                line.label +
+                ": " +
+                VibePricingAdmin.formatMetric(value, chart.format)
+            )
+          );
+          svg.appendChild(dot);
+        });
+
+        if (path) {
+          svg.insertBefore(
+            element("path", {
+              d: path.trim(),
+              class: "vibe-chart-line vibe-chart-series-" + lineIndex,
+            }),
+            svg.querySelector("circle")
+          );
+        }
+      });
+
+      var $legend = $('<div class="vibe-chart-legend"></div>');
+      $.each(chart.lines, function (lineIndex, line) {
+        $legend.append(
+          $('<span class="vibe-chart-legend-item"></span>')
+            .addClass("vibe-chart-series-" + lineIndex)
+            .text(line.label)
+        );
+      });
+
+      $canvas.empty().append(svg, $legend);
+    },
+
+    // Format a dashboard value for display
+    formatMetric: function (value, format) {
+      if (value === null || value === undefined) {
+        return "–";
+      }
+
+      if (format === "percent") {
+        return (value * 100).toFixed(value === 1 || value === 0 ? 0 : 1) + "%";
+      }
+
+      if (format === "ms") {
+        return sprintf(
+          /* translators: %s: Duration in milliseconds */
+          __("%s ms", "woocommerce-gateway-vibe"),
+          value >= 10 ? Math.round(value) : parseFloat(value.toFixed(2))
+        );
+      }
+
+      return String(Math.round(value));
+    },
+
+    // Download the loaded metric history as CSV
+    exportPerformanceCsv: function ($dashboard) {
+      var series = $dashboard.data("series");
+      if (!series || !series.points.length) {
+        return;
+      }
+
+      var utcOffset = $dashboard.data("utc-offset") || 0;
+      var columns = [
+        "cache_hits",
+        "cache_misses",
+        "cache_hit_ratio",
+        "price_calculations",
+        "latency_avg",
+        "latency_p50",
+        "latency_p95",
+        "latency_p99",
+        "latency_max",
+        "index_rebuilds",
+        "cart_analyses",
+        "cart_analysis_cache_hits",
+      ];
+
+      var rows = [["time"].concat(columns).join(",")];
+      $.each(series.points, function (i, point) {
+        var row = [VibePricingAdmin.formatTimelineTime(point.time, utcOffset)];
+        $.each(columns, function (j, column) {
+          row.push(point[column] === null ? "" : point[column]);
+        });
+        rows.push(row.join(","));
+      });
+
+      var link = document.createElement("a");
+      link.href = URL.createObjectURL(
+        new Blob([rows.join("\n") + "\n"], { type: "text/csv" })
+      );
+      link.download = "vibe-performance-" + series.points[series.points.length - 1].time + ".csv";
+      document.body.appendChild(link);
+      link.click();
+      document.body.removeChild(link);
+
+      setTimeout(function () {
+        URL.revokeObjectURL(link.href);
+      }, 1000);
+    },
+
     // Format bytes to human readable
     formatBytes: function (bytes) {
-      if (bytes === 0) return "0 بایت";
+      var sizes = [
+        __("Bytes", "woocommerce-gateway-vibe"),
+        __("KB", "woocommerce-gateway-vibe"),
+        __("MB", "woocommerce-gateway-vibe"),
+        __("GB", "woocommerce-gateway-vibe"),
+      ];
+
+      if (bytes === 0) return "0 " + sizes[0];
 
       var k = 1024;
-      var sizes = ["بایت", "کیلوبایت", "مگابایت", "گیگابایت"];
       var i = Math.floor(Math.log(bytes) / Math.log(k));
 
       return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + " " + sizes[i];
@@ -384,4 +2050,4 @@
 
   // Make available globally
   window.VibePricingAdmin = VibePricingAdmin;
-})(jQuery);
+})(jQuery, wp.i18n);
@@ -1,48 +1,51 @@
 /**
  * Vibe Dynamic Pricing Frontend JavaScript
  *
- * Handles frontend dynamic pricing functionality including payment method
- * changes and price updates.
+ * Single client pricing module for the classic cart and checkout. Every
+ * payment method or cart change goes through one debounced, cancellable
+ * request pipeline, and the outcome is published as events:
+ *
+ *   $(document.body).on("vibe:pricing:updated", function (event, data) {});
+ *   $(document.body).on("vibe:pricing:failed", function (event, data) {});
+ *
+ * Payment method switches are previewed at once from the signed pricing
+ * snapshot in the cart manifest; the server response confirms or corrects
+ * the preview (`data.previewConfirmed`).
  *
  * @package WooCommerce Vibe Payment Gateway
  * @since 1.1.0
  */
 
-(function ($) {
+(function ($, i18n) {
   "use strict";
 
+  const { __, sprintf } = i18n;
+
   // Dynamic pricing frontend functionality
   const VibeDynamicPricing = {
     // State management
     currentPaymentMethod: "",
-    isUpdating: false,
     updateTimeout: null,
     currentRequest: null,
 
     init: function () {
       this.bindEvents();
       this.currentPaymentMethod = this.getCurrentPaymentMethod();
-      console.log("Vibe Dynamic Pricing initialized");
+      this.log("Vibe Dynamic Pricing initialized");
     },
 
     bindEvents: function () {
-      // Listen for payment method changes
+      // Delegated handlers survive checkout fragment refreshes, bind once
       $(document.body).on(
         "change",
         'input[name="payment_method"]',
         this.handlePaymentMethodChange.bind(this)
       );
 
-      // Listen for checkout updates
-      $(document.body).on(
-        "updated_checkout",
-        this.handleCheckoutUpdate.bind(this)
-      );
-
-      // Listen for WooCommerce checkout update triggers
+      // Cart quantities or items changed
       $(document.body).on(
-        "update_checkout",
-        this.handleCheckoutUpdateTrigger.bind(this)
+        "updated_wc_div updated_cart_totals",
+        this.handleCartUpdate.bind(this)
       );
     },
 
@@ -53,181 +56,403 @@
     handlePaymentMethodChange: function (event) {
       const selectedMethod = $(event.target).val();
 
-      console.log("Payment method changed to:", selectedMethod);
-
       // Only proceed if payment method actually changed
       if (this.currentPaymentMethod === selectedMethod) {
-        console.log("Payment method unchanged, skipping update");
         return;
       }
 
-      // Cancel any pending update
-      if (this.updateTimeout) {
-        clearTimeout(this.updateTimeout);
-        console.log("Cancelled pending update");
-      }
-
-      // Cancel any in-flight request
-      if (this.currentRequest && this.currentRequest.readyState !== 4) {
-        this.currentRequest.abort();
-        console.log("Cancelled in-flight request");
-      }
-
       this.currentPaymentMethod = selectedMethod;
 
+      // Preview the new prices right away, the server confirms or corrects them
+      this.previewPrices(selectedMethod);
+
       // Show immediate visual feedback
-      this.showLoadingState();
       this.showUpdateNotice(
-        "بروزرسانی قیمت برای " +
-          this.getPaymentMethodName(selectedMethod) +
-          "..."
+        sprintf(
+          /* translators: %s: Payment method title */
+          __("Updating prices for %s…", "woocommerce-gateway-vibe"),
+          this.getPaymentMethodName(selectedMethod)
+        )
       );
 
-      // Debounce the actual update to prevent rapid requests
-      this.updateTimeout = setTimeout(() => {
-        this.updatePricing(selectedMethod);
-      }, 300); // 300ms debounce
+      this.refresh(selectedMethod);
+    },
+
+    handleCartUpdate: function () {
+      const paymentMethod = this.getCurrentPaymentMethod();
+      if (paymentMethod) {
+        this.refresh(paymentMethod);
+      }
     },
 
     getPaymentMethodName: function (method) {
-      const methodNames = {
-        vibe: "وایب",
-        cod: "پرداخت در محل",
-        bacs: "تراکنش بانکی",
-        cheque: "چک",
-        paypal: "پی‌پال",
-        wc_zibal: "زیبال",
-        wc_zarinpal: "زرین‌پال",
-        wc_idpay: "ایدی‌پی",
-        wc_mollie: "مولی",
-        wc_stripe: "استریپ",
-        wc_paypal: "پی‌پال",
-        wc_bank_transfer: "تراکنش بانکی",
-      };
-      return methodNames[method?.toLowerCase()] || method;
+      // Titles of the active gateways, as configured by the store
+      const titles =
+        (typeof vibe_dynamic_pricing !== "undefined" &&
+          vibe_dynamic_pricing.gateway_titles) ||
+        {};
+      if (titles[method]) {
+        return titles[method];
+      }
+
+      const label = $('label[for="payment_method_' + method + '"]')
+        .text()
+        .trim();
+      return label || method;
     },
 
-    handleCheckoutUpdate: function () {
-      // Re-bind events after checkout update (DOM might have changed)
-      this.bindEvents();
-      this.currentPaymentMethod = this.getCurrentPaymentMethod();
-      this.hideLoadingState();
-      console.log(
-        "Checkout updated, current payment method:",
-        this.currentPaymentMethod
-      );
+    /**
+     * Schedule a pricing update, replacing any pending or in-flight one.
+     *
+     * @param {string} paymentMethod Payment method ID.
+     */
+    refresh: function (paymentMethod) {
+      this.abort();
+
+      // Debounce the actual update to prevent rapid requests
+      this.updateTimeout = setTimeout(() => {
+        this.updateTimeout = null;
+        this.request(paymentMethod);
+      }, 300);
     },
 
-    handleCheckoutUpdateTrigger: function () {
-      // This handles when checkout update is triggered programmatically
-      if (!this.isUpdating) {
-        this.showLoadingState();
+    /**
+     * Cancel the pending and in-flight pricing updates.
+     */
+    abort: function () {
+      if (this.updateTimeout) {
+        clearTimeout(this.updateTimeout);
+        this.updateTimeout = null;
+      }
+
+      if (this.currentRequest) {
+        const request = this.currentRequest;
+        this.currentRequest = null;
+        request.abort();
       }
     },
 
-    updatePricing: function (paymentMethod) {
+    request: function (paymentMethod) {
       // Don't proceed if we don't have the necessary data
       if (typeof vibe_dynamic_pricing === "undefined") {
-        console.warn("Vibe dynamic pricing data not available");
-        this.hideLoadingState();
-        this.showUpdateNotice("اطلاعات قیمت یافت نشد", "error");
+        this.handleFailure(
+          paymentMethod,
+          __("Pricing data not found.", "woocommerce-gateway-vibe")
+        );
         return;
       }
 
-      // Prevent multiple simultaneous updates
-      if (this.isUpdating) {
-        console.log("Update already in progress, skipping");
-        return;
-      }
+      const manifest = this.getCartManifest();
 
-      this.isUpdating = true;
-      console.log("Starting pricing update for:", paymentMethod);
+      this.showLoadingState();
 
-      // Send AJAX request to update pricing
-      this.currentRequest = $.ajax({
+      const request = $.ajax({
         url: vibe_dynamic_pricing.ajax_url,
         type: "POST",
         data: {
           action: "vibe_update_payment_pricing",
           payment_method: paymentMethod,
+          cart_item_keys: Object.keys(manifest.items),
+          snapshot_sig: manifest.snapshot ? manifest.snapshot.sig : "",
+          snapshot_method: manifest.snapshot ? manifest.snapshot.method : "",
           nonce: vibe_dynamic_pricing.nonce,
         },
         timeout: 10000, // 10 second timeout
-        success: function (response) {
-          console.log("Pricing update response:", response);
+      });
 
-          if (response.success && response.data) {
-            const data = response.data;
-            const message = data.pricing_applied
-              ? "بروزرسانی قیمت‌ها انجام شد"
-              : "قیمت‌های استاندارد اعمال شدند";
+      this.currentRequest = request;
 
-            VibeDynamicPricing.showUpdateNotice(message, "success");
+      request
+        .done((response) => {
+          if (request !== this.currentRequest) {
+            return;
+          }
 
-            // Force immediate checkout update
-            setTimeout(function () {
-              $(document.body).trigger("update_checkout");
-            }, 100);
+          if (response.success && response.data) {
+            this.handleSuccess(paymentMethod, response.data);
           } else {
-            console.error("Pricing update failed:", response.data || response);
-            const errorMsg =
+            this.handleFailure(
+              paymentMethod,
               response.data && response.data.message
                 ? response.data.message
-                : "بروزرسانی قیمت‌ها ناموفق بود. لطفا دوباره تلاش کنید.";
-            VibeDynamicPricing.showUpdateNotice(errorMsg, "error");
-          }
-        },
-        error: function (xhr, status, error) {
-          if (status !== "abort") {
-            // Don't show error for cancelled requests
-            console.error(
-              "AJAX error updating pricing for payment method:",
-              paymentMethod,
-              status,
-              error
-            );
-            VibeDynamicPricing.showUpdateNotice(
-              "خطا در اتصال. لطفا دوباره تلاش کنید.",
-              "error"
+                : __(
+                    "Updating prices failed. Please try again.",
+                    "woocommerce-gateway-vibe"
+                  )
             );
           }
-        },
-        complete: function (xhr, status) {
-          if (status !== "abort") {
-            // Hide loading state after a short delay to ensure checkout update completes
-            setTimeout(function () {
-              VibeDynamicPricing.hideLoadingState();
-              VibeDynamicPricing.isUpdating = false;
-            }, 500);
-          } else {
-            VibeDynamicPricing.isUpdating = false;
+        })
+        .fail((xhr, status) => {
+          // Superseded requests are aborted on purpose
+          if (status === "abort" || request !== this.currentRequest) {
+            return;
+          }
+
+          this.handleFailure(
+            paymentMethod,
+            __(
+              "Connection error. Please try again.",
+              "woocommerce-gateway-vibe"
+            )
+          );
+        })
+        .always(() => {
+          if (request === this.currentRequest) {
+            this.currentRequest = null;
+            this.hideLoadingState();
           }
+        });
+    },
+
+    handleSuccess: function (paymentMethod, data) {
+      this.log("Pricing update response:", data);
+
+      this.updateCartItems(data.items || {});
+      this.clearPreview();
+
+      if (data.snapshot) {
+        this.setSnapshot(data.snapshot);
+      }
+
+      this.showUpdateNotice(
+        data.pricing_applied
+          ? __("Prices updated.", "woocommerce-gateway-vibe")
+          : __("Standard prices applied.", "woocommerce-gateway-vibe"),
+        "success"
+      );
+
+      $(document.body).trigger("vibe:pricing:updated", [
+        {
+          paymentMethod: paymentMethod,
+          pricingApplied: !!data.pricing_applied,
+          previewConfirmed: !!data.confirmed,
+          items: data.items || {},
+          response: data,
         },
+      ]);
+
+      // Let WooCommerce recalculate the totals with the new prices
+      if (data.trigger_checkout_update && $("form.checkout").length) {
+        $(document.body).trigger("update_checkout");
+      }
+    },
+
+    handleFailure: function (paymentMethod, message) {
+      this.log("Pricing update failed for", paymentMethod, message);
+
+      // The previewed prices were not confirmed, show the server state again
+      this.revertPreview();
+
+      this.showUpdateNotice(message, "error");
+
+      $(document.body).trigger("vibe:pricing:failed", [
+        {
+          paymentMethod: paymentMethod,
+          message: message,
+        },
+      ]);
+    },
+
+    /**
+     * Read the cart line manifest the server prints on cart and checkout.
+     *
+     * @return {Object} Manifest with cart lines keyed by cart item key.
+     */
+    getCartManifest: function () {
+      const $manifest = $("script.vibe-cart-manifest").last();
+
+      try {
+        const manifest = JSON.parse($manifest.text() || "{}");
+        return {
+          items: manifest.items || {},
+          snapshot: manifest.snapshot || null,
+        };
+      } catch (e) {
+        this.log("Invalid cart manifest", e);
+        return { items: {}, snapshot: null };
+      }
+    },
+
+    /**
+     * Replace the pricing snapshot in the page manifest.
+     *
+     * @param {Object} snapshot Signed pricing snapshot from the server.
+     */
+    setSnapshot: function (snapshot) {
+      const $manifest = $("script.vibe-cart-manifest").last();
+      if (!$manifest.length) {
+        return;
+      }
+
+      const manifest = this.getCartManifest();
+      manifest.snapshot = snapshot;
+      $manifest.text(JSON.stringify(manifest));
+    },
+
+    /**
+     * Get a cart line unit price for a payment method from the snapshot.
+     *
+     * Mirrors the adjustments of the pricing engine: percentage and fixed
+     * amounts on the base price, never below zero.
+     *
+     * @param {Object} snapshot Pricing snapshot.
+     * @param {string} cartItemKey Cart item key.
+     * @param {string} paymentMethod Payment method ID.
+     * @return {number} Unit price.
+     */
+    getSnapshotPrice: function (snapshot, cartItemKey, paymentMethod) {
+      const line = snapshot.lines[cartItemKey];
+      const rules = (snapshot.methods || {})[paymentMethod] || {};
+      const adjustment = rules[cartItemKey];
+      let price = line.base;
+
+      if (adjustment && adjustment[0] === "percentage") {
+        price = line.base * (1 + adjustment[1] / 100);
+      } else if (adjustment && adjustment[0] === "fixed") {
+        price = line.base + adjustment[1];
+      }
+
+      const factor = Math.pow(10, snapshot.decimals);
+      return Math.round(Math.max(0, price) * factor) / factor;
+    },
+
+    /**
+     * Show the prices of a payment method before the server answers.
+     *
+     * @param {string} paymentMethod Payment method ID.
+     */
+    previewPrices: function (paymentMethod) {
+      const snapshot = this.getCartManifest().snapshot;
+      if (!snapshot || !snapshot.lines) {
+        return;
+      }
+
+      let totalChange = 0;
+
+      $.each(snapshot.lines, (cartItemKey, line) => {
+        const price = this.getSnapshotPrice(snapshot, cartItemKey, paymentMethod);
+        const currentPrice = this.getSnapshotPrice(
+          snapshot,
+          cartItemKey,
+          snapshot.method
+        );
+
+        totalChange += (price - currentPrice) * line.qty;
+
+        const $row = $(".vibe-cart-item-" + cartItemKey);
+        this.setPreviewHtml($row.find(".product-price"), this.formatPrice(price));
+        this.setPreviewHtml(
+          $row.find(".product-subtotal, .product-total"),
+          this.formatPrice(price * line.qty)
+        );
       });
+
+      this.setPreviewHtml(
+        $(".order-total td").last(),
+        this.formatPrice(snapshot.total + totalChange)
+      );
     },
 
-    showLoadingState: function () {
-      console.log("Showing loading state");
+    /**
+     * Replace cell contents with a preview, keeping the server HTML to revert to.
+     *
+     * @param {jQuery} $cells Cells to update.
+     * @param {string} html Preview HTML.
+     */
+    setPreviewHtml: function ($cells, html) {
+      $cells.each(function () {
+        const $cell = $(this);
+        if (!$cell.hasClass("vibe-price-preview")) {
+          $cell.data("vibeServerHtml", $cell.html());
+        }
+        $cell.addClass("vibe-price-preview").html(html);
+      });
+    },
 
-      // Add loading indicator to checkout
-      $(".woocommerce-checkout-review-order-table").addClass("processing");
+    /**
+     * Drop the preview markers once the server prices are in place.
+     */
+    clearPreview: function () {
+      $(".vibe-price-preview")
+        .removeClass("vibe-price-preview")
+        .removeData("vibeServerHtml");
+    },
+
+    /**
+     * Put the server prices back after an unconfirmed preview.
+     */
+    revertPreview: function () {
+      $(".vibe-price-preview").each(function () {
+        const $cell = $(this);
+        $cell.html($cell.data("vibeServerHtml"));
+      });
+      this.clearPreview();
+    },
 
-      // Add loading to payment methods
-      $(".wc_payment_methods").addClass("processing");
+    /**
+     * Format an amount like wc_price() does.
+     *
+     * @param {number} amount Amount.
+     * @return {string} Price HTML.
+     */
+    formatPrice: function (amount) {
+      const currency =
+        (typeof vibe_dynamic_pricing !== "undefined" &&
+          vibe_dynamic_pricing.currency) ||
+        {};
+      const decimals = parseInt(currency.decimals || 0, 10);
+      const parts = Math.abs(amount).toFixed(decimals).split(".");
+
+      parts[0] = parts[0].replace(
+        /\B(?=(\d{3})+(?!\d))/g,
+        currency.thousand_separator || ""
+      );
 
-      // Disable payment method inputs temporarily
-      $('input[name="payment_method"]').prop("disabled", true);
+      const number = parts.join(currency.decimal_separator || ".");
+      const $symbol = $('<span class="woocommerce-Price-currencySymbol"></span>').text(
+        currency.symbol || ""
+      );
+      const formatted = (currency.format || "%1$s%2$s")
+        .replace("%1$s", $symbol.prop("outerHTML"))
+        .replace("%2$s", $("<span></span>").text(number).html());
+
+      return (
+        '<span class="woocommerce-Price-amount amount"><bdi>' +
+        (amount < 0 ? "-" : "") +
+        formatted +
+        "</bdi></span>"
+      );
     },
 
-    hideLoadingState: function () {
-      console.log("Hiding loading state");
+    /**
+     * Update each cart line's price and subtotal from the server response.
+     *
+     * @param {Object} items Line data keyed by cart item key.
+     */
+    updateCartItems: function (items) {
+      $.each(items, function (cartItemKey, data) {
+        const $row = $(".vibe-cart-item-" + cartItemKey);
+        if (!$row.length) {
+          return;
+        }
+
+        if (data.price_html) {
+          $row.find(".product-price").html(data.price_html);
+        }
 
-      // Remove loading indicators
-      $(".woocommerce-checkout-review-order-table").removeClass("processing");
-      $(".wc_payment_methods").removeClass("processing");
+        if (data.subtotal_html) {
+          $row.find(".product-subtotal, .product-total").html(data.subtotal_html);
+        }
+      });
+    },
+
+    showLoadingState: function () {
+      // Payment methods stay selectable, a newer choice supersedes this request
+      $(".wc_payment_methods").addClass("vibe-pricing-pending");
+    },
 
-      // Re-enable payment method inputs
-      $('input[name="payment_method"]').prop("disabled", false);
+    hideLoadingState: function () {
+      $(".wc_payment_methods").removeClass("vibe-pricing-pending");
     },
 
     showUpdateNotice: function (message, type) {
@@ -238,8 +463,8 @@
 
       // Create new notice
       const noticeClass = "vibe-price-update-notice vibe-notice-" + type;
-      const notice = $(
-        '<div class="' + noticeClass + '">' + message + "</div>"
+      const notice = $('<div class="' + noticeClass + '"></div>').text(
+        message
       );
 
       // Find appropriate location to show notice
@@ -248,7 +473,7 @@
         target = $(".wc_payment_methods").first();
       }
       if (!target.length) {
-        target = $(".woocommerce-checkout-review-order").first();
+        target = $(".woocommerce-cart-form").first();
       }
 
       if (target.length) {
@@ -270,27 +495,22 @@
         $(this).remove();
       });
     },
+
+    log: function () {
+      if (typeof vibe_dynamic_pricing !== "undefined" && vibe_dynamic_pricing.debug) {
+        console.log.apply(console, arguments);
+      }
+    },
   };
 
   // Initialize when DOM is ready
   $(document).ready(function () {
-    // Only initialize on checkout page
-    if (
-      $("body.woocommerce-checkout").length ||
-      $(".woocommerce-checkout").length
-    ) {
+    // Only initialize on cart and checkout pages
+    if ($("body.woocommerce-cart, body.woocommerce-checkout").length) {
       VibeDynamicPricing.init();
     }
   });
 
-  // Also initialize after AJAX page loads (for themes that use AJAX)
-  $(document).ajaxComplete(function (event, xhr, settings) {
-    if (settings.url && settings.url.indexOf("update_order_review") !== -1) {
-      setTimeout(function () {
-        if (typeof VibeDynamicPricing !== "undefined") {
-          VibeDynamicPricing.bindEvents();
-        }
-      }, 100);
-    }
-  });
-})(jQuery);
+  // Public API for themes and other plugins
+  window.VibeDynamicPricing = VibeDynamicPricing;
+})(jQuery, wp.i18n);
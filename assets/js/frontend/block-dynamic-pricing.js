@@ -9,45 +9,182 @@
         return;
     }
 
-    const { select, subscribe } = window.wp.data;
+    const { select, subscribe, dispatch } = window.wp.data;
     const { PAYMENT_STORE_KEY } = window.wc.wcBlocksData;
     const { extensionCartUpdate } = window.wc.blocksCheckout;
+    const __ = window.wp.i18n ? window.wp.i18n.__ : (text) => text;
 
-    let previousMethod = null;
+    const STORE_NAME = 'vibe/dynamic-pricing';
+    const NOTICE_ID = 'vibe-dynamic-pricing-update';
+    const NOTICE_CONTEXT = 'wc/checkout';
+    const DEBOUNCE_DELAY = 300;
+    const MAX_ATTEMPTS = 3;
+    const RETRY_DELAY = 1000;
 
     /**
-     * Checks the current active payment method and, if it changed, triggers
-     * a cart update so server-side totals (and our dynamic pricing fees)
-     * are recalculated with the correct payment method context.
+     * Small store exposing the state of the payment method price update, so
+     * other blocks can read it:
+     *
+     *     wp.data.select('vibe/dynamic-pricing').getStatus(); // idle, updating or error
      */
-    const maybeTriggerDynamicPricingUpdate = () => {
-        const store = select(PAYMENT_STORE_KEY);
-        if (!store || typeof store.getActivePaymentMethod !== 'function') {
-            return;
+    const storeConfig = {
+        reducer(state = { status: 'idle', paymentMethod: null, error: null }, action) {
+            if (action.type === 'SET_UPDATE_STATUS') {
+                return {
+                    status: action.status,
+                    paymentMethod: action.paymentMethod,
+                    error: action.error || null
+                };
+            }
+            return state;
+        },
+        actions: {
+            setUpdateStatus(status, paymentMethod, error) {
+                return { type: 'SET_UPDATE_STATUS', status, paymentMethod, error };
+            }
+        },
+        selectors: {
+            getStatus: (state) => state.status,
+            getPaymentMethod: (state) => state.paymentMethod,
+            getError: (state) => state.error,
+            isUpdating: (state) => state.status === 'updating'
         }
-        const current = store.getActivePaymentMethod();
-        if (current && current !== previousMethod) {
-            console.log('Vibe Dynamic Pricing: Payment method changed from', previousMethod, 'to', current);
-            previousMethod = current;
+    };
+
+    if (typeof window.wp.data.createReduxStore === 'function') {
+        window.wp.data.register(window.wp.data.createReduxStore(STORE_NAME, storeConfig));
+    } else {
+        window.wp.data.registerStore(STORE_NAME, storeConfig);
+    }
+
+    const setStatus = (status, paymentMethod, error) => {
+        dispatch(STORE_NAME).setUpdateStatus(status, paymentMethod, error);
+    };
+
+    const wait = (delay) => new Promise((resolve) => setTimeout(resolve, delay));
+
+    /**
+     * Network errors and server errors are worth retrying; validation
+     * errors (4xx) will fail again the same way.
+     */
+    const isTransientError = (error) => {
+        const status = error && error.data && error.data.status;
+        return !status || status >= 500 || status === 429;
+    };
+
+    /**
+     * Send the payment method to the backend so server-side totals (and our
+     * dynamic pricing adjustments) are recalculated with it. Transient
+     * failures are retried with a growing delay.
+     */
+    const sendUpdate = async (paymentMethod) => {
+        for (let attempt = 1; ; attempt++) {
             try {
-                // Send the payment method information to the backend
-                extensionCartUpdate({
+                return await extensionCartUpdate({
                     namespace: 'vibe-dynamic-pricing',
                     data: {
-                        payment_method: current,
+                        payment_method: paymentMethod,
                         trigger: 'payment_method_change',
                         timestamp: Date.now()
                     },
                 });
-            } catch (e) {
-                console.warn('Vibe Dynamic Pricing: Failed to trigger cart update', e);
+            } catch (error) {
+                if (attempt >= MAX_ATTEMPTS || !isTransientError(error)) {
+                    throw error;
+                }
+                await wait(RETRY_DELAY * attempt);
+            }
+        }
+    };
+
+    let appliedMethod = null;
+    let pendingMethod = null;
+    let inFlight = false;
+    let debounceTimer = null;
+
+    /**
+     * Send the latest pending payment method. Only one update runs at a
+     * time; a method picked while one is in flight is sent when it ends.
+     */
+    const flush = async () => {
+        if (inFlight || pendingMethod === null) {
+            return;
+        }
+
+        const paymentMethod = pendingMethod;
+        pendingMethod = null;
+
+        // Switching away and back before the update went out
+        if (paymentMethod === appliedMethod) {
+            return;
+        }
+
+        inFlight = true;
+        setStatus('updating', paymentMethod);
+
+        try {
+            await sendUpdate(paymentMethod);
+            appliedMethod = paymentMethod;
+            setStatus('idle', paymentMethod);
+            dispatch('core/notices').removeNotice(NOTICE_ID, NOTICE_CONTEXT);
+        } catch (error) {
+            const message = (error && error.message) || __('Prices could not be updated for the selected payment method. Please try again.', 'woocommerce-gateway-vibe');
+
+            console.warn('Vibe Dynamic Pricing: Failed to update the cart for', paymentMethod, error);
+            setStatus('error', paymentMethod, message);
+            // Re-selecting the same method does not change the store, so offer a retry
+            dispatch('core/notices').createErrorNotice(message, {
+                id: NOTICE_ID,
+                context: NOTICE_CONTEXT,
+                isDismissible: true,
+                actions: [{
+                    label: __('Try again', 'woocommerce-gateway-vibe'),
+                    onClick: () => {
+                        dispatch('core/notices').removeNotice(NOTICE_ID, NOTICE_CONTEXT);
+                        scheduleUpdate(paymentMethod);
+                    }
+                }]
+            });
+        } finally {
+            inFlight = false;
+            // A method picked meanwhile goes out once its debounce ends
+            if (debounceTimer === null) {
+                flush();
             }
         }
     };
 
+    const scheduleUpdate = (paymentMethod) => {
+        pendingMethod = paymentMethod;
+        clearTimeout(debounceTimer);
+        debounceTimer = setTimeout(() => {
+            debounceTimer = null;
+            flush();
+        }, DEBOUNCE_DELAY);
+    };
+
+    let previousMethod = null;
+
+    /**
+     * Checks the current active payment method and, if it changed, schedules
+     * a cart update. Store changes fire often, so rapid switches collapse
+     * into one update.
+     */
+    const maybeTriggerDynamicPricingUpdate = () => {
+        const store = select(PAYMENT_STORE_KEY);
+        if (!store || typeof store.getActivePaymentMethod !== 'function') {
+            return;
+        }
+        const current = store.getActivePaymentMethod();
+        if (current && current !== previousMethod) {
+            previousMethod = current;
+            scheduleUpdate(current);
+        }
+    };
+
     // React to store changes.
     subscribe(maybeTriggerDynamicPricingUpdate);
 
     // Run once on load in case the initial payment method is already selected.
     maybeTriggerDynamicPricingUpdate();
-})(); 
\ No newline at end of file
+})();
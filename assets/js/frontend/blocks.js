@@ -1 +1,7 @@
-(()=>{"use strict";var e={20:(e,t,r)=>{var o=r(609),n=Symbol.for("react.element"),i=(Symbol.for("react.fragment"),Object.prototype.hasOwnProperty),s=o.__SECRET_INTERNALS_DO_NOT_USE_OR_YOU_WILL_BE_FIRED.ReactCurrentOwner,a={key:!0,ref:!0,__self:!0,__source:!0};function c(e,t,r){var o,c={},l=null,d=null;for(o in void 0!==r&&(l=""+r),void 0!==t.key&&(l=""+t.key),void 0!==t.ref&&(d=t.ref),t)i.call(t,o)&&!a.hasOwnProperty(o)&&(c[o]=t[o]);if(e&&e.defaultProps)for(o in t=e.defaultProps)void 0===c[o]&&(c[o]=t[o]);return{$$typeof:n,type:e,key:l,ref:d,props:c,_owner:s.current}}t.jsx=c,t.jsxs=c},609:e=>{e.exports=window.React},848:(e,t,r)=>{e.exports=r(20)}},t={};const r=window.wc.wcBlocksRegistry,o=window.wp.i18n,n=window.wc.wcSettings,i=window.wp.htmlEntities;var s=function r(o){var n=t[o];if(void 0!==n)return n.exports;var i=t[o]={exports:{}};return e[o](i,i.exports,r),i.exports}(848);const a=(0,n.getSetting)("vibe_data",{}),c=()=>(0,s.jsx)("div",{dangerouslySetInnerHTML:{__html:(0,i.decodeEntities)(a.description||"")}}),l=e=>{const{PaymentMethodLabel:t}=e.components;return(0,s.jsxs)("div",{style:{display:"flex",alignItems:"center",gap:"10px"},children:[(0,s.jsx)(t,{text:(0,i.decodeEntities)(a.title||(0,o.__)("Vibe Payment","woocommerce-gateway-vibe"))}),a.logo&&(0,s.jsx)("img",{src:a.logo,alt:"Vibe Payment",style:{height:"40px",width:"auto"}})]})},d={name:"vibe",label:(0,s.jsx)(l,{}),content:(0,s.jsx)(c,{}),edit:(0,s.jsx)(c,{}),canMakePayment:()=>!0,ariaLabel:(0,i.decodeEntities)(a.title||(0,o.__)("Vibe Payment","woocommerce-gateway-vibe")),supports:{features:a.supports||[]}};(0,r.registerPaymentMethod)(d)})();
\ No newline at end of file
+(()=>{"use strict";const e=e=>{var t;return()=>{if(e){var n=e;e=0,t={exports:{}},n.call(t.exports,t,t.exports)}return t.exports}};var t=e(function(e,t){var n=r(),a=Symbol.for("react.element"),i=Symbol.for("react.fragment"),s=Object.prototype.hasOwnProperty,o=n.__SECRET_INTERNALS_DO_NOT_USE_OR_YOU_WILL_BE_FIRED.ReactCurrentOwner,c={key:!0,ref:!0,__self:!0,__source:!0};function l(e,t,n){var r,i={},l=null,m=null;for(r in void 0!==n&&(l=""+n),void 0!==t.key&&(l=""+t.key),void 0!==t.ref&&(m=t.ref),t)s.call(t,r)&&!c.hasOwnProperty(r)&&(i[r]=t[r]);if(e&&e.defaultProps)for(r in t=e.defaultProps)void 0===i[r]&&(i[r]=t[r]);return{$$typeof:a,type:e,key:l,ref:m,props:i,_owner:o.current}}t.Fragment=i,t.jsx=l,t.jsxs=l}),n=e(function(e,n){e.exports=t()}),r=e(function(e,t){e.exports=window.React});const a=window.wc.wcBlocksRegistry,i=window.wc.blocksCheckout,s=window.wp.plugins,o=window.wp.i18n,c=window.wc.wcSettings,l=window.wp.htmlEntities,m=window.wc.priceFormat;n();const d=(e,t)=>(e<0?"−":"+")+(0,m.formatPrice)(Math.abs(e),t),p=e=>e&&e["vibe-dynamic-pricing"]&&e["vibe-dynamic-pricing"].adjustment||null,u=({cart:e,extensions:n})=>{const r=(n&&n["vibe-dynamic-pricing"]||{}).adjustments;if(!r||!r.lines||!r.lines.length||0===r.total)return null;const a=(0,m.getCurrencyFromPriceResponse)(e.cartTotals),s=[...new Set(r.lines.map(e=>e.rule_name))];return(0,t().jsx)(i.TotalsWrapper,{className:"vibe-price-adjustments",children:(0,t().jsx)(i.TotalsItem,{className:"vibe-price-adjustment-total",currency:a,label:(0,o.__)("Vibe price adjustment","woocommerce-gateway-vibe"),value:r.total,description:(0,o.sprintf)(/* translators: %s: Pricing rule names */ /* translators: %s: Pricing rule names */
+(0,o.__)("Included in the item prices: %s","woocommerce-gateway-vibe"),s.join(", "))})})},w=({plan:e,billing:n,cartData:r})=>{if(!e||!n||!n.cartTotal)return null;const{currency:a,cartTotal:i}=n,s=((e,t)=>{const n=Math.max(1,parseInt(t.installments||1,10)),r=Math.round(e*(t.down_payment_percent||0)/100),a=e-r,i=Math.round(a*(t.fee_percent||0)/100),s=Math.floor((a+i)/n),o=Array(n).fill(s);return o[n-1]+=a+i-s*n,{downPayment:r,fee:i,amounts:o,total:e+i}})(parseInt(i.value||0,10),e),c=r&&r.extensions&&r.extensions["vibe-dynamic-pricing"]||{},l=c.adjustments?parseInt(c.adjustments.total||0,10):0,p=parseInt(e.interval_months||1,10);return(0,t().jsxs)("div",{className:"wc-vibe-installment-breakdown",children:[0!==l&&(0,t().jsxs)("div",{className:"wc-vibe-installment-row",children:[(0,t().jsx)("span",{children:(0,o.__)("Vibe price adjustment","woocommerce-gateway-vibe")}),(0,t().jsx)("span",{children:d(l,a)})]}),s.downPayment>0&&(0,t().jsxs)("div",{className:"wc-vibe-installment-row",children:[(0,t().jsx)("span",{children:(0,o.__)("Down payment","woocommerce-gateway-vibe")}),(0,t().jsx)("span",{children:(0,m.formatPrice)(s.downPayment,a)})]}),(0,t().jsxs)("div",{className:"wc-vibe-installment-row",children:[(0,t().jsx)("span",{children:(0,o.sprintf)(/* translators: 1: Number of installments, 2: Months between installments */ /* translators: 1: Number of installments, 2: Months between installments */
+(0,o._n)("%1$d installment, every %2$d month(s)","%1$d installments, every %2$d month(s)",s.amounts.length,"woocommerce-gateway-vibe"),s.amounts.length,p)}),(0,t().jsx)("span",{children:(0,m.formatPrice)(s.amounts[0],a)})]}),s.fee>0&&(0,t().jsxs)("div",{className:"wc-vibe-installment-row",children:[(0,t().jsx)("span",{children:(0,o.__)("Credit fee","woocommerce-gateway-vibe")}),(0,t().jsx)("span",{children:(0,m.formatPrice)(s.fee,a)})]}),(0,t().jsxs)("div",{className:"wc-vibe-installment-row wc-vibe-installment-total",children:[(0,t().jsx)("span",{children:(0,o.__)("Total payable","woocommerce-gateway-vibe")}),(0,t().jsx)("span",{children:(0,m.formatPrice)(s.total,a)})]})]})},h=(e,t)=>0===e?"–":(e<0?"−":"+")+(0,m.formatPrice)(Math.abs(e),t),b=({cart:e,extensions:n})=>{const r=(n&&n["vibe-dynamic-pricing"]||{}).payment_comparison;if(!r||!r.methods||!r.methods.length)return null;const a=(0,m.getCurrencyFromPriceResponse)(e.cartTotals);return(0,t().jsxs)("div",{className:"vibe-payment-comparison",children:[(0,t().jsx)("h3",{children:(0,o.__)("Compare payment methods","woocommerce-gateway-vibe")}),(0,t().jsxs)("table",{className:"vibe-payment-comparison-table",children:[(0,t().jsx)("thead",{children:(0,t().jsxs)("tr",{children:[(0,t().jsx)("th",{children:(0,o.__)("Payment method","woocommerce-gateway-vibe")}),(0,t().jsx)("th",{children:(0,o.__)("Order total","woocommerce-gateway-vibe")}),(0,t().jsx)("th",{children:(0,o.__)("Difference","woocommerce-gateway-vibe")})]})}),(0,t().jsx)("tbody",{children:r.methods.map(e=>{const n=e.id===r.current;return(0,t().jsxs)("tr",{className:n?"vibe-payment-comparison-current":"",children:[(0,t().jsxs)("td",{children:[e.title,n&&(0,t().jsxs)("small",{children:[" ",(0,o.__)("(selected)","woocommerce-gateway-vibe")]})]}),(0,t().jsx)("td",{children:(0,m.formatPrice)(e.total,a)}),(0,t().jsx)("td",{children:(0,t().jsx)("span",{className:e.difference<0?"vibe-payment-comparison-saving":"vibe-payment-comparison-extra",children:h(e.difference,a)})})]},e.id)})})]})]})},y=(0,c.getSetting)("vibe_data",{}),_=e=>(0,t().jsxs)(t().Fragment,{children:[(0,t().jsx)("div",{dangerouslySetInnerHTML:{__html:(0,l.decodeEntities)(y.description||"")}}),(0,t().jsx)(w,{plan:y.plan,billing:e.billing,cartData:e.cartData})]}),v=e=>{const{PaymentMethodLabel:n}=e.components;return(0,t().jsxs)("div",{style:{display:"flex",alignItems:"center",gap:"10px"},children:[(0,t().jsx)(n,{text:(0,l.decodeEntities)(y.title||(0,o.__)("Vibe Payment","woocommerce-gateway-vibe"))}),y.logo&&(0,t().jsx)("img",{src:y.logo,alt:"Vibe Payment",style:{height:"40px",width:"auto"}})]})},x={name:"vibe",label:(0,t().jsx)(v,{}),content:(0,t().jsx)(_,{}),edit:(0,t().jsx)(_,{}),canMakePayment:e=>{const t=((e,t)=>{const{cart:n={},cartTotals:r={}}=t,a=t.billingAddress||t.billingData||n.billingAddress||{},i=r.currency_code||"",s=parseInt(r.currency_minor_unit||0,10),c=parseInt(r.total_price||0,10)/Math.pow(10,s),l=(0,m.getCurrencyFromPriceResponse)(r),d=e=>Math.round(e*Math.pow(10,s));if(i&&e.currencies&&!e.currencies.includes(i))return(0,o.sprintf)(/* translators: %s: Currency code */ /* translators: %s: Currency code */
+(0,o.__)("Vibe does not support payments in %s.","woocommerce-gateway-vibe"),i);if(e.min_amount>0&&c<e.min_amount)return(0,o.sprintf)(/* translators: %s: Minimum order total */ /* translators: %s: Minimum order total */
+(0,o.__)("Vibe is available for orders of at least %s.","woocommerce-gateway-vibe"),(0,m.formatPrice)(d(e.min_amount),l));if(e.max_amount>0&&c>e.max_amount)return(0,o.sprintf)(/* translators: %s: Maximum order total */ /* translators: %s: Maximum order total */
+(0,o.__)("Vibe is available for orders of up to %s.","woocommerce-gateway-vibe"),(0,m.formatPrice)(d(e.max_amount),l));const p=e.countries||[];if(a.country&&p.length&&!p.includes(a.country))return(0,o.__)("Vibe is not available for your billing country.","woocommerce-gateway-vibe");const u=e.excluded_products||[];return(n.cartItems||[]).some(e=>u.includes(e.id))?(0,o.__)("Your cart contains products that cannot be paid for with Vibe.","woocommerce-gateway-vibe"):""})(y.eligibility||{},e);return!t||{error:{message:t}}},ariaLabel:(0,l.decodeEntities)(y.title||(0,o.__)("Vibe Payment","woocommerce-gateway-vibe")),supports:{features:y.supports||[],showSavedCards:!!y.showSaved,showSaveOption:!!y.showSaved}};(0,a.registerPaymentMethod)(x);const g=e=>(0,t().jsxs)(t().Fragment,{children:[(0,t().jsx)(u,{...e}),(0,t().jsx)(b,{...e})]});(0,s.registerPlugin)("vibe-dynamic-pricing",{render:()=>(0,t().jsx)(i.ExperimentalOrderMeta,{children:(0,t().jsx)(g,{})}),scope:"woocommerce-checkout"}),(0,i.registerCheckoutFilters)("vibe-dynamic-pricing",{cartItemClass:(e,t)=>p(t)?`${e} vibe-price-adjusted`.trim():e,subtotalPriceFormat:(e,t,n)=>{const r=p(t);if(!r||!n||!n.cartItem)return e;const a=(0,m.getCurrencyFromPriceResponse)(n.cartItem.prices);return`${e} (${(0,o.sprintf)(/* translators: 1: Adjustment amount, 2: Pricing rule name */ /* translators: 1: Adjustment amount, 2: Pricing rule name */
+(0,o.__)("%1$s with %2$s","woocommerce-gateway-vibe"),d(r.amount,a),r.rule_name)})`}})})();
\ No newline at end of file
@@ -0,0 +1 @@
+<?php return array('dependencies' => array('react', 'wc-blocks-registry', 'wc-blocks-shared-context'), 'version' => 'f1a8798be1303ea1e7a7');
@@ -0,0 +1 @@
+(()=>{"use strict";const e=e=>{var o;return()=>{if(e){var r=e;e=0,o={exports:{}},r.call(o.exports,o,o.exports)}return o.exports}};var o=e(function(e,o){var r=t(),n=Symbol.for("react.element"),c=(Symbol.for("react.fragment"),Object.prototype.hasOwnProperty),s=r.__SECRET_INTERNALS_DO_NOT_USE_OR_YOU_WILL_BE_FIRED.ReactCurrentOwner,i={key:!0,ref:!0,__self:!0,__source:!0};o.jsx=function(e,o,r){var t,l={},a=null,p=null;for(t in void 0!==r&&(a=""+r),void 0!==o.key&&(a=""+o.key),void 0!==o.ref&&(p=o.ref),o)c.call(o,t)&&!i.hasOwnProperty(t)&&(l[t]=o[t]);if(e&&e.defaultProps)for(t in o=e.defaultProps)void 0===l[t]&&(l[t]=o[t]);return{$$typeof:n,type:e,key:a,ref:p,props:l,_owner:s.current}}}),r=e(function(e,r){e.exports=o()}),t=e(function(e,o){e.exports=window.React});const n=window.wc.wcBlocksRegistry,c=window.wc.wcBlocksSharedContext;r();const s=e=>{const{product:r}=(0,c.useProductDataContext)(),t=e.product||r,n=["wc-block-components-product-price",e.textAlign?`has-text-align-${e.textAlign}`:"",e.className||""].filter(Boolean).join(" ");if(!t||!t.id)return(0,o().jsx)("div",{className:n});const s=t.extensions&&t.extensions["vibe-dynamic-pricing"]||{};return(0,o().jsx)("div",{className:n,dangerouslySetInnerHTML:{__html:s.price_html||t.price_html||""}})};["woocommerce/all-products","woocommerce/single-product"].forEach(e=>{(0,n.registerBlockComponent)({blockName:"woocommerce/product-price",context:e,component:s})})})();
\ No newline at end of file
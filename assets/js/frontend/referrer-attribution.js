@@ -0,0 +1,127 @@
+(function () {
+    if (typeof window === 'undefined' || typeof document === 'undefined') {
+        return;
+    }
+
+    const settings = window.vibe_attribution || {};
+    const COOKIE_NAME = settings.cookie_name || 'wc_vibe_attribution';
+    const HEADER_NAME = 'X-Vibe-Attribution';
+    const CAMPAIGN_PARAMS = ['utm_source', 'utm_medium', 'utm_campaign', 'utm_term', 'utm_content'];
+    const MAX_LENGTH = 100;
+
+    /**
+     * Raw (URL-encoded) value of the attribution cookie.
+     */
+    const readCookie = () => {
+        const prefix = COOKIE_NAME + '=';
+        const match = document.cookie.split('; ').find((part) => part.indexOf(prefix) === 0);
+        return match ? match.substring(prefix.length) : '';
+    };
+
+    const writeCookie = (attribution) => {
+        const lifetime = parseInt(settings.lifetime, 10) || 0;
+        let cookie = COOKIE_NAME + '=' + encodeURIComponent(JSON.stringify(attribution)) +
+            '; path=' + (settings.path || '/') + '; SameSite=Lax';
+
+        // A lifetime of 0 keeps the attribution for the browser session only
+        if (lifetime > 0) {
+            cookie += '; max-age=' + (lifetime * 86400);
+        }
+        if (settings.domain) {
+            cookie += '; domain=' + settings.domain;
+        }
+        if (window.location.protocol === 'https:') {
+            cookie += '; secure';
+        }
+
+        document.cookie = cookie;
+    };
+
+    /**
+     * Store the referrer and campaign parameters of a landing page visit.
+     *
+     * Only visits from another site or with a `ref`/UTM parameter count as a
+     * landing; browsing inside the store and direct visits keep the stored
+     * attribution until it expires.
+     */
+    const captureLanding = () => {
+        const query = new URLSearchParams(window.location.search);
+        const campaign = {};
+        let referrer = '';
+
+        if (document.referrer) {
+            try {
+                const host = new URL(document.referrer).hostname.toLowerCase();
+                if (host && host !== window.location.hostname.toLowerCase()) {
+                    referrer = host;
+                }
+            } catch (e) {
+                // Unparsable referrer, ignore it
+            }
+        }
+
+        CAMPAIGN_PARAMS.forEach((param) => {
+            const value = query.get(param);
+            if (value) {
+                campaign[param] = value.substring(0, MAX_LENGTH);
+            }
+        });
+
+        const ref = (query.get('ref') || '').substring(0, MAX_LENGTH);
+
+        if (!referrer && !ref && !Object.keys(campaign).length) {
+            return;
+        }
+
+        // Same precedence as the server: `ref` wins over the HTTP referrer
+        writeCookie(Object.assign({
+            referrer: ref || referrer || campaign.utm_source || '',
+            landing: window.location.pathname.substring(0, MAX_LENGTH),
+            time: Math.floor(Date.now() / 1000)
+        }, campaign));
+    };
+
+    /**
+     * Send the attribution with the cart and checkout AJAX requests.
+     */
+    const addAjaxHeader = () => {
+        if (!window.jQuery || typeof window.jQuery.ajaxPrefilter !== 'function') {
+            return;
+        }
+
+        window.jQuery.ajaxPrefilter((options, originalOptions, jqXHR) => {
+            const value = readCookie();
+            if (value && !options.crossDomain) {
+                jqXHR.setRequestHeader(HEADER_NAME, value);
+            }
+        });
+    };
+
+    let middlewareAdded = false;
+
+    /**
+     * Send the attribution with Store API requests made by the cart and
+     * checkout blocks.
+     */
+    const addApiFetchMiddleware = () => {
+        if (middlewareAdded || !window.wp || !window.wp.apiFetch || typeof window.wp.apiFetch.use !== 'function') {
+            return;
+        }
+
+        middlewareAdded = true;
+        window.wp.apiFetch.use((options, next) => {
+            const value = readCookie();
+            if (value) {
+                options.headers = Object.assign({}, options.headers, { [HEADER_NAME]: value });
+            }
+            return next(options);
+        });
+    };
+
+    captureLanding();
+    addAjaxHeader();
+    addApiFetchMiddleware();
+
+    // api-fetch may be printed after this script on block pages
+    document.addEventListener('DOMContentLoaded', addApiFetchMiddleware);
+})();
@@ -34,10 +34,13 @@ final class WC_Gateway_Vibe_Blocks_Support extends AbstractPaymentMethodType {
 	/**
 	 * Returns if this payment method should be active. If false, the scripts will not be enqueued.
 	 *
+	 * Cart eligibility is evaluated by `canMakePayment` against the rules in the
+	 * payment method data, so it can react to cart and address changes.
+	 *
 	 * @return boolean
 	 */
 	public function is_active() {
-		return $this->gateway->is_available();
+		return 'yes' === $this->gateway->enabled;
 	}
 
 	/**
@@ -86,6 +89,9 @@ final class WC_Gateway_Vibe_Blocks_Support extends AbstractPaymentMethodType {
 			'description' => $this->get_setting( 'description' ),
 			'supports'    => array_filter( $this->gateway->supports, [ $this->gateway, 'supports' ] ),
 			'logo'        => plugins_url( 'assets/images/vibe-logo.svg', dirname( dirname( __FILE__ ) ) ),
+			'eligibility' => $this->gateway->get_eligibility_rules(),
+			'plan'        => $this->gateway->get_installment_plan(),
+			'showSaved'   => is_user_logged_in() && $this->gateway->supports( 'tokenization' ),
 		];
 	}
 } 
\ No newline at end of file
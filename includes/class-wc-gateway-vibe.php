@@ -33,6 +33,12 @@ class WC_Gateway_Vibe extends WC_Payment_Gateway
 	 */
 	protected $verify_endpoint = 'https://credit.vibe.ir/merchants/api/v1/orders/verify';
 
+	/**
+	 * API endpoint for refunding payments.
+	 * @var string
+	 */
+	protected $refund_endpoint = 'https://credit.vibe.ir/merchants/api/v1/orders/refund';
+
 	/**
 	 * API key for authentication.
 	 * @var string
@@ -57,15 +63,23 @@ class WC_Gateway_Vibe extends WC_Payment_Gateway
 	 */
 	private $debug_mode = false;
 
+	/**
+	 * Refunds created in this request, keyed by order ID.
+	 * @var WC_Order_Refund[]
+	 */
+	private $created_refunds = array();
+
 	/**
 	 * Constructor for the gateway.
 	 */
 	public function __construct()
 	{
 		$this->icon               = apply_filters('woocommerce_vibe_gateway_icon', plugins_url('assets/images/vibe-logo.svg', dirname(__FILE__)));
-		$this->has_fields         = false;
+		$this->has_fields         = true;
 		$this->supports           = array(
-			'products'
+			'products',
+			'tokenization',
+			'refunds',
 		);
 
 		$this->method_title       = __('Vibe Payment', 'woocommerce-gateway-vibe');
@@ -89,6 +103,46 @@ class WC_Gateway_Vibe extends WC_Payment_Gateway
 		add_action('woocommerce_update_options_payment_gateways_' . $this->id, array($this, 'process_admin_options'));
 		add_action('woocommerce_thankyou_' . $this->id, array($this, 'thankyou_page'));
 		add_action('woocommerce_api_wc_gateway_vibe', array($this, 'check_payment_response'));
+		add_action('woocommerce_create_refund', array($this, 'track_created_refund'));
+		add_filter('woocommerce_payment_methods_list_item', array($this, 'payment_methods_list_item'), 10, 2);
+	}
+
+	/**
+	 * Output the payment fields with the customer's linked Vibe accounts.
+	 */
+	public function payment_fields()
+	{
+		$description = $this->get_description();
+		if ($description) {
+			echo wpautop(wptexturize($description));
+		}
+
+		if ($this->supports('tokenization') && is_checkout() && is_user_logged_in()) {
+			$this->tokenization_script();
+			$this->saved_payment_methods();
+			$this->save_payment_method_checkbox();
+		}
+	}
+
+	/**
+	 * Describe linked Vibe accounts in saved payment method lists.
+	 *
+	 * @param  array            $item  Payment method list item.
+	 * @param  WC_Payment_Token $token Payment token.
+	 * @return array
+	 */
+	public function payment_methods_list_item($item, $token)
+	{
+		if ('vibe' !== strtolower($token->get_type())) {
+			return $item;
+		}
+
+		$label = $token->get_account_label();
+
+		$item['method']['brand'] = __('Vibe account', 'woocommerce-gateway-vibe');
+		$item['method']['last4'] = substr($label, -4);
+
+		return $item;
 	}
 
 	/**
@@ -147,6 +201,84 @@ class WC_Gateway_Vibe extends WC_Payment_Gateway
 				'default'     => '',
 				'desc_tip'    => true,
 			),
+			'min_amount' => array(
+				'title'       => __('Minimum Order Total', 'woocommerce-gateway-vibe'),
+				'type'        => 'price',
+				'description' => __('Hide Vibe for orders below this total (in store currency). Leave empty for no minimum.', 'woocommerce-gateway-vibe'),
+				'default'     => '',
+				'desc_tip'    => true,
+			),
+			'max_amount' => array(
+				'title'       => __('Maximum Order Total', 'woocommerce-gateway-vibe'),
+				'type'        => 'price',
+				'description' => __('Hide Vibe for orders above this total (in store currency). Leave empty for no maximum.', 'woocommerce-gateway-vibe'),
+				'default'     => '',
+				'desc_tip'    => true,
+			),
+			'allowed_countries' => array(
+				'title'       => __('Billing Countries', 'woocommerce-gateway-vibe'),
+				'type'        => 'multiselect',
+				'class'       => 'wc-enhanced-select',
+				'description' => __('Only offer Vibe to customers billing from these countries. Leave empty to allow all countries.', 'woocommerce-gateway-vibe'),
+				'default'     => array('IR'),
+				'options'     => (function_exists('WC') && WC()->countries) ? WC()->countries->get_countries() : array(),
+				'desc_tip'    => true,
+			),
+			'excluded_products' => array(
+				'title'       => __('Excluded Products', 'woocommerce-gateway-vibe'),
+				'type'        => 'text',
+				'description' => __('Comma-separated product IDs that cannot be paid for with Vibe. Variations of a listed product are excluded too.', 'woocommerce-gateway-vibe'),
+				'default'     => '',
+				'desc_tip'    => true,
+			),
+			'installment_count' => array(
+				'title'             => __('Number of Installments', 'woocommerce-gateway-vibe'),
+				'type'              => 'number',
+				'description'       => __('How many installments the Vibe credit plan is split into. Shown to customers at checkout.', 'woocommerce-gateway-vibe'),
+				'default'           => '4',
+				'custom_attributes' => array('min' => 1, 'step' => 1),
+				'desc_tip'          => true,
+			),
+			'installment_interval' => array(
+				'title'             => __('Installment Interval (months)', 'woocommerce-gateway-vibe'),
+				'type'              => 'number',
+				'description'       => __('Number of months between two installments.', 'woocommerce-gateway-vibe'),
+				'default'           => '1',
+				'custom_attributes' => array('min' => 1, 'step' => 1),
+				'desc_tip'          => true,
+			),
+			'down_payment_percent' => array(
+				'title'             => __('Down Payment (%)', 'woocommerce-gateway-vibe'),
+				'type'              => 'number',
+				'description'       => __('Share of the order total paid upfront before the installments start.', 'woocommerce-gateway-vibe'),
+				'default'           => '0',
+				'custom_attributes' => array('min' => 0, 'max' => 100, 'step' => 'any'),
+				'desc_tip'          => true,
+			),
+			'installment_fee_percent' => array(
+				'title'             => __('Credit Fee (%)', 'woocommerce-gateway-vibe'),
+				'type'              => 'number',
+				'description'       => __('Fee added by the credit plan on top of the financed amount. Only used for the breakdown shown to customers.', 'woocommerce-gateway-vibe'),
+				'default'           => '0',
+				'custom_attributes' => array('min' => 0, 'step' => 'any'),
+				'desc_tip'          => true,
+			),
+			'currency_rates' => array(
+				'title'       => __('Exchange Rates', 'woocommerce-gateway-vibe'),
+				'type'        => 'textarea',
+				'description' => __('One currency per line as CODE=rate, where rate is the number of Rials in one unit, e.g. USD=1050000. IRR and IRT are built in. Vibe is hidden for currencies without a rate.', 'woocommerce-gateway-vibe'),
+				'default'     => '',
+				'placeholder' => 'USD=1050000',
+				'desc_tip'    => true,
+			),
+			'currency_rounding' => array(
+				'title'       => __('Rounding Rules', 'woocommerce-gateway-vibe'),
+				'type'        => 'textarea',
+				'description' => __('One currency per line as CODE=step or CODE=step,mode with mode round, up or down, e.g. IRR=1000,up. Applies to the amounts sent to Vibe (IRR) and to dynamic prices in the store currency.', 'woocommerce-gateway-vibe'),
+				'default'     => '',
+				'placeholder' => 'IRR=1000,up',
+				'desc_tip'    => true,
+			),
 			'debug_mode' => array(
 				'title'       => __('Debug Mode', 'woocommerce-gateway-vibe'),
 				'type'        => 'checkbox',
@@ -157,6 +289,134 @@ class WC_Gateway_Vibe extends WC_Payment_Gateway
 		);
 	}
 
+	/**
+	 * Check if the gateway is available for the current cart.
+	 *
+	 * Applies the same eligibility rules the Blocks checkout evaluates
+	 * client-side, so both checkout flows offer Vibe for the same carts.
+	 *
+	 * @return bool
+	 */
+	public function is_available()
+	{
+		if (! parent::is_available()) {
+			return false;
+		}
+
+		if (! function_exists('WC') || ! WC()->cart || (is_admin() && ! wp_doing_ajax())) {
+			return true;
+		}
+
+		$product_ids = array();
+		foreach (WC()->cart->get_cart() as $cart_item) {
+			$product_ids[] = ! empty($cart_item['variation_id']) ? $cart_item['variation_id'] : $cart_item['product_id'];
+		}
+
+		$reason = $this->get_ineligibility_reason(
+			(float) WC()->cart->get_total('edit'),
+			get_woocommerce_currency(),
+			WC()->customer ? WC()->customer->get_billing_country() : '',
+			$product_ids
+		);
+
+		return '' === $reason;
+	}
+
+	/**
+	 * Get the eligibility rules shared by the classic and Blocks checkouts.
+	 *
+	 * @return array
+	 */
+	public function get_eligibility_rules()
+	{
+		$countries = $this->get_option('allowed_countries', array());
+
+		return array(
+			'currencies'        => apply_filters('wc_vibe_supported_currencies', WC_Vibe_Currency_Converter::get_supported_currencies()),
+			'min_amount'        => (float) wc_format_decimal($this->get_option('min_amount', '')),
+			'max_amount'        => (float) wc_format_decimal($this->get_option('max_amount', '')),
+			'countries'         => is_array($countries) ? array_values($countries) : array(),
+			'excluded_products' => $this->get_excluded_product_ids(),
+		);
+	}
+
+	/**
+	 * Get the reason Vibe cannot be used for a purchase.
+	 *
+	 * @param  float  $total       Order total in store currency.
+	 * @param  string $currency    Currency code.
+	 * @param  string $country     Billing country code, empty when not known yet.
+	 * @param  array  $product_ids Product or variation IDs being purchased.
+	 * @return string Empty string when the purchase is eligible.
+	 */
+	public function get_ineligibility_reason($total, $currency, $country, $product_ids)
+	{
+		$rules = $this->get_eligibility_rules();
+
+		// Every currency needs a rate to be converted for settlement
+		if (! in_array($currency, $rules['currencies'], true) || ! WC_Vibe_Currency_Converter::is_supported($currency)) {
+			/* translators: %s: Currency code */
+			return sprintf(__('Vibe does not support payments in %s.', 'woocommerce-gateway-vibe'), $currency);
+		}
+
+		if ($rules['min_amount'] > 0 && $total < $rules['min_amount']) {
+			/* translators: %s: Minimum order total */
+			return sprintf(__('Vibe is available for orders of at least %s.', 'woocommerce-gateway-vibe'), wp_strip_all_tags(wc_price($rules['min_amount'])));
+		}
+
+		if ($rules['max_amount'] > 0 && $total > $rules['max_amount']) {
+			/* translators: %s: Maximum order total */
+			return sprintf(__('Vibe is available for orders of up to %s.', 'woocommerce-gateway-vibe'), wp_strip_all_tags(wc_price($rules['max_amount'])));
+		}
+
+		if (! empty($country) && ! empty($rules['countries']) && ! in_array($country, $rules['countries'], true)) {
+			return __('Vibe is not available for your billing country.', 'woocommerce-gateway-vibe');
+		}
+
+		if (array_intersect(array_map('absint', $product_ids), $rules['excluded_products'])) {
+			return __('Your cart contains products that cannot be paid for with Vibe.', 'woocommerce-gateway-vibe');
+		}
+
+		return '';
+	}
+
+	/**
+	 * Get the installment plan schedule shown to customers.
+	 *
+	 * @return array
+	 */
+	public function get_installment_plan()
+	{
+		$plan = array(
+			'installments'         => max(1, absint($this->get_option('installment_count', 4))),
+			'interval_months'      => max(1, absint($this->get_option('installment_interval', 1))),
+			'down_payment_percent' => min(100, max(0, (float) $this->get_option('down_payment_percent', 0))),
+			'fee_percent'          => max(0, (float) $this->get_option('installment_fee_percent', 0)),
+		);
+
+		return apply_filters('wc_vibe_installment_plan', $plan, $this);
+	}
+
+	/**
+	 * Get excluded product IDs, expanded with the variations of variable products.
+	 *
+	 * @return array
+	 */
+	protected function get_excluded_product_ids()
+	{
+		$product_ids = array_filter(array_map('absint', explode(',', (string) $this->get_option('excluded_products', ''))));
+		$excluded    = $product_ids;
+
+		foreach ($product_ids as $product_id) {
+			$product = wc_get_product($product_id);
+			if ($product && $product->is_type('variable')) {
+				$excluded = array_merge($excluded, $product->get_children());
+			}
+		}
+
+		return array_values(array_unique(array_map('absint', $excluded)));
+	}
+
 	/**
 	 * Process the payment and return the result.
 	 *
@@ -169,8 +429,37 @@ class WC_Gateway_Vibe extends WC_Payment_Gateway
 
 		$this->log('Processing payment for order ' . $order_id);
 
+		// Re-check eligibility against the placed order
+		$product_ids = array();
+		foreach ($order->get_items() as $item) {
+			$product_ids[] = $item->get_variation_id() ? $item->get_variation_id() : $item->get_product_id();
+		}
+
+		$reason = $this->get_ineligibility_reason((float) $order->get_total(), $order->get_currency(), $order->get_billing_country(), $product_ids);
+		if ('' !== $reason) {
+			$this->log('Order ' . $order_id . ' is not eligible for Vibe: ' . $reason);
+			wc_add_notice($reason, 'error');
+			return array(
+				'result' => 'failure',
+			);
+		}
+
+		// Resolve the linked Vibe account, if the customer picked one
+		$token = $this->get_posted_token();
+		if (is_wp_error($token)) {
+			$this->log('Invalid saved account for order ' . $order_id . ': ' . $token->get_error_message());
+			wc_add_notice($token->get_error_message(), 'error');
+			return array(
+				'result' => 'failure',
+			);
+		}
+
+		if (! $token && is_user_logged_in() && ! empty($_POST['wc-' . $this->id . '-new-payment-method'])) {
+			$order->update_meta_data('_vibe_link_account', 'yes');
+		}
+
 		// Create order in Vibe Payment Gateway
-		$response = $this->create_vibe_order($order);
+		$response = $this->create_vibe_order($order, $token);
 
 		if (is_wp_error($response)) {
 			$this->log('Error creating Vibe order: ' . $response->get_error_message());
@@ -180,6 +469,11 @@ class WC_Gateway_Vibe extends WC_Payment_Gateway
 			);
 		}
 
+		// Charged directly against the linked account, no redirect needed
+		if (! isset($response['payment_url'])) {
+			return $this->complete_token_payment($order, $response['ref_id']);
+		}
+
 		// Store order ID in session for later retrieval
 		WC()->session->set('vibe_order_id', $order_id);
 
@@ -199,14 +493,25 @@ class WC_Gateway_Vibe extends WC_Payment_Gateway
 	/**
 	 * Create an order in Vibe Payment Gateway.
 	 *
-	 * @param  WC_Order $order
+	 * @param  WC_Order                   $order
+	 * @param  WC_Payment_Token_Vibe|null $token Linked account to charge, if any.
 	 * @return array|WP_Error
 	 */
-	protected function create_vibe_order($order)
+	protected function create_vibe_order($order, $token = null)
 	{
 		// Prepare cart data
 		$cart_data = $this->prepare_cart_data($order);
 
+		if (is_wp_error($cart_data)) {
+			return $cart_data;
+		}
+
+		if ($token) {
+			$cart_data['account_token'] = $token->get_token();
+		} elseif ('yes' === $order->get_meta('_vibe_link_account')) {
+			$cart_data['link_account'] = true;
+		}
+
 		// Get the UUID we'll use for the API
 		$uuid = $order->get_meta('_vibe_uuid_order_id');
 
@@ -242,7 +547,7 @@ class WC_Gateway_Vibe extends WC_Payment_Gateway
 			return new WP_Error('vibe_api_error', $error_message);
 		}
 
-		if (! isset($data['payment_url'])) {
+		if (! isset($data['payment_url']) && ! ($token && ! empty($data['ref_id']))) {
 			$this->log('Invalid response: Missing payment_url');
 			return new WP_Error('vibe_api_error', __('Invalid response from Vibe Payment Gateway.', 'woocommerce-gateway-vibe'));
 		}
@@ -250,6 +555,112 @@ class WC_Gateway_Vibe extends WC_Payment_Gateway
 		return $data;
 	}
 
+	/**
+	 * Get the saved Vibe account token posted with the checkout form.
+	 *
+	 * @return WC_Payment_Token_Vibe|null|WP_Error Null when paying with a new account.
+	 */
+	protected function get_posted_token()
+	{
+		$field    = 'wc-' . $this->id . '-payment-token';
+		$token_id = isset($_POST[$field]) ? wc_clean(wp_unslash($_POST[$field])) : '';
+
+		if ('' === $token_id || 'new' === $token_id) {
+			return null;
+		}
+
+		$token = WC_Payment_Tokens::get(absint($token_id));
+
+		if (! $token || $token->get_gateway_id() !== $this->id || $token->get_user_id() !== get_current_user_id()) {
+			return new WP_Error('vibe_invalid_token', __('The selected Vibe account is not available. Please choose another account or link a new one.', 'woocommerce-gateway-vibe'));
+		}
+
+		return $token;
+	}
+
+	/**
+	 * Verify and complete an order charged against a linked Vibe account.
+	 *
+	 * @param  WC_Order $order
+	 * @param  string   $ref_id Reference ID returned by Vibe.
+	 * @return array
+	 */
+	protected function complete_token_payment($order, $ref_id)
+	{
+		$ref_id = sanitize_text_field($ref_id);
+
+		$verification = $this->verify_payment($ref_id);
+
+		if (is_wp_error($verification)) {
+			$this->log('Saved account payment verification unavailable for order ' . $order->get_id() . ': ' . $verification->get_error_message());
+			wc_add_notice(__('We could not confirm the payment with Vibe. Please check your Vibe account before trying again.', 'woocommerce-gateway-vibe'), 'error');
+			return array(
+				'result' => 'failure',
+			);
+		}
+
+		if ($verification && '' !== $this->get_verification_mismatch($order, $verification)) {
+			$this->log('Saved account payment ' . $ref_id . ' does not match order: ' . $order->get_id());
+			$verification = false;
+		}
+
+		if (! $verification) {
+			$this->log('Saved account payment verification failed for order: ' . $order->get_id());
+			wc_add_notice(__('Your Vibe account could not be charged. Please try again or link a new account.', 'woocommerce-gateway-vibe'), 'error');
+			return array(
+				'result' => 'failure',
+			);
+		}
+
+		$order->update_meta_data('_vibe_reference_id', $ref_id);
+		$order->save();
+		$order->payment_complete($ref_id);
+
+		/* translators: %s: Reference ID from Vibe Payment Gateway */
+		$order->add_order_note(sprintf(__('Payment completed with a linked Vibe account. Reference ID: %s', 'woocommerce-gateway-vibe'), $ref_id));
+
+		WC()->cart->empty_cart();
+
+		$this->log('Saved account payment successful for order: ' . $order->get_id() . ' with reference: ' . $ref_id);
+
+		return array(
+			'result'   => 'success',
+			'redirect' => $this->get_return_url($order),
+		);
+	}
+
+	/**
+	 * Save the Vibe account linked during a payment as a customer token.
+	 *
+	 * @param WC_Order $order
+	 * @param array    $verification Verification response from Vibe.
+	 */
+	protected function maybe_save_linked_account($order, $verification)
+	{
+		if ('yes' !== $order->get_meta('_vibe_link_account') || ! $order->get_customer_id()) {
+			return;
+		}
+
+		if (empty($verification['account_token']) || empty($verification['account_label'])) {
+			$this->log('Vibe did not return a linked account for order: ' . $order->get_id());
+			return;
+		}
+
+		$token = new WC_Payment_Token_Vibe();
+		$token->set_token(sanitize_text_field($verification['account_token']));
+		$token->set_account_label($verification['account_label']);
+		$token->set_gateway_id($this->id);
+		$token->set_user_id($order->get_customer_id());
+
+		if ($token->save()) {
+			$order->add_payment_token($token);
+			$this->log('Saved linked Vibe account for customer ' . $order->get_customer_id());
+		}
+
+		$order->delete_meta_data('_vibe_link_account');
+		$order->save();
+	}
+
 	/**
 	 * Format error message from API response.
 	 *
@@ -290,33 +701,38 @@ class WC_Gateway_Vibe extends WC_Payment_Gateway
 	/**
 	 * Prepare cart data for Vibe Payment Gateway API.
 	 *
+	 * Amounts are converted from the order currency to Rials. Only the cart
+	 * amount goes through the settlement rounding rule; line amounts and tax
+	 * are rounded to whole Rials, so a rule that rounds up is applied once
+	 * rather than per line. The original and converted totals are stored on
+	 * the order.
+	 *
 	 * @param  WC_Order $order
-	 * @return array
+	 * @return array|WP_Error Error when the order currency cannot be settled by Vibe.
 	 */
 	protected function prepare_cart_data($order)
 	{
 		$items = array();
 		$goods_amount = 0;
 
-		// Get the store currency
-		$currency = get_woocommerce_currency();
-		// Flag to track if we need to convert IRT to IRR
-		$currency_needs_conversion = ($currency === 'IRT');
+		// Currency switchers can place orders in other currencies than the store's
+		$currency = $order->get_currency();
+
+		$converted_total = WC_Vibe_Currency_Converter::convert($order->get_total(), $currency);
+		if (is_wp_error($converted_total)) {
+			$this->log('Unsupported currency for order ' . $order->get_id() . ': ' . $currency);
+			return $converted_total;
+		}
 
-		// Add a debug log for currency
-		$this->log('Store currency: ' . $currency . '. Conversion to IRR needed: ' . ($currency_needs_conversion ? 'Yes' : 'No'));
+		$rate = $converted_total['rate'];
+		$this->log('Order currency: ' . $currency . '. Rate to ' . WC_Vibe_Currency_Converter::SETTLEMENT_CURRENCY . ': ' . $rate);
 
 		// Add line items
 		foreach ($order->get_items() as $item_id => $item) {
 			$product = $item->get_product();
-			$price = $order->get_line_subtotal($item, false, false);
-			$discount = $order->get_line_subtotal($item, false, false) - $order->get_line_total($item, false, false);
-
-			// Convert IRT to IRR if needed (1 Toman = 10 Rials)
-			if ($currency_needs_conversion) {
-				$price = $price * 10;
-				$discount = $discount * 10;
-			}
+			$subtotal = $order->get_line_subtotal($item, false, false);
+			$price = round($subtotal * $rate);
+			$discount = round(($subtotal - $order->get_line_total($item, false, false)) * $rate);
 
 			$items[] = array(
 				'id'       => $product ? (string) $product->get_id() : (string) $item_id,
@@ -330,44 +746,55 @@ class WC_Gateway_Vibe extends WC_Payment_Gateway
 		}
 
 		// Calculate tax
-		$tax = (int) wc_format_decimal($order->get_total_tax(), 0);
-		if ($currency_needs_conversion) {
-			$tax = $tax * 10;
-		}
-
-		// Generate callback URL with order ID
-		$callback_url = add_query_arg(
-			array(
-				'wc-api' => 'wc_gateway_vibe',
-				'order_id' => $order->get_id()
-			),
-			home_url('/')
-		);
+		$tax = round($order->get_total_tax() * $rate);
 
 		// Generate a UUID v4 for the API order_id
 		$uuid = $this->generate_uuid_v4();
 
 		// Store the UUID in the order meta data for reference
 		$order->update_meta_data('_vibe_uuid_order_id', $uuid);
-		$order->save();
 
-		$this->log('Generated UUID v4 for order ' . $order->get_id() . ': ' . $uuid);
+		// Generate the signed callback URL, valid for this UUID only
+		$expires = time() + $this->get_callback_lifetime();
+		$callback_url = $this->get_callback_url($order, $uuid, $expires);
+		$order->update_meta_data('_vibe_callback_expires', $expires);
+		$order->delete_meta_data('_vibe_callback_consumed');
+
+		// Only note the conversion when a new payment attempt changes it
+		$conversion_changed = (int) $order->get_meta('_vibe_converted_amount') !== (int) wc_format_decimal($converted_total['amount'], 0)
+			|| (float) $order->get_meta('_vibe_exchange_rate') !== (float) $rate;
+
+		// Record what was charged, in both currencies
+		$order->update_meta_data('_vibe_original_amount', wc_format_decimal($order->get_total()));
+		$order->update_meta_data('_vibe_original_currency', $currency);
+		$order->update_meta_data('_vibe_converted_amount', (int) wc_format_decimal($converted_total['amount'], 0));
+		$order->update_meta_data('_vibe_converted_currency', WC_Vibe_Currency_Converter::SETTLEMENT_CURRENCY);
+		$order->update_meta_data('_vibe_exchange_rate', $rate);
+		$order->save();
 
-		// Get the total and convert if needed
-		$total = $order->get_total();
-		if ($currency_needs_conversion) {
-			$total = $total * 10;
-			$this->log('Converted order total from IRT to IRR: ' . $total);
+		if (WC_Vibe_Currency_Converter::SETTLEMENT_CURRENCY !== $currency && $conversion_changed) {
+			$order->add_order_note(sprintf(
+				/* translators: 1: Amount sent to Vibe, 2: Settlement currency, 3: Order total, 4: Order currency, 5: Exchange rate */
+				__('Vibe amount: %1$s %2$s (%3$s %4$s at a rate of %5$s).', 'woocommerce-gateway-vibe'),
+				wc_format_decimal($converted_total['amount'], 0),
+				WC_Vibe_Currency_Converter::SETTLEMENT_CURRENCY,
+				wc_format_decimal($order->get_total()),
+				$currency,
+				wc_format_decimal($rate)
+			));
 		}
 
+		$this->log('Generated UUID v4 for order ' . $order->get_id() . ': ' . $uuid);
+		$this->log('Converted order total from ' . $currency . ' to ' . WC_Vibe_Currency_Converter::SETTLEMENT_CURRENCY . ': ' . $converted_total['amount']);
+
 		// Prepare data
 		$data = array(
 			'callback_url' => $callback_url,
-			'cart_amount'  => (int) wc_format_decimal($total, 0),
+			'cart_amount'  => (int) wc_format_decimal($converted_total['amount'], 0),
 			'data'         => array(
 				'goods_amount' => (int) wc_format_decimal($goods_amount, 0),
 				'items'        => $items,
-				'tax'          => $tax,
+				'tax'          => (int) wc_format_decimal($tax, 0),
 			),
 			'order_id'     => $uuid, // Use UUID v4 instead of WC order ID
 		);
@@ -392,6 +819,10 @@ class WC_Gateway_Vibe extends WC_Payment_Gateway
 		$ref_id = isset($_GET['ref_id']) ? sanitize_text_field(wp_unslash($_GET['ref_id'])) : '';
 		$result = isset($_GET['result']) ? sanitize_text_field(wp_unslash($_GET['result'])) : '';
 
+		// Signature added to the callback URL when the Vibe order was created
+		$expires   = isset($_GET['expires']) ? absint($_GET['expires']) : 0;
+		$signature = isset($_GET['signature']) ? sanitize_text_field(wp_unslash($_GET['signature'])) : '';
+
 		$this->log('Payment callback received. Order ID: ' . $order_id . ', Ref ID: ' . $ref_id . ', Result: ' . $result);
 
 		if (!$order_id || !$ref_id) {
@@ -431,29 +862,26 @@ class WC_Gateway_Vibe extends WC_Payment_Gateway
 			);
 		}
 
-		// Prevent duplicate processing
-		if ($order->is_paid()) {
-			$this->log('Order already paid: ' . $order->get_id());
+		$outcome = $this->process_callback($order, $ref_id, $result, $expires, $signature);
+
+		// Reloading the verified callback leads to the order confirmation
+		if ('paid' === $outcome) {
 			wp_redirect($this->get_return_url($order));
 			exit;
 		}
 
-		// Verify payment
-		$verification_result = $this->verify_payment($ref_id);
-
-		if ($verification_result) {
-			// Store reference ID
-			$order->update_meta_data('_vibe_reference_id', $ref_id);
-			$order->save();
-
-			// Complete payment
-			$order->payment_complete($ref_id);
-
-			// Add note with both reference ID and UUID
-			$uuid = $order->get_meta('_vibe_uuid_order_id');
-			/* translators: %1$s: Reference ID from Vibe Payment Gateway, %2$s: UUID v4 used for the order */
-			$order->add_order_note(sprintf(__('Payment completed via Vibe. Reference ID: %1$s, UUID: %2$s', 'woocommerce-gateway-vibe'), $ref_id, $uuid));
+		// Vibe could not be asked, the callback stays usable so the customer can retry it
+		if ('verification_unavailable' === $outcome) {
+			status_header(503);
+			echo '<div style="text-align: center; padding: 50px 0;">';
+			echo '<h1>' . esc_html__('Payment Not Confirmed Yet', 'woocommerce-gateway-vibe') . '</h1>';
+			echo '<p>' . esc_html__('We could not reach Vibe to confirm your payment. If you have paid, you will not be charged again.', 'woocommerce-gateway-vibe') . '</p>';
+			echo '<p><a class="button" href="' . esc_url(add_query_arg(null, null)) . '">' . esc_html__('Try again', 'woocommerce-gateway-vibe') . '</a></p>';
+			echo '</div>';
+			exit;
+		}
 
+		if ('verified' === $outcome) {
 			// Empty cart
 			WC()->cart->empty_cart();
 
@@ -463,12 +891,98 @@ class WC_Gateway_Vibe extends WC_Payment_Gateway
 			echo '<p>' . esc_html__('Your payment has been processed successfully. Redirecting to order confirmation...', 'woocommerce-gateway-vibe') . '</p>';
 			echo '</div>';
 			echo '<script>setTimeout(function() { window.location = "' . esc_url($this->get_return_url($order)) . '"; }, 2000);</script>';
+			exit;
+		}
 
-			$this->log('Payment successful for order: ' . $order->get_id() . ' with reference: ' . $ref_id);
+		if (in_array($outcome, array('verification_failed', 'order_mismatch', 'amount_mismatch'), true)) {
+			// Show error message with processing page
+			echo '<div style="text-align: center; padding: 50px 0;">';
+			echo '<h1>' . esc_html__('Payment Failed', 'woocommerce-gateway-vibe') . '</h1>';
+			echo '<p>' . esc_html__('Your payment could not be processed. Redirecting to checkout...', 'woocommerce-gateway-vibe') . '</p>';
+			echo '</div>';
+			echo '<script>setTimeout(function() { window.location = "' . esc_url(wc_get_checkout_url()) . '"; }, 2000);</script>';
 			exit;
-		} else {
+		}
+
+		// Anything else is a rejected callback
+		wp_die(
+			__('This payment link is invalid or has expired.', 'woocommerce-gateway-vibe'),
+			__('Payment Error', 'woocommerce-gateway-vibe'),
+			array('response' => 403)
+		);
+	}
+
+	/**
+	 * Validate a payment callback, verify the payment with Vibe and update the order.
+	 *
+	 * @param  WC_Order $order
+	 * @param  string   $ref_id    Reference ID from the callback.
+	 * @param  string   $result    Result from the callback.
+	 * @param  int      $expires   Expiry timestamp from the callback.
+	 * @param  string   $signature Signature from the callback.
+	 * @return string Outcome: 'paid' when the order was already paid, 'verified', 'verification_unavailable',
+	 *                a verification failure ('verification_failed', 'order_mismatch', 'amount_mismatch')
+	 *                or the reason the callback was rejected.
+	 */
+	protected function process_callback($order, $ref_id, $result, $expires, $signature)
+	{
+		$rejection = $this->validate_callback($order, $expires, $signature);
+
+		// Only callbacks signed for this order are recorded, anyone can send the others
+		$signed = $order->get_meta('_vibe_callback_expires') && ! in_array($rejection, array('missing_signature', 'invalid_signature'), true);
+
+		// Prevent duplicate processing
+		if ($order->is_paid()) {
+			$this->log('Order already paid: ' . $order->get_id());
+
+			if (in_array($rejection, array('', 'expired', 'reused'), true)) {
+				return 'paid';
+			}
+
+			$this->log('Rejected callback for paid order ' . $order->get_id() . ': ' . $rejection);
+			return $rejection;
+		}
+
+		if ('' !== $rejection) {
+			$this->log('Rejected callback for order ' . $order->get_id() . ': ' . $rejection);
+			if ($signed) {
+				$this->record_callback_attempt($order, $ref_id, $result, $rejection);
+			}
+			return $rejection;
+		}
+
+		// Consume the callback before verifying, so a replay running alongside is rejected
+		$order->update_meta_data('_vibe_callback_consumed', $signature ? $signature : 'unsigned');
+		$order->save();
+
+		// Verify payment
+		$verification_result = $this->verify_payment($ref_id);
+
+		if (is_wp_error($verification_result)) {
+			$this->log('Payment verification unavailable for order ' . $order->get_id() . ': ' . $verification_result->get_error_message());
+			$order->delete_meta_data('_vibe_callback_consumed');
+			$order->save();
+			$this->record_callback_attempt($order, $ref_id, $result, 'verification_unavailable');
+			return 'verification_unavailable';
+		}
+
+		$failure_outcome = 'verification_failed';
+
+		// The verified payment must be the one created for this order
+		$uuid = $order->get_meta('_vibe_uuid_order_id');
+		if ($verification_result) {
+			$mismatch = $this->get_verification_mismatch($order, $verification_result);
+			if ('' !== $mismatch) {
+				$this->log('Verified payment ' . $ref_id . ' does not match Vibe order ' . $uuid . ': ' . $mismatch);
+				$failure_outcome = $mismatch;
+				$verification_result = false;
+			}
+		}
+
+		if (! $verification_result) {
 			// Log failure
 			$this->log('Payment verification failed for order: ' . $order->get_id());
+			$this->record_callback_attempt($order, $ref_id, $result, $failure_outcome);
 
 			// Update order status
 			$order->update_status(
@@ -476,14 +990,175 @@ class WC_Gateway_Vibe extends WC_Payment_Gateway
 				__('Payment failed or was declined.', 'woocommerce-gateway-vibe')
 			);
 
-			// Show error message with processing page
-			echo '<div style="text-align: center; padding: 50px 0;">';
-			echo '<h1>' . esc_html__('Payment Failed', 'woocommerce-gateway-vibe') . '</h1>';
-			echo '<p>' . esc_html__('Your payment could not be processed. Redirecting to checkout...', 'woocommerce-gateway-vibe') . '</p>';
-			echo '</div>';
-			echo '<script>setTimeout(function() { window.location = "' . esc_url(wc_get_checkout_url()) . '"; }, 2000);</script>';
+			return $failure_outcome;
+		}
 
-			exit;
+		$this->record_callback_attempt($order, $ref_id, $result, 'verified');
+
+		// Store reference ID
+		$order->update_meta_data('_vibe_reference_id', $ref_id);
+		$order->save();
+
+		// Keep the account the customer linked during this payment
+		$this->maybe_save_linked_account($order, $verification_result);
+
+		// Complete payment
+		$order->payment_complete($ref_id);
+
+		// Add note with both reference ID and UUID
+		/* translators: %1$s: Reference ID from Vibe Payment Gateway, %2$s: UUID v4 used for the order */
+		$order->add_order_note(sprintf(__('Payment completed via Vibe. Reference ID: %1$s, UUID: %2$s', 'woocommerce-gateway-vibe'), $ref_id, $uuid));
+
+		$this->log('Payment successful for order: ' . $order->get_id() . ' with reference: ' . $ref_id);
+
+		return 'verified';
+	}
+
+	/**
+	 * Get the callback URL Vibe sends the customer back to.
+	 *
+	 * The URL is signed with the order's Vibe UUID and an expiry time, so it
+	 * cannot be altered to confirm another order and stops working once the
+	 * customer starts a new payment for the order.
+	 *
+	 * @param  WC_Order $order
+	 * @param  string   $uuid    UUID of the Vibe order.
+	 * @param  int      $expires Timestamp the callback expires at.
+	 * @return string
+	 */
+	protected function get_callback_url($order, $uuid, $expires)
+	{
+		return add_query_arg(
+			array(
+				'wc-api'    => 'wc_gateway_vibe',
+				'order_id'  => $order->get_id(),
+				'expires'   => $expires,
+				'signature' => $this->get_callback_signature($order->get_id(), $uuid, $expires),
+			),
+			home_url('/')
+		);
+	}
+
+	/**
+	 * Sign the callback parameters.
+	 *
+	 * Keyed with the merchant API key and the site's auth salt.
+	 *
+	 * @param  int    $order_id
+	 * @param  string $uuid
+	 * @param  int    $expires
+	 * @return string HMAC-SHA256 signature.
+	 */
+	protected function get_callback_signature($order_id, $uuid, $expires)
+	{
+		return hash_hmac('sha256', $order_id . '|' . $uuid . '|' . $expires, wp_salt('auth') . $this->api_key);
+	}
+
+	/**
+	 * Get how long a callback URL stays valid.
+	 *
+	 * @return int Seconds.
+	 */
+	protected function get_callback_lifetime()
+	{
+		return (int) apply_filters('wc_vibe_callback_lifetime', DAY_IN_SECONDS, $this);
+	}
+
+	/**
+	 * Check the signature, expiry and single use of a callback.
+	 *
+	 * @param  WC_Order $order
+	 * @param  int      $expires   Expiry timestamp from the callback.
+	 * @param  string   $signature Signature from the callback.
+	 * @return string Rejection reason, empty when the callback is valid.
+	 */
+	protected function validate_callback($order, $expires, $signature)
+	{
+		$consumed = $order->get_meta('_vibe_callback_consumed');
+
+		// Orders created before callbacks were signed have no expiry stored
+		if (! $order->get_meta('_vibe_callback_expires')) {
+			return $consumed ? 'reused' : '';
+		}
+
+		if ('' === $signature || ! $expires) {
+			return 'missing_signature';
+		}
+
+		$expected = $this->get_callback_signature($order->get_id(), $order->get_meta('_vibe_uuid_order_id'), $expires);
+		if (! hash_equals($expected, $signature)) {
+			return 'invalid_signature';
+		}
+
+		if ($expires < time()) {
+			return 'expired';
+		}
+
+		if ($consumed && hash_equals((string) $consumed, $signature)) {
+			return 'reused';
+		}
+
+		return '';
+	}
+
+	/**
+	 * Check that a verified payment is the one created for an order.
+	 *
+	 * The verification response must name the order's Vibe UUID, and the
+	 * amount Vibe charged must equal the amount sent for the order.
+	 *
+	 * @param  WC_Order $order
+	 * @param  array    $verification Verification response from Vibe.
+	 * @return string Mismatch reason, empty when the payment belongs to the order.
+	 */
+	protected function get_verification_mismatch($order, $verification)
+	{
+		$uuid = (string) $order->get_meta('_vibe_uuid_order_id');
+
+		if ('' === $uuid || ! isset($verification['order_id']) || ! hash_equals($uuid, (string) $verification['order_id'])) {
+			return 'order_mismatch';
+		}
+
+		// Orders created before conversions were recorded have no amount to compare
+		$expected_amount = $order->get_meta('_vibe_converted_amount');
+		if ('' !== $expected_amount && (! isset($verification['cart_amount']) || (int) $verification['cart_amount'] !== (int) $expected_amount)) {
+			return 'amount_mismatch';
+		}
+
+		return '';
+	}
+
+	/**
+	 * Record a payment callback attempt and its outcome on the order.
+	 *
+	 * Keeps the latest attempts in the `_vibe_callback_attempts` meta and adds
+	 * an order note for rejected ones. Only called for callbacks signed for
+	 * the order, so anonymous requests cannot add notes.
+	 *
+	 * @param WC_Order $order
+	 * @param string   $ref_id  Reference ID from the callback.
+	 * @param string   $result  Result from the callback.
+	 * @param string   $outcome Outcome of the attempt.
+	 */
+	protected function record_callback_attempt($order, $ref_id, $result, $outcome)
+	{
+		$attempts = $order->get_meta('_vibe_callback_attempts');
+		$attempts = is_array($attempts) ? $attempts : array();
+
+		$attempts[] = array(
+			'time'    => time(),
+			'ref_id'  => $ref_id,
+			'result'  => $result,
+			'outcome' => $outcome,
+			'ip'      => WC_Geolocation::get_ip_address(),
+		);
+
+		$order->update_meta_data('_vibe_callback_attempts', array_slice($attempts, -20));
+		$order->save();
+
+		if (in_array($outcome, array('expired', 'reused', 'order_mismatch', 'amount_mismatch'), true)) {
+			/* translators: 1: Rejection reason code, 2: Reference ID from the callback */
+			$order->add_order_note(sprintf(__('Rejected a Vibe payment callback (%1$s). Reference ID: %2$s', 'woocommerce-gateway-vibe'), $outcome, $ref_id ? $ref_id : '-'));
 		}
 	}
 
@@ -491,7 +1166,8 @@ class WC_Gateway_Vibe extends WC_Payment_Gateway
 	 * Verify payment with Vibe Payment Gateway.
 	 *
 	 * @param  string $ref_id
-	 * @return bool
+	 * @return array|false|WP_Error Verification response on success, false when Vibe declines the
+	 *                              payment, WP_Error when Vibe could not be reached or failed to answer.
 	 */
 	protected function verify_payment($ref_id)
 	{
@@ -511,20 +1187,210 @@ class WC_Gateway_Vibe extends WC_Payment_Gateway
 
 		if (is_wp_error($response)) {
 			$this->log('Verification error: ' . $response->get_error_message());
-			return false;
+			return $response;
 		}
 
 		$body = wp_remote_retrieve_body($response);
 		$data = json_decode($body, true);
+		$code = (int) wp_remote_retrieve_response_code($response);
 
 		$this->log('Verification response: ' . wp_json_encode($data));
 
-		if (wp_remote_retrieve_response_code($response) !== 200) {
-			$this->log('Verification failed with status code: ' . wp_remote_retrieve_response_code($response));
+		// Server errors and rate limits say nothing about the payment itself
+		if ($code >= 500 || 429 === $code) {
+			$this->log('Verification unavailable with status code: ' . $code);
+			/* translators: %d: HTTP status code */
+			return new WP_Error('vibe_verification_unavailable', sprintf(__('Vibe answered the verification with status %d.', 'woocommerce-gateway-vibe'), $code));
+		}
+
+		if (200 !== $code) {
+			$this->log('Verification failed with status code: ' . $code);
 			return false;
 		}
 
-		return isset($data['status']) && $data['status'] === true;
+		return (isset($data['status']) && $data['status'] === true) ? $data : false;
+	}
+
+	/**
+	 * Keep the refund WooCommerce is about to pass to process_refund().
+	 *
+	 * @param WC_Order_Refund $refund
+	 */
+	public function track_created_refund($refund)
+	{
+		$this->created_refunds[$refund->get_parent_id()] = $refund;
+	}
+
+	/**
+	 * Refund a payment through Vibe.
+	 *
+	 * The amount is converted to whole Rials with the rate recorded when the
+	 * payment was created, rounded down and capped at what is left of the
+	 * amount Vibe captured. Refunding the rest of the order refunds the rest
+	 * of the captured amount, including Rials added by rounding up. A client
+	 * refund ID is added to the order's refund references before Vibe is
+	 * called and the Vibe refund ID once it answers, so the refunded webhook
+	 * for the same refund is ignored.
+	 *
+	 * @param  int        $order_id
+	 * @param  float|null $amount Amount to refund in the order currency.
+	 * @param  string     $reason Refund reason.
+	 * @return bool|WP_Error
+	 */
+	public function process_refund($order_id, $amount = null, $reason = '')
+	{
+		$order = wc_get_order($order_id);
+
+		if (! $order) {
+			return new WP_Error('vibe_refund_error', __('Order not found.', 'woocommerce-gateway-vibe'));
+		}
+
+		$ref_id = $order->get_meta('_vibe_reference_id');
+		$uuid   = $order->get_meta('_vibe_uuid_order_id');
+
+		if (! $ref_id) {
+			return new WP_Error('vibe_refund_error', __('This order has no Vibe reference ID, so it cannot be refunded through Vibe.', 'woocommerce-gateway-vibe'));
+		}
+
+		$refund    = isset($this->created_refunds[$order->get_id()]) ? $this->created_refunds[$order->get_id()] : null;
+		$decimals  = wc_get_price_decimals();
+		$remaining = round((float) $order->get_remaining_refund_amount(), $decimals);
+
+		// A refund created from the order screen is already deducted from the remaining amount
+		if (null === $amount) {
+			$full_refund = true;
+		} elseif ($refund && $refund->get_id()) {
+			$full_refund = $remaining <= 0;
+		} else {
+			$full_refund = round((float) $amount, $decimals) >= $remaining;
+		}
+
+		$amount = null === $amount ? $remaining : (float) $amount;
+		if ($amount <= 0) {
+			return new WP_Error('vibe_refund_error', __('Refund amount must be greater than zero.', 'woocommerce-gateway-vibe'));
+		}
+
+		// Orders paid before conversions were recorded use the current rate
+		$rate = (float) $order->get_meta('_vibe_exchange_rate');
+		if ($rate <= 0) {
+			$rate = (float) WC_Vibe_Currency_Converter::get_rate($order->get_currency());
+		}
+
+		if ($rate <= 0) {
+			/* translators: %s: Currency code */
+			return new WP_Error('vibe_refund_error', sprintf(__('Vibe does not support payments in %s.', 'woocommerce-gateway-vibe'), $order->get_currency()));
+		}
+
+		// Not the settlement rounding rule, which may round up past the refunded amount
+		$refund_amount = (int) floor(round($amount * $rate, 6));
+
+		$captured = $order->get_meta('_vibe_converted_amount');
+		if ('' !== $captured) {
+			$left = (int) $captured - (int) $order->get_meta('_vibe_refunded_amount');
+
+			// Rials the settlement rounding added to the captured amount go back with the last refund
+			$refund_amount = $full_refund ? $left : min($refund_amount, $left);
+		}
+
+		if ($refund_amount <= 0) {
+			return new WP_Error('vibe_refund_error', __('Nothing is left to refund through Vibe for this order.', 'woocommerce-gateway-vibe'));
+		}
+
+		$client_refund_id = 'wc-refund-' . ($refund && $refund->get_id() ? $refund->get_id() : wp_generate_uuid4());
+
+		// Recorded before calling Vibe, so a refunded webhook sent meanwhile is recognised
+		$this->update_refund_references($order->get_id(), $client_refund_id);
+
+		$this->log('Refunding ' . $refund_amount . ' ' . WC_Vibe_Currency_Converter::SETTLEMENT_CURRENCY . ' for order ' . $order_id . ' (ref_id: ' . $ref_id . ', UUID: ' . $uuid . ', client refund ID: ' . $client_refund_id . ')');
+
+		$response = wp_remote_post(
+			$this->refund_endpoint,
+			array(
+				'headers' => array(
+					'Content-Type' => 'application/json',
+					'X-API-Key'    => $this->api_key,
+				),
+				'body'    => wp_json_encode(array(
+					'ref_id'           => $ref_id,
+					'order_id'         => $uuid,
+					'amount'           => $refund_amount,
+					'reason'           => $reason,
+					'client_refund_id' => $client_refund_id,
+				)),
+				'timeout' => 60,
+			)
+		);
+
+		if (is_wp_error($response)) {
+			$this->log('Refund error: ' . $response->get_error_message());
+			$this->update_refund_references($order->get_id(), $client_refund_id, false);
+			/* translators: %s: Error message */
+			return new WP_Error('vibe_refund_error', sprintf(__('Could not reach Vibe to refund the payment: %s', 'woocommerce-gateway-vibe'), $response->get_error_message()));
+		}
+
+		$data = json_decode(wp_remote_retrieve_body($response), true);
+
+		$this->log('Refund response for order ' . $order_id . ': ' . wp_json_encode($data));
+
+		if (wp_remote_retrieve_response_code($response) !== 200 || (isset($data['status']) && true !== $data['status'])) {
+			$error_message = isset($data['detail']) ? $this->format_error_message($data['detail']) : __('Vibe rejected the refund.', 'woocommerce-gateway-vibe');
+			$order = $this->update_refund_references($order->get_id(), $client_refund_id, false);
+			/* translators: %s: Error message from Vibe */
+			$order->add_order_note(sprintf(__('Vibe refund failed: %s', 'woocommerce-gateway-vibe'), $error_message));
+			return new WP_Error('vibe_refund_error', $error_message);
+		}
+
+		$refund_id = isset($data['refund_id']) ? sanitize_text_field($data['refund_id']) : '';
+
+		// The webhook may have saved the order while Vibe was answering
+		$order = $this->update_refund_references($order->get_id(), $refund_id, true, $refund_amount);
+
+		if ($refund && '' !== $refund_id) {
+			$refund->update_meta_data('_vibe_refund_id', $refund_id);
+			$refund->save();
+		}
+
+		$order->add_order_note(sprintf(
+			/* translators: 1: Refunded amount, 2: Amount sent to Vibe in Rials, 3: Vibe refund reference, 4: Refund reason */
+			__('Refunded %1$s (%2$s IRR) via Vibe. Refund ID: %3$s. Reason: %4$s', 'woocommerce-gateway-vibe'),
+			wp_strip_all_tags(wc_price($amount, array('currency' => $order->get_currency()))),
+			$refund_amount,
+			$refund_id ? $refund_id : $client_refund_id,
+			$reason ? $reason : '-'
+		));
+
+		return true;
+	}
+
+	/**
+	 * Add or remove a refund reference on a freshly loaded order.
+	 *
+	 * @param  int    $order_id
+	 * @param  string $reference      Client or Vibe refund ID, ignored when empty.
+	 * @param  bool   $add            Whether to add or remove the reference.
+	 * @param  int    $refunded_rials Rials to add to the refunded total.
+	 * @return WC_Order
+	 */
+	protected function update_refund_references($order_id, $reference, $add = true, $refunded_rials = 0)
+	{
+		$order = wc_get_order($order_id);
+
+		$references = $order->get_meta('_vibe_refund_references');
+		$references = is_array($references) ? $references : array();
+
+		if ('' !== $reference) {
+			$references = $add ? array_merge($references, array($reference)) : array_diff($references, array($reference));
+		}
+
+		$order->update_meta_data('_vibe_refund_references', array_values(array_unique($references)));
+
+		if ($refunded_rials > 0) {
+			$order->update_meta_data('_vibe_refunded_amount', (int) $order->get_meta('_vibe_refunded_amount') + $refunded_rials);
+		}
+
+		$order->save();
+
+		return $order;
 	}
 
 	/**
@@ -0,0 +1,87 @@
+<?php
+
+/**
+ * WC_Payment_Token_Vibe class
+ *
+ * @package  WooCommerce Vibe Payment Gateway
+ * @since    1.3.0
+ */
+
+// Exit if accessed directly.
+if (! defined('ABSPATH')) {
+	exit;
+}
+
+/**
+ * Linked Vibe account payment token.
+ *
+ * The token value is the account token issued by Vibe when a customer links
+ * their account; the label is the masked account shown back to the customer.
+ *
+ * @class    WC_Payment_Token_Vibe
+ * @version  1.3.0
+ */
+class WC_Payment_Token_Vibe extends WC_Payment_Token
+{
+
+	/**
+	 * Token type.
+	 * @var string
+	 */
+	protected $type = 'Vibe';
+
+	/**
+	 * Vibe account token data.
+	 * @var array
+	 */
+	protected $extra_data = array(
+		'account_label' => '',
+	);
+
+	/**
+	 * Get the name shown for this token in lists.
+	 *
+	 * @param  string $deprecated Unused.
+	 * @return string
+	 */
+	public function get_display_name($deprecated = '')
+	{
+		/* translators: %s: Masked Vibe account label */
+		return sprintf(__('Vibe account %s', 'woocommerce-gateway-vibe'), $this->get_account_label());
+	}
+
+	/**
+	 * Validate the token before saving.
+	 *
+	 * @return bool
+	 */
+	public function validate()
+	{
+		if (false === parent::validate()) {
+			return false;
+		}
+
+		return '' !== (string) $this->get_account_label('edit');
+	}
+
+	/**
+	 * Get the masked account label.
+	 *
+	 * @param  string $context What the value is for. Valid values are view and edit.
+	 * @return string
+	 */
+	public function get_account_label($context = 'view')
+	{
+		return $this->get_prop('account_label', $context);
+	}
+
+	/**
+	 * Set the masked account label.
+	 *
+	 * @param string $label Masked account label.
+	 */
+	public function set_account_label($label)
+	{
+		$this->set_prop('account_label', sanitize_text_field($label));
+	}
+}
@@ -67,6 +67,7 @@ class WC_Vibe_Admin_Interface
 		add_action('admin_post_toggle_vibe_pricing_rule', array($this, 'toggle_pricing_rule'));
 		add_action('admin_post_save_vibe_pricing_settings', array($this, 'save_pricing_settings'));
 		add_action('admin_post_save_vibe_display_settings', array($this, 'save_display_settings'));
+		add_action('admin_post_export_vibe_pricing_rules', array($this, 'export_pricing_rules'));
 
 		// Handle form submissions for current page
 		add_action('admin_init', array($this, 'handle_form_submissions'));
@@ -74,6 +75,16 @@ class WC_Vibe_Admin_Interface
 		// AJAX handlers
 		add_action('wp_ajax_vibe_get_pricing_stats', array($this, 'ajax_get_pricing_stats'));
 		add_action('wp_ajax_vibe_clear_pricing_cache', array($this, 'ajax_clear_pricing_cache'));
+		add_action('wp_ajax_vibe_simulate_pricing_rules', array($this, 'ajax_simulate_pricing_rules'));
+		add_action('wp_ajax_vibe_preview_price_display', array($this, 'ajax_preview_price_display'));
+		add_action('wp_ajax_vibe_preview_rule_import', array($this, 'ajax_preview_rule_import'));
+		add_action('wp_ajax_vibe_import_pricing_rules', array($this, 'ajax_import_pricing_rules'));
+		add_action('wp_ajax_vibe_get_rule_history', array($this, 'ajax_get_rule_history'));
+		add_action('wp_ajax_vibe_restore_rule_version', array($this, 'ajax_restore_rule_version'));
+		add_action('wp_ajax_vibe_bulk_pricing_rules', array($this, 'ajax_bulk_pricing_rules'));
+		add_action('wp_ajax_vibe_reorder_pricing_rules', array($this, 'ajax_reorder_pricing_rules'));
+		add_action('wp_ajax_vibe_update_pricing_rule', array($this, 'ajax_update_pricing_rule'));
+		add_action('wp_ajax_vibe_undo_pricing_rules', array($this, 'ajax_undo_pricing_rules'));
 
 		// Add settings link to plugins page
 		add_filter('plugin_action_links_' . plugin_basename(WC_VIBE_PLUGIN_FILE), array($this, 'add_plugin_action_links'));
@@ -142,6 +153,15 @@ class WC_Vibe_Admin_Interface
 				<a href="?page=vibe-dynamic-pricing&tab=add-rule" class="nav-tab <?php echo $current_tab === 'add-rule' ? 'nav-tab-active' : ''; ?>">
 					<?php _e('Add Rule', 'woocommerce-gateway-vibe'); ?>
 				</a>
+				<a href="?page=vibe-dynamic-pricing&tab=schedule" class="nav-tab <?php echo $current_tab === 'schedule' ? 'nav-tab-active' : ''; ?>">
+					<?php _e('Schedule', 'woocommerce-gateway-vibe'); ?>
+				</a>
+				<a href="?page=vibe-dynamic-pricing&tab=simulator" class="nav-tab <?php echo $current_tab === 'simulator' ? 'nav-tab-active' : ''; ?>">
+					<?php _e('Rule Simulator', 'woocommerce-gateway-vibe'); ?>
+				</a>
+				<a href="?page=vibe-dynamic-pricing&tab=import-export" class="nav-tab <?php echo $current_tab === 'import-export' ? 'nav-tab-active' : ''; ?>">
+					<?php _e('Import / Export', 'woocommerce-gateway-vibe'); ?>
+				</a>
 			</nav>
 
 			<div class="tab-content">
@@ -151,6 +171,15 @@ class WC_Vibe_Admin_Interface
 					case 'edit-rule':
 						$this->display_add_rule_form();
 						break;
+					case 'schedule':
+						$this->display_rule_timeline();
+						break;
+					case 'simulator':
+						$this->display_rule_simulator();
+						break;
+					case 'import-export':
+						$this->display_rule_import_export();
+						break;
 					default:
 						$this->display_rules_list();
 						break;
@@ -176,18 +205,22 @@ class WC_Vibe_Admin_Interface
 						<option value="-1"><?php _e('Bulk Actions', 'woocommerce-gateway-vibe'); ?></option>
 						<option value="enable"><?php _e('Enable', 'woocommerce-gateway-vibe'); ?></option>
 						<option value="disable"><?php _e('Disable', 'woocommerce-gateway-vibe'); ?></option>
+						<option value="duplicate"><?php _e('Duplicate', 'woocommerce-gateway-vibe'); ?></option>
 						<option value="delete"><?php _e('Delete', 'woocommerce-gateway-vibe'); ?></option>
 					</select>
-					<input type="submit" class="button action" value="<?php _e('Apply', 'woocommerce-gateway-vibe'); ?>">
+					<button type="button" id="doaction" class="button action"><?php _e('Apply', 'woocommerce-gateway-vibe'); ?></button>
 				</div>
 				<div class="alignright">
+					<button type="button" class="button vibe-open-history" data-rule-id="0">
+						<?php _e('Change History', 'woocommerce-gateway-vibe'); ?>
+					</button>
 					<a href="?page=vibe-dynamic-pricing&tab=add-rule" class="button button-primary">
 						<?php _e('Add New Rule', 'woocommerce-gateway-vibe'); ?>
 					</a>
 				</div>
 			</div>
 
-			<table class="wp-list-table widefat fixed striped">
+			<table id="vibe-rules-table" class="wp-list-table widefat fixed striped" data-nonce="<?php echo esc_attr(wp_create_nonce('vibe_manage_pricing_rules')); ?>">
 				<thead>
 					<tr>
 						<td class="manage-column column-cb check-column">
@@ -202,109 +235,310 @@ class WC_Vibe_Admin_Interface
 					</tr>
 				</thead>
 				<tbody>
-					<?php if (empty($rules)): ?>
-						<tr>
-							<td colspan="7" class="no-items">
-								<?php _e('No pricing rules found.', 'woocommerce-gateway-vibe'); ?>
-								<a href="?page=vibe-dynamic-pricing&tab=add-rule"><?php _e('Create your first rule', 'woocommerce-gateway-vibe'); ?></a>
-							</td>
-						</tr>
-					<?php else: ?>
-						<?php foreach ($rules as $rule): ?>
-							<tr>
-								<th scope="row" class="check-column">
-									<input type="checkbox" name="rule_ids[]" value="<?php echo esc_attr($rule['id']); ?>">
-								</th>
-								<td class="column-name">
-									<strong>
-										<a href="?page=vibe-dynamic-pricing&tab=edit-rule&rule_id=<?php echo esc_attr($rule['id']); ?>">
-											<?php echo esc_html($rule['name']); ?>
-										</a>
-									</strong>
-									<?php if (!empty($rule['description'])): ?>
-										<p class="description"><?php echo esc_html($rule['description']); ?></p>
-									<?php endif; ?>
-								</td>
-								<td class="column-priority">
-									<?php echo esc_html($rule['priority']); ?>
-								</td>
-								<td class="column-targeting">
-									<?php
-									$product_conditions = !empty($rule['product_conditions']) ? json_decode($rule['product_conditions'], true) : array();
-									$target_type = isset($product_conditions['target_type']) ? $product_conditions['target_type'] : 'all';
-
-									switch ($target_type) {
-										case 'all':
-											echo '<strong>' . __('All Products', 'woocommerce-gateway-vibe') . '</strong>';
-											break;
-										case 'specific':
-											$count = isset($product_conditions['product_ids']) ? count($product_conditions['product_ids']) : 0;
-											echo '<strong>' . __('Specific Products', 'woocommerce-gateway-vibe') . '</strong><br>';
-											/* translators: %d: number of products selected for the pricing rule */
-											echo sprintf(_n('%d product', '%d products', $count, 'woocommerce-gateway-vibe'), $count);
-											break;
-										case 'categories':
-											$count = isset($product_conditions['categories']) ? count($product_conditions['categories']) : 0;
-											$logic = isset($product_conditions['category_logic']) ? $product_conditions['category_logic'] : 'OR';
-											echo '<strong>' . __('Categories', 'woocommerce-gateway-vibe') . '</strong><br>';
-											/* translators: %d: number of categories selected for the pricing rule */
-											echo sprintf(_n('%d category', '%d categories', $count, 'woocommerce-gateway-vibe'), $count) . ' (' . $logic . ')';
-											break;
-										case 'tags':
-											$count = isset($product_conditions['tags']) ? count($product_conditions['tags']) : 0;
-											$logic = isset($product_conditions['tag_logic']) ? $product_conditions['tag_logic'] : 'OR';
-											echo '<strong>' . __('Tags', 'woocommerce-gateway-vibe') . '</strong><br>';
-											/* translators: %d: number of tags selected for the pricing rule */
-											echo sprintf(_n('%d tag', '%d tags', $count, 'woocommerce-gateway-vibe'), $count) . ' (' . $logic . ')';
-											break;
-										case 'price_range':
-											echo '<strong>' . __('Price Range', 'woocommerce-gateway-vibe') . '</strong><br>';
-											$min = isset($product_conditions['min_price']) ? $product_conditions['min_price'] : '';
-											$max = isset($product_conditions['max_price']) ? $product_conditions['max_price'] : '';
-											echo $this->format_price_range_display($min, $max);
-											break;
-										case 'complex':
-											echo '<strong>' . __('Complex Logic', 'woocommerce-gateway-vibe') . '</strong>';
-											break;
-										default:
-											echo '<em>' . __('All Products', 'woocommerce-gateway-vibe') . '</em>';
-											break;
-									}
-									?>
-								</td>
-								<td class="column-adjustment">
-									<?php
-									$adjustment = !empty($rule['price_adjustment']) ? json_decode($rule['price_adjustment'], true) : array();
-									if (!empty($adjustment)) {
-										$type = $adjustment['type'];
-										$value = $adjustment['value'];
-										echo $this->format_price_adjustment_display($type, $value);
-									}
-									?>
-								</td>
-								<td class="column-status">
-									<span class="status-<?php echo esc_attr($rule['status']); ?>">
-										<?php echo $rule['status'] === 'active' ? __('Active', 'woocommerce-gateway-vibe') : __('Inactive', 'woocommerce-gateway-vibe'); ?>
-									</span>
-								</td>
-								<td class="column-actions">
-									<a href="?page=vibe-dynamic-pricing&tab=edit-rule&rule_id=<?php echo esc_attr($rule['id']); ?>" class="button button-small">
-										<?php _e('Edit', 'woocommerce-gateway-vibe'); ?>
-									</a>
-									<a href="<?php echo wp_nonce_url(admin_url('admin-post.php?action=toggle_vibe_pricing_rule&rule_id=' . $rule['id']), 'toggle_rule_' . $rule['id']); ?>" class="button button-small">
-										<?php echo $rule['status'] === 'active' ? __('Disable', 'woocommerce-gateway-vibe') : __('Enable', 'woocommerce-gateway-vibe'); ?>
-									</a>
-									<a href="<?php echo wp_nonce_url(admin_url('admin-post.php?action=delete_vibe_pricing_rule&rule_id=' . $rule['id']), 'delete_rule_' . $rule['id']); ?>"
-										class="button button-small button-link-delete"
-										onclick="return confirm('<?php _e('Are you sure you want to delete this rule?', 'woocommerce-gateway-vibe'); ?>')">
-										<?php _e('Delete', 'woocommerce-gateway-vibe'); ?>
-									</a>
-								</td>
-							</tr>
-						<?php endforeach; ?>
-					<?php endif; ?>
+					<?php $this->display_rules_table_rows($rules); ?>
 				</tbody>
 			</table>
+
+			<div id="vibe-rule-history" class="vibe-history-drawer" data-nonce="<?php echo esc_attr(wp_create_nonce('vibe_rule_history')); ?>" aria-hidden="true">
+				<div class="vibe-history-header">
+					<h2 class="vibe-history-title"></h2>
+					<button type="button" class="button-link vibe-history-close" aria-label="<?php esc_attr_e('Close', 'woocommerce-gateway-vibe'); ?>">
+						<span class="dashicons dashicons-no-alt"></span>
+					</button>
+				</div>
+				<div class="vibe-history-body"></div>
+			</div>
+
+			<div id="vibe-undo-toast" class="vibe-undo-toast" role="status" aria-live="polite"></div>
+		</div>
+	<?php
+	}
+
+	/**
+	 * Display the rows of the rules list.
+	 *
+	 * Also rendered by the rules list AJAX actions to refresh the table.
+	 *
+	 * @param array $rules Pricing rules.
+	 */
+	private function display_rules_table_rows($rules)
+	{
+	?>
+		<?php if (empty($rules)): ?>
+			<tr>
+				<td colspan="7" class="no-items">
+					<?php _e('No pricing rules found.', 'woocommerce-gateway-vibe'); ?>
+					<a href="?page=vibe-dynamic-pricing&tab=add-rule"><?php _e('Create your first rule', 'woocommerce-gateway-vibe'); ?></a>
+				</td>
+			</tr>
+		<?php else: ?>
+			<?php foreach ($rules as $rule): ?>
+				<tr data-rule-id="<?php echo esc_attr($rule['id']); ?>">
+					<th scope="row" class="check-column">
+						<input type="checkbox" name="rule_ids[]" value="<?php echo esc_attr($rule['id']); ?>">
+					</th>
+					<td class="column-name">
+						<strong>
+							<a href="?page=vibe-dynamic-pricing&tab=edit-rule&rule_id=<?php echo esc_attr($rule['id']); ?>">
+								<?php echo esc_html($rule['name']); ?>
+							</a>
+						</strong>
+						<?php if (!empty($rule['description'])): ?>
+							<p class="description"><?php echo esc_html($rule['description']); ?></p>
+						<?php endif; ?>
+					</td>
+					<td class="column-priority">
+						<span class="vibe-drag-handle dashicons dashicons-menu" title="<?php esc_attr_e('Drag to change priority', 'woocommerce-gateway-vibe'); ?>"></span>
+						<?php echo esc_html($rule['priority']); ?>
+					</td>
+					<td class="column-targeting">
+						<?php
+						$product_conditions = !empty($rule['product_conditions']) ? json_decode($rule['product_conditions'], true) : array();
+						$target_type = isset($product_conditions['target_type']) ? $product_conditions['target_type'] : 'all';
+
+						switch ($target_type) {
+							case 'all':
+								echo '<strong>' . __('All Products', 'woocommerce-gateway-vibe') . '</strong>';
+								break;
+							case 'specific':
+								$count = isset($product_conditions['product_ids']) ? count($product_conditions['product_ids']) : 0;
+								echo '<strong>' . __('Specific Products', 'woocommerce-gateway-vibe') . '</strong><br>';
+								/* translators: %d: number of products selected for the pricing rule */
+								echo sprintf(_n('%d product', '%d products', $count, 'woocommerce-gateway-vibe'), $count);
+								break;
+							case 'categories':
+								$count = isset($product_conditions['categories']) ? count($product_conditions['categories']) : 0;
+								$logic = isset($product_conditions['category_logic']) ? $product_conditions['category_logic'] : 'OR';
+								echo '<strong>' . __('Categories', 'woocommerce-gateway-vibe') . '</strong><br>';
+								/* translators: %d: number of categories selected for the pricing rule */
+								echo sprintf(_n('%d category', '%d categories', $count, 'woocommerce-gateway-vibe'), $count) . ' (' . $logic . ')';
+								break;
+							case 'tags':
+								$count = isset($product_conditions['tags']) ? count($product_conditions['tags']) : 0;
+								$logic = isset($product_conditions['tag_logic']) ? $product_conditions['tag_logic'] : 'OR';
+								echo '<strong>' . __('Tags', 'woocommerce-gateway-vibe') . '</strong><br>';
+								/* translators: %d: number of tags selected for the pricing rule */
+								echo sprintf(_n('%d tag', '%d tags', $count, 'woocommerce-gateway-vibe'), $count) . ' (' . $logic . ')';
+								break;
+							case 'price_range':
+								echo '<strong>' . __('Price Range', 'woocommerce-gateway-vibe') . '</strong><br>';
+								$min = isset($product_conditions['min_price']) ? $product_conditions['min_price'] : '';
+								$max = isset($product_conditions['max_price']) ? $product_conditions['max_price'] : '';
+								echo $this->format_price_range_display($min, $max);
+								break;
+							case 'complex':
+								echo '<strong>' . __('Complex Logic', 'woocommerce-gateway-vibe') . '</strong>';
+								break;
+							default:
+								echo '<em>' . __('All Products', 'woocommerce-gateway-vibe') . '</em>';
+								break;
+						}
+						?>
+					</td>
+					<?php $adjustment = !empty($rule['price_adjustment']) ? json_decode($rule['price_adjustment'], true) : array(); ?>
+					<td class="column-adjustment" data-type="<?php echo esc_attr(isset($adjustment['type']) ? $adjustment['type'] : 'percentage'); ?>" data-value="<?php echo esc_attr(isset($adjustment['value']) ? $adjustment['value'] : 0); ?>">
+						<?php
+						if (!empty($adjustment)) {
+							$type = $adjustment['type'];
+							$value = $adjustment['value'];
+							echo $this->format_price_adjustment_display($type, $value);
+						}
+						?>
+						<button type="button" class="button-link vibe-inline-edit" aria-label="<?php esc_attr_e('Edit price adjustment', 'woocommerce-gateway-vibe'); ?>">
+							<span class="dashicons dashicons-edit"></span>
+						</button>
+					</td>
+					<td class="column-status">
+						<span class="status-<?php echo esc_attr($rule['status']); ?>">
+							<?php echo $rule['status'] === 'active' ? __('Active', 'woocommerce-gateway-vibe') : __('Inactive', 'woocommerce-gateway-vibe'); ?>
+						</span>
+						<?php
+						$schedule = !empty($rule['schedule']) ? json_decode($rule['schedule'], true) : array();
+						if (WC_Vibe_Rule_Schedule::is_scheduled($schedule)): ?>
+							<br><span class="description">
+								<?php echo WC_Vibe_Rule_Schedule::is_active($schedule) ? __('Scheduled, on now', 'woocommerce-gateway-vibe') : __('Scheduled, off now', 'woocommerce-gateway-vibe'); ?>
+							</span>
+						<?php endif; ?>
+					</td>
+					<td class="column-actions">
+						<a href="?page=vibe-dynamic-pricing&tab=edit-rule&rule_id=<?php echo esc_attr($rule['id']); ?>" class="button button-small">
+							<?php _e('Edit', 'woocommerce-gateway-vibe'); ?>
+						</a>
+						<a href="<?php echo wp_nonce_url(admin_url('admin-post.php?action=toggle_vibe_pricing_rule&rule_id=' . $rule['id']), 'toggle_rule_' . $rule['id']); ?>" class="button button-small vibe-toggle-rule">
+							<?php echo $rule['status'] === 'active' ? __('Disable', 'woocommerce-gateway-vibe') : __('Enable', 'woocommerce-gateway-vibe'); ?>
+						</a>
+						<button type="button" class="button button-small vibe-open-history" data-rule-id="<?php echo esc_attr($rule['id']); ?>" data-rule-name="<?php echo esc_attr($rule['name']); ?>">
+							<?php _e('History', 'woocommerce-gateway-vibe'); ?>
+						</button>
+						<a href="<?php echo wp_nonce_url(admin_url('admin-post.php?action=delete_vibe_pricing_rule&rule_id=' . $rule['id']), 'delete_rule_' . $rule['id']); ?>"
+							class="button button-small button-link-delete"
+							onclick="return confirm('<?php _e('Are you sure you want to delete this rule?', 'woocommerce-gateway-vibe'); ?>')">
+							<?php _e('Delete', 'woocommerce-gateway-vibe'); ?>
+						</a>
+					</td>
+				</tr>
+			<?php endforeach; ?>
+		<?php endif; ?>
+	<?php
+	}
+
+	/**
+	 * Display the timeline of active rules for the next two weeks.
+	 */
+	private function display_rule_timeline()
+	{
+		$range_start = (new DateTimeImmutable('today', wp_timezone()))->getTimestamp();
+		$range_end = $range_start + 14 * DAY_IN_SECONDS;
+
+		$timeline = array(
+			'range' => array($range_start, $range_end),
+			'utc_offset' => wp_timezone()->getOffset(new DateTime('now')),
+			'days' => array(),
+			'rules' => array(),
+		);
+
+		for ($day = $range_start; $day < $range_end; $day += DAY_IN_SECONDS) {
+			$timeline['days'][] = wp_date('D j M', $day);
+		}
+
+		foreach ($this->get_pricing_rules() as $rule) {
+			if ('active' !== $rule['status']) {
+				continue;
+			}
+
+			$schedule = !empty($rule['schedule']) ? json_decode($rule['schedule'], true) : array();
+
+			$timeline['rules'][] = array(
+				'id' => (int) $rule['id'],
+				'name' => $rule['name'],
+				'priority' => (int) $rule['priority'],
+				'scheduled' => WC_Vibe_Rule_Schedule::is_scheduled($schedule),
+				'periods' => WC_Vibe_Rule_Schedule::get_active_periods($schedule, $range_start, $range_end),
+				'edit_url' => admin_url('admin.php?page=vibe-dynamic-pricing&tab=edit-rule&rule_id=' . $rule['id']),
+			);
+		}
+
+	?>
+		<div class="vibe-rule-timeline-wrap">
+			<p><?php _e('Enabled rules over the next two weeks. Where rules overlap, the rule with the highest priority wins for the products both target.', 'woocommerce-gateway-vibe'); ?></p>
+			<div id="vibe-rule-timeline" data-timeline="<?php echo esc_attr(wp_json_encode($timeline)); ?>"></div>
+		</div>
+	<?php
+	}
+
+	/**
+	 * Display the rule simulator.
+	 */
+	private function display_rule_simulator()
+	{
+		$payment_gateways = WC()->payment_gateways()->payment_gateways();
+
+	?>
+		<div class="vibe-rule-simulator">
+			<p><?php _e('See which active rule wins for a product before it goes live, and why.', 'woocommerce-gateway-vibe'); ?></p>
+
+			<form id="vibe-rule-simulator-form" data-nonce="<?php echo esc_attr(wp_create_nonce('vibe_simulate_pricing_rules')); ?>">
+				<table class="form-table">
+					<tr>
+						<th scope="row">
+							<label for="simulator_product_id"><?php _e('Product', 'woocommerce-gateway-vibe'); ?></label>
+						</th>
+						<td>
+							<select id="simulator_product_id" name="product_id" class="wc-product-search" style="width: 400px;" data-placeholder="<?php esc_attr_e('Search for a product or variation&hellip;', 'woocommerce-gateway-vibe'); ?>" data-action="woocommerce_json_search_products_and_variations"></select>
+						</td>
+					</tr>
+					<tr>
+						<th scope="row">
+							<label for="simulator_payment_method"><?php _e('Payment Method', 'woocommerce-gateway-vibe'); ?></label>
+						</th>
+						<td>
+							<select id="simulator_payment_method" name="payment_method">
+								<option value=""><?php _e('None selected', 'woocommerce-gateway-vibe'); ?></option>
+								<?php foreach ($payment_gateways as $gateway): ?>
+									<option value="<?php echo esc_attr($gateway->id); ?>" <?php selected($gateway->id, 'vibe'); ?>><?php echo esc_html($gateway->get_title()); ?></option>
+								<?php endforeach; ?>
+							</select>
+						</td>
+					</tr>
+					<tr>
+						<th scope="row">
+							<label for="simulator_referrer"><?php _e('Referrer', 'woocommerce-gateway-vibe'); ?></label>
+						</th>
+						<td>
+							<input type="text" id="simulator_referrer" name="referrer" class="regular-text" placeholder="vibe.ir">
+							<p class="description"><?php _e('Domain the visitor came from. Leave empty for direct visits.', 'woocommerce-gateway-vibe'); ?></p>
+						</td>
+					</tr>
+					<tr>
+						<th scope="row">
+							<label for="simulator_context"><?php _e('Context', 'woocommerce-gateway-vibe'); ?></label>
+						</th>
+						<td>
+							<select id="simulator_context" name="context">
+								<option value="application"><?php _e('Price charged in cart and checkout', 'woocommerce-gateway-vibe'); ?></option>
+								<option value="display"><?php _e('Price shown on product pages', 'woocommerce-gateway-vibe'); ?></option>
+							</select>
+						</td>
+					</tr>
+				</table>
+
+				<p class="submit">
+					<button type="submit" class="button-primary"><?php _e('Simulate', 'woocommerce-gateway-vibe'); ?></button>
+				</p>
+			</form>
+
+			<div id="vibe-rule-simulator-results"></div>
+		</div>
+	<?php
+	}
+
+	/**
+	 * Display the rule import and export screen.
+	 */
+	private function display_rule_import_export()
+	{
+		$rule_count = count($this->get_pricing_rules());
+
+	?>
+		<div class="vibe-rule-import-export">
+			<div class="card">
+				<h2><?php _e('Export Rules', 'woocommerce-gateway-vibe'); ?></h2>
+				<p>
+					<?php
+					/* translators: %d: Number of pricing rules */
+					echo esc_html(sprintf(_n('Download all %d rule as a JSON file.', 'Download all %d rules as a JSON file.', $rule_count, 'woocommerce-gateway-vibe'), $rule_count));
+					?>
+					<?php _e('Products are written by SKU and categories and tags by slug, so the file can be imported into another store.', 'woocommerce-gateway-vibe'); ?>
+				</p>
+				<p>
+					<a href="<?php echo esc_url(wp_nonce_url(admin_url('admin-post.php?action=export_vibe_pricing_rules'), 'export_pricing_rules')); ?>" class="button button-primary">
+						<?php _e('Download Export', 'woocommerce-gateway-vibe'); ?>
+					</a>
+				</p>
+			</div>
+
+			<div class="card">
+				<h2><?php _e('Import Rules', 'woocommerce-gateway-vibe'); ?></h2>
+				<form id="vibe-rule-import-form" data-nonce="<?php echo esc_attr(wp_create_nonce('vibe_import_pricing_rules')); ?>">
+					<p>
+						<input type="file" id="vibe-rule-import-file" accept=".json,application/json">
+					</p>
+					<fieldset>
+						<label>
+							<input type="radio" name="import_mode" value="merge" checked="checked">
+							<?php _e('Merge: add new rules and update rules with the same name. Other rules are kept.', 'woocommerce-gateway-vibe'); ?>
+						</label><br>
+						<label>
+							<input type="radio" name="import_mode" value="overwrite">
+							<?php _e('Overwrite: make this store match the file. Rules that are not in the file are deleted.', 'woocommerce-gateway-vibe'); ?>
+						</label>
+					</fieldset>
+					<p>
+						<button type="submit" class="button"><?php _e('Preview Import', 'woocommerce-gateway-vibe'); ?></button>
+					</p>
+				</form>
+				<div id="vibe-rule-import-preview"></div>
+			</div>
 		</div>
 	<?php
 	}
@@ -569,6 +803,56 @@ class WC_Vibe_Admin_Interface
 						</label>
 					</td>
 				</tr>
+
+				<tr>
+					<th scope="row">
+						<label for="schedule_start"><?php _e('Schedule', 'woocommerce-gateway-vibe'); ?></label>
+					</th>
+					<td>
+						<?php
+						$schedule = !empty($rule['schedule']) ? json_decode($rule['schedule'], true) : array();
+						$schedule_days = isset($schedule['days']) ? $schedule['days'] : array();
+						$weekdays = array(
+							6 => __('Saturday', 'woocommerce-gateway-vibe'),
+							0 => __('Sunday', 'woocommerce-gateway-vibe'),
+							1 => __('Monday', 'woocommerce-gateway-vibe'),
+							2 => __('Tuesday', 'woocommerce-gateway-vibe'),
+							3 => __('Wednesday', 'woocommerce-gateway-vibe'),
+							4 => __('Thursday', 'woocommerce-gateway-vibe'),
+							5 => __('Friday', 'woocommerce-gateway-vibe'),
+						);
+						?>
+						<div class="vibe-rule-schedule">
+							<p>
+								<label for="schedule_start"><?php _e('Starts:', 'woocommerce-gateway-vibe'); ?></label>
+								<input type="datetime-local" id="schedule_start" name="schedule_start" value="<?php echo esc_attr(isset($schedule['start']) ? str_replace(' ', 'T', $schedule['start']) : ''); ?>">
+								<label for="schedule_end"><?php _e('Ends:', 'woocommerce-gateway-vibe'); ?></label>
+								<input type="datetime-local" id="schedule_end" name="schedule_end" value="<?php echo esc_attr(isset($schedule['end']) ? str_replace(' ', 'T', $schedule['end']) : ''); ?>">
+							</p>
+							<p>
+								<?php _e('Only on:', 'woocommerce-gateway-vibe'); ?>
+								<?php foreach ($weekdays as $day => $day_name): ?>
+									<label class="vibe-schedule-day">
+										<input type="checkbox" name="schedule_days[]" value="<?php echo esc_attr($day); ?>" <?php checked(in_array($day, $schedule_days)); ?>>
+										<?php echo esc_html($day_name); ?>
+									</label>
+								<?php endforeach; ?>
+							</p>
+							<p>
+								<label for="schedule_time_from"><?php _e('Between:', 'woocommerce-gateway-vibe'); ?></label>
+								<input type="time" id="schedule_time_from" name="schedule_time_from" value="<?php echo esc_attr(isset($schedule['time_from']) ? $schedule['time_from'] : ''); ?>">
+								<label for="schedule_time_to"><?php _e('and', 'woocommerce-gateway-vibe'); ?></label>
+								<input type="time" id="schedule_time_to" name="schedule_time_to" value="<?php echo esc_attr(isset($schedule['time_to']) ? $schedule['time_to'] : ''); ?>">
+							</p>
+							<p class="description">
+								<?php
+								/* translators: %s: Site timezone name */
+								printf(__('Leave empty to keep the rule on whenever it is enabled. Times are in the site timezone (%s); a time range ending before it starts runs past midnight.', 'woocommerce-gateway-vibe'), esc_html(wp_timezone_string()));
+								?>
+							</p>
+						</div>
+					</td>
+				</tr>
 			</table>
 
 			<p class="submit">
@@ -633,6 +917,16 @@ class WC_Vibe_Admin_Interface
 					'original_price_prefix' => 'قیمت نقدی ',
 				);
 				$settings = wp_parse_args($settings, $defaults);
+
+				// Start the live preview with the newest product
+				$preview_products = wc_get_products(array(
+					'limit' => 1,
+					'type' => 'simple',
+					'status' => 'publish',
+					'orderby' => 'date',
+					'order' => 'DESC'
+				));
+				$preview_product = $preview_products ? $preview_products[0] : null;
 				?>
 
 				<table class="form-table">
@@ -669,6 +963,26 @@ class WC_Vibe_Admin_Interface
 						</td>
 					</tr>
 
+					<tr>
+						<th scope="row"><label for="attribution_lifetime"><?php _e('Referrer Attribution', 'woocommerce-gateway-vibe'); ?></label></th>
+						<td>
+							<input type="number" id="attribution_lifetime" name="attribution_lifetime" value="<?php echo esc_attr(get_option('wc_vibe_attribution_lifetime', 30)); ?>" min="0" max="365" step="1" class="small-text">
+							<?php _e('days', 'woocommerce-gateway-vibe'); ?>
+							<p class="description"><?php _e('How long the landing referrer and UTM parameters are remembered, so referrer conditions keep matching while the visitor browses the store. Use 0 to remember them only until the browser is closed.', 'woocommerce-gateway-vibe'); ?></p>
+						</td>
+					</tr>
+
+					<tr>
+						<th scope="row"><?php _e('Payment Method Comparison', 'woocommerce-gateway-vibe'); ?></th>
+						<td>
+							<label>
+								<input type="checkbox" name="show_payment_comparison" value="yes" <?php checked(get_option('wc_vibe_show_payment_comparison', 'no'), 'yes'); ?>>
+								<?php _e('Show the order total with each payment method on the cart and checkout', 'woocommerce-gateway-vibe'); ?>
+							</label>
+							<p class="description"><?php _e('Lists every enabled payment method with its order total and the difference, so customers can see how much they save with Vibe. Hidden when all methods give the same total.', 'woocommerce-gateway-vibe'); ?></p>
+						</td>
+					</tr>
+
 					<tr>
 						<th scope="row"><?php _e('Price Styling', 'woocommerce-gateway-vibe'); ?></th>
 						<td>
@@ -789,7 +1103,6 @@ class WC_Vibe_Admin_Interface
 											<label class="vibe-field-label"><?php _e('Special pricing for Vibe users', 'woocommerce-gateway-vibe'); ?></label>
 											<div class="vibe-input-wrapper">
 												<input type="text" name="new_price_prefix" value="<?php echo esc_attr($settings['new_price_prefix']); ?>" placeholder="<?php _e('e.g., Special Price:', 'woocommerce-gateway-vibe'); ?>" class="vibe-prefix-input">
-												<span class="vibe-input-preview"><?php echo esc_html($settings['new_price_prefix']); ?>1,100 تومان</span>
 											</div>
 										</div>
 									</div>
@@ -806,7 +1119,6 @@ class WC_Vibe_Admin_Interface
 											<label class="vibe-field-label"><?php _e('Standard pricing for reference', 'woocommerce-gateway-vibe'); ?></label>
 											<div class="vibe-input-wrapper">
 												<input type="text" name="original_price_prefix" value="<?php echo esc_attr($settings['original_price_prefix']); ?>" placeholder="<?php _e('e.g., Regular Price:', 'woocommerce-gateway-vibe'); ?>" class="vibe-prefix-input">
-												<span class="vibe-input-preview"><?php echo esc_html($settings['original_price_prefix']); ?>1,000 تومان</span>
 											</div>
 										</div>
 									</div>
@@ -821,21 +1133,36 @@ class WC_Vibe_Admin_Interface
 						<th scope="row"><?php _e('Live Preview', 'woocommerce-gateway-vibe'); ?></th>
 						<td>
 							<!-- Live Preview Section -->
-							<div class="vibe-price-preview-section">
+							<div id="vibe-display-preview" class="vibe-price-preview-section" data-nonce="<?php echo esc_attr(wp_create_nonce('vibe_preview_price_display')); ?>">
 								<div class="vibe-preview-header">
 									<span class="vibe-preview-icon">👁️</span>
 									<h4><?php _e('Complete Style Preview', 'woocommerce-gateway-vibe'); ?></h4>
 								</div>
-								<div class="vibe-preview-content">
-									<div class="vibe-preview-price original" id="original-price-preview" style="font-size: <?php echo esc_attr($settings['original_price_font_size']); ?>; color: <?php echo esc_attr($settings['original_price_color']); ?>; font-weight: <?php echo esc_attr($settings['original_price_font_weight']); ?>;">
-										<span class="vibe-preview-prefix" id="original-prefix-preview"><?php echo esc_html($settings['original_price_prefix']); ?></span><span class="vibe-preview-amount">1,000 تومان</span>
+								<p>
+									<label for="vibe_preview_product_id"><?php _e('Product', 'woocommerce-gateway-vibe'); ?></label><br>
+									<select id="vibe_preview_product_id" class="wc-product-search" style="width: 400px;" data-placeholder="<?php esc_attr_e('Search for a product or variation&hellip;', 'woocommerce-gateway-vibe'); ?>" data-action="woocommerce_json_search_products_and_variations">
+										<?php if ($preview_product) : ?>
+											<option value="<?php echo esc_attr($preview_product->get_id()); ?>" selected="selected"><?php echo esc_html(wp_strip_all_tags($preview_product->get_formatted_name())); ?></option>
+										<?php endif; ?>
+									</select>
+								</p>
+								<div class="vibe-display-preview-message"></div>
+								<div class="vibe-display-preview-contexts">
+									<div class="vibe-display-preview-context" data-context="shop">
+										<h5><?php _e('Shop', 'woocommerce-gateway-vibe'); ?></h5>
+										<div class="vibe-display-preview-body"></div>
 									</div>
-									<div class="vibe-preview-price dynamic" id="dynamic-price-preview" style="font-size: <?php echo esc_attr($settings['new_price_font_size']); ?>; color: <?php echo esc_attr($settings['new_price_color']); ?>; font-weight: <?php echo esc_attr($settings['new_price_font_weight']); ?>;">
-										<span class="vibe-preview-prefix" id="dynamic-prefix-preview"><?php echo esc_html($settings['new_price_prefix']); ?></span><span class="vibe-preview-amount">1,100 تومان</span>
+									<div class="vibe-display-preview-context" data-context="single">
+										<h5><?php _e('Single Product', 'woocommerce-gateway-vibe'); ?></h5>
+										<div class="vibe-display-preview-body"></div>
+									</div>
+									<div class="vibe-display-preview-context" data-context="cart">
+										<h5><?php _e('Cart', 'woocommerce-gateway-vibe'); ?></h5>
+										<div class="vibe-display-preview-body"></div>
 									</div>
 								</div>
 							</div>
-							<p class="description"><?php _e('Live preview showing how your price styling (colors, fonts, sizes) and prefixes will appear on product pages.', 'woocommerce-gateway-vibe'); ?></p>
+							<p class="description"><?php _e('Shows a real product with the price HTML your store generates, using the settings above before they are saved. Prices are the ones a customer paying with Vibe gets.', 'woocommerce-gateway-vibe'); ?></p>
 						</td>
 					</tr>
 				</table>
@@ -930,18 +1257,6 @@ class WC_Vibe_Admin_Interface
 					box-shadow: 0 0 0 1px rgba(0, 115, 170, 0.3);
 				}
 
-				.vibe-input-preview {
-					display: block;
-					margin-top: 6px;
-					padding: 8px;
-					background: #f8f8f8;
-					border: 1px solid #e8e8e8;
-					border-radius: 3px;
-					font-size: 13px;
-					color: #666;
-					min-height: 20px;
-				}
-
 				.vibe-price-preview-section {
 					/* background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); */
 					background: #f9f9f9;
@@ -970,54 +1285,6 @@ class WC_Vibe_Admin_Interface
 					font-weight: 600;
 				}
 
-				.vibe-preview-content {
-					display: flex;
-					flex-direction: column;
-					gap: 10px;
-				}
-
-				.vibe-preview-price {
-					padding: 12px 16px;
-					border-radius: 4px;
-					font-size: 16px;
-					font-weight: 500;
-				}
-
-				.vibe-preview-price.dynamic {
-					background: #fff;
-					border: 1px solid #e1e1e1;
-					color: #333;
-					box-shadow: 0 1px 3px rgba(0, 0, 0, 0.1);
-				}
-
-				.vibe-preview-price.original {
-					background: #fff;
-					border: 1px solid #e1e1e1;
-					color: #333;
-					box-shadow: 0 1px 3px rgba(0, 0, 0, 0.1);
-				}
-
-				.vibe-preview-amount {
-					font-weight: bold;
-					color: #333;
-				}
-
-				.vibe-preview-prefix,
-				.vibe-preview-suffix {
-					color: #333;
-				}
-				
-				/* Override preview colors to allow custom styling */
-				#dynamic-price-preview .vibe-preview-prefix,
-				#dynamic-price-preview .vibe-preview-amount {
-					color: inherit !important;
-				}
-				
-				#original-price-preview .vibe-preview-prefix,
-				#original-price-preview .vibe-preview-amount {
-					color: inherit !important;
-				}
-
 				/* Responsive Design */
 				@media (max-width: 768px) {
 					.vibe-price-config-header {
@@ -1032,80 +1299,6 @@ class WC_Vibe_Admin_Interface
 				}
 			</style>
 
-			<script>
-				jQuery(document).ready(function($) {
-					// Live preview updates for prefix/suffix and styling
-					function updatePreview() {
-						var dynamicPrefix = $('input[name="new_price_prefix"]').val();
-						var originalPrefix = $('input[name="original_price_prefix"]').val();
-
-						$('#dynamic-prefix-preview').text(dynamicPrefix);
-						$('#original-prefix-preview').text(originalPrefix);
-
-						// Update style properties for dynamic price
-						var dynamicFontSize = $('input[name="new_price_font_size"]').val() || '100%';
-						var dynamicColor = $('input[name="new_price_color"]').val() || '';
-						var dynamicFontWeight = $('select[name="new_price_font_weight"]').val() || 'bold';
-
-						$('#dynamic-price-preview').css({
-							'font-size': dynamicFontSize,
-							'color': dynamicColor,
-							'font-weight': dynamicFontWeight
-						});
-
-						// Update style properties for original price
-						var originalFontSize = $('input[name="original_price_font_size"]').val() || '85%';
-						var originalColor = $('input[name="original_price_color"]').val() || '#999999';
-						var originalFontWeight = $('select[name="original_price_font_weight"]').val() || 'normal';
-
-						$('#original-price-preview').css({
-							'font-size': originalFontSize,
-							'color': originalColor,
-							'font-weight': originalFontWeight
-						});
-
-						// Update inline previews
-						$('.vibe-prefix-input').each(function() {
-							var preview = $(this).closest('.vibe-input-wrapper').find('.vibe-input-preview');
-							var prefix = $(this).val();
-							var samplePrice = $(this).attr('name').includes('new_') ? '1,100 تومان' : '1,000 تومان';
-							preview.text(prefix + samplePrice);
-						});
-					}
-
-					// Bind events for live preview
-					$('input[name="new_price_prefix"], input[name="original_price_prefix"]').on('input keyup', updatePreview);
-
-					// Bind events for style changes
-					$('input[name="new_price_font_size"], input[name="new_price_color"], select[name="new_price_font_weight"]').on('input change', updatePreview);
-					$('input[name="original_price_font_size"], input[name="original_price_color"], select[name="original_price_font_weight"]').on('input change', updatePreview);
-
-					// Initial preview update
-					updatePreview();
-
-					// Initialize WordPress color pickers if available
-					if (typeof jQuery.fn.wpColorPicker !== 'undefined') {
-						jQuery('.vibe-color-picker').wpColorPicker({
-							change: function(event, ui) {
-								// Update the input field value with the selected color
-								var colorValue = ui.color.toString();
-								jQuery(this).val(colorValue).trigger('change');
-								// Update preview immediately
-								updatePreview();
-							},
-							clear: function() {
-								// Clear the input field value
-								jQuery(this).val('').trigger('change');
-								// Update preview immediately
-								updatePreview();
-							}
-						});
-					} else {
-						// Fallback: Add placeholder text for manual entry
-						jQuery('.vibe-color-picker').attr('placeholder', '#000000').addClass('regular-text');
-					}
-				});
-			</script>
 		</div>
 	<?php
 	}
@@ -1121,33 +1314,99 @@ class WC_Vibe_Admin_Interface
 		<div class="wrap">
 			<h1><?php _e('Performance', 'woocommerce-gateway-vibe'); ?></h1>
 
-			<div class="card">
+			<div id="vibe-performance-dashboard" class="vibe-performance-dashboard" data-nonce="<?php echo esc_attr(wp_create_nonce('vibe_get_pricing_stats')); ?>" data-utc-offset="<?php echo esc_attr(wp_timezone()->getOffset(new DateTime('now'))); ?>">
+				<div class="vibe-performance-toolbar">
+					<label for="vibe-performance-range"><?php _e('Show the last', 'woocommerce-gateway-vibe'); ?></label>
+					<select id="vibe-performance-range">
+						<option value="3600"><?php _e('1 hour', 'woocommerce-gateway-vibe'); ?></option>
+						<option value="21600" selected="selected"><?php _e('6 hours', 'woocommerce-gateway-vibe'); ?></option>
+						<option value="86400"><?php _e('24 hours', 'woocommerce-gateway-vibe'); ?></option>
+					</select>
+					<label>
+						<input type="checkbox" id="vibe-performance-auto-refresh" checked="checked">
+						<?php _e('Refresh every 30 seconds', 'woocommerce-gateway-vibe'); ?>
+					</label>
+					<button type="button" class="button" id="vibe-performance-refresh"><?php _e('Refresh Now', 'woocommerce-gateway-vibe'); ?></button>
+					<button type="button" class="button" id="vibe-performance-export"><?php _e('Export CSV', 'woocommerce-gateway-vibe'); ?></button>
+					<span class="vibe-performance-updated"></span>
+				</div>
+
+				<div class="vibe-performance-summary"></div>
+
+				<div class="vibe-performance-charts">
+					<div class="vibe-performance-chart" data-chart="cache_hit_ratio">
+						<h3><?php _e('Price Cache Hit Ratio', 'woocommerce-gateway-vibe'); ?></h3>
+						<div class="vibe-chart-canvas"></div>
+					</div>
+					<div class="vibe-performance-chart" data-chart="latency">
+						<h3><?php _e('Price Calculation Latency', 'woocommerce-gateway-vibe'); ?></h3>
+						<div class="vibe-chart-canvas"></div>
+					</div>
+					<div class="vibe-performance-chart" data-chart="index_rebuilds">
+						<h3><?php _e('Rule Index Rebuilds', 'woocommerce-gateway-vibe'); ?></h3>
+						<div class="vibe-chart-canvas"></div>
+					</div>
+					<div class="vibe-performance-chart" data-chart="cart_analyses">
+						<h3><?php _e('Cart Analyses', 'woocommerce-gateway-vibe'); ?></h3>
+						<div class="vibe-chart-canvas"></div>
+					</div>
+				</div>
+
+				<p class="description">
+					<?php
+					printf(
+						/* translators: %d: Bucket size in minutes */
+						__('Metrics are collected from storefront requests in %d minute buckets and kept for 24 hours.', 'woocommerce-gateway-vibe'),
+						WC_Vibe_Performance_Monitor::SERIES_BUCKET_SIZE / 60
+					);
+					?>
+				</p>
+			</div>
+
+			<div class="card" id="vibe-performance-stats">
 				<h2><?php _e('Cache Statistics', 'woocommerce-gateway-vibe'); ?></h2>
 				<table class="widefat">
 					<tr>
 						<td><?php _e('Object Cache Enabled', 'woocommerce-gateway-vibe'); ?></td>
-						<td><?php echo $cache_stats['object_cache_enabled'] ? __('Yes', 'woocommerce-gateway-vibe') : __('No', 'woocommerce-gateway-vibe'); ?></td>
+						<td class="object-cache-status"><?php echo $cache_stats['object_cache_enabled'] ? __('Yes', 'woocommerce-gateway-vibe') : __('No', 'woocommerce-gateway-vibe'); ?></td>
 					</tr>
 					<tr>
 						<td><?php _e('Database Cache Entries', 'woocommerce-gateway-vibe'); ?></td>
-						<td><?php echo esc_html($cache_stats['database_cache_entries']); ?></td>
+						<td class="db-cache-entries"><?php echo esc_html($cache_stats['database_cache_entries']); ?></td>
 					</tr>
 					<tr>
 						<td><?php _e('Database Cache Size', 'woocommerce-gateway-vibe'); ?></td>
-						<td><?php echo size_format($cache_stats['database_cache_size']); ?></td>
+						<td class="db-cache-size"><?php echo size_format($cache_stats['database_cache_size']); ?></td>
 					</tr>
 					<tr>
 						<td><?php _e('Transient Entries', 'woocommerce-gateway-vibe'); ?></td>
-						<td><?php echo esc_html($cache_stats['transient_entries']); ?></td>
+						<td class="transient-entries"><?php echo esc_html($cache_stats['transient_entries']); ?></td>
 					</tr>
 				</table>
+			</div>
+
+			<div class="card" id="vibe-cache-panel" data-nonce="<?php echo esc_attr(wp_create_nonce('vibe_clear_pricing_cache')); ?>">
+				<h2><?php _e('Cache Management', 'woocommerce-gateway-vibe'); ?></h2>
+				<p class="description"><?php _e('Clear a cache group when prices look stale. Rule index and price caches are rebuilt right away.', 'woocommerce-gateway-vibe'); ?></p>
+				<table class="widefat vibe-cache-groups">
+					<?php foreach ($this->get_cache_group_labels() as $group => $labels) : ?>
+						<tr>
+							<td>
+								<strong><?php echo esc_html($labels['label']); ?></strong><br>
+								<span class="description"><?php echo esc_html($labels['description']); ?></span>
+							</td>
+							<td class="vibe-cache-group-action">
+								<button type="button" class="button clear-cache-btn" data-group="<?php echo esc_attr($group); ?>"><?php _e('Clear', 'woocommerce-gateway-vibe'); ?></button>
+							</td>
+						</tr>
+					<?php endforeach; ?>
+				</table>
 
 				<p>
-					<a href="<?php echo wp_nonce_url(admin_url('admin-ajax.php?action=vibe_clear_pricing_cache'), 'clear_cache'); ?>"
-						class="button" onclick="return confirm('<?php _e('Are you sure you want to clear all pricing caches?', 'woocommerce-gateway-vibe'); ?>')">
-						<?php _e('Clear All Caches', 'woocommerce-gateway-vibe'); ?>
-					</a>
+					<button type="button" class="button clear-cache-btn" data-group="all"><?php _e('Clear All Caches', 'woocommerce-gateway-vibe'); ?></button>
 				</p>
+
+				<div class="vibe-cache-result"></div>
 			</div>
 		</div>
 <?php
@@ -1215,6 +1474,7 @@ class WC_Vibe_Admin_Interface
 			)),
 			'discount_integration' => 'apply',
 			'display_options' => json_encode(array()),
+			'schedule' => json_encode(array()),
 		);
 	}
 
@@ -1292,17 +1552,21 @@ class WC_Vibe_Admin_Interface
 			'product_conditions' => json_encode($product_conditions),
 			'price_adjustment' => $price_adjustment,
 			'discount_integration' => $discount_integration,
+			'schedule' => wp_json_encode(WC_Vibe_Rule_Schedule::from_form($_POST)),
 			'updated_at' => current_time('mysql'),
 		);
 
 		if ($rule_id > 0) {
 			// Update existing rule
+			$before = WC_Vibe_Rule_History::get_rule_snapshot($rule_id);
 			$wpdb->update($table_name, $data, array('id' => $rule_id));
+			WC_Vibe_Rule_History::record('updated', $rule_id, $before, WC_Vibe_Rule_History::get_rule_snapshot($rule_id));
 			$message = __('Rule updated successfully.', 'woocommerce-gateway-vibe');
 		} else {
 			// Create new rule
 			$data['created_at'] = current_time('mysql');
 			$wpdb->insert($table_name, $data);
+			WC_Vibe_Rule_History::record('created', $wpdb->insert_id, null, WC_Vibe_Rule_History::get_rule_snapshot($wpdb->insert_id));
 			$message = __('Rule created successfully.', 'woocommerce-gateway-vibe');
 		}
 
@@ -1331,7 +1595,11 @@ class WC_Vibe_Admin_Interface
 		global $wpdb;
 		$table_name = $wpdb->prefix . 'vibe_pricing_rules';
 
+		$before = WC_Vibe_Rule_History::get_rule_snapshot($rule_id);
 		$wpdb->delete($table_name, array('id' => $rule_id));
+		if ($before) {
+			WC_Vibe_Rule_History::record('deleted', $rule_id, $before, null);
+		}
 
 		// Clear cache
 		$this->cache_manager->clear_pricing_cache();
@@ -1358,10 +1626,14 @@ class WC_Vibe_Admin_Interface
 		$table_name = $wpdb->prefix . 'vibe_pricing_rules';
 
 		// Get current status
-		$current_status = $wpdb->get_var($wpdb->prepare("SELECT status FROM {$table_name} WHERE id = %d", $rule_id));
+		$before = WC_Vibe_Rule_History::get_rule_snapshot($rule_id);
+		$current_status = $before ? $before['status'] : null;
 		$new_status = $current_status === 'active' ? 'inactive' : 'active';
 
 		$wpdb->update($table_name, array('status' => $new_status), array('id' => $rule_id));
+		if ($before) {
+			WC_Vibe_Rule_History::record('toggled', $rule_id, $before, WC_Vibe_Rule_History::get_rule_snapshot($rule_id));
+		}
 
 		// Clear cache
 		$this->cache_manager->clear_pricing_cache();
@@ -1392,19 +1664,14 @@ class WC_Vibe_Admin_Interface
 		// Update emergency disable setting
 		update_option('wc_vibe_dynamic_pricing_emergency_disable', isset($_POST['emergency_disable']) ? 'yes' : 'no');
 
+		// Update payment method comparison setting
+		update_option('wc_vibe_show_payment_comparison', isset($_POST['show_payment_comparison']) ? 'yes' : 'no');
+
+		// Update referrer attribution lifetime (days)
+		update_option('wc_vibe_attribution_lifetime', isset($_POST['attribution_lifetime']) ? min(365, absint($_POST['attribution_lifetime'])) : 30);
+
 		// Update display settings (both prices always shown)
-		$display_settings = array(
-			'display_layout' => 'two_line',
-			'price_order' => isset($_POST['price_order']) ? sanitize_text_field($_POST['price_order']) : 'original_first',
-			'new_price_font_size' => isset($_POST['new_price_font_size']) ? sanitize_text_field($_POST['new_price_font_size']) : '100%',
-			'new_price_color' => isset($_POST['new_price_color']) ? sanitize_hex_color($_POST['new_price_color']) : '',
-			'new_price_font_weight' => isset($_POST['new_price_font_weight']) ? $this->sanitize_font_weight($_POST['new_price_font_weight']) : 'bold',
-			'original_price_font_size' => isset($_POST['original_price_font_size']) ? sanitize_text_field($_POST['original_price_font_size']) : '85%',
-			'original_price_color' => isset($_POST['original_price_color']) ? sanitize_hex_color($_POST['original_price_color']) : '#999999',
-			'original_price_font_weight' => isset($_POST['original_price_font_weight']) ? $this->sanitize_font_weight($_POST['original_price_font_weight']) : 'normal',
-			'new_price_prefix' => isset($_POST['new_price_prefix']) ? sanitize_text_field($_POST['new_price_prefix']) : '',
-			'original_price_prefix' => isset($_POST['original_price_prefix']) ? sanitize_text_field($_POST['original_price_prefix']) : '',
-		);
+		$display_settings = $this->get_posted_display_settings();
 
 		update_option('wc_vibe_price_display_settings', $display_settings);
 
@@ -1419,73 +1686,799 @@ class WC_Vibe_Admin_Interface
 	}
 
 	/**
-	 * AJAX: Clear pricing cache.
+	 * AJAX: Clear one or all pricing cache groups and warm them up again.
 	 */
 	public function ajax_clear_pricing_cache()
 	{
-		if (!wp_verify_nonce($_GET['_wpnonce'], 'clear_cache') || !current_user_can('manage_woocommerce')) {
-			wp_die(__('Security check failed', 'woocommerce-gateway-vibe'));
+		if (!isset($_POST['nonce']) || !wp_verify_nonce($_POST['nonce'], 'vibe_clear_pricing_cache') || !current_user_can('manage_woocommerce')) {
+			wp_send_json_error(array(
+				'message' => __('Security check failed', 'woocommerce-gateway-vibe'),
+				'code' => 'nonce_failed'
+			));
 		}
 
-		$this->cache_manager->clear_pricing_cache();
-
-		wp_redirect(add_query_arg(array(
-			'page' => 'vibe-pricing-performance',
-			'message' => urlencode(__('Cache cleared successfully.', 'woocommerce-gateway-vibe'))
-		), admin_url('admin.php')));
-		exit;
-	}
+		$available_groups = $this->cache_manager->get_key_groups();
+		$group = isset($_POST['group']) ? sanitize_key($_POST['group']) : '';
+		$groups = 'all' === $group ? $available_groups : array_intersect(array($group), $available_groups);
 
-	/**
-	 * AJAX: Get pricing statistics.
-	 */
-	public function ajax_get_pricing_stats()
-	{
-		if (!current_user_can('manage_woocommerce')) {
-			wp_die(__('Permission denied', 'woocommerce-gateway-vibe'));
+		if (empty($groups)) {
+			wp_send_json_error(array(
+				'message' => __('Unknown cache group.', 'woocommerce-gateway-vibe'),
+				'code' => 'invalid_group'
+			));
 		}
 
-		$stats = $this->cache_manager->get_cache_stats();
-		wp_send_json_success($stats);
-	}
+		$removed = array();
+		foreach ($groups as $cache_group) {
+			$removed[$cache_group] = $this->cache_manager->clear_group($cache_group);
+		}
 
-	/**
-	 * Enqueue admin assets.
-	 */
-	public function enqueue_admin_assets($hook)
-	{
-		if (strpos($hook, 'vibe-') === false) {
-			return;
+		// Sweep entries the groups do not cover, such as hashed transient keys
+		if ('all' === $group) {
+			$this->cache_manager->clear_pricing_cache();
 		}
 
-		// Enqueue WordPress color picker
-		wp_enqueue_style('wp-color-picker');
-		wp_enqueue_script('wp-color-picker');
+		$warm_up = array();
 
-		// Check if CSS file exists before enqueuing
-		$css_file = WC_VIBE_PLUGIN_PATH . 'assets/css/admin-pricing.css';
-		if (file_exists($css_file)) {
-			wp_enqueue_style(
-				'vibe-admin-pricing',
-				WC_VIBE_PLUGIN_URL . 'assets/css/admin-pricing.css',
-				array('wp-color-picker'),
-				WC_VIBE_VERSION
+		if (in_array('rule_index', $groups, true)) {
+			$rule_compiler = new WC_Vibe_Rule_Compiler($this->cache_manager);
+			$warm_up['rule_index'] = array(
+				'time' => $rule_compiler->warm_up_index(),
 			);
 		}
 
-		// Check if JS file exists before enqueuing
-		$js_file = WC_VIBE_PLUGIN_PATH . 'assets/js/admin-pricing.js';
-		if (file_exists($js_file)) {
-			wp_enqueue_script(
+		// Cart analyses depend on the shopper's cart and are rebuilt on demand
+		if (array_intersect(array('product_rules', 'dynamic_prices'), $groups)) {
+			$start_time = microtime(true);
+			$products = $this->cache_manager->warm_up_cache(array(), $this->pricing_engine);
+			$warm_up['prices'] = array(
+				'time' => microtime(true) - $start_time,
+				'products' => $products,
+			);
+		}
+
+		$labels = $this->get_cache_group_labels();
+
+		if ('all' === $group) {
+			$message = __('All caches cleared.', 'woocommerce-gateway-vibe');
+		} else {
+			/* translators: %s: Cache group name */
+			$message = sprintf(__('%s cache cleared.', 'woocommerce-gateway-vibe'), $labels[$group]['label']);
+		}
+
+		$response = array(
+			'message' => $message,
+			'removed' => array(),
+			'warm_up' => $warm_up,
+			'stats' => $this->cache_manager->get_cache_stats(),
+		);
+
+		foreach ($removed as $cache_group => $counts) {
+			$response['removed'][] = array(
+				'group' => $cache_group,
+				'label' => $labels[$cache_group]['label'],
+				'entries' => array_sum($counts),
+				'tiers' => $counts,
+			);
+		}
+
+		wp_send_json_success($response);
+	}
+
+	/**
+	 * Get the names and descriptions of the cache groups on the performance page.
+	 *
+	 * @return array Labels keyed by cache group.
+	 */
+	private function get_cache_group_labels()
+	{
+		return array(
+			'rule_index' => array(
+				'label' => __('Rule index', 'woocommerce-gateway-vibe'),
+				'description' => __('Compiled lookup of the active pricing rules.', 'woocommerce-gateway-vibe'),
+			),
+			'product_rules' => array(
+				'label' => __('Product rules', 'woocommerce-gateway-vibe'),
+				'description' => __('Rules matched to each product.', 'woocommerce-gateway-vibe'),
+			),
+			'dynamic_prices' => array(
+				'label' => __('Dynamic prices', 'woocommerce-gateway-vibe'),
+				'description' => __('Calculated product prices per pricing context.', 'woocommerce-gateway-vibe'),
+			),
+			'cart_analyses' => array(
+				'label' => __('Cart analyses', 'woocommerce-gateway-vibe'),
+				'description' => __('Cached results of the cart and checkout rule checks.', 'woocommerce-gateway-vibe'),
+			),
+		);
+	}
+
+	/**
+	 * AJAX: Render a product's price with the unsaved display settings.
+	 */
+	public function ajax_preview_price_display()
+	{
+		if (!isset($_POST['nonce']) || !wp_verify_nonce($_POST['nonce'], 'vibe_preview_price_display') || !current_user_can('manage_woocommerce')) {
+			wp_send_json_error(array(
+				'message' => __('Security check failed', 'woocommerce-gateway-vibe'),
+				'code' => 'nonce_failed'
+			));
+		}
+
+		$product = isset($_POST['product_id']) ? wc_get_product(absint($_POST['product_id'])) : null;
+		if (!$product) {
+			wp_send_json_error(array(
+				'message' => __('Please choose a product.', 'woocommerce-gateway-vibe'),
+				'code' => 'invalid_product'
+			));
+		}
+
+		if ((float) WC_Vibe_Dynamic_Pricing::get_instance()->get_product_original_price($product) <= 0) {
+			wp_send_json_error(array(
+				'message' => __('This product has no price to preview. Choose a simple product or a variation.', 'woocommerce-gateway-vibe'),
+				'code' => 'no_price'
+			));
+		}
+
+		$price_display = WC_Vibe_Dynamic_Pricing::get_instance()->get_price_display();
+		if (!$price_display) {
+			wp_send_json_error(array(
+				'message' => __('The price display is not available.', 'woocommerce-gateway-vibe'),
+				'code' => 'price_display_unavailable'
+			));
+		}
+
+		wp_send_json_success(array(
+			'product' => array(
+				'id' => $product->get_id(),
+				'name' => wp_strip_all_tags($product->get_name())
+			),
+			'contexts' => $price_display->get_preview_html($product, $this->get_posted_display_settings())
+		));
+	}
+
+	/**
+	 * AJAX: Simulate which rule prices a product.
+	 */
+	public function ajax_simulate_pricing_rules()
+	{
+		if (!isset($_POST['nonce']) || !wp_verify_nonce($_POST['nonce'], 'vibe_simulate_pricing_rules') || !current_user_can('manage_woocommerce')) {
+			wp_send_json_error(array(
+				'message' => __('Security check failed', 'woocommerce-gateway-vibe'),
+				'code' => 'nonce_failed'
+			));
+		}
+
+		$product = isset($_POST['product_id']) ? wc_get_product(absint($_POST['product_id'])) : null;
+		if (!$product) {
+			wp_send_json_error(array(
+				'message' => __('Please choose a product.', 'woocommerce-gateway-vibe'),
+				'code' => 'invalid_product'
+			));
+		}
+
+		$payment_method = isset($_POST['payment_method']) ? sanitize_text_field(wp_unslash($_POST['payment_method'])) : '';
+		$referrer = isset($_POST['referrer']) ? sanitize_text_field(wp_unslash($_POST['referrer'])) : '';
+		$context_type = isset($_POST['context']) && 'display' === $_POST['context'] ? 'display' : 'application';
+
+		// Accept full URLs as well as bare domains, like the referrer detection does
+		$referrer_host = wp_parse_url($referrer, PHP_URL_HOST);
+		if ($referrer_host) {
+			$referrer = $referrer_host;
+		}
+
+		$original_price = WC_Vibe_Dynamic_Pricing::get_instance()->get_product_original_price($product);
+		$result = $this->pricing_engine->simulate_pricing($product, (float) $original_price, $payment_method, $referrer, $context_type);
+
+		$result['product'] = array(
+			'id' => $product->get_id(),
+			'name' => wp_strip_all_tags($product->get_formatted_name())
+		);
+		$result['original_price_html'] = wc_price($result['original_price']);
+		$result['final_price_html'] = wc_price($result['final_price']);
+
+		foreach ($result['rules'] as &$rule) {
+			$rule['adjustment_html'] = !empty($rule['price_adjustment']['type']) ? $this->format_price_adjustment_display($rule['price_adjustment']['type'], isset($rule['price_adjustment']['value']) ? $rule['price_adjustment']['value'] : 0) : '';
+		}
+		unset($rule);
+
+		wp_send_json_success($result);
+	}
+
+	/**
+	 * AJAX: Enable, disable, duplicate or delete several rules.
+	 */
+	public function ajax_bulk_pricing_rules()
+	{
+		$this->verify_rules_list_request();
+
+		global $wpdb;
+		$table_name = $wpdb->prefix . 'vibe_pricing_rules';
+
+		$operation = isset($_POST['operation']) ? sanitize_key($_POST['operation']) : '';
+		$rule_ids = isset($_POST['rule_ids']) ? array_filter(array_map('absint', (array) $_POST['rule_ids'])) : array();
+
+		if (!in_array($operation, array('enable', 'disable', 'duplicate', 'delete'), true) || empty($rule_ids)) {
+			wp_send_json_error(array(
+				'message' => __('Please choose an action and at least one rule.', 'woocommerce-gateway-vibe'),
+				'code' => 'invalid_request'
+			));
+		}
+
+		$history_ids = array();
+
+		foreach ($rule_ids as $rule_id) {
+			$before = WC_Vibe_Rule_History::get_rule_snapshot($rule_id);
+			if (!$before) {
+				continue;
+			}
+
+			switch ($operation) {
+				case 'enable':
+				case 'disable':
+					$status = 'enable' === $operation ? 'active' : 'inactive';
+					if ($before['status'] === $status) {
+						continue 2;
+					}
+
+					$wpdb->update($table_name, array('status' => $status, 'updated_at' => current_time('mysql')), array('id' => $rule_id));
+					$history_ids[] = WC_Vibe_Rule_History::record('toggled', $rule_id, $before, WC_Vibe_Rule_History::get_rule_snapshot($rule_id));
+					break;
+
+				case 'duplicate':
+					// Copies start disabled so they never change prices before they are reviewed
+					$data = array_diff_key($before, array_flip(array('id', 'created_at', 'updated_at')));
+					/* translators: %s: Name of the duplicated rule */
+					$data['name'] = sprintf(__('%s (copy)', 'woocommerce-gateway-vibe'), $before['name']);
+					$data['status'] = 'inactive';
+					$data['created_at'] = current_time('mysql');
+					$data['updated_at'] = current_time('mysql');
+
+					$wpdb->insert($table_name, $data);
+					$history_ids[] = WC_Vibe_Rule_History::record('duplicated', $wpdb->insert_id, null, WC_Vibe_Rule_History::get_rule_snapshot($wpdb->insert_id));
+					break;
+
+				case 'delete':
+					$wpdb->delete($table_name, array('id' => $rule_id));
+					$history_ids[] = WC_Vibe_Rule_History::record('deleted', $rule_id, $before, null);
+					break;
+			}
+		}
+
+		$count = count($history_ids);
+		switch ($operation) {
+			case 'enable':
+				/* translators: %d: Number of rules */
+				$message = sprintf(_n('%d rule enabled.', '%d rules enabled.', $count, 'woocommerce-gateway-vibe'), $count);
+				break;
+			case 'disable':
+				/* translators: %d: Number of rules */
+				$message = sprintf(_n('%d rule disabled.', '%d rules disabled.', $count, 'woocommerce-gateway-vibe'), $count);
+				break;
+			case 'duplicate':
+				/* translators: %d: Number of rules */
+				$message = sprintf(_n('%d rule duplicated. Copies are disabled.', '%d rules duplicated. Copies are disabled.', $count, 'woocommerce-gateway-vibe'), $count);
+				break;
+			default:
+				/* translators: %d: Number of rules */
+				$message = sprintf(_n('%d rule deleted.', '%d rules deleted.', $count, 'woocommerce-gateway-vibe'), $count);
+				break;
+		}
+
+		$this->send_rules_list_response($message, $history_ids);
+	}
+
+	/**
+	 * AJAX: Rewrite rule priorities from a new list order.
+	 *
+	 * The first rule gets the highest priority. Priorities are spaced by ten
+	 * so a rule can still be slotted in between from the rule form.
+	 */
+	public function ajax_reorder_pricing_rules()
+	{
+		$this->verify_rules_list_request();
+
+		global $wpdb;
+		$table_name = $wpdb->prefix . 'vibe_pricing_rules';
+
+		$rule_ids = isset($_POST['rule_ids']) ? array_values(array_filter(array_map('absint', (array) $_POST['rule_ids']))) : array();
+		$history_ids = array();
+
+		foreach ($rule_ids as $index => $rule_id) {
+			$priority = (count($rule_ids) - $index) * 10;
+			$before = WC_Vibe_Rule_History::get_rule_snapshot($rule_id);
+
+			if (!$before || (int) $before['priority'] === $priority) {
+				continue;
+			}
+
+			$wpdb->update($table_name, array('priority' => $priority, 'updated_at' => current_time('mysql')), array('id' => $rule_id));
+			$history_ids[] = WC_Vibe_Rule_History::record('reordered', $rule_id, $before, WC_Vibe_Rule_History::get_rule_snapshot($rule_id));
+		}
+
+		$this->send_rules_list_response(__('Rule priorities updated.', 'woocommerce-gateway-vibe'), $history_ids);
+	}
+
+	/**
+	 * AJAX: Toggle a rule or change its price adjustment from the rules list.
+	 */
+	public function ajax_update_pricing_rule()
+	{
+		$this->verify_rules_list_request();
+
+		global $wpdb;
+		$table_name = $wpdb->prefix . 'vibe_pricing_rules';
+
+		$rule_id = isset($_POST['rule_id']) ? absint($_POST['rule_id']) : 0;
+		$before = WC_Vibe_Rule_History::get_rule_snapshot($rule_id);
+		if (!$before) {
+			wp_send_json_error(array(
+				'message' => __('Rule not found.', 'woocommerce-gateway-vibe'),
+				'code' => 'invalid_rule'
+			));
+		}
+
+		$field = isset($_POST['field']) ? sanitize_key($_POST['field']) : '';
+
+		if ('status' === $field) {
+			$data = array('status' => 'active' === $before['status'] ? 'inactive' : 'active');
+			$action = 'toggled';
+			$message = 'active' === $data['status'] ? __('Rule enabled.', 'woocommerce-gateway-vibe') : __('Rule disabled.', 'woocommerce-gateway-vibe');
+		} elseif ('price_adjustment' === $field) {
+			$type = isset($_POST['adjustment_type']) ? sanitize_key($_POST['adjustment_type']) : '';
+			$value = isset($_POST['adjustment_value']) ? wp_unslash($_POST['adjustment_value']) : '';
+
+			if (!in_array($type, array('percentage', 'fixed', 'original'), true) || ('original' !== $type && !is_numeric($value))) {
+				wp_send_json_error(array(
+					'message' => __('Please enter a valid price adjustment.', 'woocommerce-gateway-vibe'),
+					'code' => 'invalid_adjustment'
+				));
+			}
+
+			$data = array('price_adjustment' => json_encode(array(
+				'type' => $type,
+				'value' => 'original' === $type ? 0 : floatval($value)
+			)));
+			$action = 'updated';
+			$message = __('Price adjustment updated.', 'woocommerce-gateway-vibe');
+		} else {
+			wp_send_json_error(array(
+				'message' => __('This field cannot be edited from the list.', 'woocommerce-gateway-vibe'),
+				'code' => 'invalid_field'
+			));
+		}
+
+		$data['updated_at'] = current_time('mysql');
+		$wpdb->update($table_name, $data, array('id' => $rule_id));
+
+		$history_ids = array(WC_Vibe_Rule_History::record($action, $rule_id, $before, WC_Vibe_Rule_History::get_rule_snapshot($rule_id)));
+
+		$this->send_rules_list_response($message, $history_ids);
+	}
+
+	/**
+	 * AJAX: Undo changes made from the rules list.
+	 *
+	 * Only the current user's own changes can be undone this way; older
+	 * versions of anyone's changes are restored from the history drawer.
+	 */
+	public function ajax_undo_pricing_rules()
+	{
+		$this->verify_rules_list_request();
+
+		$entry_ids = isset($_POST['history_ids']) ? array_filter(array_map('absint', (array) $_POST['history_ids'])) : array();
+
+		// Newest first, so several changes to one rule unwind in order
+		rsort($entry_ids);
+
+		foreach ($entry_ids as $entry_id) {
+			$entry = WC_Vibe_Rule_History::get_entry($entry_id);
+			if (!$entry || $entry['user_id'] !== get_current_user_id()) {
+				continue;
+			}
+
+			WC_Vibe_Rule_History::revert($entry);
+		}
+
+		$this->send_rules_list_response(__('Changes undone.', 'woocommerce-gateway-vibe'), array());
+	}
+
+	/**
+	 * Check the nonce and capability of a rules list AJAX request.
+	 *
+	 * Sends a JSON error and exits if the check fails.
+	 */
+	private function verify_rules_list_request()
+	{
+		if (!isset($_POST['nonce']) || !wp_verify_nonce($_POST['nonce'], 'vibe_manage_pricing_rules') || !current_user_can('manage_woocommerce')) {
+			wp_send_json_error(array(
+				'message' => __('Security check failed', 'woocommerce-gateway-vibe'),
+				'code' => 'nonce_failed'
+			));
+		}
+	}
+
+	/**
+	 * Invalidate the rule index and send the refreshed rules list.
+	 *
+	 * @param string $message Message for the undo toast.
+	 * @param array $history_ids History entries an undo would revert.
+	 */
+	private function send_rules_list_response($message, $history_ids)
+	{
+		$rule_compiler = new WC_Vibe_Rule_Compiler($this->cache_manager);
+		$rule_compiler->invalidate_index();
+
+		ob_start();
+		$this->display_rules_table_rows($this->get_pricing_rules());
+		$rows = ob_get_clean();
+
+		// WC_Vibe_Rule_History::record() returns 0 when the entry could not be saved
+		if (in_array(0, $history_ids, true)) {
+			$message .= ' ' . __('The change could not be recorded in the rule history and cannot be undone. See the vibe-rule-history log for details.', 'woocommerce-gateway-vibe');
+		}
+
+		wp_send_json_success(array(
+			'message' => $message,
+			'history_ids' => array_values(array_filter($history_ids)),
+			'rows' => $rows,
+		));
+	}
+
+	/**
+	 * AJAX: Get the change history of a rule, or of all rules.
+	 */
+	public function ajax_get_rule_history()
+	{
+		if (!isset($_POST['nonce']) || !wp_verify_nonce($_POST['nonce'], 'vibe_rule_history') || !current_user_can('manage_woocommerce')) {
+			wp_send_json_error(array(
+				'message' => __('Security check failed', 'woocommerce-gateway-vibe'),
+				'code' => 'nonce_failed'
+			));
+		}
+
+		$rule_id = isset($_POST['rule_id']) ? absint($_POST['rule_id']) : 0;
+		$entries = WC_Vibe_Rule_History::get_entries($rule_id);
+
+		$action_labels = array(
+			'created' => __('Created', 'woocommerce-gateway-vibe'),
+			'updated' => __('Updated', 'woocommerce-gateway-vibe'),
+			'toggled' => __('Enabled or disabled', 'woocommerce-gateway-vibe'),
+			'reordered' => __('Priority changed', 'woocommerce-gateway-vibe'),
+			'duplicated' => __('Duplicated', 'woocommerce-gateway-vibe'),
+			'deleted' => __('Deleted', 'woocommerce-gateway-vibe'),
+			'imported' => __('Imported', 'woocommerce-gateway-vibe'),
+			'restored' => __('Restored', 'woocommerce-gateway-vibe'),
+		);
+
+		// The newest entry of an existing rule is its current version
+		$current_entry_ids = array();
+
+		$result = array();
+		foreach ($entries as $entry) {
+			$user = $entry['user_id'] ? get_userdata($entry['user_id']) : false;
+			$version = WC_Vibe_Rule_History::get_restorable_version($entry);
+
+			if (!isset($current_entry_ids[$entry['rule_id']])) {
+				$current_entry_ids[$entry['rule_id']] = 'deleted' === $entry['action'] ? 0 : $entry['id'];
+			}
+
+			$result[] = array(
+				'id' => $entry['id'],
+				'rule_id' => $entry['rule_id'],
+				'rule_name' => $entry['rule_name'],
+				'action' => $entry['action'],
+				'action_label' => isset($action_labels[$entry['action']]) ? $action_labels[$entry['action']] : $entry['action'],
+				'user' => $user ? $user->display_name : __('Unknown user', 'woocommerce-gateway-vibe'),
+				'date' => date_i18n(get_option('date_format') . ' ' . get_option('time_format'), strtotime($entry['created_at'])),
+				'changes' => WC_Vibe_Rule_Import_Export::diff_rules($entry['before'], $entry['after']),
+				'restorable' => !empty($version) && $current_entry_ids[$entry['rule_id']] !== $entry['id'],
+				'current' => $current_entry_ids[$entry['rule_id']] === $entry['id'],
+			);
+		}
+
+		wp_send_json_success(array(
+			'entries' => $result,
+		));
+	}
+
+	/**
+	 * AJAX: Restore a rule to the version of a history entry.
+	 */
+	public function ajax_restore_rule_version()
+	{
+		if (!isset($_POST['nonce']) || !wp_verify_nonce($_POST['nonce'], 'vibe_rule_history') || !current_user_can('manage_woocommerce')) {
+			wp_send_json_error(array(
+				'message' => __('Security check failed', 'woocommerce-gateway-vibe'),
+				'code' => 'nonce_failed'
+			));
+		}
+
+		$entry = isset($_POST['entry_id']) ? WC_Vibe_Rule_History::get_entry(absint($_POST['entry_id'])) : null;
+		if (!$entry) {
+			wp_send_json_error(array(
+				'message' => __('History entry not found.', 'woocommerce-gateway-vibe'),
+				'code' => 'invalid_entry'
+			));
+		}
+
+		$restored = WC_Vibe_Rule_History::restore($entry);
+		if (is_wp_error($restored)) {
+			wp_send_json_error(array(
+				'message' => $restored->get_error_message(),
+				'code' => $restored->get_error_code()
+			));
+		}
+
+		// Also clears the dependent pricing caches
+		$rule_compiler = new WC_Vibe_Rule_Compiler($this->cache_manager);
+		$rule_compiler->invalidate_index();
+
+		wp_send_json_success(array(
+			'message' => sprintf(
+				/* translators: %s: Rule name */
+				__('Rule "%s" was restored.', 'woocommerce-gateway-vibe'),
+				$restored['name']
+			),
+			'redirect' => admin_url('admin.php?page=vibe-dynamic-pricing&tab=rules'),
+		));
+	}
+
+	/**
+	 * Download all pricing rules as JSON.
+	 */
+	public function export_pricing_rules()
+	{
+		if (!isset($_GET['_wpnonce']) || !wp_verify_nonce($_GET['_wpnonce'], 'export_pricing_rules') || !current_user_can('manage_woocommerce')) {
+			wp_die(__('Security check failed', 'woocommerce-gateway-vibe'));
+		}
+
+		$export = WC_Vibe_Rule_Import_Export::export_rules($this->get_pricing_rules());
+		$filename = 'vibe-pricing-rules-' . sanitize_file_name(wp_parse_url(home_url(), PHP_URL_HOST)) . '-' . gmdate('Y-m-d') . '.json';
+
+		nocache_headers();
+		header('Content-Type: application/json; charset=utf-8');
+		header('Content-Disposition: attachment; filename="' . $filename . '"');
+
+		echo wp_json_encode($export, JSON_PRETTY_PRINT | JSON_UNESCAPED_UNICODE | JSON_UNESCAPED_SLASHES);
+		exit;
+	}
+
+	/**
+	 * AJAX: Show what an import would change.
+	 */
+	public function ajax_preview_rule_import()
+	{
+		$plan = $this->get_rule_import_plan();
+
+		$summary = array(
+			'added' => 0,
+			'changed' => 0,
+			'removed' => 0,
+			'unchanged' => 0,
+			'invalid' => 0,
+		);
+
+		$rules = array();
+		foreach ($plan as $entry) {
+			$summary[$entry['action']]++;
+			if (!empty($entry['errors'])) {
+				$summary['invalid']++;
+			}
+
+			// Sent so the browser can check the syntax with the logic builder's parser
+			$product_conditions = $entry['rule'] ? json_decode($entry['rule']['product_conditions'], true) : array();
+			$entry['complex_logic'] = isset($product_conditions['complex_logic']) ? $product_conditions['complex_logic'] : null;
+
+			// The table row stays on the server, the import rebuilds it
+			unset($entry['rule']);
+			$rules[] = $entry;
+		}
+
+		wp_send_json_success(array(
+			'rules' => $rules,
+			'summary' => $summary,
+			'plan_hash' => $this->get_rule_import_plan_hash($plan),
+		));
+	}
+
+	/**
+	 * AJAX: Apply a previewed import.
+	 */
+	public function ajax_import_pricing_rules()
+	{
+		$plan = $this->get_rule_import_plan();
+
+		// Rules may have been edited since the preview was shown
+		if (!isset($_POST['plan_hash']) || !hash_equals($this->get_rule_import_plan_hash($plan), (string) $_POST['plan_hash'])) {
+			wp_send_json_error(array(
+				'message' => __('The rules have changed since the preview. Please preview the import again.', 'woocommerce-gateway-vibe'),
+				'code' => 'stale_preview'
+			));
+		}
+
+		$skip = isset($_POST['skip']) ? array_map('absint', (array) $_POST['skip']) : array();
+		$counts = WC_Vibe_Rule_Import_Export::apply_import($plan, $skip);
+
+		$this->cache_manager->clear_pricing_cache();
+
+		wp_send_json_success(array(
+			'counts' => $counts,
+			'message' => sprintf(
+				/* translators: 1: Rules added, 2: Rules updated, 3: Rules deleted, 4: Rules skipped */
+				__('Import finished: %1$d added, %2$d updated, %3$d deleted, %4$d skipped.', 'woocommerce-gateway-vibe'),
+				$counts['added'],
+				$counts['updated'],
+				$counts['removed'],
+				$counts['skipped']
+			),
+			'redirect' => admin_url('admin.php?page=vibe-dynamic-pricing&tab=rules'),
+		));
+	}
+
+	/**
+	 * Check an import request and plan it.
+	 *
+	 * Sends a JSON error and exits if the request or file is invalid.
+	 *
+	 * @return array Import plan.
+	 */
+	private function get_rule_import_plan()
+	{
+		if (!isset($_POST['nonce']) || !wp_verify_nonce($_POST['nonce'], 'vibe_import_pricing_rules') || !current_user_can('manage_woocommerce')) {
+			wp_send_json_error(array(
+				'message' => __('Security check failed', 'woocommerce-gateway-vibe'),
+				'code' => 'nonce_failed'
+			));
+		}
+
+		$document = isset($_POST['rules_json']) ? json_decode(wp_unslash($_POST['rules_json']), true) : null;
+		if (null === $document) {
+			wp_send_json_error(array(
+				'message' => __('The file is not valid JSON.', 'woocommerce-gateway-vibe'),
+				'code' => 'invalid_json'
+			));
+		}
+
+		$mode = isset($_POST['mode']) && 'overwrite' === $_POST['mode'] ? 'overwrite' : 'merge';
+		$plan = WC_Vibe_Rule_Import_Export::plan_import($document, $this->get_pricing_rules(), $mode);
+
+		if (is_wp_error($plan)) {
+			wp_send_json_error(array(
+				'message' => $plan->get_error_message(),
+				'code' => $plan->get_error_code()
+			));
+		}
+
+		return $plan;
+	}
+
+	/**
+	 * Get a hash of an import plan to detect changes between preview and import.
+	 *
+	 * @param array $plan Import plan.
+	 * @return string Plan hash.
+	 */
+	private function get_rule_import_plan_hash($plan)
+	{
+		return md5(wp_json_encode($plan));
+	}
+
+	/**
+	 * AJAX: Get pricing statistics and the metric history for the performance dashboard.
+	 */
+	public function ajax_get_pricing_stats()
+	{
+		if (!isset($_POST['nonce']) || !wp_verify_nonce($_POST['nonce'], 'vibe_get_pricing_stats') || !current_user_can('manage_woocommerce')) {
+			wp_send_json_error(array(
+				'message' => __('Security check failed', 'woocommerce-gateway-vibe'),
+				'code' => 'nonce_failed'
+			));
+		}
+
+		$range = isset($_POST['range']) ? absint($_POST['range']) : HOUR_IN_SECONDS;
+
+		$stats = $this->cache_manager->get_cache_stats();
+		$stats['series'] = WC_Vibe_Performance_Monitor::get_time_series($range);
+
+		wp_send_json_success($stats);
+	}
+
+	/**
+	 * Enqueue admin assets.
+	 */
+	public function enqueue_admin_assets($hook)
+	{
+		if (strpos($hook, 'vibe-') === false) {
+			return;
+		}
+
+		// Enqueue WordPress color picker
+		wp_enqueue_style('wp-color-picker');
+		wp_enqueue_script('wp-color-picker');
+
+		// Check if CSS file exists before enqueuing
+		$css_file = WC_VIBE_PLUGIN_PATH . 'assets/css/admin-pricing.css';
+		if (file_exists($css_file)) {
+			wp_enqueue_style(
+				'vibe-admin-pricing',
+				WC_VIBE_PLUGIN_URL . 'assets/css/admin-pricing.css',
+				array('wp-color-picker'),
+				WC_VIBE_VERSION
+			);
+		}
+
+		// Product search for the rule simulator and the display preview
+		$is_display_page = isset($_GET['page']) && 'vibe-pricing-display' === $_GET['page'];
+		if ((isset($_GET['tab']) && 'simulator' === $_GET['tab']) || $is_display_page) {
+			wp_enqueue_script('wc-enhanced-select');
+			wp_enqueue_style('woocommerce_admin_styles');
+		}
+
+		// Complex logic builder used by the rule form
+		$builder_js_file = WC_VIBE_PLUGIN_PATH . 'assets/js/admin-complex-logic.js';
+		$admin_js_deps = array('jquery', 'wp-color-picker', 'wp-i18n');
+		if (file_exists($builder_js_file)) {
+			wp_enqueue_script(
+				'vibe-admin-complex-logic',
+				WC_VIBE_PLUGIN_URL . 'assets/js/admin-complex-logic.js',
+				array('jquery', 'jquery-ui-sortable', 'wp-i18n'),
+				WC_VIBE_VERSION,
+				true
+			);
+
+			wp_set_script_translations('vibe-admin-complex-logic', 'woocommerce-gateway-vibe', WC_VIBE_PLUGIN_PATH . 'i18n/languages');
+
+			wp_localize_script('vibe-admin-complex-logic', 'vibe_admin_pricing', array(
+				'categories' => $this->get_term_options('product_cat'),
+				'tags' => $this->get_term_options('product_tag'),
+			));
+
+			$admin_js_deps[] = 'vibe-admin-complex-logic';
+		}
+
+		// Check if JS file exists before enqueuing
+		$js_file = WC_VIBE_PLUGIN_PATH . 'assets/js/admin-pricing.js';
+		if (file_exists($js_file)) {
+			wp_enqueue_script(
 				'vibe-admin-pricing',
 				WC_VIBE_PLUGIN_URL . 'assets/js/admin-pricing.js',
-				array('jquery', 'wp-color-picker'),
+				$admin_js_deps,
 				WC_VIBE_VERSION,
 				true
 			);
+
+			wp_set_script_translations('vibe-admin-pricing', 'woocommerce-gateway-vibe', WC_VIBE_PLUGIN_PATH . 'i18n/languages');
+		}
+
+		// The display preview uses the storefront price styles
+		$price_display = WC_Vibe_Dynamic_Pricing::get_instance()->get_price_display();
+		if ($is_display_page && $price_display && wp_style_is('vibe-admin-pricing', 'enqueued')) {
+			wp_add_inline_style('vibe-admin-pricing', $price_display->get_inline_css());
 		}
 	}
 
+	/**
+	 * Get the terms of a product taxonomy for the complex logic builder.
+	 *
+	 * @param string $taxonomy Taxonomy name.
+	 * @return array Term names keyed by slug.
+	 */
+	private function get_term_options($taxonomy)
+	{
+		$terms = get_terms(array('taxonomy' => $taxonomy, 'hide_empty' => false));
+		$options = array();
+
+		if (is_wp_error($terms)) {
+			return $options;
+		}
+
+		foreach ($terms as $term) {
+			$options[$term->slug] = $term->name;
+		}
+
+		return $options;
+	}
+
 	/**
 	 * Add plugin action links.
 	 */
@@ -1571,19 +2564,14 @@ class WC_Vibe_Admin_Interface
 		// Update emergency disable setting
 		update_option('wc_vibe_dynamic_pricing_emergency_disable', isset($_POST['emergency_disable']) ? 'yes' : 'no');
 
+		// Update payment method comparison setting
+		update_option('wc_vibe_show_payment_comparison', isset($_POST['show_payment_comparison']) ? 'yes' : 'no');
+
+		// Update referrer attribution lifetime (days)
+		update_option('wc_vibe_attribution_lifetime', isset($_POST['attribution_lifetime']) ? min(365, absint($_POST['attribution_lifetime'])) : 30);
+
 		// Update display settings (both prices always shown)
-		$display_settings = array(
-			'display_layout' => 'two_line',
-			'price_order' => isset($_POST['price_order']) ? sanitize_text_field($_POST['price_order']) : 'original_first',
-			'new_price_font_size' => isset($_POST['new_price_font_size']) ? sanitize_text_field($_POST['new_price_font_size']) : '100%',
-			'new_price_color' => isset($_POST['new_price_color']) ? sanitize_hex_color($_POST['new_price_color']) : '',
-			'new_price_font_weight' => isset($_POST['new_price_font_weight']) ? $this->sanitize_font_weight($_POST['new_price_font_weight']) : 'bold',
-			'original_price_font_size' => isset($_POST['original_price_font_size']) ? sanitize_text_field($_POST['original_price_font_size']) : '85%',
-			'original_price_color' => isset($_POST['original_price_color']) ? sanitize_hex_color($_POST['original_price_color']) : '#999999',
-			'original_price_font_weight' => isset($_POST['original_price_font_weight']) ? $this->sanitize_font_weight($_POST['original_price_font_weight']) : 'normal',
-			'new_price_prefix' => isset($_POST['new_price_prefix']) ? sanitize_text_field($_POST['new_price_prefix']) : '',
-			'original_price_prefix' => isset($_POST['original_price_prefix']) ? sanitize_text_field($_POST['original_price_prefix']) : '',
-		);
+		$display_settings = $this->get_posted_display_settings();
 
 		update_option('wc_vibe_price_display_settings', $display_settings);
 
@@ -1629,6 +2617,29 @@ class WC_Vibe_Admin_Interface
 		return null;
 	}
 
+	/**
+	 * Get the display settings submitted with the display settings form.
+	 *
+	 * Both prices are always shown, so the layout is fixed.
+	 *
+	 * @return array Sanitized display settings.
+	 */
+	private function get_posted_display_settings()
+	{
+		return array(
+			'display_layout' => 'two_line',
+			'price_order' => isset($_POST['price_order']) ? sanitize_text_field($_POST['price_order']) : 'original_first',
+			'new_price_font_size' => isset($_POST['new_price_font_size']) ? sanitize_text_field($_POST['new_price_font_size']) : '100%',
+			'new_price_color' => isset($_POST['new_price_color']) ? sanitize_hex_color($_POST['new_price_color']) : '',
+			'new_price_font_weight' => isset($_POST['new_price_font_weight']) ? $this->sanitize_font_weight($_POST['new_price_font_weight']) : 'bold',
+			'original_price_font_size' => isset($_POST['original_price_font_size']) ? sanitize_text_field($_POST['original_price_font_size']) : '85%',
+			'original_price_color' => isset($_POST['original_price_color']) ? sanitize_hex_color($_POST['original_price_color']) : '#999999',
+			'original_price_font_weight' => isset($_POST['original_price_font_weight']) ? $this->sanitize_font_weight($_POST['original_price_font_weight']) : 'normal',
+			'new_price_prefix' => isset($_POST['new_price_prefix']) ? sanitize_text_field($_POST['new_price_prefix']) : '',
+			'original_price_prefix' => isset($_POST['original_price_prefix']) ? sanitize_text_field($_POST['original_price_prefix']) : '',
+		);
+	}
+
 	/**
 	 * Sanitize font weight value.
 	 *
@@ -39,6 +39,13 @@ class WC_Vibe_API_Settings {
 	 */
 	private $product_details_endpoint;
 
+	/**
+	 * Payment webhook endpoint URL.
+	 *
+	 * @var string
+	 */
+	private $webhook_endpoint;
+
 	/**
 	 * Constructor.
 	 */
@@ -47,6 +54,7 @@ class WC_Vibe_API_Settings {
 		$this->site_url = get_site_url();
 		$this->product_list_endpoint = $this->site_url . '/wp-json/vibe/v1/products';
 		$this->product_details_endpoint = $this->site_url . '/wp-json/vibe/v1/products/{product_id}';
+		$this->webhook_endpoint = $this->site_url . '/wp-json/vibe/v1/webhook';
 		
 		// Add settings tab to WooCommerce settings.
 		add_filter( 'woocommerce_settings_tabs_array', array( $this, 'add_settings_tab' ), 50 );
@@ -136,6 +144,22 @@ class WC_Vibe_API_Settings {
 						</p>
 					</td>
 				</tr>
+				<tr valign="top">
+					<th scope="row" class="titledesc">
+						<label><?php esc_html_e( 'Payment Webhook Endpoint', 'woocommerce-gateway-vibe' ); ?></label>
+					</th>
+					<td class="forminp forminp-text">
+						<div class="vibe-api-endpoint-container">
+							<input type="text" class="regular-text vibe-api-endpoint" value="<?php echo esc_url( $this->webhook_endpoint ); ?>" readonly />
+							<button type="button" class="button vibe-copy-endpoint" data-endpoint="<?php echo esc_url( $this->webhook_endpoint ); ?>">
+								<span class="dashicons dashicons-clipboard"></span> <?php esc_html_e( 'Copy', 'woocommerce-gateway-vibe' ); ?>
+							</button>
+						</div>
+						<p class="description">
+							<?php esc_html_e( 'Endpoint Vibe posts payment status events to (paid, failed, refunded, expired). Requests are signed with the webhook secret above.', 'woocommerce-gateway-vibe' ); ?>
+						</p>
+					</td>
+				</tr>
 				<tr valign="top">
 					<th scope="row" class="titledesc">
 						<label><?php esc_html_e( 'Share Endpoints', 'woocommerce-gateway-vibe' ); ?></label>
@@ -286,6 +310,13 @@ class WC_Vibe_API_Settings {
 				'id'       => 'vibe_api_generate_key',
 				'default'  => 'no',
 			),
+			'webhook_secret' => array(
+				'name'     => __( 'Webhook Secret', 'woocommerce-gateway-vibe' ),
+				'type'     => 'text',
+				'desc'     => __( 'Shared secret Vibe signs payment webhooks with. The HMAC-SHA256 signature of the X-Vibe-Timestamp header, a dot and the request body must be sent in the X-Vibe-Signature header.', 'woocommerce-gateway-vibe' ),
+				'id'       => 'wc_vibe_webhook_secret',
+				'default'  => $this->get_default_webhook_secret(),
+			),
 			'section_end' => array(
 				'type'     => 'sectionend',
 				'id'       => 'vibe_api_section_end',
@@ -310,6 +341,22 @@ class WC_Vibe_API_Settings {
 		return $api_key;
 	}
 
+	/**
+	 * Get the webhook secret, generating one on first use.
+	 *
+	 * @return string Webhook secret.
+	 */
+	private function get_default_webhook_secret() {
+		$secret = get_option( 'wc_vibe_webhook_secret' );
+
+		if ( empty( $secret ) ) {
+			$secret = wp_generate_password( 40, false );
+			update_option( 'wc_vibe_webhook_secret', $secret );
+		}
+
+		return $secret;
+	}
+
 	/**
 	 * Generate a new API key.
 	 *
@@ -183,6 +183,381 @@ class WC_Vibe_API
 				),
 			)
 		);
+
+		// Register payment webhook endpoint.
+		register_rest_route(
+			'vibe/v1',
+			'/webhook',
+			array(
+				'methods'             => WP_REST_Server::CREATABLE,
+				'callback'            => array($this, 'handle_webhook'),
+				'permission_callback' => array($this, 'webhook_permissions_check'),
+				'args'                => array(
+					'event' => array(
+						'description'       => __('Payment status event', 'woocommerce-gateway-vibe'),
+						'type'              => 'string',
+						'enum'              => array('paid', 'failed', 'refunded', 'expired'),
+						'required'          => true,
+						'validate_callback' => 'rest_validate_request_arg',
+					),
+					'order_id' => array(
+						'description'       => __('UUID of the Vibe order', 'woocommerce-gateway-vibe'),
+						'type'              => 'string',
+						'required'          => true,
+						'validate_callback' => 'rest_validate_request_arg',
+					),
+					'ref_id' => array(
+						'description'       => __('Payment reference ID', 'woocommerce-gateway-vibe'),
+						'type'              => 'string',
+						'default'           => '',
+						'sanitize_callback' => 'sanitize_text_field',
+					),
+					'event_id' => array(
+						'description'       => __('Unique ID of the event, used to ignore redeliveries', 'woocommerce-gateway-vibe'),
+						'type'              => 'string',
+						'minLength'         => 1,
+						'maxLength'         => 100,
+						'required'          => true,
+						'validate_callback' => 'rest_validate_request_arg',
+						'sanitize_callback' => 'sanitize_text_field',
+					),
+					'refund_id' => array(
+						'description'       => __('Vibe refund reference, required for refunded events', 'woocommerce-gateway-vibe'),
+						'type'              => 'string',
+						'default'           => '',
+						'sanitize_callback' => 'sanitize_text_field',
+					),
+					'client_refund_id' => array(
+						'description'       => __('Refund ID sent by the store when the refund was started from the order screen', 'woocommerce-gateway-vibe'),
+						'type'              => 'string',
+						'default'           => '',
+						'sanitize_callback' => 'sanitize_text_field',
+					),
+					'amount' => array(
+						'description'       => __('Refunded amount in Rials, the full remaining amount when omitted', 'woocommerce-gateway-vibe'),
+						'type'              => 'number',
+						'minimum'           => 0,
+						'validate_callback' => 'rest_validate_request_arg',
+					),
+				),
+			)
+		);
+	}
+
+	/**
+	 * Check the shared secret signature of a webhook request.
+	 *
+	 * Vibe sends the Unix time of the delivery in the X-Vibe-Timestamp header
+	 * and signs `<timestamp>.<raw body>` with HMAC-SHA256, using the webhook
+	 * secret from the Vibe API settings. The hex digest is sent in the
+	 * X-Vibe-Signature header. Deliveries outside the tolerance window are
+	 * rejected, so a captured request cannot be replayed later.
+	 *
+	 * @param WP_REST_Request $request Full details about the request.
+	 * @return true|WP_Error True if the signature is valid, WP_Error object otherwise.
+	 */
+	public function webhook_permissions_check($request)
+	{
+		if (! $this->is_woocommerce_active()) {
+			return new WP_Error('woocommerce_not_active', __('WooCommerce is not active', 'woocommerce-gateway-vibe'), array('status' => 404));
+		}
+
+		$secret    = get_option('wc_vibe_webhook_secret', '');
+		$signature = (string) $request->get_header('X-Vibe-Signature');
+		$timestamp = (string) $request->get_header('X-Vibe-Timestamp');
+
+		if ('' === $secret) {
+			return new WP_Error(
+				'vibe_webhook_not_configured',
+				__('The webhook secret is not configured.', 'woocommerce-gateway-vibe'),
+				array('status' => 401)
+			);
+		}
+
+		if ('' === $signature || ! ctype_digit($timestamp) || ! hash_equals(hash_hmac('sha256', $timestamp . '.' . $request->get_body(), $secret), $signature)) {
+			return new WP_Error(
+				'vibe_webhook_invalid_signature',
+				__('Invalid webhook signature.', 'woocommerce-gateway-vibe'),
+				array('status' => 401)
+			);
+		}
+
+		if (abs(time() - (int) $timestamp) > $this->get_webhook_tolerance()) {
+			return new WP_Error(
+				'vibe_webhook_expired',
+				__('The webhook timestamp is outside the allowed window.', 'woocommerce-gateway-vibe'),
+				array('status' => 401)
+			);
+		}
+
+		return true;
+	}
+
+	/**
+	 * Get how far a webhook timestamp may be from the current time.
+	 *
+	 * @return int Seconds.
+	 */
+	private function get_webhook_tolerance()
+	{
+		return (int) apply_filters('wc_vibe_webhook_tolerance', 5 * MINUTE_IN_SECONDS);
+	}
+
+	/**
+	 * Claim a webhook event ID before applying the event.
+	 *
+	 * The claim is an option row inserted with INSERT IGNORE, so of two
+	 * deliveries of the same event running at once only one gets it. Claims
+	 * are kept while a delivery signed at the same time can still pass the
+	 * timestamp check; after that a replay is rejected by the check, and
+	 * redeliveries are caught by the event IDs stored on the order.
+	 *
+	 * @param string $event_id Event ID.
+	 * @return bool True if the event was claimed by this request.
+	 */
+	private function claim_webhook_event($event_id)
+	{
+		global $wpdb;
+
+		// Drop claims that have outlived the tolerance window
+		$wpdb->query($wpdb->prepare(
+			"DELETE FROM {$wpdb->options} WHERE option_name LIKE %s AND CAST(option_value AS UNSIGNED) < %d",
+			$wpdb->esc_like('wc_vibe_webhook_claim_') . '%',
+			time()
+		));
+
+		$claimed = $wpdb->query($wpdb->prepare(
+			"INSERT IGNORE INTO {$wpdb->options} (option_name, option_value, autoload) VALUES (%s, %s, 'no')",
+			$this->get_webhook_claim_name($event_id),
+			time() + 2 * $this->get_webhook_tolerance()
+		));
+
+		return 1 === $claimed;
+	}
+
+	/**
+	 * Release a webhook event claim, so a failed event can be redelivered.
+	 *
+	 * @param string $event_id Event ID.
+	 */
+	private function release_webhook_event($event_id)
+	{
+		global $wpdb;
+
+		$wpdb->delete($wpdb->options, array('option_name' => $this->get_webhook_claim_name($event_id)));
+	}
+
+	/**
+	 * Get the option name of a webhook event claim.
+	 *
+	 * @param string $event_id Event ID.
+	 * @return string Option name.
+	 */
+	private function get_webhook_claim_name($event_id)
+	{
+		return 'wc_vibe_webhook_claim_' . md5($event_id);
+	}
+
+	/**
+	 * Apply a payment status event to the order it belongs to.
+	 *
+	 * Events are idempotent: an event ID that was already claimed or
+	 * processed, or an event the order already reflects, leaves the order
+	 * unchanged and is answered with the `duplicate` or `ignored` status.
+	 *
+	 * @param WP_REST_Request $request Full details about the request.
+	 * @return WP_REST_Response|WP_Error Response object on success, or WP_Error object on failure.
+	 */
+	public function handle_webhook($request)
+	{
+		$uuid     = sanitize_text_field($request->get_param('order_id'));
+		$event    = $request->get_param('event');
+		$event_id = $request->get_param('event_id');
+
+		$orders = wc_get_orders(array(
+			'meta_key'   => '_vibe_uuid_order_id',
+			'meta_value' => $uuid,
+			'limit'      => 1,
+		));
+
+		if (empty($orders)) {
+			return new WP_Error('vibe_webhook_order_not_found', __('Order not found.', 'woocommerce-gateway-vibe'), array('status' => 404));
+		}
+
+		$order = $orders[0];
+
+		if ('refunded' === $event && '' === $request->get_param('refund_id')) {
+			return new WP_Error('vibe_webhook_missing_refund_id', __('Refunded events require a refund_id.', 'woocommerce-gateway-vibe'), array('status' => 400));
+		}
+
+		$processed_events = $order->get_meta('_vibe_webhook_events');
+		$processed_events = is_array($processed_events) ? $processed_events : array();
+
+		if (in_array($event_id, $processed_events, true) || ! $this->claim_webhook_event($event_id)) {
+			return rest_ensure_response(array(
+				'status'   => 'duplicate',
+				'order_id' => $order->get_id(),
+			));
+		}
+
+		// Another request may have finished this event between the lookup and the claim
+		$order = wc_get_order($order->get_id());
+		$processed_events = $order->get_meta('_vibe_webhook_events');
+		$processed_events = is_array($processed_events) ? $processed_events : array();
+
+		if (in_array($event_id, $processed_events, true)) {
+			return rest_ensure_response(array(
+				'status'   => 'duplicate',
+				'order_id' => $order->get_id(),
+			));
+		}
+
+		switch ($event) {
+			case 'paid':
+				$status = $this->handle_paid_event($order, $request->get_param('ref_id'));
+				break;
+			case 'refunded':
+				$status = $this->handle_refunded_event($order, $request->get_param('refund_id'), $request->get_param('client_refund_id'), $request->get_param('amount'));
+				break;
+			default:
+				$status = $this->handle_unpaid_event($order, $event);
+		}
+
+		if (is_wp_error($status)) {
+			$this->release_webhook_event($event_id);
+			return $status;
+		}
+
+		$processed_events[] = $event_id;
+		$order->update_meta_data('_vibe_webhook_events', array_slice($processed_events, -50));
+		$order->save();
+
+		return rest_ensure_response(array(
+			'status'   => $status,
+			'order_id' => $order->get_id(),
+		));
+	}
+
+	/**
+	 * Complete the payment of an order.
+	 *
+	 * @param WC_Order $order  Order object.
+	 * @param string   $ref_id Payment reference ID.
+	 * @return string Result status.
+	 */
+	private function handle_paid_event($order, $ref_id)
+	{
+		if ($order->is_paid()) {
+			return 'ignored';
+		}
+
+		if ('' !== $ref_id) {
+			$order->update_meta_data('_vibe_reference_id', $ref_id);
+			$order->save();
+		}
+
+		$order->payment_complete($ref_id);
+
+		/* translators: %s: Reference ID from Vibe Payment Gateway */
+		$order->add_order_note(sprintf(__('Payment confirmed by a Vibe webhook. Reference ID: %s', 'woocommerce-gateway-vibe'), $ref_id ? $ref_id : '-'));
+
+		return 'processed';
+	}
+
+	/**
+	 * Mark an unpaid order as failed or cancelled.
+	 *
+	 * Paid orders are never downgraded by a late failure or expiry.
+	 *
+	 * @param WC_Order $order Order object.
+	 * @param string   $event Either `failed` or `expired`.
+	 * @return string Result status.
+	 */
+	private function handle_unpaid_event($order, $event)
+	{
+		$new_status = 'expired' === $event ? 'cancelled' : 'failed';
+
+		if ($order->is_paid() || $order->has_status($new_status)) {
+			return 'ignored';
+		}
+
+		$note = 'expired' === $event
+			? __('Vibe payment expired before it was completed.', 'woocommerce-gateway-vibe')
+			: __('Payment failed or was declined.', 'woocommerce-gateway-vibe');
+
+		$order->update_status($new_status, $note);
+
+		return 'processed';
+	}
+
+	/**
+	 * Record a refund made in the Vibe panel.
+	 *
+	 * The amount is converted back to the order currency with the rate
+	 * stored when the payment was created.
+	 *
+	 * @param WC_Order   $order            Order object.
+	 * @param string     $refund_id        Vibe refund reference.
+	 * @param string     $client_refund_id Refund ID sent by the store, if the refund started there.
+	 * @param float|null $amount           Refunded amount in Rials, null for the remaining amount.
+	 * @return string|WP_Error Result status, or WP_Error object when the refund cannot be created.
+	 */
+	private function handle_refunded_event($order, $refund_id, $client_refund_id, $amount)
+	{
+		$references = $order->get_meta('_vibe_refund_references');
+		$references = is_array($references) ? $references : array();
+
+		// Refunds started from the order screen are recorded before Vibe is called
+		if (in_array($refund_id, $references, true) || ('' !== $client_refund_id && in_array($client_refund_id, $references, true))) {
+			return 'ignored';
+		}
+
+		$remaining = (float) $order->get_remaining_refund_amount();
+		if (! $order->is_paid() || $remaining <= 0) {
+			return 'ignored';
+		}
+
+		if (null !== $amount) {
+			// Orders paid before conversions were recorded use the current rate
+			$rate = (float) $order->get_meta('_vibe_exchange_rate');
+			if ($rate <= 0) {
+				$rate = (float) WC_Vibe_Currency_Converter::get_rate($order->get_currency());
+			}
+
+			if ($rate <= 0) {
+				return new WP_Error('vibe_webhook_unsupported_currency', __('The refunded amount cannot be converted to the order currency.', 'woocommerce-gateway-vibe'), array('status' => 422));
+			}
+
+			$remaining = min($remaining, round((float) $amount / $rate, wc_get_price_decimals()));
+		}
+
+		$refund = wc_create_refund(array(
+			'order_id'       => $order->get_id(),
+			'amount'         => $remaining,
+			/* translators: %s: Vibe refund reference */
+			'reason'         => sprintf(__('Refunded in Vibe. Refund ID: %s', 'woocommerce-gateway-vibe'), $refund_id),
+			'refund_payment' => false,
+		));
+
+		if (is_wp_error($refund)) {
+			return new WP_Error('vibe_webhook_refund_failed', $refund->get_error_message(), array('status' => 500));
+		}
+
+		// Keep the Rials left to refund in step with refunds made from the order screen
+		$captured = $order->get_meta('_vibe_converted_amount');
+		$refunded = (int) $order->get_meta('_vibe_refunded_amount');
+		if (null !== $amount) {
+			$refunded += (int) $amount;
+		} elseif ('' !== $captured) {
+			$refunded = (int) $captured;
+		}
+
+		$references[] = $refund_id;
+		$order->update_meta_data('_vibe_refund_references', $references);
+		$order->update_meta_data('_vibe_refunded_amount', $refunded);
+		$order->save();
+
+		return 'processed';
 	}
 
 	/**
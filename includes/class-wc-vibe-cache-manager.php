@@ -44,6 +44,18 @@ class WC_Vibe_Cache_Manager {
 	 */
 	private $db_cache_table;
 
+	/**
+	 * Key prefixes of the cache groups that can be cleared on their own.
+	 *
+	 * @var array
+	 */
+	private $key_groups = array(
+		'rule_index' => array('compiled_rule_index_v2', 'pricing_rules_compiled'),
+		'product_rules' => array('product_rules_'),
+		'dynamic_prices' => array('dynamic_price_'),
+		'cart_analyses' => array('cart_analysis_'),
+	);
+
 	/**
 	 * Constructor.
 	 */
@@ -190,6 +202,83 @@ class WC_Vibe_Cache_Manager {
 		$this->clear_database_cache();
 	}
 
+	/**
+	 * Get the names of the cache groups that can be cleared on their own.
+	 *
+	 * @return array Group names.
+	 */
+	public function get_key_groups() {
+		return array_keys($this->key_groups);
+	}
+
+	/**
+	 * Clear one cache group from every tier.
+	 *
+	 * The object cache cannot be listed, so it is cleared for the keys found
+	 * in the transients and the database cache. Transients whose keys were
+	 * hashed for length are left to expire on their own.
+	 *
+	 * @param string $group Group name, see get_key_groups().
+	 * @return array|false Removed entries per tier, false for an unknown group.
+	 */
+	public function clear_group($group) {
+		global $wpdb;
+
+		if (!isset($this->key_groups[$group])) {
+			return false;
+		}
+
+		$removed = array(
+			'object_cache' => 0,
+			'transients' => 0,
+			'database' => 0,
+		);
+
+		foreach ($this->key_groups[$group] as $prefix) {
+			$cache_prefix = $this->generate_cache_key($prefix, $this->cache_group);
+
+			$transients = $wpdb->get_col($wpdb->prepare(
+				"SELECT option_name FROM {$wpdb->options} 
+				WHERE option_name LIKE %s",
+				$wpdb->esc_like('_transient_' . $cache_prefix) . '%'
+			));
+
+			$cache_keys = $wpdb->get_col($wpdb->prepare(
+				"SELECT cache_key FROM {$this->db_cache_table} 
+				WHERE cache_key LIKE %s",
+				$wpdb->esc_like($cache_prefix) . '%'
+			));
+
+			$transient_keys = array();
+			foreach ($transients as $transient) {
+				$transient_key = substr($transient, strlen('_transient_'));
+				$transient_keys[] = $transient_key;
+				if (delete_transient($transient_key)) {
+					$removed['transients']++;
+				}
+			}
+
+			if (!empty($cache_keys)) {
+				$removed['database'] += (int) $wpdb->query($wpdb->prepare(
+					"DELETE FROM {$this->db_cache_table} WHERE cache_key LIKE %s",
+					$wpdb->esc_like($cache_prefix) . '%'
+				));
+			}
+
+			if (wp_using_ext_object_cache()) {
+				// The prefix itself covers exact keys such as the rule index
+				$object_keys = array_unique(array_merge(array($cache_prefix), $transient_keys, $cache_keys));
+				foreach ($object_keys as $cache_key) {
+					if (wp_cache_delete($cache_key, $this->cache_group)) {
+						$removed['object_cache']++;
+					}
+				}
+			}
+		}
+
+		return $removed;
+	}
+
 	/**
 	 * Get pricing rules from cache.
 	 *
@@ -461,9 +550,15 @@ class WC_Vibe_Cache_Manager {
 	/**
 	 * Warm up cache with frequently accessed data.
 	 *
+	 * When a pricing engine is given, prices are calculated through it so the
+	 * product rule and dynamic price caches are filled for the current
+	 * pricing context.
+	 *
 	 * @param array $product_ids Product IDs to warm up.
+	 * @param WC_Vibe_Pricing_Engine|null $pricing_engine Pricing engine (optional).
+	 * @return int Number of products warmed up.
 	 */
-	public function warm_up_cache($product_ids = array()) {
+	public function warm_up_cache($product_ids = array(), $pricing_engine = null) {
 		// This method can be called during off-peak hours to pre-populate cache
 		// with frequently accessed pricing data
 		
@@ -472,10 +567,15 @@ class WC_Vibe_Cache_Manager {
 			$product_ids = $this->get_popular_products();
 		}
 
+		$warmed = 0;
+
 		foreach ($product_ids as $product_id) {
 			// Pre-calculate and cache common pricing scenarios
 			$product = wc_get_product($product_id);
-			if ($product) {
+			if ($product && $pricing_engine) {
+				$pricing_engine->get_dynamic_price($product, $product->get_price(), 'display');
+				$warmed++;
+			} elseif ($product) {
 				// Cache product rules
 				$this->get_product_rules($product_id);
 				
@@ -484,8 +584,11 @@ class WC_Vibe_Cache_Manager {
 				foreach ($common_contexts as $context) {
 					$this->get_dynamic_price($product_id, $context);
 				}
+				$warmed++;
 			}
 		}
+
+		return $warmed;
 	}
 
 	/**
@@ -61,6 +61,7 @@ class WC_Vibe_Cart_Processor {
         'products_processed' => 0,
         'rules_evaluated' => 0,
         'cache_hits' => 0,
+        'cart_analyses' => 0,
         'db_queries' => 0
     );
 
@@ -93,6 +94,7 @@ class WC_Vibe_Cart_Processor {
         
         if (false !== $cached_analysis) {
             $this->performance_metrics['cache_hits']++;
+            $this->record_monitor_event('cart_analysis_cache_hit');
             return $cached_analysis;
         }
 
@@ -113,10 +115,23 @@ class WC_Vibe_Cart_Processor {
         $this->cache_manager->set($cache_key, $analysis_result, 1800);
         
         $this->performance_metrics['process_time'] = microtime(true) - $start_time;
+        $this->performance_metrics['cart_analyses']++;
+        $this->record_monitor_event('cart_analysis');
         
         return $analysis_result;
     }
 
+    /**
+     * Pass a cart analysis event to the performance monitor.
+     *
+     * @param string $event Event name.
+     */
+    private function record_monitor_event($event) {
+        if (class_exists('WC_Vibe_Performance_Monitor')) {
+            WC_Vibe_Performance_Monitor::record_event($event);
+        }
+    }
+
     /**
      * Perform single-pass cart analysis eliminating all duplicate processing.
      *
@@ -538,6 +553,7 @@ class WC_Vibe_Cart_Processor {
             'products_processed' => 0,
             'rules_evaluated' => 0,
             'cache_hits' => 0,
+            'cart_analyses' => 0,
             'db_queries' => 0
         );
     }
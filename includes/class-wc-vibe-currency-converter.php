@@ -0,0 +1,245 @@
+<?php
+
+/**
+ * Vibe Currency Converter Class
+ *
+ * Converts store amounts to the currency Vibe settles in (Iranian Rial) and
+ * rounds amounts by per-currency rules. Used by the gateway for the amounts
+ * sent to Vibe and by the pricing engine for the dynamic prices it shows.
+ *
+ * @package  WooCommerce Vibe Payment Gateway
+ * @since    1.3.0
+ */
+
+// Exit if accessed directly.
+if (! defined('ABSPATH')) {
+	exit;
+}
+
+/**
+ * Currency conversion helpers for Vibe.
+ *
+ * Rates are the number of Rials in one unit of a currency. IRR and IRT are
+ * built in; other currencies get a rate from the gateway settings:
+ *
+ *     USD=1050000
+ *     EUR=1150000
+ *
+ * or from the `wc_vibe_currency_rate` filter, which currency switcher
+ * integrations can use to provide live rates. A currency without a rate
+ * cannot be settled by Vibe.
+ *
+ * Rounding rules are set per currency as a step and an optional mode
+ * (round, up or down):
+ *
+ *     IRR=1000,up
+ *     USD=0.01
+ *
+ * Currencies without a rule round to the store's price decimals, Rials and
+ * Tomans to whole units.
+ *
+ * @class    WC_Vibe_Currency_Converter
+ * @version  1.3.0
+ */
+class WC_Vibe_Currency_Converter {
+
+	/**
+	 * Currency Vibe settles payments in.
+	 */
+	const SETTLEMENT_CURRENCY = 'IRR';
+
+	/**
+	 * Rates that are always known, in Rials per unit.
+	 *
+	 * @var array
+	 */
+	private static $built_in_rates = array(
+		'IRR' => 1,
+		'IRT' => 10,
+	);
+
+	/**
+	 * Convert an amount to the settlement currency.
+	 *
+	 * @param float  $amount   Amount in the given currency.
+	 * @param string $currency Currency code of the amount.
+	 * @return array|WP_Error Converted amount and the rate used, or an error when the currency cannot be settled.
+	 */
+	public static function convert($amount, $currency) {
+		$rate = self::get_rate($currency);
+
+		if (false === $rate) {
+			return new WP_Error(
+				'vibe_unsupported_currency',
+				/* translators: %s: Currency code */
+				sprintf(__('Vibe does not support payments in %s.', 'woocommerce-gateway-vibe'), $currency)
+			);
+		}
+
+		return array(
+			'amount' => self::round((float) $amount * $rate, self::SETTLEMENT_CURRENCY),
+			'rate'   => $rate,
+		);
+	}
+
+	/**
+	 * Get the rate of a currency in Rials per unit.
+	 *
+	 * @param string $currency Currency code.
+	 * @return float|false Rate, or false when the currency has none.
+	 */
+	public static function get_rate($currency) {
+		$currency = strtoupper((string) $currency);
+		$rates    = self::get_rates();
+		$rate     = isset($rates[$currency]) ? $rates[$currency] : false;
+
+		/**
+		 * Filter the rate used to convert a currency to Rials.
+		 *
+		 * @param float|false $rate     Rials per unit, false when not configured.
+		 * @param string      $currency Currency code.
+		 */
+		$rate = apply_filters('wc_vibe_currency_rate', $rate, $currency);
+
+		return (is_numeric($rate) && $rate > 0) ? (float) $rate : false;
+	}
+
+	/**
+	 * Check whether Vibe can settle payments in a currency.
+	 *
+	 * @param string $currency Currency code.
+	 * @return bool
+	 */
+	public static function is_supported($currency) {
+		return false !== self::get_rate($currency);
+	}
+
+	/**
+	 * Get the currencies Vibe can settle.
+	 *
+	 * Includes the active store currency when a filter provides its rate.
+	 *
+	 * @return array Currency codes.
+	 */
+	public static function get_supported_currencies() {
+		$currencies = array_keys(self::get_rates());
+		$current    = get_woocommerce_currency();
+
+		if (! in_array($current, $currencies, true) && self::is_supported($current)) {
+			$currencies[] = $current;
+		}
+
+		return $currencies;
+	}
+
+	/**
+	 * Round an amount by the rule of its currency.
+	 *
+	 * @param float      $amount   Amount to round.
+	 * @param string     $currency Currency code.
+	 * @param array|null $default  Rule used when none is configured for the currency, see get_rounding_rule().
+	 * @return float Rounded amount.
+	 */
+	public static function round($amount, $currency, $default = null) {
+		$rule = self::get_rounding_rule($currency, $default);
+		$step = $rule['step'];
+
+		switch ($rule['mode']) {
+			case 'up':
+				$rounded = ceil(round($amount / $step, 6)) * $step;
+				break;
+			case 'down':
+				$rounded = floor(round($amount / $step, 6)) * $step;
+				break;
+			default:
+				$rounded = round($amount / $step) * $step;
+		}
+
+		// Drop float noise left by the step multiplication
+		return round($rounded, max(0, (int) ceil(-log10($step))));
+	}
+
+	/**
+	 * Get the rounding rule of a currency.
+	 *
+	 * Without a configured rule, the built-in currencies round to whole
+	 * units and others keep the store's price decimals.
+	 *
+	 * @param string     $currency Currency code.
+	 * @param array|null $default  Rule used when none is configured for the currency.
+	 * @return array Rule with the rounding step and mode.
+	 */
+	public static function get_rounding_rule($currency, $default = null) {
+		$currency = strtoupper((string) $currency);
+		$rules    = array();
+
+		foreach (self::parse_setting('currency_rounding') as $code => $value) {
+			$parts = array_map('trim', explode(',', $value));
+			$step  = (float) $parts[0];
+			$mode  = isset($parts[1]) ? strtolower($parts[1]) : 'round';
+
+			if ($step > 0) {
+				$rules[$code] = array(
+					'step' => $step,
+					'mode' => in_array($mode, array('up', 'down'), true) ? $mode : 'round',
+				);
+			}
+		}
+
+		if (isset($rules[$currency])) {
+			$rule = $rules[$currency];
+		} elseif (null !== $default) {
+			$rule = $default;
+		} elseif (isset(self::$built_in_rates[$currency])) {
+			$rule = array('step' => 1, 'mode' => 'round');
+		} else {
+			$rule = array('step' => pow(10, -wc_get_price_decimals()), 'mode' => 'round');
+		}
+
+		/**
+		 * Filter the rounding rule of a currency.
+		 *
+		 * @param array  $rule     Rule with a `step` and a `mode` (round, up or down).
+		 * @param string $currency Currency code.
+		 */
+		return apply_filters('wc_vibe_currency_rounding_rule', $rule, $currency);
+	}
+
+	/**
+	 * Get the built-in and configured rates.
+	 *
+	 * @return array Rials per unit keyed by currency code.
+	 */
+	private static function get_rates() {
+		$rates = self::$built_in_rates;
+
+		foreach (self::parse_setting('currency_rates') as $code => $value) {
+			if (is_numeric($value) && $value > 0) {
+				$rates[$code] = (float) $value;
+			}
+		}
+
+		return $rates;
+	}
+
+	/**
+	 * Parse a `CODE=value` per line gateway setting.
+	 *
+	 * @param string $key Gateway setting key.
+	 * @return array Values keyed by upper case currency code.
+	 */
+	private static function parse_setting($key) {
+		$settings = get_option('woocommerce_vibe_settings', array());
+		$lines    = isset($settings[$key]) ? preg_split('/\r\n|\r|\n/', (string) $settings[$key]) : array();
+		$values   = array();
+
+		foreach ($lines as $line) {
+			$parts = array_map('trim', explode('=', $line, 2));
+			if (2 === count($parts) && preg_match('/^[A-Za-z]{3}$/', $parts[0]) && '' !== $parts[1]) {
+				$values[strtoupper($parts[0])] = $parts[1];
+			}
+		}
+
+		return $values;
+	}
+}
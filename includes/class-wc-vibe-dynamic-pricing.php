@@ -185,7 +185,6 @@ class WC_Vibe_Dynamic_Pricing {
 		add_action('wp_ajax_nopriv_woocommerce_checkout_update_order_review', array($this, 'handle_payment_method_change'), 5);
 		
 		// Payment method change hooks
-		add_action('woocommerce_review_order_before_payment', array($this, 'setup_payment_method_js'));
 		add_action('wp_ajax_vibe_update_payment_pricing', array($this, 'ajax_update_payment_pricing'));
 		add_action('wp_ajax_nopriv_vibe_update_payment_pricing', array($this, 'ajax_update_payment_pricing'));
 
@@ -350,44 +349,6 @@ class WC_Vibe_Dynamic_Pricing {
 		}
 	}
 
-	/**
-	 * Setup JavaScript for payment method changes.
-	 */
-	public function setup_payment_method_js() {
-		if ($this->emergency_disabled || is_admin()) {
-			return;
-		}
-		
-		?>
-		<script type="text/javascript">
-		(function($) {
-			'use strict';
-			
-			$(document.body).on('change', 'input[name="payment_method"]', function() {
-				var selectedMethod = $(this).val();
-				
-				// Update pricing via AJAX
-				$.ajax({
-					url: '<?php echo admin_url('admin-ajax.php'); ?>',
-					type: 'POST',
-					data: {
-						action: 'vibe_update_payment_pricing',
-						payment_method: selectedMethod,
-						nonce: '<?php echo wp_create_nonce('vibe_dynamic_pricing_nonce'); ?>'
-					},
-					success: function(response) {
-						if (response.success) {
-							// Trigger checkout update
-							$(document.body).trigger('update_checkout');
-						}
-					}
-				});
-			});
-		})(jQuery);
-		</script>
-		<?php
-	}
-
 	/**
 	 * AJAX handler for payment method pricing updates.
 	 */
@@ -408,8 +369,15 @@ class WC_Vibe_Dynamic_Pricing {
 		}
 
 		$payment_method = sanitize_text_field($_POST['payment_method']);
+		$snapshot_sig = isset($_POST['snapshot_sig']) ? sanitize_text_field(wp_unslash($_POST['snapshot_sig'])) : '';
+		$snapshot_method = isset($_POST['snapshot_method']) ? sanitize_text_field(wp_unslash($_POST['snapshot_method'])) : '';
 		
 		try {
+			// The client preview is confirmed when it was built from the pricing state we still have,
+			// signed for the method it was previewed from since the engine already uses the posted one
+			$current_snapshot = $this->payment_integration->get_pricing_snapshot($snapshot_method);
+			$preview_confirmed = '' !== $snapshot_sig && hash_equals($current_snapshot['sig'], $snapshot_sig);
+
 			// Update pricing engine with new payment method
 			$this->pricing_engine->set_current_payment_method($payment_method);
 			
@@ -446,6 +414,9 @@ class WC_Vibe_Dynamic_Pricing {
 				$pricing_applied = true;
 			}
 			
+			// Refreshed prices for the cart lines listed in the page manifest
+			$cart_item_keys = isset($_POST['cart_item_keys']) ? array_map('sanitize_key', (array) wp_unslash($_POST['cart_item_keys'])) : array();
+
 			$response_data = array(
 				'message' => $pricing_applied ? 
 					'Special pricing applied for ' . $this->get_payment_method_display_name($payment_method) : 
@@ -453,6 +424,9 @@ class WC_Vibe_Dynamic_Pricing {
 				'payment_method' => $payment_method,
 				'pricing_applied' => $pricing_applied,
 				'apply_mode' => $apply_mode,
+				'items' => (object) $this->payment_integration->get_cart_item_prices($cart_item_keys),
+				'confirmed' => $preview_confirmed,
+				'snapshot' => $this->payment_integration->get_pricing_snapshot(),
 				'trigger_checkout_update' => true
 			);
 			
@@ -491,6 +465,27 @@ class WC_Vibe_Dynamic_Pricing {
 		return isset($fallback_names[$payment_method]) ? $fallback_names[$payment_method] : ucfirst($payment_method);
 	}
 
+	/**
+	 * Get the titles of the enabled payment gateways, keyed by gateway ID.
+	 *
+	 * @return array Gateway titles.
+	 */
+	public function get_gateway_titles() {
+		$titles = array();
+
+		if (!function_exists('WC') || !WC()->payment_gateways()) {
+			return $titles;
+		}
+
+		foreach (WC()->payment_gateways()->payment_gateways() as $gateway) {
+			if ('yes' === $gateway->enabled) {
+				$titles[$gateway->id] = wp_strip_all_tags($gateway->get_title());
+			}
+		}
+
+		return $titles;
+	}
+
 	/**
 	 * Enqueue frontend scripts and styles.
 	 */
@@ -499,22 +494,49 @@ class WC_Vibe_Dynamic_Pricing {
 			return;
 		}
 
-		// Check if JS file exists before enqueuing
+		// Referrer attribution has to run on every page a visitor can land on
+		wp_enqueue_script(
+			'vibe-referrer-attribution',
+			WC_VIBE_PLUGIN_URL . 'assets/js/frontend/referrer-attribution.js',
+			array(),
+			WC_VIBE_VERSION,
+			true
+		);
+
+		wp_localize_script('vibe-referrer-attribution', 'vibe_attribution', array(
+			'cookie_name' => 'wc_vibe_attribution',
+			'lifetime' => absint(get_option('wc_vibe_attribution_lifetime', 30)),
+			'path' => COOKIEPATH ? COOKIEPATH : '/',
+			'domain' => COOKIE_DOMAIN ? COOKIE_DOMAIN : '',
+		));
+
+		// Check if JS file exists before enqueuing, the pricing module only runs on cart and checkout
 		$js_file = WC_VIBE_PLUGIN_PATH . 'assets/js/frontend-dynamic-pricing.js';
-		if (file_exists($js_file)) {
+		if (file_exists($js_file) && (is_cart() || is_checkout())) {
 			// Enqueue price display scripts
 			wp_enqueue_script(
 				'vibe-dynamic-pricing-frontend',
 				WC_VIBE_PLUGIN_URL . 'assets/js/frontend-dynamic-pricing.js',
-				array('jquery'),
+				array('jquery', 'wp-i18n'),
 				WC_VIBE_VERSION,
 				true
 			);
 
+			wp_set_script_translations('vibe-dynamic-pricing-frontend', 'woocommerce-gateway-vibe', WC_VIBE_PLUGIN_PATH . 'i18n/languages');
+
 			// Localize script
 			wp_localize_script('vibe-dynamic-pricing-frontend', 'vibe_dynamic_pricing', array(
 				'ajax_url' => admin_url('admin-ajax.php'),
 				'nonce' => wp_create_nonce('vibe_dynamic_pricing_nonce'),
+				'gateway_titles' => $this->get_gateway_titles(),
+				'currency' => array(
+					'symbol' => html_entity_decode(get_woocommerce_currency_symbol(), ENT_QUOTES, 'UTF-8'),
+					'format' => html_entity_decode(get_woocommerce_price_format(), ENT_QUOTES, 'UTF-8'),
+					'decimals' => wc_get_price_decimals(),
+					'decimal_separator' => wc_get_price_decimal_separator(),
+					'thousand_separator' => wc_get_price_thousand_separator(),
+				),
+				'debug' => defined('WP_DEBUG') && WP_DEBUG,
 			));
 		}
 
@@ -553,6 +575,7 @@ class WC_Vibe_Dynamic_Pricing {
 			price_adjustment longtext,
 			discount_integration enum('apply','ignore') DEFAULT 'apply',
 			display_options longtext,
+			schedule longtext,
 			created_at datetime DEFAULT CURRENT_TIMESTAMP,
 			updated_at datetime DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
 			PRIMARY KEY (id),
@@ -574,9 +597,35 @@ class WC_Vibe_Dynamic_Pricing {
 			KEY idx_cleanup (expiry_time) USING BTREE
 		) $charset_collate;";
 
+		// Create rule change history table
+		$history_table_name = $wpdb->prefix . 'vibe_pricing_rule_history';
+		$history_sql = "CREATE TABLE $history_table_name (
+			id bigint(20) unsigned NOT NULL AUTO_INCREMENT,
+			rule_id bigint(20) unsigned NOT NULL,
+			action varchar(20) NOT NULL,
+			user_id bigint(20) unsigned DEFAULT 0,
+			rule_name varchar(255) DEFAULT '',
+			before_data longtext,
+			after_data longtext,
+			created_at datetime DEFAULT CURRENT_TIMESTAMP,
+			PRIMARY KEY (id),
+			KEY idx_rule (rule_id, id)
+		) $charset_collate;";
+
+		// Create performance sample table, rolled up into the metric history
+		$samples_table_name = $wpdb->prefix . 'vibe_performance_samples';
+		$samples_sql = "CREATE TABLE $samples_table_name (
+			id bigint(20) unsigned NOT NULL AUTO_INCREMENT,
+			bucket_time int(10) unsigned NOT NULL,
+			samples longtext NOT NULL,
+			PRIMARY KEY (id)
+		) $charset_collate;";
+
 		require_once(ABSPATH . 'wp-admin/includes/upgrade.php');
 		dbDelta($sql);
 		dbDelta($cache_sql);
+		dbDelta($history_sql);
+		dbDelta($samples_sql);
 
 		// Create additional optimized indexes if table already exists
 		self::create_optimized_indexes();
@@ -700,7 +749,9 @@ class WC_Vibe_Dynamic_Pricing {
 			// Drop tables with proper error handling
 			$tables_to_drop = array(
 				$wpdb->prefix . 'vibe_pricing_rules',
-				$wpdb->prefix . 'vibe_pricing_cache'
+				$wpdb->prefix . 'vibe_pricing_cache',
+				$wpdb->prefix . 'vibe_performance_samples',
+				$wpdb->prefix . 'vibe_pricing_rule_history'
 			);
 			
 			foreach ($tables_to_drop as $table_name) {
@@ -725,6 +776,8 @@ class WC_Vibe_Dynamic_Pricing {
 				'wc_vibe_dynamic_pricing_emergency_disable',
 				'wc_vibe_dynamic_pricing_enabled',
 				'wc_vibe_dynamic_pricing_apply_mode',
+				'wc_vibe_show_payment_comparison',
+				'wc_vibe_attribution_lifetime',
 				'wc_vibe_price_display_settings'
 			);
 			
@@ -831,7 +884,7 @@ class WC_Vibe_Dynamic_Pricing {
 	 * @param WC_Product $product Product object.
 	 * @return float|false Original price or false if not available.
 	 */
-	private function get_product_original_price($product) {
+	public function get_product_original_price($product) {
 		if (!$product || !is_a($product, 'WC_Product')) {
 			return false;
 		}
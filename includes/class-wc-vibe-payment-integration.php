@@ -45,16 +45,23 @@ class WC_Vibe_Payment_Integration {
 	 */
 	private function init_hooks() {
 		// Checkout and cart hooks
-		add_action('woocommerce_review_order_before_payment', array($this, 'add_payment_method_handler'));
 		add_action('woocommerce_checkout_update_order_review', array($this, 'handle_checkout_update'));
+
+		// Cart line manifest for the client pricing module
+		add_filter('woocommerce_cart_item_class', array($this, 'add_cart_item_class'), 10, 3);
+		add_action('woocommerce_after_cart_table', array($this, 'render_cart_manifest'));
+		add_action('woocommerce_review_order_before_payment', array($this, 'render_cart_manifest'));
+		add_filter('woocommerce_update_order_review_fragments', array($this, 'add_cart_manifest_fragment'));
+
+		// Payment method comparison on the classic cart and checkout
+		add_action('woocommerce_after_cart_totals', array($this, 'render_payment_comparison'));
+		add_action('woocommerce_review_order_before_payment', array($this, 'render_payment_comparison'));
+		add_filter('woocommerce_update_order_review_fragments', array($this, 'add_payment_comparison_fragment'));
 		
 		// AJAX hooks for dynamic price updates
 		add_action('wp_ajax_vibe_update_payment_prices', array($this, 'ajax_update_payment_prices'));
 		add_action('wp_ajax_nopriv_vibe_update_payment_prices', array($this, 'ajax_update_payment_prices'));
 		
-		// Enqueue frontend scripts
-		add_action('wp_enqueue_scripts', array($this, 'enqueue_payment_scripts'));
-		
 		// Filter cart totals when Vibe payment is selected
 		add_action('woocommerce_cart_calculate_fees', array($this, 'apply_dynamic_pricing_to_cart'));
 		
@@ -64,69 +71,414 @@ class WC_Vibe_Payment_Integration {
 		// WooCommerce Blocks: Register update callback for cart recalc when payment method changes
 		add_action( 'woocommerce_blocks_loaded', array( $this, 'register_blocks_dynamic_pricing_callback' ) );
 
+		// WooCommerce Blocks: Expose price adjustments and the payment method comparison on the Store API cart
+		if ( did_action( 'woocommerce_blocks_loaded' ) ) {
+			$this->register_store_api_cart_data();
+		} else {
+			add_action( 'woocommerce_blocks_loaded', array( $this, 'register_store_api_cart_data' ) );
+		}
+
 		// Enqueue helper script for block-based checkout dynamic pricing
 		add_action( 'wp_enqueue_scripts', array( $this, 'enqueue_blocks_dynamic_pricing_script' ) );
 	}
 
 	/**
-	 * Add payment method change handler to checkout.
+	 * Tag cart and order review rows with their cart item key.
+	 *
+	 * @param string $class CSS classes.
+	 * @param array $cart_item Cart item data.
+	 * @param string $cart_item_key Cart item key.
+	 * @return string CSS classes.
 	 */
-	public function add_payment_method_handler() {
-		?>
-		<script type="text/javascript">
-		jQuery(document).ready(function($) {
-			// Handle payment method changes
-			$('body').on('change', 'input[name="payment_method"]', function() {
-				var selectedPaymentMethod = $(this).val();
-				updateDynamicPrices(selectedPaymentMethod);
-			});
-			
-			function updateDynamicPrices(paymentMethod) {
-				// Collect all product IDs on the page
-				var productIds = [];
-				$('.vibe-dynamic-price-container').each(function() {
-					var productId = $(this).data('product-id');
-					if (productId && productIds.indexOf(productId) === -1) {
-						productIds.push(productId);
-					}
-				});
-				
-				if (productIds.length === 0) return;
-				
-				// Make AJAX request to update prices
-				$.ajax({
-					url: vibe_payment_integration.ajax_url,
-					type: 'POST',
-					data: {
-						action: 'vibe_update_payment_prices',
-						nonce: vibe_payment_integration.nonce,
-						payment_method: paymentMethod,
-						product_ids: productIds
-					},
-					success: function(response) {
-						if (response.success) {
-							updatePriceDisplays(response.data);
-							// Trigger checkout update to recalculate totals
-							$('body').trigger('update_checkout');
-						}
-					},
-					error: function() {
-						console.log('Error updating dynamic prices');
-					}
-				});
+	public function add_cart_item_class($class, $cart_item, $cart_item_key) {
+		return $class . ' vibe-cart-item vibe-cart-item-' . sanitize_html_class($cart_item_key);
+	}
+
+	/**
+	 * Get the cart line manifest.
+	 *
+	 * @return array Cart lines keyed by cart item key.
+	 */
+	public function get_cart_manifest() {
+		$items = array();
+
+		if (!function_exists('WC') || !WC()->cart) {
+			return $items;
+		}
+
+		foreach (WC()->cart->get_cart() as $cart_item_key => $cart_item) {
+			$items[$cart_item_key] = array(
+				'product_id' => absint($cart_item['product_id']),
+				'variation_id' => absint($cart_item['variation_id']),
+				'quantity' => (float) $cart_item['quantity'],
+			);
+		}
+
+		return $items;
+	}
+
+	/**
+	 * Get the cart line manifest markup.
+	 *
+	 * @return string Manifest script tag.
+	 */
+	private function get_cart_manifest_html() {
+		$manifest = array(
+			'items' => (object) $this->get_cart_manifest(),
+			'snapshot' => $this->get_pricing_snapshot(),
+		);
+
+		return '<script type="application/json" class="vibe-cart-manifest">' . wp_json_encode($manifest) . '</script>';
+	}
+
+	/**
+	 * Get the signed pricing snapshot of the cart.
+	 *
+	 * Lists the base price of each cart line and, per enabled payment method,
+	 * the adjustment of the rule that wins for that line. Lines or methods
+	 * without an adjustment are left out to keep the snapshot compact. The
+	 * client previews prices from it; the signature lets the server tell
+	 * whether the preview was built from the current rules.
+	 *
+	 * @param string|null $payment_method Payment method the preview starts from, the current one when null.
+	 * @return array Snapshot with signature.
+	 */
+	public function get_pricing_snapshot($payment_method = null) {
+		$snapshot = array(
+			'method' => (string) (null === $payment_method ? $this->pricing_engine->get_current_payment_method() : $payment_method),
+			'total' => 0,
+			'decimals' => function_exists('wc_get_price_decimals') ? wc_get_price_decimals() : 2,
+			'lines' => array(),
+			'methods' => array(),
+		);
+
+		if (!function_exists('WC') || !WC()->cart) {
+			return $this->sign_pricing_snapshot($snapshot);
+		}
+
+		$snapshot['total'] = (float) WC()->cart->get_total('edit');
+
+		$dynamic_pricing = WC_Vibe_Dynamic_Pricing::get_instance();
+		$payment_methods = array_keys($dynamic_pricing->get_gateway_titles());
+
+		foreach (WC()->cart->get_cart() as $cart_item_key => $cart_item) {
+			if (!isset($cart_item['data'])) {
+				continue;
 			}
-			
-			function updatePriceDisplays(priceData) {
-				$.each(priceData, function(productId, data) {
-					var container = $('.vibe-dynamic-price-container[data-product-id="' + productId + '"]');
-					if (container.length && data.html) {
-						container.replaceWith(data.html);
-					}
-				});
+
+			$product = $cart_item['data'];
+			$base_price = $dynamic_pricing->get_product_original_price($product);
+
+			$snapshot['lines'][$cart_item_key] = array(
+				'base' => (float) $base_price,
+				'qty' => (float) $cart_item['quantity'],
+			);
+
+			foreach ($payment_methods as $method) {
+				$rule = $this->pricing_engine->get_winning_rule_for_payment_method($product, $method);
+				if (!$rule || empty($rule['price_adjustment']['type']) || 'original' === $rule['price_adjustment']['type']) {
+					continue;
+				}
+
+				$snapshot['methods'][$method][$cart_item_key] = array(
+					$rule['price_adjustment']['type'],
+					isset($rule['price_adjustment']['value']) ? (float) $rule['price_adjustment']['value'] : 0,
+				);
+			}
+		}
+
+		return $this->sign_pricing_snapshot($snapshot);
+	}
+
+	/**
+	 * Add the signature to a pricing snapshot.
+	 *
+	 * @param array $snapshot Pricing snapshot.
+	 * @return array Signed snapshot.
+	 */
+	private function sign_pricing_snapshot($snapshot) {
+		$snapshot['lines'] = (object) $snapshot['lines'];
+		$snapshot['methods'] = (object) $snapshot['methods'];
+		$snapshot['sig'] = hash_hmac('sha256', wp_json_encode($snapshot), wp_salt('nonce'));
+
+		return $snapshot;
+	}
+
+	/**
+	 * Output the cart line manifest.
+	 */
+	public function render_cart_manifest() {
+		echo $this->get_cart_manifest_html();
+	}
+
+	/**
+	 * Refresh the cart line manifest with the order review fragments.
+	 *
+	 * @param array $fragments Checkout fragments.
+	 * @return array Fragments.
+	 */
+	public function add_cart_manifest_fragment($fragments) {
+		$fragments['script.vibe-cart-manifest'] = $this->get_cart_manifest_html();
+		return $fragments;
+	}
+
+	/**
+	 * Get the cart total with each enabled payment method.
+	 *
+	 * Every cart line is priced by the pricing engine as if the method were
+	 * selected, and the change from its current price is applied to the
+	 * current cart total. Taxes on the change are not included.
+	 *
+	 * @return array Current method, cart total and per-method totals.
+	 */
+	public function get_payment_comparison() {
+		$comparison = array(
+			'current' => (string) $this->pricing_engine->get_current_payment_method(),
+			'total' => 0,
+			'methods' => array(),
+		);
+
+		if (!function_exists('WC') || !WC()->cart || WC()->cart->is_empty()) {
+			return $comparison;
+		}
+
+		$dynamic_pricing = WC_Vibe_Dynamic_Pricing::get_instance();
+		$decimals = wc_get_price_decimals();
+		$comparison['total'] = (float) WC()->cart->get_total('edit');
+
+		$lines = array();
+		foreach (WC()->cart->get_cart() as $cart_item) {
+			if (!isset($cart_item['data'])) {
+				continue;
+			}
+
+			$product = $cart_item['data'];
+			$base_price = $dynamic_pricing->get_product_original_price($product);
+
+			$lines[] = array(
+				'product' => $product,
+				'base' => $base_price,
+				'current' => $this->pricing_engine->get_price_for_payment_method($product, $base_price, $comparison['current']),
+				'quantity' => (float) $cart_item['quantity'],
+			);
+		}
+
+		foreach ($dynamic_pricing->get_gateway_titles() as $payment_method => $title) {
+			$total = $comparison['total'];
+			foreach ($lines as $line) {
+				$price = $this->pricing_engine->get_price_for_payment_method($line['product'], $line['base'], $payment_method);
+				$total += ($price - $line['current']) * $line['quantity'];
 			}
-		});
-		</script>
+
+			$comparison['methods'][] = array(
+				'id' => $payment_method,
+				'title' => $title,
+				'total' => round(max(0, $total), $decimals),
+				'difference' => round(max(0, $total) - $comparison['total'], $decimals),
+			);
+		}
+
+		return $comparison;
+	}
+
+	/**
+	 * Get the Vibe price adjustment of a cart line.
+	 *
+	 * @param array $cart_item Cart item data.
+	 * @return array|null Winning rule and adjustment amounts, or null if the line is not adjusted.
+	 */
+	public function get_cart_item_adjustment($cart_item) {
+		if (!isset($cart_item['data'])) {
+			return null;
+		}
+
+		$product = $cart_item['data'];
+		$payment_method = (string) $this->pricing_engine->get_current_payment_method();
+		$rule = $this->pricing_engine->get_winning_rule_for_payment_method($product, $payment_method);
+		if (!$rule) {
+			return null;
+		}
+
+		$base_price = WC_Vibe_Dynamic_Pricing::get_instance()->get_product_original_price($product);
+		$unit_amount = $this->pricing_engine->get_price_for_payment_method($product, $base_price, $payment_method) - $base_price;
+		if (0.0 === round($unit_amount, wc_get_price_decimals())) {
+			return null;
+		}
+
+		return array(
+			'rule_id' => (int) $rule['id'],
+			'rule_name' => $rule['name'],
+			'unit_amount' => $unit_amount,
+			'amount' => $unit_amount * (float) $cart_item['quantity'],
+		);
+	}
+
+	/**
+	 * Get the Vibe price adjustments of the cart.
+	 *
+	 * @return array Adjusted lines keyed by cart item key, and their total.
+	 */
+	public function get_cart_adjustments() {
+		$adjustments = array(
+			'lines' => array(),
+			'total' => 0,
+		);
+
+		if (!function_exists('WC') || !WC()->cart) {
+			return $adjustments;
+		}
+
+		foreach (WC()->cart->get_cart() as $cart_item_key => $cart_item) {
+			$adjustment = $this->get_cart_item_adjustment($cart_item);
+			if ($adjustment) {
+				$adjustments['lines'][$cart_item_key] = $adjustment;
+				$adjustments['total'] += $adjustment['amount'];
+			}
+		}
+
+		return $adjustments;
+	}
+
+	/**
+	 * Get the payment method comparison if it should be shown.
+	 *
+	 * It is left out when it is turned off, or when every method gives the
+	 * same total so there is nothing to compare.
+	 *
+	 * @return array|null Payment method comparison, or null.
+	 */
+	private function get_visible_payment_comparison() {
+		if ('yes' !== get_option('wc_vibe_show_payment_comparison', 'no') || WC_Vibe_Dynamic_Pricing::get_instance()->is_emergency_disabled()) {
+			return null;
+		}
+
+		$comparison = $this->get_payment_comparison();
+		$differences = wp_list_pluck($comparison['methods'], 'difference');
+
+		if (count($comparison['methods']) < 2 || count(array_unique($differences)) < 2) {
+			return null;
+		}
+
+		return $comparison;
+	}
+
+	/**
+	 * Get the payment method comparison markup.
+	 *
+	 * The wrapper is always returned so checkout fragments have a target.
+	 *
+	 * @return string Comparison HTML.
+	 */
+	private function get_payment_comparison_html() {
+		$comparison = $this->get_visible_payment_comparison();
+		if (!$comparison) {
+			return '<div class="vibe-payment-comparison"></div>';
+		}
+
+		ob_start();
+		?>
+		<div class="vibe-payment-comparison">
+			<h3><?php esc_html_e('Compare payment methods', 'woocommerce-gateway-vibe'); ?></h3>
+			<table class="shop_table vibe-payment-comparison-table">
+				<thead>
+					<tr>
+						<th><?php esc_html_e('Payment method', 'woocommerce-gateway-vibe'); ?></th>
+						<th><?php esc_html_e('Order total', 'woocommerce-gateway-vibe'); ?></th>
+						<th><?php esc_html_e('Difference', 'woocommerce-gateway-vibe'); ?></th>
+					</tr>
+				</thead>
+				<tbody>
+					<?php foreach ($comparison['methods'] as $method) : ?>
+						<tr class="<?php echo $method['id'] === $comparison['current'] ? 'vibe-payment-comparison-current' : ''; ?>">
+							<td>
+								<?php echo esc_html($method['title']); ?>
+								<?php if ($method['id'] === $comparison['current']) : ?>
+									<small><?php esc_html_e('(selected)', 'woocommerce-gateway-vibe'); ?></small>
+								<?php endif; ?>
+							</td>
+							<td><?php echo wc_price($method['total']); ?></td>
+							<td><?php echo $this->get_price_difference_html($method['difference']); ?></td>
+						</tr>
+					<?php endforeach; ?>
+				</tbody>
+			</table>
+		</div>
 		<?php
+		return ob_get_clean();
+	}
+
+	/**
+	 * Format a price difference with its sign.
+	 *
+	 * @param float $difference Price difference.
+	 * @return string Difference HTML.
+	 */
+	private function get_price_difference_html($difference) {
+		if (0.0 === (float) $difference) {
+			return '&ndash;';
+		}
+
+		return sprintf(
+			'<span class="%s">%s%s</span>',
+			$difference < 0 ? 'vibe-payment-comparison-saving' : 'vibe-payment-comparison-extra',
+			$difference < 0 ? '&minus;' : '+',
+			wc_price(abs($difference))
+		);
+	}
+
+	/**
+	 * Output the payment method comparison.
+	 */
+	public function render_payment_comparison() {
+		echo $this->get_payment_comparison_html();
+	}
+
+	/**
+	 * Refresh the payment method comparison with the order review fragments.
+	 *
+	 * @param array $fragments Checkout fragments.
+	 * @return array Fragments.
+	 */
+	public function add_payment_comparison_fragment($fragments) {
+		$fragments['div.vibe-payment-comparison'] = $this->get_payment_comparison_html();
+		return $fragments;
+	}
+
+	/**
+	 * Get price and subtotal HTML of cart lines for the current payment method.
+	 *
+	 * Uses the same filters as the cart and order review templates, so the
+	 * returned markup matches what a full refresh would render.
+	 *
+	 * @param array $cart_item_keys Cart item keys.
+	 * @return array Line data keyed by cart item key.
+	 */
+	public function get_cart_item_prices($cart_item_keys) {
+		$items = array();
+
+		if (!function_exists('WC') || !WC()->cart) {
+			return $items;
+		}
+
+		foreach ($cart_item_keys as $cart_item_key) {
+			$cart_item = WC()->cart->get_cart_item($cart_item_key);
+			if (empty($cart_item) || !isset($cart_item['data'])) {
+				continue;
+			}
+
+			$product = $cart_item['data'];
+
+			$items[$cart_item_key] = array(
+				'product_id' => absint($cart_item['product_id']),
+				'variation_id' => absint($cart_item['variation_id']),
+				'quantity' => (float) $cart_item['quantity'],
+				'price' => (float) $product->get_price(),
+				'price_html' => apply_filters('woocommerce_cart_item_price', WC()->cart->get_product_price($product), $cart_item, $cart_item_key),
+				'subtotal_html' => apply_filters('woocommerce_cart_item_subtotal', WC()->cart->get_product_subtotal($product, $cart_item['quantity']), $cart_item, $cart_item_key),
+			);
+		}
+
+		return $items;
 	}
 
 	/**
@@ -187,6 +539,17 @@ class WC_Vibe_Payment_Integration {
 			WC()->session->set('chosen_payment_method', $payment_method);
 		}
 
+		wp_send_json_success($this->get_payment_prices($product_ids, $payment_method));
+	}
+
+	/**
+	 * Get original and dynamic prices of products for a payment method.
+	 *
+	 * @param array $product_ids Product IDs.
+	 * @param string $payment_method Payment method.
+	 * @return array Price data keyed by product ID.
+	 */
+	public function get_payment_prices($product_ids, $payment_method) {
 		$updated_prices = array();
 
 		foreach ($product_ids as $product_id) {
@@ -206,7 +569,7 @@ class WC_Vibe_Payment_Integration {
 			}
 		}
 
-		wp_send_json_success($updated_prices);
+		return $updated_prices;
 	}
 
 	/**
@@ -248,31 +611,6 @@ class WC_Vibe_Payment_Integration {
 		return $price_display->generate_dynamic_price_html($original_price, $dynamic_price, $product, 'checkout');
 	}
 
-	/**
-	 * Enqueue payment integration scripts.
-	 */
-	public function enqueue_payment_scripts() {
-		// Only enqueue on checkout and cart pages
-		if (!function_exists('is_checkout') || (!is_checkout() && !is_cart())) {
-			return;
-		}
-
-		wp_enqueue_script(
-			'vibe-payment-integration',
-			WC_VIBE_PLUGIN_URL . 'assets/js/payment-integration.js',
-			array('jquery'),
-			WC_VIBE_VERSION,
-			true
-		);
-
-		// Localize script
-		wp_localize_script('vibe-payment-integration', 'vibe_payment_integration', array(
-			'ajax_url' => admin_url('admin-ajax.php'),
-			'nonce' => wp_create_nonce('vibe_dynamic_pricing_nonce'),
-			'debug' => defined('WP_DEBUG') && WP_DEBUG,
-		));
-	}
-
 	/**
 	 * Apply dynamic pricing to cart when calculating totals.
 	 */
@@ -429,6 +767,212 @@ class WC_Vibe_Payment_Integration {
 		}
 	}
 
+	/**
+	 * Adds the Vibe pricing data to the Store API cart and cart item
+	 * responses, under the vibe-dynamic-pricing extension namespace.
+	 */
+	public function register_store_api_cart_data() {
+		if ( ! function_exists( 'woocommerce_store_api_register_endpoint_data' ) ) {
+			return;
+		}
+
+		woocommerce_store_api_register_endpoint_data( array(
+			'endpoint'        => \Automattic\WooCommerce\StoreApi\Schemas\V1\CartSchema::IDENTIFIER,
+			'namespace'       => 'vibe-dynamic-pricing',
+			'data_callback'   => array( $this, 'get_store_api_cart_data' ),
+			'schema_callback' => array( $this, 'get_store_api_cart_schema' ),
+			'schema_type'     => ARRAY_A,
+		) );
+
+		woocommerce_store_api_register_endpoint_data( array(
+			'endpoint'        => \Automattic\WooCommerce\StoreApi\Schemas\V1\CartItemSchema::IDENTIFIER,
+			'namespace'       => 'vibe-dynamic-pricing',
+			'data_callback'   => array( $this, 'get_store_api_cart_item_data' ),
+			'schema_callback' => array( $this, 'get_store_api_cart_item_schema' ),
+			'schema_type'     => ARRAY_A,
+		) );
+	}
+
+	/**
+	 * Store API cart data. Amounts are in currency minor units, like the
+	 * rest of the Store API. Adjustments are already part of the item
+	 * prices; they are listed so the block checkout can explain them.
+	 *
+	 * @return array Cart extension data.
+	 */
+	public function get_store_api_cart_data() {
+		$comparison = $this->get_visible_payment_comparison();
+
+		if ( $comparison ) {
+			foreach ( $comparison['methods'] as &$method ) {
+				$method['total']      = $this->to_minor_units( $method['total'] );
+				$method['difference'] = $this->to_minor_units( $method['difference'] );
+			}
+			unset( $method );
+			$comparison['total'] = $this->to_minor_units( $comparison['total'] );
+		}
+
+		$adjustments = $this->get_cart_adjustments();
+		$lines       = array();
+		foreach ( $adjustments['lines'] as $cart_item_key => $adjustment ) {
+			$lines[] = $this->format_store_api_adjustment( $adjustment ) + array( 'key' => $cart_item_key );
+		}
+
+		return array(
+			'payment_comparison' => $comparison,
+			'adjustments'        => array(
+				'lines' => $lines,
+				'total' => $this->to_minor_units( $adjustments['total'] ),
+			),
+		);
+	}
+
+	/**
+	 * Store API cart item data.
+	 *
+	 * @param array $cart_item Cart item data.
+	 * @return array Cart item extension data.
+	 */
+	public function get_store_api_cart_item_data( $cart_item ) {
+		$adjustment = $this->get_cart_item_adjustment( $cart_item );
+
+		return array(
+			'adjustment' => $adjustment ? $this->format_store_api_adjustment( $adjustment ) : null,
+		);
+	}
+
+	/**
+	 * Store API cart item data schema.
+	 *
+	 * @return array Schema properties.
+	 */
+	public function get_store_api_cart_item_schema() {
+		return array(
+			'adjustment' => array(
+				'description' => __( 'Vibe price adjustment of the line, or null when no rule adjusts it.', 'woocommerce-gateway-vibe' ),
+				'type'        => array( 'object', 'null' ),
+				'context'     => array( 'view', 'edit' ),
+				'readonly'    => true,
+				'properties'  => $this->get_store_api_adjustment_properties(),
+			),
+		);
+	}
+
+	/**
+	 * Convert a line adjustment to Store API minor units.
+	 *
+	 * @param array $adjustment Line adjustment from get_cart_item_adjustment().
+	 * @return array Store API adjustment.
+	 */
+	private function format_store_api_adjustment( $adjustment ) {
+		return array(
+			'rule_id'     => $adjustment['rule_id'],
+			'rule_name'   => $adjustment['rule_name'],
+			'unit_amount' => $this->to_minor_units( $adjustment['unit_amount'] ),
+			'amount'      => $this->to_minor_units( $adjustment['amount'] ),
+		);
+	}
+
+	/**
+	 * Schema properties of a line adjustment.
+	 *
+	 * @return array Schema properties.
+	 */
+	private function get_store_api_adjustment_properties() {
+		return array(
+			'rule_id'     => array(
+				'description' => __( 'ID of the pricing rule that adjusts the line.', 'woocommerce-gateway-vibe' ),
+				'type'        => 'integer',
+			),
+			'rule_name'   => array(
+				'description' => __( 'Name of the pricing rule that adjusts the line.', 'woocommerce-gateway-vibe' ),
+				'type'        => 'string',
+			),
+			'unit_amount' => array(
+				'description' => __( 'Adjustment of the unit price in minor units, negative for a discount.', 'woocommerce-gateway-vibe' ),
+				'type'        => 'integer',
+			),
+			'amount'      => array(
+				'description' => __( 'Adjustment of the line total in minor units, negative for a discount.', 'woocommerce-gateway-vibe' ),
+				'type'        => 'integer',
+			),
+		);
+	}
+
+	/**
+	 * Store API cart data schema.
+	 *
+	 * @return array Schema properties.
+	 */
+	public function get_store_api_cart_schema() {
+		return array(
+			'adjustments'        => array(
+				'description' => __( 'Vibe price adjustments already included in the item prices.', 'woocommerce-gateway-vibe' ),
+				'type'        => 'object',
+				'context'     => array( 'view', 'edit' ),
+				'readonly'    => true,
+				'properties'  => array(
+					'lines' => array(
+						'description' => __( 'Adjusted cart lines.', 'woocommerce-gateway-vibe' ),
+						'type'        => 'array',
+						'items'       => array(
+							'type'       => 'object',
+							'properties' => $this->get_store_api_adjustment_properties() + array(
+								'key' => array(
+									'description' => __( 'Cart item key.', 'woocommerce-gateway-vibe' ),
+									'type'        => 'string',
+								),
+							),
+						),
+					),
+					'total' => array(
+						'description' => __( 'Sum of the line adjustments in minor units.', 'woocommerce-gateway-vibe' ),
+						'type'        => 'integer',
+					),
+				),
+			),
+			'payment_comparison' => array(
+				'description' => __( 'Order total with each enabled payment method, or null when the comparison is hidden.', 'woocommerce-gateway-vibe' ),
+				'type'        => array( 'object', 'null' ),
+				'context'     => array( 'view', 'edit' ),
+				'readonly'    => true,
+				'properties'  => array(
+					'current' => array(
+						'description' => __( 'Selected payment method.', 'woocommerce-gateway-vibe' ),
+						'type'        => 'string',
+					),
+					'total'   => array(
+						'description' => __( 'Cart total in minor units.', 'woocommerce-gateway-vibe' ),
+						'type'        => 'integer',
+					),
+					'methods' => array(
+						'description' => __( 'Total and difference from the cart total per payment method, in minor units.', 'woocommerce-gateway-vibe' ),
+						'type'        => 'array',
+						'items'       => array(
+							'type'       => 'object',
+							'properties' => array(
+								'id'         => array( 'type' => 'string' ),
+								'title'      => array( 'type' => 'string' ),
+								'total'      => array( 'type' => 'integer' ),
+								'difference' => array( 'type' => 'integer' ),
+							),
+						),
+					),
+				),
+			),
+		);
+	}
+
+	/**
+	 * Convert an amount to currency minor units.
+	 *
+	 * @param float $amount Amount.
+	 * @return int Amount in minor units.
+	 */
+	private function to_minor_units( $amount ) {
+		return (int) round( $amount * pow( 10, wc_get_price_decimals() ) );
+	}
+
 	/**
 	 * Callback executed by WooCommerce Blocks when extensionCartUpdate is called
 	 * from the frontend. We need to detect the current payment method and update
@@ -569,6 +1113,7 @@ class WC_Vibe_Payment_Integration {
 	/**
 	 * Enqueue lightweight helper that observes payment method changes in the
 	 * block checkout and calls extensionCartUpdate (namespace: vibe-dynamic-pricing).
+	 * It also registers the vibe/dynamic-pricing data store with the update state.
 	 */
 	public function enqueue_blocks_dynamic_pricing_script() {
 		// Only enqueue on the checkout page when WooCommerce Blocks assets are present.
@@ -579,9 +1124,11 @@ class WC_Vibe_Payment_Integration {
 		wp_enqueue_script(
 			'vibe-blocks-dynamic-pricing',
 			WC_VIBE_PLUGIN_URL . 'assets/js/frontend/block-dynamic-pricing.js',
-			array( 'wp-data', 'wc-blocks-checkout' ),
+			array( 'wp-data', 'wp-i18n', 'wp-notices', 'wc-blocks-checkout' ),
 			WC_VIBE_VERSION,
 			true
 		);
+
+		wp_set_script_translations( 'vibe-blocks-dynamic-pricing', 'woocommerce-gateway-vibe', WC_VIBE_PLUGIN_PATH . 'i18n/languages' );
 	}
 } 
\ No newline at end of file
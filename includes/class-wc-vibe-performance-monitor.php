@@ -65,6 +65,46 @@ class WC_Vibe_Performance_Monitor {
      */
     private static $alert_sent = array();
 
+    /**
+     * Option holding the bucketed metric history.
+     */
+    const SERIES_OPTION = 'wc_vibe_performance_series';
+
+    /**
+     * Table the samples of each request are inserted into until they are
+     * rolled up into the history option.
+     */
+    const SAMPLES_TABLE = 'vibe_performance_samples';
+
+    /**
+     * Width of a history bucket in seconds.
+     */
+    const SERIES_BUCKET_SIZE = 300;
+
+    /**
+     * How long history buckets are kept, in seconds.
+     */
+    const SERIES_RETENTION = 86400;
+
+    /**
+     * Upper bounds of the latency histogram bins, in milliseconds.
+     *
+     * Timings above the last bound go into an overflow bin.
+     *
+     * @var array
+     */
+    private static $latency_bins = array(1, 2, 5, 10, 25, 50, 100, 250, 500, 1000, 2500);
+
+    /**
+     * Events and timings recorded during this request, flushed on shutdown.
+     *
+     * @var array
+     */
+    private static $pending_samples = array(
+        'events' => array(),
+        'timings' => array()
+    );
+
     /**
      * Initialize performance monitoring.
      */
@@ -84,6 +124,14 @@ class WC_Vibe_Performance_Monitor {
             wp_schedule_event(time(), 'daily', 'vibe_performance_cleanup');
         }
         add_action('vibe_performance_cleanup', array(__CLASS__, 'cleanup_old_metrics'));
+
+        // Persist this request's samples, and merge them into the history hourly
+        add_action('shutdown', array(__CLASS__, 'flush_samples'));
+
+        if (!wp_next_scheduled('vibe_performance_rollup')) {
+            wp_schedule_event(time(), 'hourly', 'vibe_performance_rollup');
+        }
+        add_action('vibe_performance_rollup', array(__CLASS__, 'rollup_samples'));
     }
 
     /**
@@ -444,6 +492,11 @@ class WC_Vibe_Performance_Monitor {
         });
         
         update_option('wc_vibe_performance_alerts', array_values($alerts));
+
+        $series = get_option(self::SERIES_OPTION, array());
+        if (!empty($series)) {
+            update_option(self::SERIES_OPTION, self::prune_series($series), false);
+        }
     }
 
     /**
@@ -457,6 +510,315 @@ class WC_Vibe_Performance_Monitor {
         return array_slice($alerts, -$limit);
     }
 
+    /**
+     * Count an event for the metric history.
+     *
+     * @param string $event Event name, e.g. 'price_cache_hit'.
+     * @param int $count Number of occurrences.
+     */
+    public static function record_event($event, $count = 1) {
+        if (!isset(self::$pending_samples['events'][$event])) {
+            self::$pending_samples['events'][$event] = 0;
+        }
+
+        self::$pending_samples['events'][$event] += $count;
+    }
+
+    /**
+     * Record a duration for the metric history.
+     *
+     * @param string $timing Timing name, e.g. 'price_calculation'.
+     * @param float $seconds Duration in seconds.
+     */
+    public static function record_timing($timing, $seconds) {
+        if (!isset(self::$pending_samples['timings'][$timing])) {
+            self::$pending_samples['timings'][$timing] = self::get_empty_timing();
+        }
+
+        self::add_timing_sample(self::$pending_samples['timings'][$timing], $seconds * 1000);
+    }
+
+    /**
+     * Store this request's samples for the metric history.
+     *
+     * Each request inserts its own row, so concurrent requests never
+     * overwrite each other's samples. Rows are merged into the history
+     * option by rollup_samples().
+     */
+    public static function flush_samples() {
+        global $wpdb;
+
+        if (empty(self::$pending_samples['events']) && empty(self::$pending_samples['timings'])) {
+            return;
+        }
+
+        $wpdb->insert(
+            $wpdb->prefix . self::SAMPLES_TABLE,
+            array(
+                'bucket_time' => (int) (floor(time() / self::SERIES_BUCKET_SIZE) * self::SERIES_BUCKET_SIZE),
+                'samples' => wp_json_encode(self::$pending_samples)
+            ),
+            array('%d', '%s')
+        );
+
+        self::$pending_samples = array(
+            'events' => array(),
+            'timings' => array()
+        );
+    }
+
+    /**
+     * Merge the stored sample rows into the metric history.
+     *
+     * Runs hourly and before the dashboard reads the history. A MySQL named
+     * lock keeps two rollups from merging the same rows twice.
+     */
+    public static function rollup_samples() {
+        global $wpdb;
+
+        $table_name = $wpdb->prefix . self::SAMPLES_TABLE;
+        $lock_name = $wpdb->prefix . 'vibe_performance_rollup';
+
+        if (!$wpdb->get_var($wpdb->prepare('SELECT GET_LOCK(%s, 0)', $lock_name))) {
+            return;
+        }
+
+        $max_id = (int) $wpdb->get_var("SELECT MAX(id) FROM {$table_name}");
+
+        if ($max_id > 0) {
+            $series = get_option(self::SERIES_OPTION, array());
+            if (!is_array($series)) {
+                $series = array();
+            }
+
+            $rows = $wpdb->get_results($wpdb->prepare(
+                "SELECT bucket_time, samples FROM {$table_name} WHERE id <= %d",
+                $max_id
+            ), ARRAY_A);
+
+            foreach ($rows as $row) {
+                $samples = json_decode($row['samples'], true);
+                if (!is_array($samples)) {
+                    continue;
+                }
+
+                $bucket_time = (int) $row['bucket_time'];
+                if (!isset($series[$bucket_time])) {
+                    $series[$bucket_time] = array(
+                        'events' => array(),
+                        'timings' => array()
+                    );
+                }
+
+                $series[$bucket_time] = self::merge_buckets($series[$bucket_time], $samples);
+            }
+
+            update_option(self::SERIES_OPTION, self::prune_series($series), false);
+            $wpdb->query($wpdb->prepare("DELETE FROM {$table_name} WHERE id <= %d", $max_id));
+        }
+
+        $wpdb->query($wpdb->prepare('SELECT RELEASE_LOCK(%s)', $lock_name));
+    }
+
+    /**
+     * Get the metric history for the dashboard.
+     *
+     * @param int $range Number of seconds to look back.
+     * @return array Points per bucket (oldest first) and totals for the range.
+     */
+    public static function get_time_series($range = 3600) {
+        $range = min(max((int) $range, self::SERIES_BUCKET_SIZE), self::SERIES_RETENTION);
+
+        self::rollup_samples();
+
+        $series = get_option(self::SERIES_OPTION, array());
+        if (!is_array($series)) {
+            $series = array();
+        }
+
+        $last_bucket = (int) (floor(time() / self::SERIES_BUCKET_SIZE) * self::SERIES_BUCKET_SIZE);
+        $first_bucket = $last_bucket - $range + self::SERIES_BUCKET_SIZE;
+
+        $points = array();
+        $totals = array(
+            'events' => array(),
+            'timings' => array()
+        );
+
+        // Empty buckets are kept so charts show gaps in traffic
+        for ($bucket_time = $first_bucket; $bucket_time <= $last_bucket; $bucket_time += self::SERIES_BUCKET_SIZE) {
+            $bucket = $series[$bucket_time] ?? array('events' => array(), 'timings' => array());
+
+            $points[] = array_merge(array('time' => $bucket_time), self::summarize_bucket($bucket));
+            $totals = self::merge_buckets($totals, $bucket);
+        }
+
+        return array(
+            'bucket_size' => self::SERIES_BUCKET_SIZE,
+            'range' => $range,
+            'points' => $points,
+            'totals' => self::summarize_bucket($totals)
+        );
+    }
+
+    /**
+     * Delete the metric history.
+     */
+    public static function reset_time_series() {
+        global $wpdb;
+
+        delete_option(self::SERIES_OPTION);
+        $wpdb->query("DELETE FROM {$wpdb->prefix}" . self::SAMPLES_TABLE);
+    }
+
+    /**
+     * Turn a raw bucket into dashboard metrics.
+     *
+     * @param array $bucket Raw bucket with events and timings.
+     * @return array Metrics, with null for values that have no samples.
+     */
+    private static function summarize_bucket($bucket) {
+        $events = $bucket['events'] ?? array();
+        $latency = $bucket['timings']['price_calculation'] ?? self::get_empty_timing();
+
+        $cache_hits = (int) ($events['price_cache_hit'] ?? 0);
+        $cache_misses = (int) ($events['price_cache_miss'] ?? 0);
+        $cache_lookups = $cache_hits + $cache_misses;
+
+        return array(
+            'cache_hits' => $cache_hits,
+            'cache_misses' => $cache_misses,
+            'cache_hit_ratio' => $cache_lookups > 0 ? round($cache_hits / $cache_lookups, 4) : null,
+            'price_calculations' => (int) $latency['count'],
+            'latency_avg' => $latency['count'] > 0 ? round($latency['sum'] / $latency['count'], 3) : null,
+            'latency_p50' => self::get_timing_percentile($latency, 50),
+            'latency_p95' => self::get_timing_percentile($latency, 95),
+            'latency_p99' => self::get_timing_percentile($latency, 99),
+            'latency_max' => $latency['count'] > 0 ? round($latency['max'], 3) : null,
+            'index_rebuilds' => (int) ($events['index_rebuild'] ?? 0),
+            'cart_analyses' => (int) ($events['cart_analysis'] ?? 0),
+            'cart_analysis_cache_hits' => (int) ($events['cart_analysis_cache_hit'] ?? 0)
+        );
+    }
+
+    /**
+     * Estimate a percentile from a latency histogram.
+     *
+     * Interpolates linearly inside the bin holding the percentile.
+     *
+     * @param array $timing Timing with count, max and histogram.
+     * @param int $percentile Percentile between 0 and 100.
+     * @return float|null Latency in milliseconds, or null without samples.
+     */
+    private static function get_timing_percentile($timing, $percentile) {
+        if (empty($timing['count'])) {
+            return null;
+        }
+
+        $target = $timing['count'] * $percentile / 100;
+        $cumulative = 0;
+        $lower_bound = 0;
+
+        foreach ($timing['histogram'] as $index => $bin_count) {
+            $upper_bound = self::$latency_bins[$index] ?? $timing['max'];
+
+            if ($bin_count > 0 && $cumulative + $bin_count >= $target) {
+                $position = ($target - $cumulative) / $bin_count;
+                $value = $lower_bound + ($upper_bound - $lower_bound) * $position;
+
+                return round(min($value, $timing['max']), 3);
+            }
+
+            $cumulative += $bin_count;
+            $lower_bound = $upper_bound;
+        }
+
+        return round($timing['max'], 3);
+    }
+
+    /**
+     * Add the events and timings of one bucket to another.
+     *
+     * @param array $bucket Bucket to add to.
+     * @param array $other Bucket to add.
+     * @return array Merged bucket.
+     */
+    private static function merge_buckets($bucket, $other) {
+        foreach ($other['events'] ?? array() as $event => $count) {
+            $bucket['events'][$event] = ($bucket['events'][$event] ?? 0) + $count;
+        }
+
+        foreach ($other['timings'] ?? array() as $name => $timing) {
+            $merged = $bucket['timings'][$name] ?? self::get_empty_timing();
+
+            $merged['count'] += $timing['count'];
+            $merged['sum'] += $timing['sum'];
+            $merged['max'] = max($merged['max'], $timing['max']);
+            foreach ($timing['histogram'] as $index => $bin_count) {
+                $merged['histogram'][$index] = ($merged['histogram'][$index] ?? 0) + $bin_count;
+            }
+
+            $bucket['timings'][$name] = $merged;
+        }
+
+        return $bucket;
+    }
+
+    /**
+     * Add one sample to a timing.
+     *
+     * @param array $timing Timing to update.
+     * @param float $milliseconds Duration in milliseconds.
+     */
+    private static function add_timing_sample(&$timing, $milliseconds) {
+        $index = count(self::$latency_bins);
+        foreach (self::$latency_bins as $bin_index => $upper_bound) {
+            if ($milliseconds <= $upper_bound) {
+                $index = $bin_index;
+                break;
+            }
+        }
+
+        $timing['count']++;
+        $timing['sum'] += $milliseconds;
+        $timing['max'] = max($timing['max'], $milliseconds);
+        $timing['histogram'][$index]++;
+    }
+
+    /**
+     * Get a timing without samples.
+     *
+     * @return array Empty timing.
+     */
+    private static function get_empty_timing() {
+        return array(
+            'count' => 0,
+            'sum' => 0,
+            'max' => 0,
+            'histogram' => array_fill(0, count(self::$latency_bins) + 1, 0)
+        );
+    }
+
+    /**
+     * Drop history buckets older than the retention period.
+     *
+     * @param array $series History keyed by bucket start time.
+     * @return array Pruned history.
+     */
+    private static function prune_series($series) {
+        $cutoff = time() - self::SERIES_RETENTION;
+
+        foreach (array_keys($series) as $bucket_time) {
+            if ($bucket_time < $cutoff) {
+                unset($series[$bucket_time]);
+            }
+        }
+
+        ksort($series);
+
+        return $series;
+    }
+
     /**
      * Set performance thresholds.
      *
@@ -140,6 +140,15 @@ class WC_Vibe_Price_Display
 
 		// Add debugging capabilities
 		add_action('wp_footer', array($this, 'output_debug_info'));
+
+		// Blocks: Vibe price on the Store API product response, for React-rendered product blocks
+		if (did_action('woocommerce_blocks_loaded')) {
+			$this->register_store_api_product_data();
+		} else {
+			add_action('woocommerce_blocks_loaded', array($this, 'register_store_api_product_data'));
+		}
+		add_filter('render_block_woocommerce/all-products', array($this, 'enqueue_product_blocks_script'));
+		add_filter('render_block_woocommerce/single-product', array($this, 'enqueue_product_blocks_script'));
 	}
 
 	/**
@@ -253,7 +262,7 @@ class WC_Vibe_Price_Display
 	 * @param string $context Display context (shop, single, cart).
 	 * @return string Generated price HTML.
 	 */
-	private function generate_dynamic_price_html($original_price, $dynamic_price, $product, $context = 'shop')
+	public function generate_dynamic_price_html($original_price, $dynamic_price, $product, $context = 'shop')
 	{
 		// Check if WooCommerce functions are available
 		if (!function_exists('wc_price')) {
@@ -319,6 +328,45 @@ class WC_Vibe_Price_Display
 		return $container_html;
 	}
 
+	/**
+	 * Generate the price HTML of a product with unsaved display settings.
+	 *
+	 * Used by the live preview on the display settings page. Prices are the
+	 * ones a Vibe customer would get; the given settings only apply to this
+	 * call and the saved ones are restored afterwards.
+	 *
+	 * @param WC_Product $product Product object.
+	 * @param array $settings Display settings to preview.
+	 * @return array Preview keyed by context (shop, single, cart), each with the HTML and whether a rule changed the price.
+	 */
+	public function get_preview_html($product, $settings)
+	{
+		$saved_settings = $this->display_settings;
+		$this->display_settings = wp_parse_args($settings, $saved_settings);
+
+		$original_price = $this->get_true_original_price($product);
+		$contexts = array(
+			'shop' => 'display',
+			'single' => 'display',
+			'cart' => 'application'
+		);
+		$preview = array();
+
+		foreach ($contexts as $context => $context_type) {
+			$dynamic_price = $this->pricing_engine->get_price_for_payment_method($product, $original_price, 'vibe', $context_type);
+			$rule_applied = $dynamic_price != $original_price;
+
+			$preview[$context] = array(
+				'html' => $rule_applied ? $this->generate_dynamic_price_html($original_price, $dynamic_price, $product, $context) : wc_price($original_price),
+				'rule_applied' => $rule_applied
+			);
+		}
+
+		$this->display_settings = $saved_settings;
+
+		return $preview;
+	}
+
 	/**
 	 * Build HTML for both prices.
 	 *
@@ -512,7 +560,7 @@ class WC_Vibe_Price_Display
 	 *
 	 * @return string CSS styles.
 	 */
-	private function get_inline_css()
+	public function get_inline_css()
 	{
 		return "
 			.vibe-dynamic-price-container {
@@ -601,6 +649,151 @@ class WC_Vibe_Price_Display
 		wp_send_json_success($updated_prices);
 	}
 
+	/**
+	 * Add the Vibe price to the Store API product response, under the
+	 * vibe-dynamic-pricing extension namespace.
+	 */
+	public function register_store_api_product_data()
+	{
+		if (!function_exists('woocommerce_store_api_register_endpoint_data')) {
+			return;
+		}
+
+		woocommerce_store_api_register_endpoint_data(array(
+			'endpoint' => \Automattic\WooCommerce\StoreApi\Schemas\V1\ProductSchema::IDENTIFIER,
+			'namespace' => 'vibe-dynamic-pricing',
+			'data_callback' => array($this, 'get_store_api_product_data'),
+			'schema_callback' => array($this, 'get_store_api_product_schema'),
+			'schema_type' => ARRAY_A,
+		));
+	}
+
+	/**
+	 * Store API product data.
+	 *
+	 * Prices are in currency minor units, like the rest of the Store API. The
+	 * price HTML is the same markup the classic templates show, and the style
+	 * settings let blocks build their own layout.
+	 *
+	 * @param WC_Product $product Product object.
+	 * @return array Product extension data; prices are null when no rule applies.
+	 */
+	public function get_store_api_product_data($product)
+	{
+		$data = array(
+			'original_price' => null,
+			'dynamic_price' => null,
+			'price_html' => null,
+			'display' => array(
+				'layout' => $this->display_settings['display_layout'],
+				'price_order' => $this->display_settings['price_order'],
+				'new_price_prefix' => $this->display_settings['new_price_prefix'],
+				'original_price_prefix' => $this->display_settings['original_price_prefix'],
+				'new_price_style' => $this->get_price_style('new'),
+				'original_price_style' => $this->get_price_style('original'),
+			),
+		);
+
+		if (!$product || !is_a($product, 'WC_Product')) {
+			return $data;
+		}
+
+		$original_price = $this->get_true_original_price($product);
+		$dynamic_price = $this->pricing_engine->get_dynamic_price($product, $original_price, 'display');
+
+		if (false === $dynamic_price || $dynamic_price == $original_price) {
+			return $data;
+		}
+
+		$data['original_price'] = $this->to_minor_units($original_price);
+		$data['dynamic_price'] = $this->to_minor_units($dynamic_price);
+		$data['price_html'] = $this->generate_dynamic_price_html($original_price, $dynamic_price, $product);
+
+		return $data;
+	}
+
+	/**
+	 * Store API product data schema.
+	 *
+	 * @return array Schema properties.
+	 */
+	public function get_store_api_product_schema()
+	{
+		return array(
+			'original_price' => array(
+				'description' => __('Price before the Vibe rule in minor units, or null when no rule applies.', 'woocommerce-gateway-vibe'),
+				'type' => array('integer', 'null'),
+				'context' => array('view', 'edit'),
+				'readonly' => true,
+			),
+			'dynamic_price' => array(
+				'description' => __('Price with the Vibe rule in minor units, or null when no rule applies.', 'woocommerce-gateway-vibe'),
+				'type' => array('integer', 'null'),
+				'context' => array('view', 'edit'),
+				'readonly' => true,
+			),
+			'price_html' => array(
+				'description' => __('Price HTML with both prices, styled by the display settings.', 'woocommerce-gateway-vibe'),
+				'type' => array('string', 'null'),
+				'context' => array('view', 'edit'),
+				'readonly' => true,
+			),
+			'display' => array(
+				'description' => __('Price display settings: layout, price order, prefixes and inline styles.', 'woocommerce-gateway-vibe'),
+				'type' => 'object',
+				'context' => array('view', 'edit'),
+				'readonly' => true,
+			),
+		);
+	}
+
+	/**
+	 * Enqueue the product block price component when a React-rendered
+	 * product block is on the page.
+	 *
+	 * @param string $block_content Rendered block.
+	 * @return string Rendered block.
+	 */
+	public function enqueue_product_blocks_script($block_content)
+	{
+		$script_asset_path = WC_VIBE_PLUGIN_PATH . 'assets/js/frontend/product-blocks.asset.php';
+		$script_asset = file_exists($script_asset_path)
+			? require($script_asset_path)
+			: array(
+				'dependencies' => array(),
+				'version' => WC_VIBE_VERSION
+			);
+
+		// Load after the block's own components so ours replace them
+		$dependencies = $script_asset['dependencies'];
+		foreach (array('wc-all-products-block-frontend', 'wc-single-product-block-frontend') as $handle) {
+			if (wp_script_is($handle, 'registered')) {
+				$dependencies[] = $handle;
+			}
+		}
+
+		wp_enqueue_script(
+			'vibe-product-blocks',
+			WC_VIBE_PLUGIN_URL . 'assets/js/frontend/product-blocks.js',
+			$dependencies,
+			$script_asset['version'],
+			true
+		);
+
+		return $block_content;
+	}
+
+	/**
+	 * Convert an amount to currency minor units.
+	 *
+	 * @param float $amount Amount.
+	 * @return int Amount in minor units.
+	 */
+	private function to_minor_units($amount)
+	{
+		return (int) round($amount * pow(10, wc_get_price_decimals()));
+	}
+
 	/**
 	 * Get display settings.
 	 *
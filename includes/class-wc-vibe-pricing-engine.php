@@ -37,6 +37,13 @@ class WC_Vibe_Pricing_Engine {
 	 */
 	private $current_referrer;
 
+	/**
+	 * Stored referrer and campaign attribution of the visitor.
+	 *
+	 * @var array
+	 */
+	private $current_attribution = array();
+
 	/**
 	 * Current payment method.
 	 *
@@ -58,6 +65,13 @@ class WC_Vibe_Pricing_Engine {
 	 */
 	private $evaluation_context = array();
 
+	/**
+	 * Schedule state key of the current request.
+	 *
+	 * @var string|null
+	 */
+	private $schedule_state_key = null;
+
 	/**
 	 * Constructor.
 	 *
@@ -114,6 +128,7 @@ class WC_Vibe_Pricing_Engine {
 		}
 
 		$product_id = $product->get_id();
+		$start_time = microtime(true);
 		
 		// Generate cache context
 		$cache_context = $this->generate_cache_context($context_type);
@@ -125,6 +140,7 @@ class WC_Vibe_Pricing_Engine {
 				'product_id' => $product_id,
 				'cached_price' => $cached_price
 			));
+			$this->record_price_metrics(true, $start_time);
 			return $cached_price;
 		}
 
@@ -144,6 +160,7 @@ class WC_Vibe_Pricing_Engine {
 			// Cache the original price to avoid repeated calculations
 			$this->cache_manager->set_dynamic_price($product_id, $cache_context, $original_price, 1800);
 			$this->log_debug('get_dynamic_price: No applicable rules');
+			$this->record_price_metrics(false, $start_time);
 			return false;
 		}
 
@@ -167,6 +184,7 @@ class WC_Vibe_Pricing_Engine {
 		// EARLY EXIT: Invalid calculation result
 		if (false === $dynamic_price) {
 			$this->cache_manager->set_dynamic_price($product_id, $cache_context, $original_price, 1800);
+			$this->record_price_metrics(false, $start_time);
 			return false;
 		}
 
@@ -178,10 +196,236 @@ class WC_Vibe_Pricing_Engine {
 
 		// Cache the result
 		$this->cache_manager->set_dynamic_price($product_id, $cache_context, $dynamic_price, 1800);
+		$this->record_price_metrics(false, $start_time);
 		
 		return $dynamic_price;
 	}
 
+	/**
+	 * Record a price lookup for the performance dashboard.
+	 *
+	 * @param bool $cache_hit Whether the price came from the cache.
+	 * @param float $start_time Lookup start time from microtime(true).
+	 */
+	private function record_price_metrics($cache_hit, $start_time) {
+		if (!class_exists('WC_Vibe_Performance_Monitor')) {
+			return;
+		}
+
+		WC_Vibe_Performance_Monitor::record_event($cache_hit ? 'price_cache_hit' : 'price_cache_miss');
+		WC_Vibe_Performance_Monitor::record_timing('price_calculation', microtime(true) - $start_time);
+	}
+
+	/**
+	 * Get the rule that would price a product for a payment method.
+	 *
+	 * Evaluates the rules without switching the current payment method, so the
+	 * pricing caches of the current context are kept.
+	 *
+	 * @param WC_Product $product Product object.
+	 * @param string $payment_method Payment method to evaluate.
+	 * @param string $context_type Context type: 'display' or 'application'.
+	 * @return array|null Winning rule or null if no rule applies.
+	 */
+	public function get_winning_rule_for_payment_method($product, $payment_method, $context_type = 'application') {
+		if (!$product || !is_a($product, 'WC_Product')) {
+			return null;
+		}
+
+		$current_payment_method = $this->current_payment_method;
+		$this->current_payment_method = $payment_method;
+
+		try {
+			$applicable_rules = $this->get_applicable_rules($product, $context_type);
+		} finally {
+			$this->current_payment_method = $current_payment_method;
+		}
+
+		return empty($applicable_rules) ? null : reset($applicable_rules);
+	}
+
+	/**
+	 * Get the price a product would have with a payment method.
+	 *
+	 * Uses the current referrer and leaves the pricing caches untouched.
+	 *
+	 * @param WC_Product $product Product object.
+	 * @param float $original_price Original product price.
+	 * @param string $payment_method Payment method.
+	 * @param string $context_type Context type: 'display' or 'application'.
+	 * @return float Price with the payment method, the original price if no rule applies.
+	 */
+	public function get_price_for_payment_method($product, $original_price, $payment_method, $context_type = 'application') {
+		$rule = $this->get_winning_rule_for_payment_method($product, $payment_method, $context_type);
+
+		return $rule ? $this->calculate_dynamic_price(floatval($original_price), $rule, $product) : floatval($original_price);
+	}
+
+	/**
+	 * Simulate how a product would be priced for a payment method and referrer.
+	 *
+	 * Walks every active rule in priority order and records which targeting and
+	 * context conditions passed, so the admin can see why a rule wins. Nothing
+	 * is read from or written to the pricing caches.
+	 *
+	 * @param WC_Product $product Product object.
+	 * @param float $original_price Original product price.
+	 * @param string $payment_method Payment method to simulate.
+	 * @param string $referrer Referrer domain to simulate.
+	 * @param string $context_type Context type: 'display' or 'application'.
+	 * @return array Simulation result with the evaluated rules, winning rule ID and final price.
+	 */
+	public function simulate_pricing($product, $original_price, $payment_method, $referrer, $context_type = 'application') {
+		$apply_mode = get_option('wc_vibe_dynamic_pricing_apply_mode', 'combined');
+		$current_payment_method = $this->current_payment_method;
+		$current_referrer = $this->current_referrer;
+
+		$this->current_payment_method = $payment_method;
+		$this->current_referrer = $referrer;
+
+		try {
+			$rule_compiler = $this->get_rule_compiler();
+			if ($rule_compiler) {
+				$rule_matches = $rule_compiler->explain_rule_matches($product);
+			} else {
+				$rule_matches = array();
+				foreach ($this->get_compiled_rules() as $rule) {
+					$rule_matches[] = array(
+						'rule' => $rule,
+						'matched' => $this->is_rule_applicable_to_product($rule, $product),
+						'matched_by' => array(),
+						'schedule_active' => WC_Vibe_Rule_Schedule::is_active(isset($rule['schedule']) ? $rule['schedule'] : array())
+					);
+				}
+			}
+
+			$rules = array();
+			$winning_rule = null;
+
+			foreach ($rule_matches as $rule_match) {
+				$rule = $rule_match['rule'];
+				$context_matched = $this->does_rule_match_context($rule, $apply_mode, $context_type);
+				$matched = $rule_match['matched'] && $rule_match['schedule_active'] && $context_matched;
+
+				// The first matching rule wins, as in get_dynamic_price()
+				$is_winner = $matched && null === $winning_rule;
+				if ($is_winner) {
+					$winning_rule = $rule;
+				}
+
+				$rules[] = array(
+					'id' => (int) $rule['id'],
+					'name' => $rule['name'],
+					'priority' => (int) $rule['priority'],
+					'price_adjustment' => $rule['price_adjustment'],
+					'conditions' => array(
+						array(
+							'label' => $this->describe_targeting_condition($rule, $rule_match['matched_by']),
+							'passed' => $rule_match['matched']
+						),
+						array(
+							'label' => $this->describe_context_condition($rule, $apply_mode, $context_type),
+							'passed' => $context_matched
+						),
+						array(
+							'label' => !empty($rule['schedule']) ? __('Schedule window is open now', 'woocommerce-gateway-vibe') : __('Not scheduled, always on', 'woocommerce-gateway-vibe'),
+							'passed' => $rule_match['schedule_active']
+						)
+					),
+					'matched' => $matched,
+					'winner' => $is_winner
+				);
+			}
+
+			$final_price = $winning_rule ? $this->calculate_dynamic_price_optimized($original_price, $winning_rule, $product) : false;
+		} finally {
+			$this->current_payment_method = $current_payment_method;
+			$this->current_referrer = $current_referrer;
+		}
+
+		return array(
+			'apply_mode' => $apply_mode,
+			'context_type' => $context_type,
+			'rules' => $rules,
+			'winning_rule_id' => $winning_rule ? (int) $winning_rule['id'] : 0,
+			'original_price' => $original_price,
+			'final_price' => false !== $final_price ? $final_price : $original_price
+		);
+	}
+
+	/**
+	 * Describe the product targeting of a rule for the simulator.
+	 *
+	 * @param array $rule Pricing rule.
+	 * @param array $matched_by Index entries that matched the product.
+	 * @return string Condition description.
+	 */
+	private function describe_targeting_condition($rule, $matched_by) {
+		$target_type = isset($rule['product_conditions']['target_type']) ? $rule['product_conditions']['target_type'] : 'all';
+
+		switch ($target_type) {
+			case 'specific':
+				$label = __('Product is one of the selected products', 'woocommerce-gateway-vibe');
+				break;
+			case 'categories':
+				$label = __('Product is in one of the selected categories', 'woocommerce-gateway-vibe');
+				break;
+			case 'tags':
+				$label = __('Product has one of the selected tags', 'woocommerce-gateway-vibe');
+				break;
+			case 'price_range':
+				$label = __('Price range (applied to all products)', 'woocommerce-gateway-vibe');
+				break;
+			case 'complex':
+				$label = __('Complex logic (applied to all products)', 'woocommerce-gateway-vibe');
+				break;
+			default:
+				$label = __('All products', 'woocommerce-gateway-vibe');
+				break;
+		}
+
+		if (!empty($matched_by)) {
+			/* translators: 1: Targeting description, 2: Matched index entries */
+			$label = sprintf(__('%1$s (matched by %2$s)', 'woocommerce-gateway-vibe'), $label, implode(', ', $matched_by));
+		}
+
+		return $label;
+	}
+
+	/**
+	 * Describe the referrer and payment method condition of a rule for the simulator.
+	 *
+	 * @param array $rule Pricing rule.
+	 * @param string $apply_mode Apply mode setting.
+	 * @param string $context_type Context type: 'display' or 'application'.
+	 * @return string Condition description.
+	 */
+	private function describe_context_condition($rule, $apply_mode, $context_type) {
+		switch ($apply_mode) {
+			case 'always':
+				return __('Applies to all visitors', 'woocommerce-gateway-vibe');
+
+			case 'combined':
+				return 'display' === $context_type
+					? __('Visitor came from vibe.ir', 'woocommerce-gateway-vibe')
+					: __('Vibe payment method is selected', 'woocommerce-gateway-vibe');
+
+			case 'payment_method':
+				return __('Vibe payment method is selected', 'woocommerce-gateway-vibe');
+
+			case 'referrer':
+				if (empty($rule['referrer_conditions']['domains'])) {
+					return __('No referrer restriction', 'woocommerce-gateway-vibe');
+				}
+
+				/* translators: %s: Comma-separated referrer domains */
+				return sprintf(__('Referrer matches %s', 'woocommerce-gateway-vibe'), implode(', ', $rule['referrer_conditions']['domains']));
+		}
+
+		/* translators: %s: Apply mode setting */
+		return sprintf(__('Unknown apply mode "%s"', 'woocommerce-gateway-vibe'), $apply_mode);
+	}
+
 	/**
 	 * Get dynamic price or false if no dynamic rule applies (price unchanged).
 	 *
@@ -257,7 +501,7 @@ class WC_Vibe_Pricing_Engine {
 		// Try to get cached product rules
 		$cached_rules = $this->cache_manager->get_product_rules($product_id);
 		if (false !== $cached_rules) {
-			return $this->filter_rules_by_context($cached_rules, $context_type);
+			return $this->filter_rules_by_context($this->filter_rules_by_schedule($cached_rules), $context_type);
 		}
 
 		// Get all active rules
@@ -278,8 +522,20 @@ class WC_Vibe_Pricing_Engine {
 		// Cache product rules
 		$this->cache_manager->set_product_rules($product_id, $applicable_rules, 3600); // 1 hour
 
-		// Filter by current context (referrer, payment method)
-		return $this->filter_rules_by_context($applicable_rules, $context_type);
+		// Filter by schedule and current context (referrer, payment method)
+		return $this->filter_rules_by_context($this->filter_rules_by_schedule($applicable_rules), $context_type);
+	}
+
+	/**
+	 * Drop the rules whose schedule window is closed.
+	 *
+	 * @param array $rules Pricing rules.
+	 * @return array Rules active now.
+	 */
+	private function filter_rules_by_schedule($rules) {
+		return array_values(array_filter($rules, function($rule) {
+			return WC_Vibe_Rule_Schedule::is_active(isset($rule['schedule']) ? $rule['schedule'] : array());
+		}));
 	}
 
 	/**
@@ -736,10 +992,19 @@ class WC_Vibe_Pricing_Engine {
 	/**
 	 * Round price according to currency settings.
 	 *
+	 * Uses the rounding rule configured for the active currency. Without
+	 * one, the store's price decimals are kept.
+	 *
 	 * @param float $price Price to round.
 	 * @return float Rounded price.
 	 */
 	private function round_price($price) {
+		if (class_exists('WC_Vibe_Currency_Converter') && function_exists('get_woocommerce_currency')) {
+			return WC_Vibe_Currency_Converter::round($price, get_woocommerce_currency(), array(
+				'step' => pow(10, -wc_get_price_decimals()),
+				'mode' => 'round',
+			));
+		}
 		if (function_exists('wc_get_price_decimals') && function_exists('WC')) {
 			$decimals = wc_get_price_decimals();
 			return round($price, $decimals);
@@ -802,6 +1067,7 @@ class WC_Vibe_Pricing_Engine {
 				'price_adjustment' => !empty($row->price_adjustment) ? json_decode($row->price_adjustment, true) : array(),
 				'discount_integration' => $row->discount_integration,
 				'display_options' => !empty($row->display_options) ? json_decode($row->display_options, true) : array(),
+				'schedule' => !empty($row->schedule) ? json_decode($row->schedule, true) : array(),
 			);
 
 			// Add payment method requirement for Vibe referrer
@@ -822,21 +1088,27 @@ class WC_Vibe_Pricing_Engine {
 
 	/**
 	 * Detect current referrer.
+	 *
+	 * The attribution stored by the frontend module keeps the landing referrer
+	 * across page views; an external HTTP referrer or a `ref` parameter on the
+	 * current request replaces it.
 	 */
 	private function detect_referrer() {
-		// Check session first (for persistence across pages)
-		if (session_status() !== PHP_SESSION_NONE && isset($_SESSION['vibe_referrer'])) {
+		$this->current_attribution = $this->get_stored_attribution();
+
+		if (!empty($this->current_attribution['referrer'])) {
+			$this->current_referrer = $this->current_attribution['referrer'];
+		} elseif (session_status() !== PHP_SESSION_NONE && isset($_SESSION['vibe_referrer'])) {
+			// Session fallback for visitors without the attribution cookie
 			$this->current_referrer = $_SESSION['vibe_referrer'];
-			return;
 		}
 
-		// Check HTTP referrer
+		// Check HTTP referrer, ignoring navigation inside the store
 		if (!empty($_SERVER['HTTP_REFERER'])) {
-			$referrer_url = $_SERVER['HTTP_REFERER'];
-			$parsed_url = parse_url($referrer_url);
+			$referrer_host = wp_parse_url($_SERVER['HTTP_REFERER'], PHP_URL_HOST);
 			
-			if (isset($parsed_url['host'])) {
-				$this->current_referrer = $parsed_url['host'];
+			if ($referrer_host && strtolower($referrer_host) !== strtolower((string) wp_parse_url(home_url(), PHP_URL_HOST))) {
+				$this->current_referrer = strtolower($referrer_host);
 				
 				// Store in session for persistence
 				if (session_status() === PHP_SESSION_NONE) {
@@ -858,6 +1130,50 @@ class WC_Vibe_Pricing_Engine {
 		}
 	}
 
+	/**
+	 * Read the attribution stored by the frontend module.
+	 *
+	 * AJAX and Store API requests carry it in the `X-Vibe-Attribution` header,
+	 * page loads in the `wc_vibe_attribution` cookie. Both hold the same
+	 * URL-encoded JSON object.
+	 *
+	 * @return array Sanitized attribution, empty when missing or expired.
+	 */
+	private function get_stored_attribution() {
+		if (!empty($_SERVER['HTTP_X_VIBE_ATTRIBUTION'])) {
+			$raw = rawurldecode(wp_unslash($_SERVER['HTTP_X_VIBE_ATTRIBUTION']));
+		} elseif (!empty($_COOKIE['wc_vibe_attribution'])) {
+			$raw = wp_unslash($_COOKIE['wc_vibe_attribution']);
+		} else {
+			return array();
+		}
+
+		$data = json_decode($raw, true);
+		if (!is_array($data)) {
+			return array();
+		}
+
+		$attribution = array();
+		foreach (array('referrer', 'utm_source', 'utm_medium', 'utm_campaign', 'utm_term', 'utm_content', 'landing') as $key) {
+			if (isset($data[$key]) && is_scalar($data[$key]) && '' !== (string) $data[$key]) {
+				$attribution[$key] = sanitize_text_field(substr((string) $data[$key], 0, 200));
+			}
+		}
+		$attribution['time'] = isset($data['time']) ? absint($data['time']) : 0;
+
+		if (isset($attribution['referrer'])) {
+			$attribution['referrer'] = strtolower($attribution['referrer']);
+		}
+
+		// The cookie lifetime is enforced here as well, the cookie itself is client-side
+		$lifetime = absint(get_option('wc_vibe_attribution_lifetime', 30));
+		if ($lifetime > 0 && $attribution['time'] < time() - $lifetime * DAY_IN_SECONDS) {
+			return array();
+		}
+
+		return $attribution;
+	}
+
 	/**
 	 * Detect current payment method.
 	 */
@@ -909,9 +1225,17 @@ class WC_Vibe_Pricing_Engine {
 			$this->current_payment_method ? $this->current_payment_method : 'no_payment_method',
 			// Add timestamp component to avoid stale caches during development/testing
 			get_option('wc_vibe_dynamic_pricing_apply_mode', 'combined'),
-			$context_type
+			$context_type,
+			// Prices are rounded by the rule of the active currency
+			function_exists('get_woocommerce_currency') ? get_woocommerce_currency() : 'no_currency'
 		);
 
+		// Scheduled rules switching on or off start a new cache context
+		$schedule_state_key = $this->get_schedule_state_key();
+		if ('' !== $schedule_state_key) {
+			$context_parts[] = $schedule_state_key;
+		}
+
 		$context = implode('_', $context_parts);
 		
 		$this->log_debug('generate_cache_context', array(
@@ -922,6 +1246,24 @@ class WC_Vibe_Pricing_Engine {
 		return $context;
 	}
 
+	/**
+	 * Get the schedule state key of the active rules, once per request.
+	 *
+	 * @return string Schedule state key, empty when no rule is scheduled.
+	 */
+	private function get_schedule_state_key() {
+		if (null !== $this->schedule_state_key) {
+			return $this->schedule_state_key;
+		}
+
+		$rule_compiler = $this->get_rule_compiler();
+		$this->schedule_state_key = $rule_compiler
+			? $rule_compiler->get_schedule_state_key()
+			: WC_Vibe_Rule_Schedule::get_state_key($this->get_compiled_rules());
+
+		return $this->schedule_state_key;
+	}
+
 	/**
 	 * Clear compiled rules cache.
 	 */
@@ -942,6 +1284,15 @@ class WC_Vibe_Pricing_Engine {
 		return $this->current_referrer;
 	}
 
+	/**
+	 * Get the stored referrer and campaign attribution.
+	 *
+	 * @return array Attribution with referrer, UTM parameters, landing path and time.
+	 */
+	public function get_current_attribution() {
+		return $this->current_attribution;
+	}
+
 	/**
 	 * Get current payment method.
 	 *
@@ -1070,6 +1421,7 @@ class WC_Vibe_Pricing_Engine {
 			'pricing_engine' => array(
 				'current_payment_method' => $this->current_payment_method,
 				'current_referrer' => $this->current_referrer,
+				'current_attribution' => $this->current_attribution,
 				'evaluation_context' => $this->evaluation_context,
 				'apply_mode' => get_option('wc_vibe_dynamic_pricing_apply_mode', 'combined'),
 				'compiled_rules_count' => $this->compiled_rules ? count($this->compiled_rules) : 0
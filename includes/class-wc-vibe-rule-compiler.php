@@ -83,6 +83,10 @@ class WC_Vibe_Rule_Compiler {
         $this->compiled_index = $this->compile_rule_index();
         
         $this->metrics['compile_time'] = microtime(true) - $start_time;
+
+        if (class_exists('WC_Vibe_Performance_Monitor')) {
+            WC_Vibe_Performance_Monitor::record_event('index_rebuild');
+        }
         
         // Cache for 1 hour with auto-refresh on rule changes
         $this->cache_manager->set($cache_key, $this->compiled_index, 3600);
@@ -111,7 +115,7 @@ class WC_Vibe_Rule_Compiler {
             SELECT 
                 id, name, priority, status,
                 referrer_conditions, product_conditions, price_adjustment,
-                discount_integration, display_options,
+                discount_integration, display_options, schedule,
                 created_at, updated_at
             FROM {$table_name} 
             WHERE status = 'active' 
@@ -165,7 +169,8 @@ class WC_Vibe_Rule_Compiler {
             'product_conditions' => $this->parse_json_field($rule_row['product_conditions']),
             'price_adjustment' => $this->parse_json_field($rule_row['price_adjustment']),
             'discount_integration' => $rule_row['discount_integration'],
-            'display_options' => $this->parse_json_field($rule_row['display_options'])
+            'display_options' => $this->parse_json_field($rule_row['display_options']),
+            'schedule' => $this->parse_json_field($rule_row['schedule'])
         );
 
         // Pre-compile condition matchers for performance
@@ -238,25 +243,86 @@ class WC_Vibe_Rule_Compiler {
             $compiled_index = $this->get_compiled_index();
         }
 
-        $applicable_rule_ids = array();
+        // Rule IDs are unique keys of the match sources
+        $applicable_rule_ids = array_keys($this->get_rule_match_sources($product, $compiled_index));
+
+        // The index is cached across schedule windows, so check them on lookup
+        $applicable_rule_ids = array_filter($applicable_rule_ids, function($rule_id) use ($compiled_index) {
+            return WC_Vibe_Rule_Schedule::is_active($compiled_index['rule_data'][$rule_id]['schedule'] ?? array());
+        });
+
+        // Return rule data sorted by priority
+        return $this->sort_rules_by_priority($applicable_rule_ids, $compiled_index);
+    }
+
+    /**
+     * Explain how every active rule is matched against a product.
+     *
+     * Lists all active rules in the order get_applicable_rule_ids() would
+     * return them, with the index entries that matched each one and whether
+     * its schedule window is open.
+     *
+     * @param WC_Product $product Product object.
+     * @param array $compiled_index Compiled rule index.
+     * @return array Rule match details sorted by priority.
+     */
+    public function explain_rule_matches($product, $compiled_index = null) {
+        if (null === $compiled_index) {
+            $compiled_index = $this->get_compiled_index();
+        }
+
+        $match_sources = $this->get_rule_match_sources($product, $compiled_index);
+        $rule_ids = $this->sort_rules_by_priority(array_keys($compiled_index['rule_data']), $compiled_index);
+        $matches = array();
+
+        foreach ($rule_ids as $rule_id) {
+            $matches[] = array(
+                'rule' => $compiled_index['rule_data'][$rule_id],
+                'matched' => isset($match_sources[$rule_id]),
+                'matched_by' => isset($match_sources[$rule_id]) ? $match_sources[$rule_id] : array(),
+                'schedule_active' => WC_Vibe_Rule_Schedule::is_active($compiled_index['rule_data'][$rule_id]['schedule'] ?? array())
+            );
+        }
+
+        return $matches;
+    }
+
+    /**
+     * Get a key for the current state of the scheduled rules.
+     *
+     * @return string Schedule state key, empty when no rule is scheduled.
+     */
+    public function get_schedule_state_key() {
+        $compiled_index = $this->get_compiled_index();
+
+        return WC_Vibe_Rule_Schedule::get_state_key($compiled_index['rule_data']);
+    }
+
+    /**
+     * Look up the index entries that match a product.
+     *
+     * @param WC_Product $product Product object.
+     * @param array $compiled_index Compiled rule index.
+     * @return array Match sources ('product', 'category:ID', 'tag:ID', 'global') keyed by rule ID.
+     */
+    private function get_rule_match_sources($product, $compiled_index) {
+        $match_sources = array();
         $product_id = $product->get_id();
 
         // 1. Direct product rules (O(1) lookup)
         if (isset($compiled_index['product_rules'][$product_id])) {
-            $applicable_rule_ids = array_merge(
-                $applicable_rule_ids, 
-                $compiled_index['product_rules'][$product_id]
-            );
+            foreach ($compiled_index['product_rules'][$product_id] as $rule_id) {
+                $match_sources[$rule_id][] = 'product';
+            }
         }
 
         // 2. Category rules (O(1) lookup per category)
         $product_categories = wp_get_post_terms($product_id, 'product_cat', array('fields' => 'ids'));
         foreach ($product_categories as $category_id) {
             if (isset($compiled_index['category_rules'][$category_id])) {
-                $applicable_rule_ids = array_merge(
-                    $applicable_rule_ids, 
-                    $compiled_index['category_rules'][$category_id]
-                );
+                foreach ($compiled_index['category_rules'][$category_id] as $rule_id) {
+                    $match_sources[$rule_id][] = 'category:' . $category_id;
+                }
             }
         }
 
@@ -264,23 +330,20 @@ class WC_Vibe_Rule_Compiler {
         $product_tags = wp_get_post_terms($product_id, 'product_tag', array('fields' => 'ids'));
         foreach ($product_tags as $tag_id) {
             if (isset($compiled_index['tag_rules'][$tag_id])) {
-                $applicable_rule_ids = array_merge(
-                    $applicable_rule_ids, 
-                    $compiled_index['tag_rules'][$tag_id]
-                );
+                foreach ($compiled_index['tag_rules'][$tag_id] as $rule_id) {
+                    $match_sources[$rule_id][] = 'tag:' . $tag_id;
+                }
             }
         }
 
         // 4. Global rules (apply to all products)
         if (!empty($compiled_index['global_rules'])) {
-            $applicable_rule_ids = array_merge($applicable_rule_ids, $compiled_index['global_rules']);
+            foreach ($compiled_index['global_rules'] as $rule_id) {
+                $match_sources[$rule_id][] = 'global';
+            }
         }
 
-        // Remove duplicates and sort by priority (already in priority order)
-        $applicable_rule_ids = array_unique($applicable_rule_ids);
-
-        // Return rule data sorted by priority
-        return $this->sort_rules_by_priority($applicable_rule_ids, $compiled_index);
+        return $match_sources;
     }
 
     /**
@@ -366,7 +429,8 @@ class WC_Vibe_Rule_Compiler {
             $compiled_rule['priority'],
             $compiled_rule['referrer_conditions'],
             $compiled_rule['product_conditions'],
-            $compiled_rule['price_adjustment']
+            $compiled_rule['price_adjustment'],
+            $compiled_rule['schedule']
         );
         
         return hash('xxh64', serialize($hash_data));
@@ -461,6 +525,8 @@ class WC_Vibe_Rule_Compiler {
      * Warm up the compiled index.
      *
      * Pre-loads and caches the rule index for better performance.
+     *
+     * @return float Warm-up time in seconds.
      */
     public function warm_up_index() {
         $start_time = microtime(true);
@@ -475,6 +541,8 @@ class WC_Vibe_Rule_Compiler {
                 $this->metrics['cache_hits']
             ));
         }
+
+        return $warm_up_time;
     }
 
     /**
@@ -0,0 +1,244 @@
+<?php
+
+/**
+ * Vibe Rule History Class
+ *
+ * Keeps a log of every change made to pricing rules, with before and after
+ * snapshots, so earlier versions can be reviewed and restored.
+ *
+ * @package  WooCommerce Vibe Payment Gateway
+ * @since    1.3.0
+ */
+
+// Exit if accessed directly.
+if (! defined('ABSPATH')) {
+	exit;
+}
+
+/**
+ * Rule history helpers for Vibe Dynamic Pricing.
+ *
+ * Each entry stores the full rule row before and after the change. Created
+ * rules have no before snapshot and deleted rules have no after snapshot.
+ *
+ * @class    WC_Vibe_Rule_History
+ * @version  1.3.0
+ */
+class WC_Vibe_Rule_History {
+
+	/**
+	 * Get the history table name.
+	 *
+	 * @return string Table name.
+	 */
+	public static function get_table_name() {
+		global $wpdb;
+
+		return $wpdb->prefix . 'vibe_pricing_rule_history';
+	}
+
+	/**
+	 * Get the current row of a rule.
+	 *
+	 * @param int $rule_id Rule ID.
+	 * @return array|null Rule row, or null if the rule does not exist.
+	 */
+	public static function get_rule_snapshot($rule_id) {
+		global $wpdb;
+
+		$table_name = $wpdb->prefix . 'vibe_pricing_rules';
+
+		return $wpdb->get_row($wpdb->prepare("SELECT * FROM {$table_name} WHERE id = %d", $rule_id), ARRAY_A);
+	}
+
+	/**
+	 * Record a change to a rule.
+	 *
+	 * @param string $action Change type: created, updated, toggled, reordered, duplicated, deleted, imported or restored.
+	 * @param int $rule_id Rule ID.
+	 * @param array|null $before Rule row before the change.
+	 * @param array|null $after Rule row after the change.
+	 * @return int History entry ID, 0 on failure (logged to the WooCommerce logs).
+	 */
+	public static function record($action, $rule_id, $before, $after) {
+		global $wpdb;
+
+		$snapshot = $after ? $after : $before;
+
+		$inserted = $wpdb->insert(self::get_table_name(), array(
+			'rule_id' => (int) $rule_id,
+			'action' => $action,
+			'user_id' => get_current_user_id(),
+			'rule_name' => $snapshot ? $snapshot['name'] : '',
+			'before_data' => $before ? wp_json_encode($before) : null,
+			'after_data' => $after ? wp_json_encode($after) : null,
+			'created_at' => current_time('mysql'),
+		));
+
+		if (! $inserted) {
+			// A missing history table or column should not go unnoticed
+			wc_get_logger()->error(
+				sprintf('Could not record the %s change of pricing rule %d: %s', $action, $rule_id, $wpdb->last_error ? $wpdb->last_error : 'unknown database error'),
+				array('source' => 'vibe-rule-history')
+			);
+
+			return 0;
+		}
+
+		return (int) $wpdb->insert_id;
+	}
+
+	/**
+	 * Get history entries, newest first.
+	 *
+	 * @param int $rule_id Rule ID, or 0 for changes to all rules.
+	 * @param int $limit Maximum number of entries.
+	 * @return array History entries with decoded snapshots.
+	 */
+	public static function get_entries($rule_id = 0, $limit = 50) {
+		global $wpdb;
+
+		$table_name = self::get_table_name();
+
+		if ($rule_id > 0) {
+			$rows = $wpdb->get_results($wpdb->prepare(
+				"SELECT * FROM {$table_name} WHERE rule_id = %d ORDER BY id DESC LIMIT %d",
+				$rule_id,
+				$limit
+			), ARRAY_A);
+		} else {
+			$rows = $wpdb->get_results($wpdb->prepare(
+				"SELECT * FROM {$table_name} ORDER BY id DESC LIMIT %d",
+				$limit
+			), ARRAY_A);
+		}
+
+		return array_map(array(__CLASS__, 'decode_entry'), $rows);
+	}
+
+	/**
+	 * Get a single history entry.
+	 *
+	 * @param int $entry_id History entry ID.
+	 * @return array|null History entry, or null if not found.
+	 */
+	public static function get_entry($entry_id) {
+		global $wpdb;
+
+		$table_name = self::get_table_name();
+		$row = $wpdb->get_row($wpdb->prepare("SELECT * FROM {$table_name} WHERE id = %d", $entry_id), ARRAY_A);
+
+		return $row ? self::decode_entry($row) : null;
+	}
+
+	/**
+	 * Get the rule version an entry can restore.
+	 *
+	 * That is the state after the change, or the state before it for a
+	 * deletion, so restoring a deletion brings the rule back.
+	 *
+	 * @param array $entry History entry.
+	 * @return array|null Rule row, or null if there is nothing to restore.
+	 */
+	public static function get_restorable_version($entry) {
+		return 'deleted' === $entry['action'] ? $entry['before'] : $entry['after'];
+	}
+
+	/**
+	 * Restore the rule version of a history entry.
+	 *
+	 * Deleted rules are recreated with their original ID. The caller is
+	 * responsible for invalidating the compiled rule index.
+	 *
+	 * @param array $entry History entry.
+	 * @return array|WP_Error Restored rule row, or an error.
+	 */
+	public static function restore($entry) {
+		$version = self::get_restorable_version($entry);
+		if (empty($version)) {
+			return new WP_Error('nothing_to_restore', __('This history entry has no rule version to restore.', 'woocommerce-gateway-vibe'));
+		}
+
+		return self::write_version($entry['rule_id'], $version);
+	}
+
+	/**
+	 * Undo the change of a history entry.
+	 *
+	 * Puts the rule back in its state before the change: created rules are
+	 * deleted again and deleted rules are recreated. The caller is
+	 * responsible for invalidating the compiled rule index.
+	 *
+	 * @param array $entry History entry.
+	 * @return array|null|WP_Error Rule row after the undo, null if the rule was deleted, or an error.
+	 */
+	public static function revert($entry) {
+		global $wpdb;
+
+		if (!empty($entry['before'])) {
+			return self::write_version($entry['rule_id'], $entry['before']);
+		}
+
+		$before = self::get_rule_snapshot($entry['rule_id']);
+		if ($before) {
+			$wpdb->delete($wpdb->prefix . 'vibe_pricing_rules', array('id' => $entry['rule_id']));
+			self::record('deleted', $entry['rule_id'], $before, null);
+		}
+
+		return null;
+	}
+
+	/**
+	 * Write a stored rule version back to the rules table.
+	 *
+	 * @param int $rule_id Rule ID.
+	 * @param array $version Rule row to write.
+	 * @return array|WP_Error Rule row after the write, or an error.
+	 */
+	private static function write_version($rule_id, $version) {
+		global $wpdb;
+
+		$table_name = $wpdb->prefix . 'vibe_pricing_rules';
+		$rule_id = (int) $rule_id;
+		$before = self::get_rule_snapshot($rule_id);
+
+		$data = array_diff_key($version, array_flip(array('id', 'created_at', 'updated_at')));
+		$data['updated_at'] = current_time('mysql');
+
+		if ($before) {
+			$result = $wpdb->update($table_name, $data, array('id' => $rule_id));
+		} else {
+			$data['id'] = $rule_id;
+			$data['created_at'] = $version['created_at'] ?? current_time('mysql');
+			$result = $wpdb->insert($table_name, $data);
+		}
+
+		if (false === $result) {
+			return new WP_Error('restore_failed', __('The rule could not be restored.', 'woocommerce-gateway-vibe'));
+		}
+
+		$after = self::get_rule_snapshot($rule_id);
+		self::record('restored', $rule_id, $before, $after);
+
+		return $after;
+	}
+
+	/**
+	 * Decode the snapshots of a history row.
+	 *
+	 * @param array $row History table row.
+	 * @return array History entry.
+	 */
+	private static function decode_entry($row) {
+		return array(
+			'id' => (int) $row['id'],
+			'rule_id' => (int) $row['rule_id'],
+			'action' => $row['action'],
+			'user_id' => (int) $row['user_id'],
+			'rule_name' => $row['rule_name'],
+			'before' => !empty($row['before_data']) ? json_decode($row['before_data'], true) : null,
+			'after' => !empty($row['after_data']) ? json_decode($row['after_data'], true) : null,
+			'created_at' => $row['created_at'],
+		);
+	}
+}
@@ -0,0 +1,729 @@
+<?php
+
+/**
+ * Vibe Rule Import/Export Class
+ *
+ * Moves pricing rules between stores as JSON. Products, categories and tags
+ * are written by SKU and slug rather than ID, so an export from a staging
+ * store can be applied to production.
+ *
+ * @package  WooCommerce Vibe Payment Gateway
+ * @since    1.3.0
+ */
+
+// Exit if accessed directly.
+if (! defined('ABSPATH')) {
+	exit;
+}
+
+/**
+ * Rule import/export helpers for Vibe Dynamic Pricing.
+ *
+ * Rules are matched between the file and the store by name. An import is
+ * planned first, so the admin can review the per-rule diff and validation
+ * errors, and then applied in one of two modes:
+ *
+ * - merge: add new rules and update matching ones, keep everything else.
+ * - overwrite: also delete store rules that are not in the file.
+ *
+ * @class    WC_Vibe_Rule_Import_Export
+ * @version  1.3.0
+ */
+class WC_Vibe_Rule_Import_Export {
+
+	/**
+	 * Format marker of export files.
+	 */
+	const FORMAT = 'vibe-pricing-rules';
+
+	/**
+	 * Version of the export file structure.
+	 */
+	const FORMAT_VERSION = 1;
+
+	/**
+	 * Allowed values of the enumerated rule fields.
+	 *
+	 * @var array
+	 */
+	private static $allowed_values = array(
+		'status' => array('active', 'inactive'),
+		'target_type' => array('all', 'specific', 'categories', 'tags', 'price_range', 'complex'),
+		'adjustment_type' => array('percentage', 'fixed', 'original'),
+		'discount_integration' => array('apply', 'ignore', 'before'),
+		'logic' => array('AND', 'OR'),
+	);
+
+	/**
+	 * Build the export document for a set of rules.
+	 *
+	 * @param array $rules Rule rows from the pricing rules table.
+	 * @return array Export document.
+	 */
+	public static function export_rules($rules) {
+		return array(
+			'format' => self::FORMAT,
+			'version' => self::FORMAT_VERSION,
+			'exported_at' => gmdate('c'),
+			'site' => home_url(),
+			'rules' => array_map(array(__CLASS__, 'to_portable'), $rules),
+		);
+	}
+
+	/**
+	 * Plan an import without changing anything.
+	 *
+	 * @param mixed $document Decoded export document.
+	 * @param array $existing_rules Rule rows currently in the store.
+	 * @param string $mode Import mode: 'merge' or 'overwrite'.
+	 * @return array|WP_Error Plan with one entry per rule, or an error if the file cannot be read.
+	 */
+	public static function plan_import($document, $existing_rules, $mode = 'merge') {
+		if (!is_array($document) || !isset($document['format']) || self::FORMAT !== $document['format'] || !isset($document['rules']) || !is_array($document['rules'])) {
+			return new WP_Error('invalid_format', __('This file is not a Vibe pricing rules export.', 'woocommerce-gateway-vibe'));
+		}
+
+		if ((int) ($document['version'] ?? 0) > self::FORMAT_VERSION) {
+			return new WP_Error('unsupported_version', __('This export was made by a newer version of the plugin. Please update before importing it.', 'woocommerce-gateway-vibe'));
+		}
+
+		// First rule with a name wins when the store has duplicates
+		$existing_by_name = array();
+		foreach ($existing_rules as $rule) {
+			if (!isset($existing_by_name[$rule['name']])) {
+				$existing_by_name[$rule['name']] = $rule;
+			}
+		}
+
+		$plan = array();
+		$seen_names = array();
+
+		foreach (array_values($document['rules']) as $index => $imported) {
+			$validated = self::validate_rule($imported);
+			$name = $validated['rule']['name'];
+
+			if ('' !== $name && isset($seen_names[$name])) {
+				$validated['errors'][] = __('Another rule in the file has the same name.', 'woocommerce-gateway-vibe');
+			}
+			$seen_names[$name] = true;
+
+			$existing = isset($existing_by_name[$name]) ? $existing_by_name[$name] : null;
+			$changes = $existing ? self::diff(self::to_portable($existing), $validated['portable']) : array();
+
+			$plan[] = array(
+				'index' => $index,
+				'name' => '' !== $name ? $name : sprintf(
+					/* translators: %d: Position of the rule in the import file */
+					__('Rule #%d', 'woocommerce-gateway-vibe'),
+					$index + 1
+				),
+				'action' => $existing ? (empty($changes) ? 'unchanged' : 'changed') : 'added',
+				'rule_id' => $existing ? (int) $existing['id'] : 0,
+				'changes' => $changes,
+				'errors' => $validated['errors'],
+				'rule' => $validated['rule'],
+			);
+		}
+
+		if ('overwrite' === $mode) {
+			foreach ($existing_rules as $rule) {
+				if (!isset($seen_names[$rule['name']])) {
+					$plan[] = array(
+						'index' => null,
+						'name' => $rule['name'],
+						'action' => 'removed',
+						'rule_id' => (int) $rule['id'],
+						'changes' => array(),
+						'errors' => array(),
+						'rule' => null,
+					);
+				}
+			}
+		}
+
+		return $plan;
+	}
+
+	/**
+	 * Apply a planned import.
+	 *
+	 * Rules with validation errors, unchanged rules and rules the admin
+	 * chose to skip are left alone.
+	 *
+	 * @param array $plan Plan from plan_import().
+	 * @param array $skip File positions of rules not to import.
+	 * @return array Number of rules added, updated, removed and skipped.
+	 */
+	public static function apply_import($plan, $skip = array()) {
+		global $wpdb;
+
+		$table_name = $wpdb->prefix . 'vibe_pricing_rules';
+		$counts = array(
+			'added' => 0,
+			'updated' => 0,
+			'removed' => 0,
+			'skipped' => 0,
+		);
+
+		foreach ($plan as $entry) {
+			if (!empty($entry['errors']) || (null !== $entry['index'] && in_array($entry['index'], $skip, true))) {
+				$counts['skipped']++;
+				continue;
+			}
+
+			switch ($entry['action']) {
+				case 'added':
+					$data = $entry['rule'];
+					$data['created_at'] = current_time('mysql');
+					$data['updated_at'] = current_time('mysql');
+					$wpdb->insert($table_name, $data);
+					WC_Vibe_Rule_History::record('imported', $wpdb->insert_id, null, WC_Vibe_Rule_History::get_rule_snapshot($wpdb->insert_id));
+					$counts['added']++;
+					break;
+
+				case 'changed':
+					$before = WC_Vibe_Rule_History::get_rule_snapshot($entry['rule_id']);
+					$data = $entry['rule'];
+					$data['updated_at'] = current_time('mysql');
+					$wpdb->update($table_name, $data, array('id' => $entry['rule_id']));
+					WC_Vibe_Rule_History::record('imported', $entry['rule_id'], $before, WC_Vibe_Rule_History::get_rule_snapshot($entry['rule_id']));
+					$counts['updated']++;
+					break;
+
+				case 'removed':
+					$before = WC_Vibe_Rule_History::get_rule_snapshot($entry['rule_id']);
+					$wpdb->delete($table_name, array('id' => $entry['rule_id']));
+					WC_Vibe_Rule_History::record('deleted', $entry['rule_id'], $before, null);
+					$counts['removed']++;
+					break;
+			}
+		}
+
+		return $counts;
+	}
+
+	/**
+	 * List the fields that differ between two stored rule versions.
+	 *
+	 * Used by the rule history, so its diffs read the same as import diffs.
+	 *
+	 * @param array|null $before Rule row before, or null if the rule was created.
+	 * @param array|null $after Rule row after, or null if the rule was deleted.
+	 * @return array List of array('field', 'from', 'to') with JSON-encoded values.
+	 */
+	public static function diff_rules($before, $after) {
+		return self::diff(
+			$before ? self::to_portable($before) : array(),
+			$after ? self::to_portable($after) : array()
+		);
+	}
+
+	/**
+	 * Validate an imported rule and convert it to a table row.
+	 *
+	 * @param mixed $imported Rule from the export file.
+	 * @return array The table row ('rule'), its portable form ('portable') and error messages ('errors').
+	 */
+	private static function validate_rule($imported) {
+		$errors = array();
+
+		if (!is_array($imported)) {
+			$imported = array();
+			$errors[] = __('The rule is not an object.', 'woocommerce-gateway-vibe');
+		}
+
+		$name = isset($imported['name']) && is_scalar($imported['name']) ? sanitize_text_field($imported['name']) : '';
+		if ('' === $name) {
+			$errors[] = __('The rule has no name.', 'woocommerce-gateway-vibe');
+		}
+
+		$priority = $imported['priority'] ?? 0;
+		if (!is_numeric($priority)) {
+			$errors[] = __('Priority must be a number.', 'woocommerce-gateway-vibe');
+		}
+
+		$status = self::validate_choice($imported['status'] ?? 'active', 'status', __('Status', 'woocommerce-gateway-vibe'), $errors);
+		$discount_integration = self::validate_choice($imported['discount_integration'] ?? 'apply', 'discount_integration', __('Discount integration', 'woocommerce-gateway-vibe'), $errors);
+
+		// Price adjustment
+		$adjustment = isset($imported['price_adjustment']) && is_array($imported['price_adjustment']) ? $imported['price_adjustment'] : array();
+		$adjustment_type = self::validate_choice($adjustment['type'] ?? '', 'adjustment_type', __('Adjustment type', 'woocommerce-gateway-vibe'), $errors);
+		$adjustment_value = $adjustment['value'] ?? 0;
+		if (!is_numeric($adjustment_value)) {
+			$errors[] = __('Adjustment value must be a number.', 'woocommerce-gateway-vibe');
+		}
+
+		$product_conditions = self::import_product_conditions($imported['product_conditions'] ?? array(), $errors);
+
+		// Referrer conditions, always limited to plain domain patterns
+		$referrer = isset($imported['referrer_conditions']) && is_array($imported['referrer_conditions']) ? $imported['referrer_conditions'] : array();
+		$referrer_conditions = array(
+			'domains' => array_values(array_filter(array_map('sanitize_text_field', array_filter((array) ($referrer['domains'] ?? array()), 'is_scalar')))),
+			'match_type' => sanitize_key($referrer['match_type'] ?? 'contains'),
+		);
+
+		$display_options = isset($imported['display_options']) && is_array($imported['display_options']) ? map_deep($imported['display_options'], 'sanitize_text_field') : array();
+
+		// Reuse the form sanitizer so imported schedules follow the same rules
+		$schedule_input = isset($imported['schedule']) && is_array($imported['schedule']) ? $imported['schedule'] : array();
+		$schedule = WC_Vibe_Rule_Schedule::from_form(array(
+			'schedule_start' => $schedule_input['start'] ?? '',
+			'schedule_end' => $schedule_input['end'] ?? '',
+			'schedule_days' => $schedule_input['days'] ?? array(),
+			'schedule_time_from' => $schedule_input['time_from'] ?? '',
+			'schedule_time_to' => $schedule_input['time_to'] ?? '',
+		));
+
+		$rule = array(
+			'name' => $name,
+			'description' => isset($imported['description']) && is_scalar($imported['description']) ? sanitize_textarea_field($imported['description']) : '',
+			'priority' => (int) $priority,
+			'status' => $status,
+			'referrer_conditions' => wp_json_encode($referrer_conditions),
+			'product_conditions' => wp_json_encode($product_conditions),
+			'price_adjustment' => wp_json_encode(array(
+				'type' => $adjustment_type,
+				'value' => (float) $adjustment_value,
+			)),
+			'discount_integration' => $discount_integration,
+			'display_options' => wp_json_encode($display_options),
+			'schedule' => wp_json_encode($schedule),
+		);
+
+		return array(
+			'rule' => $rule,
+			'portable' => self::to_portable($rule),
+			'errors' => $errors,
+		);
+	}
+
+	/**
+	 * Convert imported product conditions to stored ones.
+	 *
+	 * @param mixed $conditions Product conditions from the export file.
+	 * @param array $errors Error messages, added to.
+	 * @return array Product conditions with IDs of this store.
+	 */
+	private static function import_product_conditions($conditions, &$errors) {
+		if (!is_array($conditions)) {
+			$conditions = array();
+		}
+
+		$target_type = self::validate_choice($conditions['target_type'] ?? 'all', 'target_type', __('Product targeting', 'woocommerce-gateway-vibe'), $errors);
+		$product_conditions = array('target_type' => $target_type);
+
+		switch ($target_type) {
+			case 'specific':
+				$product_conditions['product_ids'] = array();
+				foreach ((array) ($conditions['products'] ?? array()) as $reference) {
+					$product_id = self::find_product_id($reference);
+					if ($product_id) {
+						$product_conditions['product_ids'][] = $product_id;
+					} else {
+						/* translators: %s: Product SKU or ID from the import file */
+						$errors[] = sprintf(__('Product "%s" was not found in this store.', 'woocommerce-gateway-vibe'), is_scalar($reference) ? $reference : '');
+					}
+				}
+				break;
+
+			case 'categories':
+			case 'tags':
+				$key = 'categories' === $target_type ? 'categories' : 'tags';
+				$logic_key = 'categories' === $target_type ? 'category_logic' : 'tag_logic';
+				$taxonomy = 'categories' === $target_type ? 'product_cat' : 'product_tag';
+
+				$product_conditions[$key] = array();
+				foreach ((array) ($conditions[$key] ?? array()) as $slug) {
+					$term = is_scalar($slug) ? get_term_by('slug', sanitize_title($slug), $taxonomy) : false;
+					if ($term) {
+						$product_conditions[$key][] = (int) $term->term_id;
+					} elseif ('categories' === $key) {
+						/* translators: %s: Category slug from the import file */
+						$errors[] = sprintf(__('Category "%s" was not found in this store.', 'woocommerce-gateway-vibe'), is_scalar($slug) ? $slug : '');
+					} else {
+						/* translators: %s: Tag slug from the import file */
+						$errors[] = sprintf(__('Tag "%s" was not found in this store.', 'woocommerce-gateway-vibe'), is_scalar($slug) ? $slug : '');
+					}
+				}
+
+				$product_conditions[$logic_key] = self::validate_choice($conditions[$logic_key] ?? 'OR', 'logic', __('Match logic', 'woocommerce-gateway-vibe'), $errors);
+				break;
+
+			case 'price_range':
+				foreach (array('min_price', 'max_price') as $key) {
+					$value = $conditions[$key] ?? '';
+					if ('' !== $value && !is_numeric($value)) {
+						$errors[] = __('Price range limits must be numbers.', 'woocommerce-gateway-vibe');
+						$value = '';
+					}
+					$product_conditions[$key] = '' === $value ? '' : (float) $value;
+				}
+				break;
+
+			case 'complex':
+				$complex_logic = isset($conditions['complex_logic']) && is_scalar($conditions['complex_logic']) ? sanitize_textarea_field($conditions['complex_logic']) : '';
+				if ('' === trim($complex_logic)) {
+					$errors[] = __('Complex logic is empty.', 'woocommerce-gateway-vibe');
+				} else {
+					// Checked before sanitizing, which escapes a lone "<" as "&lt;"
+					$syntax_error = self::get_complex_logic_error((string) $conditions['complex_logic']);
+					if ('' !== $syntax_error) {
+						/* translators: %s: Syntax error in the complex logic expression */
+						$errors[] = sprintf(__('Complex logic is invalid: %s', 'woocommerce-gateway-vibe'), $syntax_error);
+					}
+				}
+				$product_conditions['complex_logic'] = $complex_logic;
+				break;
+		}
+
+		return $product_conditions;
+	}
+
+	/**
+	 * Convert a stored rule to its portable export form.
+	 *
+	 * @param array $rule Rule row.
+	 * @return array Portable rule.
+	 */
+	private static function to_portable($rule) {
+		$decode = function($value) {
+			$decoded = !empty($value) ? json_decode($value, true) : array();
+			return is_array($decoded) ? $decoded : array();
+		};
+
+		$conditions = $decode($rule['product_conditions'] ?? '');
+		$target_type = $conditions['target_type'] ?? 'all';
+		$product_conditions = array('target_type' => $target_type);
+
+		switch ($target_type) {
+			case 'specific':
+				$product_conditions['products'] = array_map(array(__CLASS__, 'get_product_reference'), $conditions['product_ids'] ?? array());
+				break;
+
+			case 'categories':
+				$product_conditions['categories'] = self::get_term_slugs($conditions['categories'] ?? array(), 'product_cat');
+				$product_conditions['category_logic'] = $conditions['category_logic'] ?? 'OR';
+				break;
+
+			case 'tags':
+				$product_conditions['tags'] = self::get_term_slugs($conditions['tags'] ?? array(), 'product_tag');
+				$product_conditions['tag_logic'] = $conditions['tag_logic'] ?? 'OR';
+				break;
+
+			case 'price_range':
+				$product_conditions['min_price'] = $conditions['min_price'] ?? '';
+				$product_conditions['max_price'] = $conditions['max_price'] ?? '';
+				break;
+
+			case 'complex':
+				$product_conditions['complex_logic'] = $conditions['complex_logic'] ?? '';
+				break;
+		}
+
+		$adjustment = $decode($rule['price_adjustment'] ?? '');
+
+		return array(
+			'name' => $rule['name'],
+			'description' => (string) ($rule['description'] ?? ''),
+			'priority' => (int) ($rule['priority'] ?? 0),
+			'status' => $rule['status'] ?? 'active',
+			'product_conditions' => $product_conditions,
+			'price_adjustment' => array(
+				'type' => $adjustment['type'] ?? 'percentage',
+				'value' => (float) ($adjustment['value'] ?? 0),
+			),
+			'discount_integration' => $rule['discount_integration'] ?? 'apply',
+			'referrer_conditions' => $decode($rule['referrer_conditions'] ?? ''),
+			'display_options' => $decode($rule['display_options'] ?? ''),
+			'schedule' => $decode($rule['schedule'] ?? ''),
+		);
+	}
+
+	/**
+	 * List the fields that differ between two portable rules.
+	 *
+	 * Nested conditions are compared per key, e.g. "product_conditions.categories".
+	 *
+	 * @param array $current Portable rule in the store.
+	 * @param array $imported Portable rule from the file.
+	 * @return array List of array('field', 'from', 'to') with JSON-encoded values.
+	 */
+	private static function diff($current, $imported) {
+		$flatten = function($rule) {
+			$fields = array();
+			foreach ($rule as $key => $value) {
+				if (is_array($value) && !empty($value) && !wp_is_numeric_array($value)) {
+					foreach ($value as $sub_key => $sub_value) {
+						$fields[$key . '.' . $sub_key] = $sub_value;
+					}
+				} else {
+					$fields[$key] = $value;
+				}
+			}
+			return $fields;
+		};
+
+		$from = $flatten($current);
+		$to = $flatten($imported);
+		$changes = array();
+
+		foreach (array_unique(array_merge(array_keys($from), array_keys($to))) as $field) {
+			$from_value = array_key_exists($field, $from) ? wp_json_encode($from[$field]) : null;
+			$to_value = array_key_exists($field, $to) ? wp_json_encode($to[$field]) : null;
+
+			if ($from_value !== $to_value) {
+				$changes[] = array(
+					'field' => $field,
+					'from' => $from_value,
+					'to' => $to_value,
+				);
+			}
+		}
+
+		return $changes;
+	}
+
+	/**
+	 * Check an enumerated value.
+	 *
+	 * @param mixed $value Value from the file.
+	 * @param string $type Key of self::$allowed_values.
+	 * @param string $label Field label for the error message.
+	 * @param array $errors Error messages, added to.
+	 * @return string The value, or the first allowed value if invalid.
+	 */
+	private static function validate_choice($value, $type, $label, &$errors) {
+		if (is_string($value) && in_array($value, self::$allowed_values[$type], true)) {
+			return $value;
+		}
+
+		$errors[] = sprintf(
+			/* translators: 1: Field label, 2: Allowed values */
+			__('%1$s must be one of: %2$s.', 'woocommerce-gateway-vibe'),
+			$label,
+			implode(', ', self::$allowed_values[$type])
+		);
+
+		return self::$allowed_values[$type][0];
+	}
+
+	/**
+	 * Check the syntax of a complex logic expression.
+	 *
+	 * Same grammar as the parser in admin-complex-logic.js, which checks
+	 * expressions typed in the rule form: `category:<slug>`, `tag:<slug>`
+	 * and `price <operator> <amount>` conditions joined with AND and OR and
+	 * grouped with parentheses.
+	 *
+	 * @param string $expression Expression.
+	 * @return string Error message, empty if the expression is valid.
+	 */
+	private static function get_complex_logic_error($expression) {
+		preg_match_all('/\s*(?:(\()|(\))|(>=|<=|!=|==|>|<|=)|(:)|([\w%.\-\x{0600}-\x{06FF}]+)|(\S))/u', $expression, $matches, PREG_SET_ORDER);
+
+		$types = array(1 => 'open', 2 => 'close', 3 => 'operator', 4 => 'colon', 5 => 'word', 6 => 'invalid');
+		$tokens = array();
+
+		foreach ($matches as $match) {
+			$value = trim($match[0]);
+			$type = 'invalid';
+
+			foreach ($types as $group => $group_type) {
+				if (isset($match[$group]) && '' !== $match[$group]) {
+					$type = $group_type;
+					break;
+				}
+			}
+
+			if ('word' === $type) {
+				if (in_array(strtoupper($value), array('AND', 'OR'), true)) {
+					$type = 'logic';
+					$value = strtoupper($value);
+				} elseif (preg_match('/^-?\d+(\.\d+)?$/', $value)) {
+					$type = 'number';
+				}
+			}
+
+			$tokens[] = array('type' => $type, 'value' => $value);
+		}
+
+		if (empty($tokens)) {
+			return '';
+		}
+
+		$index = 0;
+
+		try {
+			self::parse_logic_or($tokens, $index);
+
+			if ($index < count($tokens)) {
+				/* translators: %s: Description of the unexpected token */
+				throw new Exception(sprintf(__('Expected AND or OR: %s.', 'woocommerce-gateway-vibe'), self::describe_logic_token($tokens[$index])));
+			}
+		} catch (Exception $e) {
+			return $e->getMessage();
+		}
+
+		return '';
+	}
+
+	/**
+	 * Parse conditions joined with OR.
+	 *
+	 * @param array $tokens Expression tokens.
+	 * @param int $index Position of the next token, advanced.
+	 * @throws Exception On a syntax error.
+	 */
+	private static function parse_logic_or($tokens, &$index) {
+		self::parse_logic_and($tokens, $index);
+
+		while (isset($tokens[$index]) && 'logic' === $tokens[$index]['type'] && 'OR' === $tokens[$index]['value']) {
+			$index++;
+			self::parse_logic_and($tokens, $index);
+		}
+	}
+
+	/**
+	 * Parse conditions joined with AND, which binds tighter than OR.
+	 *
+	 * @param array $tokens Expression tokens.
+	 * @param int $index Position of the next token, advanced.
+	 * @throws Exception On a syntax error.
+	 */
+	private static function parse_logic_and($tokens, &$index) {
+		self::parse_logic_primary($tokens, $index);
+
+		while (isset($tokens[$index]) && 'logic' === $tokens[$index]['type'] && 'AND' === $tokens[$index]['value']) {
+			$index++;
+			self::parse_logic_primary($tokens, $index);
+		}
+	}
+
+	/**
+	 * Parse a single condition or a parenthesised group.
+	 *
+	 * @param array $tokens Expression tokens.
+	 * @param int $index Position of the next token, advanced.
+	 * @throws Exception On a syntax error.
+	 */
+	private static function parse_logic_primary($tokens, &$index) {
+		$token = $tokens[$index++] ?? null;
+
+		if ($token && 'open' === $token['type']) {
+			self::parse_logic_or($tokens, $index);
+
+			$close = $tokens[$index++] ?? null;
+			if (!$close || 'close' !== $close['type']) {
+				/* translators: %s: Description of the unexpected token */
+				throw new Exception(sprintf(__('Missing ")": %s.', 'woocommerce-gateway-vibe'), self::describe_logic_token($close)));
+			}
+			return;
+		}
+
+		if (!$token || 'word' !== $token['type']) {
+			/* translators: %s: Description of the unexpected token */
+			throw new Exception(sprintf(__('Expected a condition: %s.', 'woocommerce-gateway-vibe'), self::describe_logic_token($token)));
+		}
+
+		$field = strtolower($token['value']);
+
+		if ('category' === $field || 'tag' === $field) {
+			$colon = $tokens[$index++] ?? null;
+			$slug = $tokens[$index++] ?? null;
+
+			if (!$colon || 'colon' !== $colon['type']) {
+				/* translators: 1: Condition field, 2: Description of the unexpected token */
+				throw new Exception(sprintf(__('Expected ":" after "%1$s": %2$s.', 'woocommerce-gateway-vibe'), $field, self::describe_logic_token($colon)));
+			}
+			if (!$slug || !in_array($slug['type'], array('word', 'number'), true)) {
+				/* translators: 1: Condition field, 2: Description of the unexpected token */
+				throw new Exception(sprintf(__('Expected a %1$s slug: %2$s.', 'woocommerce-gateway-vibe'), $field, self::describe_logic_token($slug)));
+			}
+			return;
+		}
+
+		if ('price' === $field) {
+			$operator = $tokens[$index++] ?? null;
+			$amount = $tokens[$index++] ?? null;
+
+			if (!$operator || 'operator' !== $operator['type']) {
+				/* translators: %s: Description of the unexpected token */
+				throw new Exception(sprintf(__('Expected a comparison (>, >=, <, <=, =, !=) after price: %s.', 'woocommerce-gateway-vibe'), self::describe_logic_token($operator)));
+			}
+			if (!$amount || 'number' !== $amount['type']) {
+				/* translators: %s: Description of the unexpected token */
+				throw new Exception(sprintf(__('Expected a price amount: %s.', 'woocommerce-gateway-vibe'), self::describe_logic_token($amount)));
+			}
+			return;
+		}
+
+		/* translators: %s: Unknown condition field */
+		throw new Exception(sprintf(__('Unknown condition "%s". Use category, tag or price.', 'woocommerce-gateway-vibe'), $token['value']));
+	}
+
+	/**
+	 * Describe an unexpected token for a syntax error.
+	 *
+	 * @param array|null $token Token, null at the end of the expression.
+	 * @return string Description.
+	 */
+	private static function describe_logic_token($token) {
+		if (!$token) {
+			return __('unexpected end of expression', 'woocommerce-gateway-vibe');
+		}
+
+		/* translators: %s: Unexpected text in the expression */
+		return sprintf(__('unexpected "%s"', 'woocommerce-gateway-vibe'), $token['value']);
+	}
+
+	/**
+	 * Get the portable reference of a product: its SKU, or "#ID" without one.
+	 *
+	 * @param int $product_id Product ID.
+	 * @return string Product reference.
+	 */
+	private static function get_product_reference($product_id) {
+		$product = wc_get_product($product_id);
+
+		return $product && $product->get_sku() ? $product->get_sku() : '#' . (int) $product_id;
+	}
+
+	/**
+	 * Find a product of this store by its portable reference.
+	 *
+	 * @param mixed $reference SKU or "#ID".
+	 * @return int Product ID, 0 if not found.
+	 */
+	private static function find_product_id($reference) {
+		if (!is_scalar($reference) || '' === (string) $reference) {
+			return 0;
+		}
+
+		$reference = (string) $reference;
+		if ('#' === $reference[0]) {
+			$product = wc_get_product(absint(substr($reference, 1)));
+			return $product ? $product->get_id() : 0;
+		}
+
+		return (int) wc_get_product_id_by_sku($reference);
+	}
+
+	/**
+	 * Get the slugs of terms by ID.
+	 *
+	 * Deleted terms are written as "#ID" so the import reports them.
+	 *
+	 * @param array $term_ids Term IDs.
+	 * @param string $taxonomy Taxonomy name.
+	 * @return array Term slugs.
+	 */
+	private static function get_term_slugs($term_ids, $taxonomy) {
+		$slugs = array();
+		foreach ((array) $term_ids as $term_id) {
+			$term = get_term((int) $term_id, $taxonomy);
+			$slugs[] = $term && !is_wp_error($term) ? $term->slug : '#' . (int) $term_id;
+		}
+
+		return $slugs;
+	}
+}
@@ -0,0 +1,270 @@
+<?php
+
+/**
+ * Vibe Rule Schedule Class
+ *
+ * Evaluates the optional activation windows of pricing rules: a start and
+ * end datetime plus a recurring weekly window (days of the week and a time
+ * of day range). All times are in the site timezone.
+ *
+ * @package  WooCommerce Vibe Payment Gateway
+ * @since    1.3.0
+ */
+
+// Exit if accessed directly.
+if (! defined('ABSPATH')) {
+	exit;
+}
+
+/**
+ * Rule schedule helpers for Vibe Dynamic Pricing.
+ *
+ * A schedule is stored as JSON on the rule:
+ *
+ *     {
+ *         "start": "2026-11-01 00:00",
+ *         "end": "2026-11-30 23:59",
+ *         "days": [5, 6],
+ *         "time_from": "00:00",
+ *         "time_to": "23:59"
+ *     }
+ *
+ * Every key is optional; an empty schedule means the rule is always on.
+ * Days use PHP's `w` numbering (0 = Sunday). A time window whose end is
+ * before its start runs past midnight into the next day.
+ *
+ * @class    WC_Vibe_Rule_Schedule
+ * @version  1.3.0
+ */
+class WC_Vibe_Rule_Schedule {
+
+	/**
+	 * Datetime format of the start and end values.
+	 */
+	const DATETIME_FORMAT = 'Y-m-d H:i';
+
+	/**
+	 * Build a schedule from the rule form fields.
+	 *
+	 * @param array $input Posted form data.
+	 * @return array Sanitized schedule, empty when the rule is not scheduled.
+	 */
+	public static function from_form($input) {
+		$schedule = array();
+
+		foreach (array('start', 'end') as $key) {
+			$value = isset($input['schedule_' . $key]) ? sanitize_text_field(wp_unslash($input['schedule_' . $key])) : '';
+			// datetime-local inputs post "Y-m-d\TH:i"
+			$datetime = self::parse_datetime(str_replace('T', ' ', $value));
+			if ($datetime) {
+				$schedule[$key] = $datetime->format(self::DATETIME_FORMAT);
+			}
+		}
+
+		if (!empty($input['schedule_days'])) {
+			$days = array_unique(array_map('absint', (array) $input['schedule_days']));
+			$days = array_values(array_filter($days, function($day) {
+				return $day <= 6;
+			}));
+			sort($days);
+
+			// All seven days is the same as no day restriction
+			if (!empty($days) && count($days) < 7) {
+				$schedule['days'] = $days;
+			}
+		}
+
+		foreach (array('time_from', 'time_to') as $key) {
+			$value = isset($input['schedule_' . $key]) ? sanitize_text_field(wp_unslash($input['schedule_' . $key])) : '';
+			if (preg_match('/^([01]\d|2[0-3]):[0-5]\d$/', $value)) {
+				$schedule[$key] = $value;
+			}
+		}
+
+		return $schedule;
+	}
+
+	/**
+	 * Check whether a schedule has any restriction.
+	 *
+	 * @param array $schedule Rule schedule.
+	 * @return bool True if the rule is scheduled.
+	 */
+	public static function is_scheduled($schedule) {
+		return !empty($schedule) && is_array($schedule);
+	}
+
+	/**
+	 * Check whether a schedule is active at a given time.
+	 *
+	 * @param array $schedule Rule schedule.
+	 * @param int|null $timestamp Unix timestamp, defaults to now.
+	 * @return bool True if the rule is active.
+	 */
+	public static function is_active($schedule, $timestamp = null) {
+		if (!self::is_scheduled($schedule)) {
+			return true;
+		}
+
+		$now = self::to_datetime(null === $timestamp ? time() : $timestamp);
+
+		$start = !empty($schedule['start']) ? self::parse_datetime($schedule['start']) : null;
+		if ($start && $now < $start) {
+			return false;
+		}
+
+		$end = !empty($schedule['end']) ? self::parse_datetime($schedule['end']) : null;
+		if ($end && $now > $end) {
+			return false;
+		}
+
+		// Recurring window, checked against the day it opened on
+		foreach (array($now->setTime(0, 0), $now->setTime(0, 0)->modify('-1 day')) as $day) {
+			foreach (self::get_day_windows($schedule, $day) as $window) {
+				if ($now >= $window[0] && $now < $window[1]) {
+					return true;
+				}
+			}
+		}
+
+		return false;
+	}
+
+	/**
+	 * Get the periods a schedule is active within a time range.
+	 *
+	 * Used by the admin timeline. Consecutive windows are merged, so a rule
+	 * without a recurring window shows as one period.
+	 *
+	 * @param array $schedule Rule schedule.
+	 * @param int $from Range start timestamp.
+	 * @param int $to Range end timestamp.
+	 * @return array List of array(start_timestamp, end_timestamp).
+	 */
+	public static function get_active_periods($schedule, $from, $to) {
+		$range_start = self::to_datetime($from);
+		$range_end = self::to_datetime($to);
+
+		$start = !empty($schedule['start']) ? self::parse_datetime($schedule['start']) : null;
+		$end = !empty($schedule['end']) ? self::parse_datetime($schedule['end']) : null;
+
+		if ($start && $start > $range_start) {
+			$range_start = $start;
+		}
+		if ($end && $end < $range_end) {
+			$range_end = $end;
+		}
+
+		$periods = array();
+		if ($range_start >= $range_end) {
+			return $periods;
+		}
+
+		$day = $range_start->setTime(0, 0)->modify('-1 day');
+		while ($day < $range_end) {
+			foreach (self::get_day_windows($schedule, $day) as $window) {
+				$period_start = max($window[0], $range_start)->getTimestamp();
+				$period_end = min($window[1], $range_end)->getTimestamp();
+
+				if ($period_start >= $period_end) {
+					continue;
+				}
+
+				$last = count($periods) - 1;
+				if ($last >= 0 && $periods[$last][1] >= $period_start) {
+					$periods[$last][1] = max($periods[$last][1], $period_end);
+				} else {
+					$periods[] = array($period_start, $period_end);
+				}
+			}
+
+			$day = $day->modify('+1 day');
+		}
+
+		return $periods;
+	}
+
+	/**
+	 * Get a key that changes whenever a scheduled rule switches on or off.
+	 *
+	 * Added to the pricing cache context so cached prices never outlive the
+	 * schedule window they were calculated in.
+	 *
+	 * @param array $rules Rules with their schedules.
+	 * @param int|null $timestamp Unix timestamp, defaults to now.
+	 * @return string Empty string when no rule is scheduled.
+	 */
+	public static function get_state_key($rules, $timestamp = null) {
+		$scheduled = false;
+		$active_ids = array();
+
+		foreach ($rules as $rule) {
+			if (empty($rule['schedule'])) {
+				continue;
+			}
+
+			$scheduled = true;
+			if (self::is_active($rule['schedule'], $timestamp)) {
+				$active_ids[] = (int) $rule['id'];
+			}
+		}
+
+		return $scheduled ? substr(md5(implode(',', $active_ids)), 0, 8) : '';
+	}
+
+	/**
+	 * Get the recurring windows that open on a day.
+	 *
+	 * @param array $schedule Rule schedule.
+	 * @param DateTimeImmutable $day Midnight of the day.
+	 * @return array List of array(DateTimeImmutable start, DateTimeImmutable end).
+	 */
+	private static function get_day_windows($schedule, $day) {
+		if (!empty($schedule['days']) && !in_array((int) $day->format('w'), array_map('intval', $schedule['days']), true)) {
+			return array();
+		}
+
+		$from = !empty($schedule['time_from']) ? explode(':', $schedule['time_from']) : array(0, 0);
+		$window_start = $day->setTime((int) $from[0], (int) $from[1]);
+
+		if (empty($schedule['time_to'])) {
+			return array(array($window_start, $day->modify('+1 day')));
+		}
+
+		$to = explode(':', $schedule['time_to']);
+		$window_end = $day->setTime((int) $to[0], (int) $to[1]);
+
+		// Overnight window, e.g. 22:00 to 02:00
+		if ($window_end <= $window_start) {
+			$window_end = $window_end->modify('+1 day');
+		}
+
+		return array(array($window_start, $window_end));
+	}
+
+	/**
+	 * Parse a schedule datetime in the site timezone.
+	 *
+	 * @param string $value Datetime string.
+	 * @return DateTimeImmutable|null Parsed datetime or null if invalid.
+	 */
+	private static function parse_datetime($value) {
+		if ('' === $value) {
+			return null;
+		}
+
+		$datetime = DateTimeImmutable::createFromFormat('!' . self::DATETIME_FORMAT, $value, wp_timezone());
+
+		return $datetime ? $datetime : null;
+	}
+
+	/**
+	 * Convert a timestamp to a datetime in the site timezone.
+	 *
+	 * @param int $timestamp Unix timestamp.
+	 * @return DateTimeImmutable Datetime.
+	 */
+	private static function to_datetime($timestamp) {
+		return (new DateTimeImmutable('@' . (int) $timestamp))->setTimezone(wp_timezone());
+	}
+}
@@ -0,0 +1,58 @@
+import { __, sprintf } from '@wordpress/i18n';
+import { formatPrice, getCurrencyFromPriceResponse } from '@woocommerce/price-format';
+
+/**
+ * Get the reason the cart cannot be paid with Vibe.
+ *
+ * Mirrors WC_Gateway_Vibe::get_ineligibility_reason() so the Blocks and
+ * classic checkouts offer Vibe for the same carts.
+ *
+ * @param {Object} rules Eligibility rules from the `vibe_data` settings.
+ * @param {Object} args  Arguments passed to `canMakePayment`.
+ * @return {string} Empty string when the cart is eligible.
+ */
+export const getIneligibilityReason = (rules, args) => {
+	const { cart = {}, cartTotals = {} } = args;
+	const billingAddress = args.billingAddress || args.billingData || cart.billingAddress || {};
+	const currencyCode = cartTotals.currency_code || '';
+	const minorUnit = parseInt(cartTotals.currency_minor_unit || 0, 10);
+	const total = parseInt(cartTotals.total_price || 0, 10) / Math.pow(10, minorUnit);
+	const currency = getCurrencyFromPriceResponse(cartTotals);
+	const toMinorUnits = (amount) => Math.round(amount * Math.pow(10, minorUnit));
+
+	if (currencyCode && rules.currencies && !rules.currencies.includes(currencyCode)) {
+		return sprintf(
+			/* translators: %s: Currency code */
+			__('Vibe does not support payments in %s.', 'woocommerce-gateway-vibe'),
+			currencyCode
+		);
+	}
+
+	if (rules.min_amount > 0 && total < rules.min_amount) {
+		return sprintf(
+			/* translators: %s: Minimum order total */
+			__('Vibe is available for orders of at least %s.', 'woocommerce-gateway-vibe'),
+			formatPrice(toMinorUnits(rules.min_amount), currency)
+		);
+	}
+
+	if (rules.max_amount > 0 && total > rules.max_amount) {
+		return sprintf(
+			/* translators: %s: Maximum order total */
+			__('Vibe is available for orders of up to %s.', 'woocommerce-gateway-vibe'),
+			formatPrice(toMinorUnits(rules.max_amount), currency)
+		);
+	}
+
+	const countries = rules.countries || [];
+	if (billingAddress.country && countries.length && !countries.includes(billingAddress.country)) {
+		return __('Vibe is not available for your billing country.', 'woocommerce-gateway-vibe');
+	}
+
+	const excluded = rules.excluded_products || [];
+	if ((cart.cartItems || []).some((item) => excluded.includes(item.id))) {
+		return __('Your cart contains products that cannot be paid for with Vibe.', 'woocommerce-gateway-vibe');
+	}
+
+	return '';
+};
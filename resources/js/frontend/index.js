@@ -1,15 +1,26 @@
 import { registerPaymentMethod } from '@woocommerce/blocks-registry';
+import { ExperimentalOrderMeta } from '@woocommerce/blocks-checkout';
+import { registerPlugin } from '@wordpress/plugins';
 import { __ } from '@wordpress/i18n';
 import { getSetting } from '@woocommerce/settings';
 import { decodeEntities } from '@wordpress/html-entities';
+import { getIneligibilityReason } from './eligibility';
+import { InstallmentBreakdown } from './installment-breakdown';
+import { PaymentComparison } from './payment-comparison';
+import { PriceAdjustmentTotals, registerPriceAdjustmentFilters } from './price-adjustments';
 
 const settings = getSetting('vibe_data', {});
 
 /**
  * Content component
  */
-const Content = () => {
-	return <div dangerouslySetInnerHTML={{ __html: decodeEntities(settings.description || '') }} />;
+const Content = (props) => {
+	return (
+		<>
+			<div dangerouslySetInnerHTML={{ __html: decodeEntities(settings.description || '') }} />
+			<InstallmentBreakdown plan={settings.plan} billing={props.billing} cartData={props.cartData} />
+		</>
+	);
 };
 
 /**
@@ -31,6 +42,16 @@ const Label = (props) => {
 	);
 };
 
+/**
+ * Check the cart against the gateway eligibility rules.
+ *
+ * Returning an error hides the method and shows the reason to store admins.
+ */
+const canMakePayment = (args) => {
+	const reason = getIneligibilityReason(settings.eligibility || {}, args);
+	return reason ? { error: { message: reason } } : true;
+};
+
 /**
  * Vibe payment method config
  */
@@ -39,11 +60,38 @@ const vibePaymentMethod = {
 	label: <Label />,
 	content: <Content />,
 	edit: <Content />,
-	canMakePayment: () => true,
+	canMakePayment,
 	ariaLabel: decodeEntities(settings.title || __('Vibe Payment', 'woocommerce-gateway-vibe')),
 	supports: {
 		features: settings.supports || [],
+		showSavedCards: !!settings.showSaved,
+		showSaveOption: !!settings.showSaved,
 	},
 };
 
 registerPaymentMethod(vibePaymentMethod);
+
+/**
+ * Order summary additions, receiving the cart and extensions from the slot
+ */
+const OrderMeta = (props) => (
+	<>
+		<PriceAdjustmentTotals {...props} />
+		<PaymentComparison {...props} />
+	</>
+);
+
+/**
+ * Price adjustment line and payment method comparison in the cart and
+ * checkout order summary
+ */
+registerPlugin('vibe-dynamic-pricing', {
+	render: () => (
+		<ExperimentalOrderMeta>
+			<OrderMeta />
+		</ExperimentalOrderMeta>
+	),
+	scope: 'woocommerce-checkout',
+});
+
+registerPriceAdjustmentFilters();
@@ -0,0 +1,94 @@
+import { __, _n, sprintf } from '@wordpress/i18n';
+import { formatPrice } from '@woocommerce/price-format';
+import { formatAdjustment } from './price-adjustments';
+
+/**
+ * Split an order total into the installment plan schedule.
+ *
+ * All amounts are in currency minor units. Rounding leftovers are added to
+ * the last installment so the schedule always adds up to the plan total.
+ *
+ * @param {number} total Order total in minor units.
+ * @param {Object} plan  Plan schedule from the `vibe_data` settings.
+ * @return {Object} Down payment, installment amounts and plan total.
+ */
+export const getInstallmentSchedule = (total, plan) => {
+	const installments = Math.max(1, parseInt(plan.installments || 1, 10));
+	const downPayment = Math.round((total * (plan.down_payment_percent || 0)) / 100);
+	const financed = total - downPayment;
+	const fee = Math.round((financed * (plan.fee_percent || 0)) / 100);
+	const perInstallment = Math.floor((financed + fee) / installments);
+	const amounts = Array(installments).fill(perInstallment);
+
+	amounts[installments - 1] += financed + fee - perInstallment * installments;
+
+	return {
+		downPayment,
+		fee,
+		amounts,
+		total: total + fee,
+	};
+};
+
+/**
+ * Installment breakdown for the current cart total.
+ *
+ * Re-renders with the billing and cart data props Blocks passes to the
+ * payment method content, so it follows cart total and Vibe price
+ * adjustment changes. The adjustment comes from the `vibe-dynamic-pricing`
+ * cart extension data and is already part of the total.
+ */
+export const InstallmentBreakdown = ({ plan, billing, cartData }) => {
+	if (!plan || !billing || !billing.cartTotal) {
+		return null;
+	}
+
+	const { currency, cartTotal } = billing;
+	const schedule = getInstallmentSchedule(parseInt(cartTotal.value || 0, 10), plan);
+	const extension = (cartData && cartData.extensions && cartData.extensions['vibe-dynamic-pricing']) || {};
+	const adjustment = extension.adjustments ? parseInt(extension.adjustments.total || 0, 10) : 0;
+	const intervalMonths = parseInt(plan.interval_months || 1, 10);
+
+	return (
+		<div className="wc-vibe-installment-breakdown">
+			{adjustment !== 0 && (
+				<div className="wc-vibe-installment-row">
+					<span>{__('Vibe price adjustment', 'woocommerce-gateway-vibe')}</span>
+					<span>{formatAdjustment(adjustment, currency)}</span>
+				</div>
+			)}
+			{schedule.downPayment > 0 && (
+				<div className="wc-vibe-installment-row">
+					<span>{__('Down payment', 'woocommerce-gateway-vibe')}</span>
+					<span>{formatPrice(schedule.downPayment, currency)}</span>
+				</div>
+			)}
+			<div className="wc-vibe-installment-row">
+				<span>
+					{sprintf(
+						/* translators: 1: Number of installments, 2: Months between installments */
+						_n(
+							'%1$d installment, every %2$d month(s)',
+							'%1$d installments, every %2$d month(s)',
+							schedule.amounts.length,
+							'woocommerce-gateway-vibe'
+						),
+						schedule.amounts.length,
+						intervalMonths
+					)}
+				</span>
+				<span>{formatPrice(schedule.amounts[0], currency)}</span>
+			</div>
+			{schedule.fee > 0 && (
+				<div className="wc-vibe-installment-row">
+					<span>{__('Credit fee', 'woocommerce-gateway-vibe')}</span>
+					<span>{formatPrice(schedule.fee, currency)}</span>
+				</div>
+			)}
+			<div className="wc-vibe-installment-row wc-vibe-installment-total">
+				<span>{__('Total payable', 'woocommerce-gateway-vibe')}</span>
+				<span>{formatPrice(schedule.total, currency)}</span>
+			</div>
+		</div>
+	);
+};
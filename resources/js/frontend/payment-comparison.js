@@ -0,0 +1,78 @@
+import { __ } from '@wordpress/i18n';
+import { formatPrice, getCurrencyFromPriceResponse } from '@woocommerce/price-format';
+
+/**
+ * Format a price difference with its sign.
+ *
+ * @param {number} difference Difference in minor units.
+ * @param {Object} currency   Store API currency.
+ * @return {string} Formatted difference.
+ */
+const formatDifference = (difference, currency) => {
+	if (difference === 0) {
+		return '–';
+	}
+
+	return (difference < 0 ? '−' : '+') + formatPrice(Math.abs(difference), currency);
+};
+
+/**
+ * Payment method comparison for the block cart and checkout.
+ *
+ * Rendered in the `ExperimentalOrderMeta` slot, which passes the Store API
+ * cart. The totals come from the `vibe-dynamic-pricing` cart extension data,
+ * so they follow the cart update sent when the payment method changes.
+ */
+export const PaymentComparison = ({ cart, extensions }) => {
+	const data = (extensions && extensions['vibe-dynamic-pricing']) || {};
+	const comparison = data.payment_comparison;
+
+	if (!comparison || !comparison.methods || !comparison.methods.length) {
+		return null;
+	}
+
+	const currency = getCurrencyFromPriceResponse(cart.cartTotals);
+
+	return (
+		<div className="vibe-payment-comparison">
+			<h3>{__('Compare payment methods', 'woocommerce-gateway-vibe')}</h3>
+			<table className="vibe-payment-comparison-table">
+				<thead>
+					<tr>
+						<th>{__('Payment method', 'woocommerce-gateway-vibe')}</th>
+						<th>{__('Order total', 'woocommerce-gateway-vibe')}</th>
+						<th>{__('Difference', 'woocommerce-gateway-vibe')}</th>
+					</tr>
+				</thead>
+				<tbody>
+					{comparison.methods.map((method) => {
+						const isCurrent = method.id === comparison.current;
+
+						return (
+							<tr key={method.id} className={isCurrent ? 'vibe-payment-comparison-current' : ''}>
+								<td>
+									{method.title}
+									{isCurrent && (
+										<small> {__('(selected)', 'woocommerce-gateway-vibe')}</small>
+									)}
+								</td>
+								<td>{formatPrice(method.total, currency)}</td>
+								<td>
+									<span
+										className={
+											method.difference < 0
+												? 'vibe-payment-comparison-saving'
+												: 'vibe-payment-comparison-extra'
+										}
+									>
+										{formatDifference(method.difference, currency)}
+									</span>
+								</td>
+							</tr>
+						);
+					})}
+				</tbody>
+			</table>
+		</div>
+	);
+};
@@ -0,0 +1,86 @@
+import { __, sprintf } from '@wordpress/i18n';
+import { registerCheckoutFilters, TotalsItem, TotalsWrapper } from '@woocommerce/blocks-checkout';
+import { formatPrice, getCurrencyFromPriceResponse } from '@woocommerce/price-format';
+
+/**
+ * Format an adjustment amount with its sign.
+ *
+ * @param {number} amount   Amount in minor units, negative for a discount.
+ * @param {Object} currency Store API currency.
+ * @return {string} Formatted amount.
+ */
+export const formatAdjustment = (amount, currency) =>
+	(amount < 0 ? '−' : '+') + formatPrice(Math.abs(amount), currency);
+
+/**
+ * Get the Vibe adjustment of a cart item from its extension data.
+ *
+ * @param {Object} extensions Cart item extensions.
+ * @return {Object|null} Adjustment or null.
+ */
+const getItemAdjustment = (extensions) =>
+	(extensions && extensions['vibe-dynamic-pricing'] && extensions['vibe-dynamic-pricing'].adjustment) || null;
+
+/**
+ * Label adjusted cart items in the block cart and checkout.
+ *
+ * Vibe rules change the item price itself, so each adjusted line gets a
+ * class and a note after its subtotal naming the rule and the amount.
+ */
+export const registerPriceAdjustmentFilters = () => {
+	registerCheckoutFilters('vibe-dynamic-pricing', {
+		cartItemClass: (value, extensions) =>
+			getItemAdjustment(extensions) ? `${value} vibe-price-adjusted`.trim() : value,
+		subtotalPriceFormat: (value, extensions, args) => {
+			const adjustment = getItemAdjustment(extensions);
+			if (!adjustment || !args || !args.cartItem) {
+				return value;
+			}
+
+			const currency = getCurrencyFromPriceResponse(args.cartItem.prices);
+
+			return `${value} (${sprintf(
+				/* translators: 1: Adjustment amount, 2: Pricing rule name */
+				__('%1$s with %2$s', 'woocommerce-gateway-vibe'),
+				formatAdjustment(adjustment.amount, currency),
+				adjustment.rule_name
+			)})`;
+		},
+	});
+};
+
+/**
+ * Vibe price adjustment line for the block cart and checkout totals.
+ *
+ * Rendered in the `ExperimentalOrderMeta` slot from the cart extension data,
+ * which is refreshed by the cart update sent when the payment method
+ * changes. The amount is already part of the item prices, so it is shown
+ * for information only.
+ */
+export const PriceAdjustmentTotals = ({ cart, extensions }) => {
+	const data = (extensions && extensions['vibe-dynamic-pricing']) || {};
+	const adjustments = data.adjustments;
+
+	if (!adjustments || !adjustments.lines || !adjustments.lines.length || adjustments.total === 0) {
+		return null;
+	}
+
+	const currency = getCurrencyFromPriceResponse(cart.cartTotals);
+	const ruleNames = [...new Set(adjustments.lines.map((line) => line.rule_name))];
+
+	return (
+		<TotalsWrapper className="vibe-price-adjustments">
+			<TotalsItem
+				className="vibe-price-adjustment-total"
+				currency={currency}
+				label={__('Vibe price adjustment', 'woocommerce-gateway-vibe')}
+				value={adjustments.total}
+				description={sprintf(
+					/* translators: %s: Pricing rule names */
+					__('Included in the item prices: %s', 'woocommerce-gateway-vibe'),
+					ruleNames.join(', ')
+				)}
+			/>
+		</TotalsWrapper>
+	);
+};
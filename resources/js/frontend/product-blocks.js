@@ -0,0 +1,42 @@
+import { registerBlockComponent } from '@woocommerce/blocks-registry';
+import { useProductDataContext } from '@woocommerce/shared-context';
+
+/**
+ * Product price for the React-rendered product blocks.
+ *
+ * Shows the Vibe "both prices" markup from the Store API product extension
+ * data when a rule applies, styled by the display settings like the classic
+ * templates. Other products show the store's regular price HTML.
+ */
+const ProductPrice = (props) => {
+	const { product: contextProduct } = useProductDataContext();
+	const product = props.product || contextProduct;
+	const className = [
+		'wc-block-components-product-price',
+		props.textAlign ? `has-text-align-${props.textAlign}` : '',
+		props.className || '',
+	]
+		.filter(Boolean)
+		.join(' ');
+
+	if (!product || !product.id) {
+		return <div className={className} />;
+	}
+
+	const data = (product.extensions && product.extensions['vibe-dynamic-pricing']) || {};
+
+	return (
+		<div
+			className={className}
+			dangerouslySetInnerHTML={{ __html: data.price_html || product.price_html || '' }}
+		/>
+	);
+};
+
+['woocommerce/all-products', 'woocommerce/single-product'].forEach((context) => {
+	registerBlockComponent({
+		blockName: 'woocommerce/product-price',
+		context,
+		component: ProductPrice,
+	});
+});
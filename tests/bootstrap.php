@@ -0,0 +1,52 @@
+<?php
+/**
+ * PHPUnit bootstrap.
+ *
+ * Runs against the WordPress test library in WP_TESTS_DIR, with WooCommerce
+ * loaded from WC_DIR, from next to this plugin or from where
+ * bin/install-wp-tests.sh installs it.
+ *
+ * @package WooCommerce Vibe Payment Gateway
+ */
+
+$_tests_dir = getenv('WP_TESTS_DIR');
+if (!$_tests_dir) {
+	$_tests_dir = rtrim(sys_get_temp_dir(), '/\\') . '/wordpress-tests-lib';
+}
+
+if (!file_exists($_tests_dir . '/includes/functions.php')) {
+	echo 'Could not find ' . $_tests_dir . '/includes/functions.php, set WP_TESTS_DIR to the WordPress test library.' . PHP_EOL;
+	exit(1);
+}
+
+$_wc_dir = getenv('WC_DIR');
+if (!$_wc_dir) {
+	$_wc_dir = dirname(__DIR__, 2) . '/woocommerce';
+	if (!file_exists($_wc_dir . '/woocommerce.php')) {
+		$_wc_dir = rtrim(sys_get_temp_dir(), '/\\') . '/woocommerce';
+	}
+}
+
+// The test library loads the PHPUnit Polyfills from Composer unless told otherwise
+if (!getenv('WP_TESTS_PHPUNIT_POLYFILLS_PATH')) {
+	define('WP_TESTS_PHPUNIT_POLYFILLS_PATH', dirname(__DIR__) . '/vendor/yoast/phpunit-polyfills');
+}
+
+require_once $_tests_dir . '/includes/functions.php';
+
+tests_add_filter('muplugins_loaded', function () use ($_wc_dir) {
+	require $_wc_dir . '/woocommerce.php';
+	require dirname(__DIR__) . '/woocommerce-gateway-vibe.php';
+});
+
+// WooCommerce and dynamic pricing tables are not created by the WordPress installer
+tests_add_filter('setup_theme', function () {
+	WC_Install::install();
+	WC_Vibe_Dynamic_Pricing::create_tables();
+});
+
+require $_tests_dir . '/includes/bootstrap.php';
+
+require __DIR__ . '/framework/class-wc-vibe-mock-api.php';
+require __DIR__ . '/framework/class-wc-vibe-test-gateway.php';
+require __DIR__ . '/framework/class-wc-vibe-unit-test-case.php';
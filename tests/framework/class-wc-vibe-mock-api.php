@@ -0,0 +1,141 @@
+<?php
+/**
+ * Mocked Vibe merchant API.
+ *
+ * @package WooCommerce Vibe Payment Gateway
+ */
+
+/**
+ * Answers requests to the Vibe merchant API through `pre_http_request`.
+ *
+ * Responses are queued per endpoint and used once, in order. Requests to an
+ * endpoint with nothing queued fail like an unreachable server.
+ */
+class WC_Vibe_Mock_API
+{
+
+	/**
+	 * Base URL of the merchant API.
+	 */
+	const BASE_URL = 'https://credit.vibe.ir/merchants/api/v1/';
+
+	/**
+	 * Queued responses keyed by endpoint.
+	 * @var array
+	 */
+	private static $responses = array();
+
+	/**
+	 * Requests sent to the API, in order.
+	 * @var array
+	 */
+	private static $requests = array();
+
+	/**
+	 * Start answering API requests.
+	 */
+	public static function init()
+	{
+		self::reset();
+		add_filter('pre_http_request', array(__CLASS__, 'pre_http_request'), 10, 3);
+	}
+
+	/**
+	 * Stop answering API requests and forget queued responses and sent requests.
+	 */
+	public static function reset()
+	{
+		self::$responses = array();
+		self::$requests  = array();
+		remove_filter('pre_http_request', array(__CLASS__, 'pre_http_request'), 10);
+	}
+
+	/**
+	 * Queue a JSON response.
+	 *
+	 * @param string         $endpoint Endpoint path, e.g. `orders/verify`.
+	 * @param int            $status   HTTP status code.
+	 * @param array|Closure  $body     Response body, or a closure building it from the request body when the request is sent.
+	 */
+	public static function queue($endpoint, $status, $body = array())
+	{
+		self::$responses[$endpoint][] = array(
+			'status' => $status,
+			'body'   => $body,
+		);
+	}
+
+	/**
+	 * Queue a network error.
+	 *
+	 * @param string $endpoint Endpoint path.
+	 * @param string $message  Error message.
+	 */
+	public static function queue_error($endpoint, $message = 'cURL error 28: Operation timed out')
+	{
+		self::$responses[$endpoint][] = new WP_Error('http_request_failed', $message);
+	}
+
+	/**
+	 * Get the requests sent to an endpoint.
+	 *
+	 * @param  string|null $endpoint Endpoint path, all requests when null.
+	 * @return array Requests with their `endpoint`, `headers` and decoded `body`.
+	 */
+	public static function get_requests($endpoint = null)
+	{
+		if (null === $endpoint) {
+			return self::$requests;
+		}
+
+		return array_values(array_filter(self::$requests, function ($request) use ($endpoint) {
+			return $request['endpoint'] === $endpoint;
+		}));
+	}
+
+	/**
+	 * Answer a request to the API.
+	 *
+	 * @param  false|array|WP_Error $preempt
+	 * @param  array                $args
+	 * @param  string               $url
+	 * @return false|array|WP_Error
+	 */
+	public static function pre_http_request($preempt, $args, $url)
+	{
+		if (0 !== strpos($url, self::BASE_URL)) {
+			return $preempt;
+		}
+
+		$endpoint = substr($url, strlen(self::BASE_URL));
+
+		self::$requests[] = array(
+			'endpoint' => $endpoint,
+			'headers'  => isset($args['headers']) ? $args['headers'] : array(),
+			'body'     => isset($args['body']) ? json_decode($args['body'], true) : null,
+		);
+
+		if (empty(self::$responses[$endpoint])) {
+			return new WP_Error('http_request_failed', 'No mocked response for ' . $url);
+		}
+
+		$response = array_shift(self::$responses[$endpoint]);
+
+		if (is_wp_error($response)) {
+			return $response;
+		}
+
+		$body = $response['body'] instanceof Closure ? call_user_func($response['body'], end(self::$requests)['body']) : $response['body'];
+
+		return array(
+			'headers'  => array('content-type' => 'application/json'),
+			'body'     => wp_json_encode($body),
+			'response' => array(
+				'code'    => $response['status'],
+				'message' => get_status_header_desc($response['status']),
+			),
+			'cookies'  => array(),
+			'filename' => null,
+		);
+	}
+}
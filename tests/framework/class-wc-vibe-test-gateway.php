@@ -0,0 +1,41 @@
+<?php
+/**
+ * Gateway with its callback internals opened up for tests.
+ *
+ * @package WooCommerce Vibe Payment Gateway
+ */
+
+/**
+ * WC_Vibe_Test_Gateway class.
+ */
+class WC_Vibe_Test_Gateway extends WC_Gateway_Vibe
+{
+
+	/**
+	 * Validate and process a payment callback.
+	 *
+	 * @param  WC_Order $order
+	 * @param  string   $ref_id
+	 * @param  string   $result
+	 * @param  int      $expires
+	 * @param  string   $signature
+	 * @return string
+	 */
+	public function process_callback($order, $ref_id, $result, $expires, $signature)
+	{
+		return parent::process_callback($order, $ref_id, $result, $expires, $signature);
+	}
+
+	/**
+	 * Sign callback parameters.
+	 *
+	 * @param  int    $order_id
+	 * @param  string $uuid
+	 * @param  int    $expires
+	 * @return string
+	 */
+	public function get_callback_signature($order_id, $uuid, $expires)
+	{
+		return parent::get_callback_signature($order_id, $uuid, $expires);
+	}
+}
@@ -0,0 +1,145 @@
+<?php
+/**
+ * Base test case.
+ *
+ * @package WooCommerce Vibe Payment Gateway
+ */
+
+/**
+ * WC_Vibe_Unit_Test_Case class.
+ *
+ * Configures the gateway and mocks the Vibe API for every test.
+ */
+abstract class WC_Vibe_Unit_Test_Case extends WP_UnitTestCase
+{
+
+	/**
+	 * Gateway under test.
+	 * @var WC_Vibe_Test_Gateway
+	 */
+	protected $gateway;
+
+	/**
+	 * Set up the gateway and the mocked API.
+	 */
+	public function set_up()
+	{
+		parent::set_up();
+
+		update_option('woocommerce_vibe_settings', array(
+			'enabled'    => 'yes',
+			'api_key'    => 'test-api-key',
+			'debug_mode' => 'no',
+		));
+
+		WC_Vibe_Mock_API::init();
+
+		$this->gateway = new WC_Vibe_Test_Gateway();
+	}
+
+	/**
+	 * Stop mocking the API.
+	 */
+	public function tear_down()
+	{
+		WC_Vibe_Mock_API::reset();
+
+		parent::tear_down();
+	}
+
+	/**
+	 * Create an order sent to Vibe, as process_payment() leaves it.
+	 *
+	 * @param  array $args Order total and currency, callback expiry, order status and customer.
+	 * @return WC_Order
+	 */
+	protected function create_vibe_order($args = array())
+	{
+		$args = wp_parse_args($args, array(
+			'total'       => 1000,
+			'currency'    => 'IRT',
+			'expires'     => time() + HOUR_IN_SECONDS,
+			'status'      => 'pending',
+			'customer_id' => 0,
+		));
+
+		$rate  = WC_Vibe_Currency_Converter::get_rate($args['currency']);
+		$order = wc_create_order(array(
+			'status'      => $args['status'],
+			'customer_id' => $args['customer_id'],
+		));
+
+		$order->set_currency($args['currency']);
+		$order->set_total($args['total']);
+		$order->set_payment_method('vibe');
+		$order->update_meta_data('_vibe_uuid_order_id', wp_generate_uuid4());
+		$order->update_meta_data('_vibe_callback_expires', $args['expires']);
+		$order->update_meta_data('_vibe_converted_amount', (int) round($args['total'] * $rate));
+		$order->update_meta_data('_vibe_converted_currency', WC_Vibe_Currency_Converter::SETTLEMENT_CURRENCY);
+		$order->update_meta_data('_vibe_exchange_rate', $rate);
+		$order->save();
+
+		return $order;
+	}
+
+	/**
+	 * Create an order paid through Vibe.
+	 *
+	 * @param  array  $args   Order arguments, see create_vibe_order().
+	 * @param  string $ref_id Reference ID of the payment.
+	 * @return WC_Order
+	 */
+	protected function create_paid_vibe_order($args = array(), $ref_id = 'ref-paid')
+	{
+		$order = $this->create_vibe_order($args);
+
+		$order->update_meta_data('_vibe_reference_id', $ref_id);
+		$order->save();
+		$order->payment_complete($ref_id);
+
+		return wc_get_order($order->get_id());
+	}
+
+	/**
+	 * Sign the callback of an order.
+	 *
+	 * @param  WC_Order $order
+	 * @param  int|null $expires Expiry to sign, the order's when null.
+	 * @return string
+	 */
+	protected function sign_callback($order, $expires = null)
+	{
+		$expires = null === $expires ? (int) $order->get_meta('_vibe_callback_expires') : $expires;
+
+		return $this->gateway->get_callback_signature($order->get_id(), $order->get_meta('_vibe_uuid_order_id'), $expires);
+	}
+
+	/**
+	 * Build a successful verification response for an order.
+	 *
+	 * @param  WC_Order $order
+	 * @param  array    $overrides
+	 * @return array
+	 */
+	protected function get_verification($order, $overrides = array())
+	{
+		return array_merge(array(
+			'status'      => true,
+			'order_id'    => $order->get_meta('_vibe_uuid_order_id'),
+			'cart_amount' => (int) $order->get_meta('_vibe_converted_amount'),
+		), $overrides);
+	}
+
+	/**
+	 * Get the outcomes of the callback attempts recorded on an order.
+	 *
+	 * @param  WC_Order $order
+	 * @return array
+	 */
+	protected function get_callback_outcomes($order)
+	{
+		$attempts = wc_get_order($order->get_id())->get_meta('_vibe_callback_attempts');
+
+		return is_array($attempts) ? wp_list_pluck($attempts, 'outcome') : array();
+	}
+}
@@ -0,0 +1,55 @@
+<?php
+/**
+ * Currency rounding tests.
+ *
+ * @package WooCommerce Vibe Payment Gateway
+ */
+
+/**
+ * WC_Vibe_Tests_Currency_Rounding class.
+ */
+class WC_Vibe_Tests_Currency_Rounding extends WC_Vibe_Unit_Test_Case
+{
+
+	/**
+	 * Built-in currencies settle in whole units without a configured rule.
+	 */
+	public function test_built_in_currency_rounds_to_whole_units()
+	{
+		$this->assertSame(1235.0, WC_Vibe_Currency_Converter::round(1234.56, 'IRR'));
+		$this->assertSame(1235.0, WC_Vibe_Currency_Converter::round(1234.56, 'IRT'));
+	}
+
+	/**
+	 * A default rule replaces the built-in one when no rule is configured.
+	 */
+	public function test_default_rule_keeps_store_decimals()
+	{
+		$default = array('step' => 0.01, 'mode' => 'round');
+
+		$this->assertSame(1234.57, WC_Vibe_Currency_Converter::round(1234.567, 'IRT', $default));
+	}
+
+	/**
+	 * A configured rule wins over the default rule.
+	 */
+	public function test_configured_rule_wins_over_default()
+	{
+		$this->set_rounding_rules("IRT=1000,up");
+
+		$this->assertSame(2000.0, WC_Vibe_Currency_Converter::round(1234.56, 'IRT', array('step' => 0.01, 'mode' => 'round')));
+		$this->assertSame(1235.0, WC_Vibe_Currency_Converter::round(1234.56, 'IRR'));
+	}
+
+	/**
+	 * Save the rounding rules setting.
+	 *
+	 * @param string $rules `CODE=step,mode` per line.
+	 */
+	private function set_rounding_rules($rules)
+	{
+		$settings = get_option('woocommerce_vibe_settings', array());
+		$settings['currency_rounding'] = $rules;
+		update_option('woocommerce_vibe_settings', $settings);
+	}
+}
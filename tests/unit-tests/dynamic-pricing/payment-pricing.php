@@ -0,0 +1,122 @@
+<?php
+/**
+ * Payment method pricing update tests.
+ *
+ * @package WooCommerce Vibe Payment Gateway
+ */
+
+/**
+ * WC_Vibe_Tests_Payment_Pricing class.
+ */
+class WC_Vibe_Tests_Payment_Pricing extends WP_Ajax_UnitTestCase
+{
+
+	/**
+	 * Fill the cart.
+	 */
+	public function set_up()
+	{
+		parent::set_up();
+
+		wc_load_cart();
+
+		$product = new WC_Product_Simple();
+		$product->set_regular_price(100);
+		$product->save();
+
+		WC()->cart->add_to_cart($product->get_id());
+		WC()->cart->calculate_totals();
+	}
+
+	/**
+	 * Empty the cart.
+	 */
+	public function tear_down()
+	{
+		WC()->cart->empty_cart();
+		$_POST = array();
+
+		parent::tear_down();
+	}
+
+	/**
+	 * A preview built from the pricing state the server still has is confirmed.
+	 */
+	public function test_preview_from_same_state_is_confirmed()
+	{
+		$snapshot = $this->get_payment_integration()->get_pricing_snapshot('cod');
+
+		$response = $this->update_payment_pricing('vibe', $snapshot['sig'], 'cod');
+
+		$this->assertTrue($response['success']);
+		$this->assertTrue($response['data']['confirmed']);
+		$this->assertSame('vibe', $response['data']['snapshot']['method']);
+	}
+
+	/**
+	 * A preview claiming another starting method than it was signed for is not confirmed.
+	 */
+	public function test_preview_from_other_method_is_not_confirmed()
+	{
+		$snapshot = $this->get_payment_integration()->get_pricing_snapshot('cod');
+
+		$response = $this->update_payment_pricing('vibe', $snapshot['sig'], 'bacs');
+
+		$this->assertTrue($response['success']);
+		$this->assertFalse($response['data']['confirmed']);
+	}
+
+	/**
+	 * A preview built before the cart changed is not confirmed.
+	 */
+	public function test_preview_from_changed_cart_is_not_confirmed()
+	{
+		$snapshot = $this->get_payment_integration()->get_pricing_snapshot('cod');
+
+		$product = new WC_Product_Simple();
+		$product->set_regular_price(50);
+		$product->save();
+		WC()->cart->add_to_cart($product->get_id());
+		WC()->cart->calculate_totals();
+
+		$response = $this->update_payment_pricing('vibe', $snapshot['sig'], 'cod');
+
+		$this->assertFalse($response['data']['confirmed']);
+	}
+
+	/**
+	 * Get the payment integration.
+	 *
+	 * @return WC_Vibe_Payment_Integration
+	 */
+	private function get_payment_integration()
+	{
+		return WC_Vibe_Dynamic_Pricing::get_instance()->get_payment_integration();
+	}
+
+	/**
+	 * Send a payment method pricing update.
+	 *
+	 * @param  string $payment_method  Newly chosen payment method.
+	 * @param  string $snapshot_sig    Signature of the client's snapshot.
+	 * @param  string $snapshot_method Payment method of the client's snapshot.
+	 * @return array Decoded response.
+	 */
+	private function update_payment_pricing($payment_method, $snapshot_sig, $snapshot_method)
+	{
+		$_POST = array(
+			'nonce'           => wp_create_nonce('vibe_dynamic_pricing_nonce'),
+			'payment_method'  => $payment_method,
+			'snapshot_sig'    => $snapshot_sig,
+			'snapshot_method' => $snapshot_method,
+		);
+
+		try {
+			$this->_handleAjax('vibe_update_payment_pricing');
+		} catch (WPAjaxDieContinueException $e) {
+			unset($e);
+		}
+
+		return json_decode($this->_last_response, true);
+	}
+}
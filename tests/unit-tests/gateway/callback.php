@@ -0,0 +1,210 @@
+<?php
+/**
+ * Payment callback tests.
+ *
+ * @package WooCommerce Vibe Payment Gateway
+ */
+
+/**
+ * WC_Vibe_Tests_Callback class.
+ */
+class WC_Vibe_Tests_Callback extends WC_Vibe_Unit_Test_Case
+{
+
+	/**
+	 * Clean up the callback request.
+	 */
+	public function tear_down()
+	{
+		$_GET = array();
+
+		parent::tear_down();
+	}
+
+	/**
+	 * A signed callback for a payment Vibe verifies completes the order.
+	 */
+	public function test_valid_callback_completes_order()
+	{
+		$order     = $this->create_vibe_order();
+		$expires   = (int) $order->get_meta('_vibe_callback_expires');
+		$signature = $this->sign_callback($order);
+
+		WC_Vibe_Mock_API::queue('orders/verify', 200, $this->get_verification($order));
+
+		$this->assertSame('verified', $this->gateway->process_callback($order, 'ref-1', 'success', $expires, $signature));
+
+		$requests = WC_Vibe_Mock_API::get_requests('orders/verify');
+		$this->assertCount(1, $requests);
+		$this->assertSame(array('ref_id' => 'ref-1'), $requests[0]['body']);
+		$this->assertSame('test-api-key', $requests[0]['headers']['X-API-Key']);
+
+		$order = wc_get_order($order->get_id());
+		$this->assertTrue($order->is_paid());
+		$this->assertSame('ref-1', $order->get_meta('_vibe_reference_id'));
+		$this->assertSame('ref-1', $order->get_transaction_id());
+		$this->assertSame($signature, $order->get_meta('_vibe_callback_consumed'));
+		$this->assertSame(array('verified'), $this->get_callback_outcomes($order));
+	}
+
+	/**
+	 * Reloading the verified callback leads to the order confirmation without verifying again.
+	 */
+	public function test_reloaded_callback_for_paid_order()
+	{
+		$order     = $this->create_vibe_order();
+		$expires   = (int) $order->get_meta('_vibe_callback_expires');
+		$signature = $this->sign_callback($order);
+
+		WC_Vibe_Mock_API::queue('orders/verify', 200, $this->get_verification($order));
+		$this->gateway->process_callback($order, 'ref-1', 'success', $expires, $signature);
+
+		$order = wc_get_order($order->get_id());
+		$this->assertSame('paid', $this->gateway->process_callback($order, 'ref-1', 'success', $expires, $signature));
+		$this->assertCount(1, WC_Vibe_Mock_API::get_requests('orders/verify'));
+	}
+
+	/**
+	 * A callback signed with a past expiry is rejected and recorded.
+	 */
+	public function test_expired_callback_is_rejected()
+	{
+		$expires   = time() - MINUTE_IN_SECONDS;
+		$order     = $this->create_vibe_order(array('expires' => $expires));
+		$signature = $this->sign_callback($order);
+
+		$this->assertSame('expired', $this->gateway->process_callback($order, 'ref-1', 'success', $expires, $signature));
+		$this->assertEmpty(WC_Vibe_Mock_API::get_requests());
+
+		$order = wc_get_order($order->get_id());
+		$this->assertFalse($order->is_paid());
+		$this->assertSame(array('expired'), $this->get_callback_outcomes($order));
+	}
+
+	/**
+	 * A callback that was already used cannot confirm the order again.
+	 */
+	public function test_reused_callback_is_rejected()
+	{
+		$order     = $this->create_vibe_order();
+		$expires   = (int) $order->get_meta('_vibe_callback_expires');
+		$signature = $this->sign_callback($order);
+
+		// Vibe declined the first attempt, which failed the order
+		WC_Vibe_Mock_API::queue('orders/verify', 200, array('status' => false));
+		$this->assertSame('verification_failed', $this->gateway->process_callback($order, 'ref-1', 'failed', $expires, $signature));
+
+		$order = wc_get_order($order->get_id());
+		$this->assertSame('reused', $this->gateway->process_callback($order, 'ref-2', 'success', $expires, $signature));
+		$this->assertCount(1, WC_Vibe_Mock_API::get_requests('orders/verify'));
+		$this->assertSame(array('verification_failed', 'reused'), $this->get_callback_outcomes($order));
+	}
+
+	/**
+	 * Tampered callbacks are rejected without verifying or recording anything.
+	 */
+	public function test_tampered_callback_is_rejected()
+	{
+		$order     = $this->create_vibe_order();
+		$expires   = (int) $order->get_meta('_vibe_callback_expires');
+		$signature = $this->sign_callback($order);
+		$other     = $this->create_vibe_order();
+
+		// Expiry pushed back
+		$this->assertSame('invalid_signature', $this->gateway->process_callback($order, 'ref-1', 'success', $expires + DAY_IN_SECONDS, $signature));
+
+		// Signature of another order
+		$this->assertSame('invalid_signature', $this->gateway->process_callback($order, 'ref-1', 'success', $expires, $this->sign_callback($other, $expires)));
+
+		// Signature dropped
+		$this->assertSame('missing_signature', $this->gateway->process_callback($order, 'ref-1', 'success', $expires, ''));
+
+		$this->assertEmpty(WC_Vibe_Mock_API::get_requests());
+
+		$order = wc_get_order($order->get_id());
+		$this->assertFalse($order->is_paid());
+		$this->assertSame(array(), $this->get_callback_outcomes($order));
+		$this->assertSame('', $order->get_meta('_vibe_callback_consumed'));
+	}
+
+	/**
+	 * A tampered callback request ends with a 403 error page.
+	 */
+	public function test_tampered_callback_request_is_forbidden()
+	{
+		$order = $this->create_vibe_order();
+
+		$_GET = array(
+			'order_id'  => (string) $order->get_id(),
+			'ref_id'    => 'ref-1',
+			'result'    => 'success',
+			'expires'   => (string) $order->get_meta('_vibe_callback_expires'),
+			'signature' => str_repeat('0', 64),
+		);
+
+		$this->expectException('WPDieException');
+		$this->expectExceptionMessage('This payment link is invalid or has expired.');
+
+		$this->gateway->check_payment_response();
+	}
+
+	/**
+	 * A verified payment made for another Vibe order does not complete the order.
+	 */
+	public function test_payment_for_another_order_is_rejected()
+	{
+		$order     = $this->create_vibe_order();
+		$expires   = (int) $order->get_meta('_vibe_callback_expires');
+		$signature = $this->sign_callback($order);
+
+		WC_Vibe_Mock_API::queue('orders/verify', 200, $this->get_verification($order, array('order_id' => wp_generate_uuid4())));
+
+		$this->assertSame('order_mismatch', $this->gateway->process_callback($order, 'ref-other', 'success', $expires, $signature));
+
+		$order = wc_get_order($order->get_id());
+		$this->assertFalse($order->is_paid());
+		$this->assertSame('failed', $order->get_status());
+		$this->assertSame('', $order->get_meta('_vibe_reference_id'));
+		$this->assertSame(array('order_mismatch'), $this->get_callback_outcomes($order));
+	}
+
+	/**
+	 * A verified payment of another amount does not complete the order.
+	 */
+	public function test_payment_of_another_amount_is_rejected()
+	{
+		$order     = $this->create_vibe_order();
+		$expires   = (int) $order->get_meta('_vibe_callback_expires');
+		$signature = $this->sign_callback($order);
+
+		WC_Vibe_Mock_API::queue('orders/verify', 200, $this->get_verification($order, array('cart_amount' => 10)));
+
+		$this->assertSame('amount_mismatch', $this->gateway->process_callback($order, 'ref-1', 'success', $expires, $signature));
+		$this->assertFalse(wc_get_order($order->get_id())->is_paid());
+	}
+
+	/**
+	 * A callback Vibe could not verify stays usable.
+	 */
+	public function test_callback_can_be_retried_when_vibe_is_unavailable()
+	{
+		$order     = $this->create_vibe_order();
+		$expires   = (int) $order->get_meta('_vibe_callback_expires');
+		$signature = $this->sign_callback($order);
+
+		WC_Vibe_Mock_API::queue('orders/verify', 503);
+		$this->assertSame('verification_unavailable', $this->gateway->process_callback($order, 'ref-1', 'success', $expires, $signature));
+
+		$order = wc_get_order($order->get_id());
+		$this->assertSame('pending', $order->get_status());
+		$this->assertSame('', $order->get_meta('_vibe_callback_consumed'));
+
+		WC_Vibe_Mock_API::queue_error('orders/verify');
+		$this->assertSame('verification_unavailable', $this->gateway->process_callback($order, 'ref-1', 'success', $expires, $signature));
+
+		WC_Vibe_Mock_API::queue('orders/verify', 200, $this->get_verification($order));
+		$order = wc_get_order($order->get_id());
+		$this->assertSame('verified', $this->gateway->process_callback($order, 'ref-1', 'success', $expires, $signature));
+		$this->assertSame(array('verification_unavailable', 'verification_unavailable', 'verified'), $this->get_callback_outcomes($order));
+	}
+}
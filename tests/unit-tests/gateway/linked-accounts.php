@@ -0,0 +1,215 @@
+<?php
+/**
+ * Linked Vibe account tests.
+ *
+ * @package WooCommerce Vibe Payment Gateway
+ */
+
+/**
+ * WC_Vibe_Tests_Linked_Accounts class.
+ */
+class WC_Vibe_Tests_Linked_Accounts extends WC_Vibe_Unit_Test_Case
+{
+
+	/**
+	 * Customer paying for the orders.
+	 * @var int
+	 */
+	private $customer_id;
+
+	/**
+	 * Log the customer in with a cart and session.
+	 */
+	public function set_up()
+	{
+		parent::set_up();
+
+		$this->customer_id = self::factory()->user->create(array('role' => 'customer'));
+		wp_set_current_user($this->customer_id);
+
+		wc_load_cart();
+	}
+
+	/**
+	 * Clean up the checkout request.
+	 */
+	public function tear_down()
+	{
+		$_POST = array();
+		wc_clear_notices();
+
+		parent::tear_down();
+	}
+
+	/**
+	 * Paying with a linked account charges it without leaving the checkout.
+	 */
+	public function test_charge_linked_account()
+	{
+		$token = $this->create_token($this->customer_id);
+		$order = $this->create_vibe_order(array('customer_id' => $this->customer_id));
+
+		$_POST['wc-vibe-payment-token'] = (string) $token->get_id();
+
+		WC_Vibe_Mock_API::queue('orders/', 200, array('ref_id' => 'ref-token'));
+		WC_Vibe_Mock_API::queue('orders/verify', 200, $this->get_live_verification($order));
+
+		$result = $this->gateway->process_payment($order->get_id());
+
+		$this->assertSame('success', $result['result']);
+
+		$create = WC_Vibe_Mock_API::get_requests('orders/');
+		$this->assertSame('acc_token_1', $create[0]['body']['account_token']);
+		$this->assertArrayNotHasKey('link_account', $create[0]['body']);
+
+		$verify = WC_Vibe_Mock_API::get_requests('orders/verify');
+		$this->assertSame(array('ref_id' => 'ref-token'), $verify[0]['body']);
+
+		$order = wc_get_order($order->get_id());
+		$this->assertTrue($order->is_paid());
+		$this->assertSame('ref-token', $order->get_meta('_vibe_reference_id'));
+		$this->assertSame($this->gateway->get_return_url($order), $result['redirect']);
+	}
+
+	/**
+	 * A declined linked account charge leaves the order unpaid.
+	 */
+	public function test_declined_linked_account_charge()
+	{
+		$token = $this->create_token($this->customer_id);
+		$order = $this->create_vibe_order(array('customer_id' => $this->customer_id));
+
+		$_POST['wc-vibe-payment-token'] = (string) $token->get_id();
+
+		WC_Vibe_Mock_API::queue('orders/', 200, array('ref_id' => 'ref-token'));
+		WC_Vibe_Mock_API::queue('orders/verify', 200, array('status' => false));
+
+		$result = $this->gateway->process_payment($order->get_id());
+
+		$this->assertSame('failure', $result['result']);
+		$this->assertFalse(wc_get_order($order->get_id())->is_paid());
+		$this->assertSame(1, wc_notice_count('error'));
+	}
+
+	/**
+	 * A linked account charge is only accepted with a reference ID.
+	 */
+	public function test_linked_account_charge_requires_reference()
+	{
+		$token = $this->create_token($this->customer_id);
+		$order = $this->create_vibe_order(array('customer_id' => $this->customer_id));
+
+		$_POST['wc-vibe-payment-token'] = (string) $token->get_id();
+
+		WC_Vibe_Mock_API::queue('orders/', 200, array());
+
+		$result = $this->gateway->process_payment($order->get_id());
+
+		$this->assertSame('failure', $result['result']);
+		$this->assertEmpty(WC_Vibe_Mock_API::get_requests('orders/verify'));
+	}
+
+	/**
+	 * A reference ID without a payment URL is only accepted when a linked account was charged.
+	 */
+	public function test_reference_without_payment_url_requires_linked_account()
+	{
+		$order = $this->create_vibe_order(array('customer_id' => $this->customer_id));
+
+		WC_Vibe_Mock_API::queue('orders/', 200, array('ref_id' => 'ref-token'));
+
+		$result = $this->gateway->process_payment($order->get_id());
+
+		$this->assertSame('failure', $result['result']);
+		$this->assertEmpty(WC_Vibe_Mock_API::get_requests('orders/verify'));
+		$this->assertFalse(wc_get_order($order->get_id())->is_paid());
+	}
+
+	/**
+	 * Accounts of other customers cannot be charged.
+	 */
+	public function test_linked_account_of_another_customer_is_rejected()
+	{
+		$token = $this->create_token(self::factory()->user->create(array('role' => 'customer')));
+		$order = $this->create_vibe_order(array('customer_id' => $this->customer_id));
+
+		$_POST['wc-vibe-payment-token'] = (string) $token->get_id();
+
+		$result = $this->gateway->process_payment($order->get_id());
+
+		$this->assertSame('failure', $result['result']);
+		$this->assertEmpty(WC_Vibe_Mock_API::get_requests());
+	}
+
+	/**
+	 * The account linked while paying is saved for the customer.
+	 */
+	public function test_account_linked_while_paying_is_saved()
+	{
+		$order = $this->create_vibe_order(array('customer_id' => $this->customer_id));
+
+		$_POST['wc-vibe-new-payment-method'] = '1';
+
+		WC_Vibe_Mock_API::queue('orders/', 200, array('payment_url' => 'https://credit.vibe.ir/pay/1'));
+
+		$result = $this->gateway->process_payment($order->get_id());
+
+		$this->assertSame('https://credit.vibe.ir/pay/1', $result['redirect']);
+
+		$create = WC_Vibe_Mock_API::get_requests('orders/');
+		$this->assertTrue($create[0]['body']['link_account']);
+		$this->assertArrayNotHasKey('account_token', $create[0]['body']);
+
+		$order = wc_get_order($order->get_id());
+
+		WC_Vibe_Mock_API::queue('orders/verify', 200, $this->get_verification($order, array(
+			'account_token' => 'acc_token_2',
+			'account_label' => '****5678',
+		)));
+
+		$outcome = $this->gateway->process_callback($order, 'ref-1', 'success', (int) $order->get_meta('_vibe_callback_expires'), $this->sign_callback($order));
+		$this->assertSame('verified', $outcome);
+
+		$tokens = array_values(WC_Payment_Tokens::get_customer_tokens($this->customer_id, 'vibe'));
+		$this->assertCount(1, $tokens);
+		$this->assertSame('acc_token_2', $tokens[0]->get_token());
+		$this->assertSame('****5678', $tokens[0]->get_account_label());
+		$this->assertSame('', wc_get_order($order->get_id())->get_meta('_vibe_link_account'));
+	}
+
+	/**
+	 * Save a linked account for a customer.
+	 *
+	 * @param  int $user_id
+	 * @return WC_Payment_Token_Vibe
+	 */
+	private function create_token($user_id)
+	{
+		$token = new WC_Payment_Token_Vibe();
+		$token->set_token('acc_token_1');
+		$token->set_account_label('****1234');
+		$token->set_gateway_id('vibe');
+		$token->set_user_id($user_id);
+		$token->save();
+
+		return $token;
+	}
+
+	/**
+	 * Build a verification response from the order as it is when Vibe is asked.
+	 *
+	 * process_payment() starts a new Vibe order, so its UUID and amount are
+	 * only known once the verification request is sent.
+	 *
+	 * @param  WC_Order $order
+	 * @return Closure
+	 */
+	private function get_live_verification($order)
+	{
+		$order_id = $order->get_id();
+
+		return function () use ($order_id) {
+			return $this->get_verification(wc_get_order($order_id));
+		};
+	}
+}
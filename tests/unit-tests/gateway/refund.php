@@ -0,0 +1,231 @@
+<?php
+/**
+ * Refund tests.
+ *
+ * @package WooCommerce Vibe Payment Gateway
+ */
+
+/**
+ * WC_Vibe_Tests_Refund class.
+ */
+class WC_Vibe_Tests_Refund extends WC_Vibe_Unit_Test_Case
+{
+
+	/**
+	 * A refund without an amount refunds what is left of the order.
+	 */
+	public function test_full_refund()
+	{
+		$order = $this->create_paid_vibe_order();
+
+		WC_Vibe_Mock_API::queue('orders/refund', 200, array('status' => true, 'refund_id' => 'rf-1'));
+
+		$this->assertTrue($this->gateway->process_refund($order->get_id(), null, 'Damaged'));
+
+		$requests = WC_Vibe_Mock_API::get_requests('orders/refund');
+		$this->assertCount(1, $requests);
+		$this->assertSame('ref-paid', $requests[0]['body']['ref_id']);
+		$this->assertSame($order->get_meta('_vibe_uuid_order_id'), $requests[0]['body']['order_id']);
+		$this->assertSame(10000, $requests[0]['body']['amount']);
+		$this->assertSame('Damaged', $requests[0]['body']['reason']);
+		$this->assertStringStartsWith('wc-refund-', $requests[0]['body']['client_refund_id']);
+
+		$order = wc_get_order($order->get_id());
+		$this->assertSame(10000, (int) $order->get_meta('_vibe_refunded_amount'));
+		$this->assertSame(array($requests[0]['body']['client_refund_id'], 'rf-1'), $order->get_meta('_vibe_refund_references'));
+	}
+
+	/**
+	 * Partial refunds are converted at the recorded rate and rounded down to whole Rials.
+	 */
+	public function test_partial_refund()
+	{
+		$order = $this->create_paid_vibe_order();
+
+		WC_Vibe_Mock_API::queue('orders/refund', 200, array('status' => true, 'refund_id' => 'rf-1'));
+
+		$this->assertTrue($this->gateway->process_refund($order->get_id(), 250.55, ''));
+
+		$requests = WC_Vibe_Mock_API::get_requests('orders/refund');
+		$this->assertSame(2505, $requests[0]['body']['amount']);
+		$this->assertSame(2505, (int) wc_get_order($order->get_id())->get_meta('_vibe_refunded_amount'));
+	}
+
+	/**
+	 * Refunds are capped at what is left of the amount Vibe captured.
+	 */
+	public function test_refund_is_capped_at_captured_amount()
+	{
+		$order = $this->create_paid_vibe_order();
+		$order->update_meta_data('_vibe_refunded_amount', 9500);
+		$order->save();
+
+		WC_Vibe_Mock_API::queue('orders/refund', 200, array('status' => true, 'refund_id' => 'rf-2'));
+
+		$this->assertTrue($this->gateway->process_refund($order->get_id(), 100, ''));
+
+		$requests = WC_Vibe_Mock_API::get_requests('orders/refund');
+		$this->assertSame(500, $requests[0]['body']['amount']);
+		$this->assertSame(10000, (int) wc_get_order($order->get_id())->get_meta('_vibe_refunded_amount'));
+
+		// Fully refunded through Vibe, nothing is sent
+		$result = $this->gateway->process_refund($order->get_id(), 100, '');
+		$this->assertWPError($result);
+		$this->assertSame('vibe_refund_error', $result->get_error_code());
+		$this->assertCount(1, WC_Vibe_Mock_API::get_requests('orders/refund'));
+	}
+
+	/**
+	 * Refunding the rest of an order returns the Rials the settlement rounding added.
+	 */
+	public function test_full_refund_includes_rounded_up_rials()
+	{
+		$order = $this->create_rounded_up_order();
+
+		WC_Vibe_Mock_API::queue('orders/refund', 200, array('status' => true, 'refund_id' => 'rf-1'));
+		WC_Vibe_Mock_API::queue('orders/refund', 200, array('status' => true, 'refund_id' => 'rf-2'));
+
+		$this->assertTrue($this->gateway->process_refund($order->get_id(), 100, ''));
+		$this->assertTrue($this->gateway->process_refund($order->get_id(), null, ''));
+
+		$requests = WC_Vibe_Mock_API::get_requests('orders/refund');
+		$this->assertSame(1000, $requests[0]['body']['amount']);
+		$this->assertSame(12000, $requests[1]['body']['amount']);
+		$this->assertSame(13000, (int) wc_get_order($order->get_id())->get_meta('_vibe_refunded_amount'));
+	}
+
+	/**
+	 * A full refund from the order screen returns the Rials the settlement rounding added.
+	 */
+	public function test_full_refund_from_order_screen_includes_rounded_up_rials()
+	{
+		$order = $this->create_rounded_up_order();
+
+		WC_Vibe_Mock_API::queue('orders/refund', 200, array('status' => true, 'refund_id' => 'rf-1'));
+
+		$refund = wc_create_refund(array(
+			'order_id'       => $order->get_id(),
+			'amount'         => 1234.5,
+			'refund_payment' => true,
+		));
+
+		$this->assertInstanceOf('WC_Order_Refund', $refund);
+
+		$requests = WC_Vibe_Mock_API::get_requests('orders/refund');
+		$this->assertSame(13000, $requests[0]['body']['amount']);
+	}
+
+	/**
+	 * A refund Vibe answers with an error status is rejected.
+	 */
+	public function test_refund_rejected_with_error_status()
+	{
+		$order = $this->create_paid_vibe_order();
+
+		WC_Vibe_Mock_API::queue('orders/refund', 400, array('detail' => array(array('msg' => 'Refund window closed'))));
+
+		$result = $this->gateway->process_refund($order->get_id(), 100, '');
+
+		$this->assertWPError($result);
+		$this->assertSame('vibe_refund_error', $result->get_error_code());
+		$this->assertStringContainsString('Refund window closed', $result->get_error_message());
+		$this->assert_nothing_refunded($order);
+	}
+
+	/**
+	 * A refund Vibe answers with a false status is rejected.
+	 */
+	public function test_refund_rejected_with_false_status()
+	{
+		$order = $this->create_paid_vibe_order();
+
+		WC_Vibe_Mock_API::queue('orders/refund', 200, array('status' => false, 'detail' => 'Insufficient balance'));
+
+		$result = $this->gateway->process_refund($order->get_id(), 100, '');
+
+		$this->assertWPError($result);
+		$this->assertStringContainsString('Insufficient balance', $result->get_error_message());
+		$this->assert_nothing_refunded($order);
+	}
+
+	/**
+	 * A refund that cannot reach Vibe fails.
+	 */
+	public function test_refund_network_error()
+	{
+		$order = $this->create_paid_vibe_order();
+
+		WC_Vibe_Mock_API::queue_error('orders/refund', 'cURL error 7: Failed to connect');
+
+		$result = $this->gateway->process_refund($order->get_id(), 100, '');
+
+		$this->assertWPError($result);
+		$this->assertSame('vibe_refund_error', $result->get_error_code());
+		$this->assertStringContainsString('Failed to connect', $result->get_error_message());
+		$this->assert_nothing_refunded($order);
+	}
+
+	/**
+	 * Orders without a Vibe reference are not sent to Vibe.
+	 */
+	public function test_refund_requires_reference()
+	{
+		$order = $this->create_vibe_order();
+
+		$this->assertWPError($this->gateway->process_refund($order->get_id(), 100, ''));
+		$this->assertEmpty(WC_Vibe_Mock_API::get_requests());
+	}
+
+	/**
+	 * Refunds made from the order screen are tagged with the Vibe refund ID.
+	 */
+	public function test_refund_is_tagged_with_vibe_refund_id()
+	{
+		$order = $this->create_paid_vibe_order();
+
+		WC_Vibe_Mock_API::queue('orders/refund', 200, array('status' => true, 'refund_id' => 'rf-3'));
+
+		$refund = wc_create_refund(array(
+			'order_id'       => $order->get_id(),
+			'amount'         => 300,
+			'reason'         => 'Returned',
+			'refund_payment' => true,
+		));
+
+		$this->assertInstanceOf('WC_Order_Refund', $refund);
+
+		$requests = WC_Vibe_Mock_API::get_requests('orders/refund');
+		$this->assertSame('wc-refund-' . $refund->get_id(), $requests[0]['body']['client_refund_id']);
+		$this->assertSame(3000, $requests[0]['body']['amount']);
+		$this->assertSame('rf-3', wc_get_order($refund->get_id())->get_meta('_vibe_refund_id'));
+	}
+
+	/**
+	 * Create a paid order whose Vibe amount an `up` rounding rule raised.
+	 *
+	 * @return WC_Order
+	 */
+	private function create_rounded_up_order()
+	{
+		$order = $this->create_paid_vibe_order(array('total' => 1234.5));
+
+		// 12345 Rials rounded up by an IRR=1000,up rule
+		$order->update_meta_data('_vibe_converted_amount', 13000);
+		$order->save();
+
+		return $order;
+	}
+
+	/**
+	 * Check that a failed refund left no trace on the order but its note.
+	 *
+	 * @param WC_Order $order
+	 */
+	private function assert_nothing_refunded($order)
+	{
+		$order = wc_get_order($order->get_id());
+
+		$this->assertSame('', $order->get_meta('_vibe_refunded_amount'));
+		$this->assertSame(array(), $order->get_meta('_vibe_refund_references'));
+	}
+}
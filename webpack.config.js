@@ -4,12 +4,16 @@ const path = require('path');
 
 const wcDepMap = {
 	'@woocommerce/blocks-registry': ['wc', 'wcBlocksRegistry'],
-	'@woocommerce/settings'       : ['wc', 'wcSettings']
+	'@woocommerce/price-format'   : ['wc', 'priceFormat'],
+	'@woocommerce/settings'       : ['wc', 'wcSettings'],
+	'@woocommerce/shared-context' : ['wc', 'wcBlocksSharedContext']
 };
 
 const wcHandleMap = {
 	'@woocommerce/blocks-registry': 'wc-blocks-registry',
-	'@woocommerce/settings'       : 'wc-settings'
+	'@woocommerce/price-format'   : 'wc-price-format',
+	'@woocommerce/settings'       : 'wc-settings',
+	'@woocommerce/shared-context' : 'wc-blocks-shared-context'
 };
 
 const requestToExternal = (request) => {
@@ -29,6 +33,7 @@ module.exports = {
 	...defaultConfig,
 	entry: {
 		'frontend/blocks': '/resources/js/frontend/index.js',
+		'frontend/product-blocks': '/resources/js/frontend/product-blocks.js',
 	},
 	output: {
 		path: path.resolve( __dirname, 'assets/js' ),
@@ -4,7 +4,7 @@
  * Plugin Name: WooCommerce Vibe Payment Gateway
  * Plugin URI: https://vibe.ir
  * Description: Adds the Vibe Payment gateway to your WooCommerce website with dynamic pricing based on referrer detection.
- * Version: 1.2.5
+ * Version: 1.3.0
  *
  * Author: Vibe
  * Author URI: https://vibe.ir
@@ -26,7 +26,7 @@ if (! defined('ABSPATH')) {
 }
 
 // Define plugin constants
-define('WC_VIBE_VERSION', '1.2.5');
+define('WC_VIBE_VERSION', '1.3.0');
 define('WC_VIBE_PLUGIN_FILE', __FILE__);
 define('WC_VIBE_PLUGIN_PATH', plugin_dir_path(__FILE__));
 define('WC_VIBE_PLUGIN_URL', plugin_dir_url(__FILE__));
@@ -276,8 +276,12 @@ class WC_Vibe_Payments
 
 		// Make the WC_Gateway_Vibe class available.
 		if (class_exists('WC_Payment_Gateway')) {
+			require_once 'includes/class-wc-vibe-currency-converter.php';
 			require_once 'includes/class-wc-gateway-vibe.php';
 
+			// Include the linked Vibe account payment token.
+			require_once 'includes/class-wc-payment-token-vibe.php';
+
 			// Include the API class for product information collection.
 			require_once 'includes/class-wc-vibe-api.php';
 
@@ -350,6 +354,18 @@ class WC_Vibe_Payments
 				if (version_compare($current_version, '1.2.3', '<')) {
 					self::migrate_option_keys();
 				}
+
+				// Add the rule schedule column and rule history table (v1.3.0+)
+				if (version_compare($current_version, '1.3.0', '<')) {
+					// Keep the stored version so the migration runs once WooCommerce is active
+					if (!class_exists('WC_Payment_Gateway')) {
+						return;
+					}
+
+					// Dynamic pricing classes are only loaded later on plugins_loaded
+					require_once WC_VIBE_PLUGIN_PATH . 'includes/class-wc-vibe-dynamic-pricing.php';
+					WC_Vibe_Dynamic_Pricing::create_tables();
+				}
 				
 				// Force migration of display settings
 				if (class_exists('WC_Vibe_Price_Display')) {
@@ -417,9 +433,11 @@ class WC_Vibe_Payments
 		try {
 			// Core dynamic pricing classes
 			require_once 'includes/class-wc-vibe-options.php';
+			require_once 'includes/class-wc-vibe-currency-converter.php';
 			require_once 'includes/class-wc-vibe-performance-monitor.php';
 			require_once 'includes/class-wc-vibe-cache-manager.php';
 			require_once 'includes/class-wc-vibe-rule-compiler.php';
+			require_once 'includes/class-wc-vibe-rule-schedule.php';
 			require_once 'includes/class-wc-vibe-cart-processor.php';
 			require_once 'includes/class-wc-vibe-dynamic-pricing.php';
 			require_once 'includes/class-wc-vibe-pricing-engine.php';
@@ -428,6 +446,8 @@ class WC_Vibe_Payments
 
 			// Admin classes
 			if (is_admin()) {
+				require_once 'includes/class-wc-vibe-rule-history.php';
+				require_once 'includes/class-wc-vibe-rule-import-export.php';
 				require_once 'includes/class-wc-vibe-admin-interface.php';
 			}
 
@@ -675,7 +695,9 @@ function wc_vibe_uninstall()
 		// Clean up database tables
 		$tables_to_drop = array(
 			$wpdb->prefix . 'vibe_pricing_rules',
-			$wpdb->prefix . 'vibe_pricing_cache'
+			$wpdb->prefix . 'vibe_pricing_cache',
+			$wpdb->prefix . 'vibe_performance_samples',
+			$wpdb->prefix . 'vibe_pricing_rule_history'
 		);
 
 		foreach ($tables_to_drop as $table) {
@@ -705,9 +727,12 @@ function wc_vibe_uninstall()
 				'wc_vibe_dynamic_pricing_emergency_disable',
 				'wc_vibe_dynamic_pricing_enabled',
 				'wc_vibe_dynamic_pricing_apply_mode',
+				'wc_vibe_show_payment_comparison',
+				'wc_vibe_attribution_lifetime',
 				'wc_vibe_price_display_settings',
 				'wc_vibe_api_key',
 				'wc_vibe_api_enable_auth',
+				'wc_vibe_webhook_secret',
 				'wc_vibe_debug_logs',
 				'wc_vibe_enable_debug_logging'
 			);
@@ -717,20 +742,23 @@ function wc_vibe_uninstall()
 			}
 		}
 
-		// Clean up transients
+		// Clean up transients and webhook event claims
 		$wpdb->query(
 			$wpdb->prepare(
 				"DELETE FROM {$wpdb->options} 
 				 WHERE option_name LIKE %s 
+				 OR option_name LIKE %s
 				 OR option_name LIKE %s",
 				'_transient_vibe_%',
-				'_transient_timeout_vibe_%'
+				'_transient_timeout_vibe_%',
+				'wc\\_vibe\\_webhook\\_claim\\_%'
 			)
 		);
 
 		// Clear any scheduled hooks
 		if (function_exists('wp_clear_scheduled_hook')) {
 			wp_clear_scheduled_hook('wc_vibe_heartbeat');
+			wp_clear_scheduled_hook('vibe_performance_rollup');
 		}
 
 		// Log successful cleanup